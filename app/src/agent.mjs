@@ -0,0 +1,110 @@
+/**
+ * agent.mjs
+ *
+ * Tool-calling loop for /api/agent/chat: offer the MCP tool catalog to the model,
+ * execute the tool calls it returns, feed the results back and repeat until the
+ * model answers without calling a tool or the step budget is spent.
+ */
+
+const RESULT_MAX_CHARS = parseInt(process.env.AGENT_TOOL_RESULT_MAX_CHARS || "12000", 10);
+
+/**
+ * MCP tools ({ name, description, inputSchema }) or OpenAI function format
+ * ({ type, function: { name, description, parameters } }) -> adapter tools.
+ */
+export function toAgentTools(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((t) => t?.function || t)
+    .filter((f) => f?.name)
+    .map((f) => {
+      const schema = f.parameters || f.inputSchema;
+      return {
+        name: String(f.name),
+        description: String(f.description || ""),
+        parameters: schema && typeof schema === "object" ? schema : { type: "object", properties: {} },
+      };
+    });
+}
+
+function truncate(s, max = RESULT_MAX_CHARS) {
+  const str = typeof s === "string" ? s : JSON.stringify(s);
+  return str.length > max ? `${str.slice(0, max)}… [truncated ${str.length - max} chars]` : str;
+}
+
+function addUsage(total, usage) {
+  for (const k of ["inputTokens", "outputTokens"]) {
+    if (usage?.[k] != null) total[k] = (total[k] || 0) + usage[k];
+  }
+}
+
+/**
+ * runAgent({ chat, callTool, tools, messages, maxSteps, onEvent, signal })
+ *
+ * - chat({ messages, tools }) -> ChatResult (see providers/index.mjs)
+ * - callTool({ name, arguments }) -> { status, ok, body }
+ * - onEvent(event) is optional and receives tool_call_start / tool_call_end events
+ * - signal (AbortSignal) is checked before every model turn and tool call; abort throws its reason
+ *
+ * Returns { reply, steps, usage, provider, model, stoppedReason }.
+ * Each step: { step, tool, arguments, status, ok, durationMs, startedAt, result | error }.
+ */
+export async function runAgent({ chat, callTool, tools, messages, maxSteps = 8, onEvent = () => {}, signal }) {
+  const history = [...messages];
+  const steps = [];
+  const usage = {};
+  let last = null;
+
+  for (let round = 0; round < maxSteps; round++) {
+    signal?.throwIfAborted();
+    last = await chat({ messages: history, tools });
+    addUsage(usage, last.usage);
+
+    if (!last.toolCalls?.length) {
+      return { reply: last.text, steps, usage, provider: last.provider, model: last.model, stoppedReason: "final" };
+    }
+
+    history.push({ role: "assistant", content: last.text || "", toolCalls: last.toolCalls });
+
+    for (const tc of last.toolCalls) {
+      signal?.throwIfAborted();
+      const step = {
+        step: steps.length + 1,
+        tool: tc.name,
+        arguments: tc.arguments ?? {},
+        startedAt: new Date().toISOString(),
+      };
+      onEvent({ type: "tool_call_start", step: step.step, tool: step.tool, arguments: step.arguments });
+
+      const t0 = Date.now();
+      let content;
+      try {
+        const r = await callTool({ name: tc.name, arguments: tc.arguments ?? {} });
+        step.status = r.status;
+        step.ok = r.ok;
+        step.result = truncate(r.body, 2000);
+        content = truncate(r.ok ? r.body : { error: `HTTP ${r.status}`, body: r.body });
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        step.status = e?.status || null;
+        step.ok = false;
+        step.error = e?.message || String(e);
+        // Let the model see the failure and decide whether to retry or explain it.
+        content = JSON.stringify({ error: step.error });
+      }
+      step.durationMs = Date.now() - t0;
+      steps.push(step);
+      onEvent({ type: "tool_call_end", ...step });
+
+      history.push({ role: "tool", toolCallId: tc.id, name: tc.name, content });
+    }
+  }
+
+  return {
+    reply: last?.text || `Stopped after ${maxSteps} model turns without a final answer. See the step trace for what was executed.`,
+    steps,
+    usage,
+    provider: last?.provider,
+    model: last?.model,
+    stoppedReason: "max_steps",
+  };
+}
@@ -0,0 +1,406 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+
+/**
+ * auth.mjs
+ *
+ * Sign-in and per-user permissions for the AI Agent app. Off unless OIDC_ISSUER is set.
+ * - Browser: OIDC authorization code flow with PKCE (/auth/login -> provider -> /auth/callback).
+ *   The Carbon UI then holds an HttpOnly session cookie; sessions live in memory.
+ * - API callers: `Authorization: Bearer <access token>`, a JWT issued by the same provider.
+ * - ROLE_MAPPING_JSON maps the roles in OIDC_ROLES_CLAIM to the tenants and tools a user may use.
+ * The user's access token is forwarded to the MCP server, which applies the same mapping.
+ * Any standards-compliant provider works, including a local stand-in (Keycloak in dev mode,
+ * mock-oauth2-server) on plain http.
+ */
+
+const SESSION_COOKIE = "mx_auth";
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const CLOCK_SKEW_S = 60;
+
+function authError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function b64json(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+function claimAt(claims, path) {
+  return String(path || "").split(".").reduce((v, k) => (v && typeof v === "object" ? v[k] : undefined), claims);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+// -----------------------------
+// Role mapping
+// -----------------------------
+/**
+ * { "<role>": { tenants: ["prod", "test*"], tools: ["maximo.queryOS", "maximo.wo.*"], admin: true } }
+ * A user gets the union over their roles; "*" matches everything, "x*" matches a prefix.
+ * Without a mapping every signed-in user may use every tenant and tool.
+ * Keep in sync with mcp-server/auth.mjs, which applies the same mapping to the forwarded token.
+ */
+export function createRoleMapping(json) {
+  const mapping = json ? JSON.parse(json) : null;
+  if (mapping !== null && (typeof mapping !== "object" || Array.isArray(mapping))) {
+    throw new Error("ROLE_MAPPING_JSON must be an object keyed by role name");
+  }
+
+  function permissionsFor(roles) {
+    if (!mapping) return { tenants: ["*"], tools: ["*"], admin: true };
+    const p = { tenants: [], tools: [], admin: false };
+    for (const role of roles) {
+      const m = mapping[role];
+      if (!m) continue;
+      p.tenants.push(...(m.tenants || []));
+      p.tools.push(...(m.tools || []));
+      p.admin = p.admin || m.admin === true;
+    }
+    return p;
+  }
+
+  return { configured: Boolean(mapping), permissionsFor };
+}
+
+/**
+ * The user's name in sessions, approvals and traces. Keep in sync with userName in
+ * mcp-server/auth.mjs: the MCP server names requesters and approvers from the same token.
+ */
+export function userName(claims) {
+  return claims.preferred_username || claims.name || claims.email || claims.sub;
+}
+
+export function allows(patterns, name) {
+  return (patterns || []).some(p => p === "*" || p === name || (p.endsWith("*") && String(name).startsWith(p.slice(0, -1))));
+}
+
+// -----------------------------
+// OIDC provider
+// -----------------------------
+// Keep in sync with mcp-server/auth.mjs
+const ALGS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" }
+};
+
+function createOidcProvider({ issuer, timeoutMs }) {
+  let discovery = null;
+  let keys = null; // kid -> KeyObject
+  let keysAt = 0;
+
+  async function getJson(url, init = {}) {
+    const r = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    const text = await r.text();
+    let j = null;
+    try {
+      j = JSON.parse(text);
+    } catch {}
+    if (!r.ok || !j) throw authError(502, "oidc_unavailable", `${url} answered ${r.status}: ${text.slice(0, 200)}`);
+    return j;
+  }
+
+  async function config() {
+    if (!discovery) discovery = getJson(`${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`).catch(e => { discovery = null; throw e; });
+    return discovery;
+  }
+
+  // Refetched when a token names an unknown key (rotation), at most every 30 s.
+  async function key(kid) {
+    if (!keys || (!keys.has(kid) && Date.now() - keysAt > 30 * 1000)) {
+      const { jwks_uri } = await config();
+      const { keys: list = [] } = await getJson(jwks_uri);
+      keys = new Map(list.filter(k => k.use !== "enc").map(k => [k.kid, crypto.createPublicKey({ key: k, format: "jwk" })]));
+      keysAt = Date.now();
+    }
+    const k = keys.get(kid) || (keys.size === 1 && !kid ? [...keys.values()][0] : null);
+    if (!k) throw authError(401, "invalid_token", `Unknown signing key ${kid}`);
+    return k;
+  }
+
+  /** Verified claims of a JWT from this issuer, or 401 invalid_token. */
+  async function verify(token, { audience, nonce } = {}) {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 3) throw authError(401, "invalid_token", "Token is not a JWT");
+    let header, claims;
+    try {
+      header = b64json(parts[0]);
+      claims = b64json(parts[1]);
+    } catch {
+      throw authError(401, "invalid_token", "Token is not a JWT");
+    }
+    const alg = ALGS[header.alg];
+    if (!alg) throw authError(401, "invalid_token", `Unsupported token algorithm ${header.alg}`);
+    const ok = crypto.verify(alg.hash, Buffer.from(`${parts[0]}.${parts[1]}`), { key: await key(header.kid), ...alg }, Buffer.from(parts[2], "base64url"));
+    if (!ok) throw authError(401, "invalid_token", "Token signature is invalid");
+
+    const now = Date.now() / 1000;
+    const aud = [].concat(claims.aud || []);
+    if (claims.iss !== (await config()).issuer) throw authError(401, "invalid_token", `Token issuer ${claims.iss} is not trusted`);
+    if (audience && !aud.includes(audience) && claims.azp !== audience) throw authError(401, "invalid_token", "Token audience does not match");
+    if (typeof claims.exp !== "number" || claims.exp < now - CLOCK_SKEW_S) throw authError(401, "invalid_token", "Token expired");
+    if (typeof claims.nbf === "number" && claims.nbf > now + CLOCK_SKEW_S) throw authError(401, "invalid_token", "Token not valid yet");
+    if (nonce !== undefined && claims.nonce !== nonce) throw authError(401, "invalid_token", "Token nonce does not match the login");
+    return claims;
+  }
+
+  return { config, getJson, verify };
+}
+
+// -----------------------------
+// App integration
+// -----------------------------
+/**
+ * createAuth({ env, log })
+ *
+ * - routes(app): /auth/login, /auth/callback, /auth/logout, /auth/me
+ * - authenticate: sets req.user = { sub, name, email, roles, permissions, token } (null when signed out
+ *   or auth is off)
+ * - requireUser: 401 unauthenticated without a user (when auth is on)
+ * - checkTenant(user, id) / checkTool(user, name) / checkAdmin(user): throw 403 when not allowed
+ * - canUseTool(user, name): the boolean form of checkTool, for filtering tool lists
+ */
+export function createAuth({ env = process.env, log = console.log } = {}) {
+  const issuer = env.OIDC_ISSUER || "";
+  const enabled = Boolean(issuer);
+  const clientId = env.OIDC_CLIENT_ID || "";
+  const clientSecret = env.OIDC_CLIENT_SECRET || "";
+  const audience = env.OIDC_AUDIENCE || clientId;
+  const scopes = env.OIDC_SCOPES || "openid profile email";
+  const rolesClaim = env.OIDC_ROLES_CLAIM || "roles";
+  const sessionTtlMs = Number(env.AUTH_SESSION_TTL_MS || 8 * 60 * 60 * 1000);
+  const roles = createRoleMapping(env.ROLE_MAPPING_JSON || "");
+  const provider = enabled ? createOidcProvider({ issuer, timeoutMs: Number(env.OIDC_TIMEOUT_MS || 10000) }) : null;
+
+  if (enabled && !clientId) throw new Error("OIDC_CLIENT_ID is required when OIDC_ISSUER is set");
+  if (!enabled) log("[auth] OIDC_ISSUER is not set: sign-in is off and every caller can use every tenant");
+  else if (!roles.configured) log("[auth] ROLE_MAPPING_JSON is not set: every signed-in user can use every tenant and tool");
+
+  const sessions = new Map(); // sid -> { user, claims, refreshToken, tokenExpiresAt, expiresAt }
+  const logins = new Map(); // state -> { verifier, nonce, returnTo, redirectUri, at }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [sid, s] of sessions) if (s.expiresAt <= now) sessions.delete(sid);
+    for (const [state, l] of logins) if (l.at + LOGIN_TTL_MS <= now) logins.delete(state);
+  }, 60 * 1000).unref();
+
+  function userFrom(claims, token) {
+    const list = [].concat(claimAt(claims, rolesClaim) || []).map(String);
+    return {
+      sub: claims.sub,
+      name: userName(claims),
+      email: claims.email || null,
+      roles: list,
+      permissions: roles.permissionsFor(list),
+      token
+    };
+  }
+
+  function redirectUri(req) {
+    if (env.OIDC_REDIRECT_URI) return env.OIDC_REDIRECT_URI;
+    const proto = String(req.get("x-forwarded-proto") || req.protocol).split(",")[0].trim();
+    return `${proto}://${req.get("x-forwarded-host") || req.get("host")}/auth/callback`;
+  }
+
+  function cookie(req, value, maxAgeMs) {
+    const secure = String(req.get("x-forwarded-proto") || req.protocol).startsWith("https");
+    return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure ? "; Secure" : ""}`;
+  }
+
+  // Only same-site paths, so /auth/login cannot be used as an open redirect.
+  function safeReturnTo(v) {
+    const s = String(v || "/");
+    return s.startsWith("/") && !s.startsWith("//") ? s : "/";
+  }
+
+  async function tokenRequest(form) {
+    const { token_endpoint } = await provider.config();
+    form.set("client_id", clientId);
+    if (clientSecret) form.set("client_secret", clientSecret);
+    return provider.getJson(token_endpoint, {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded", accept: "application/json" },
+      body: form.toString()
+    });
+  }
+
+  // Claims from the provider's userinfo endpoint for an access token it issued ({} without one).
+  async function userinfo(accessToken) {
+    const { userinfo_endpoint } = await provider.config();
+    if (!userinfo_endpoint || !accessToken) return {};
+    return provider.getJson(userinfo_endpoint, { headers: { authorization: `Bearer ${accessToken}`, accept: "application/json" } });
+  }
+
+  // { user, refreshToken, tokenExpiresAt } from a token response; roles usually live in the
+  // access token, the ID token is the fallback for providers that put them there. An opaque
+  // access token without an ID token leaves only userinfo to name the user; a user without a
+  // subject cannot own sessions, so that login fails.
+  async function sessionFrom(tokens, { nonce, claims: previousClaims = {}, refreshToken = null } = {}) {
+    let claims = previousClaims;
+    if (tokens.id_token) claims = await provider.verify(tokens.id_token, { audience: clientId, nonce });
+    try {
+      claims = { ...claims, ...(await provider.verify(tokens.access_token, { audience })) };
+    } catch {}
+    if (!claims.sub) claims = { ...(await userinfo(tokens.access_token)), ...claims };
+    if (!claims.sub) throw authError(401, "login_failed", "The provider did not say who signed in (no sub in the ID token, access token or userinfo)");
+    return {
+      user: userFrom(claims, tokens.access_token),
+      claims,
+      refreshToken: tokens.refresh_token || refreshToken,
+      tokenExpiresAt: Date.now() + (tokens.expires_in ? tokens.expires_in * 1000 : sessionTtlMs)
+    };
+  }
+
+  // The forwarded access token must stay valid; refresh it shortly before it expires.
+  async function freshSession(sid, s) {
+    if (s.tokenExpiresAt - Date.now() > 30 * 1000) return s;
+    if (!s.refreshToken) return s.tokenExpiresAt > Date.now() ? s : null;
+    if (!s.refreshing) {
+      s.refreshing = tokenRequest(new URLSearchParams({ grant_type: "refresh_token", refresh_token: s.refreshToken }))
+        .then(tokens => sessionFrom(tokens, { claims: s.claims, refreshToken: s.refreshToken }))
+        .then(next => {
+          const updated = { ...s, ...next, refreshing: null };
+          sessions.set(sid, updated);
+          return updated;
+        })
+        .catch(e => {
+          log(`[auth] token refresh for ${s.user.name} failed: ${e.message}`);
+          sessions.delete(sid);
+          return null;
+        });
+    }
+    return s.refreshing;
+  }
+
+  async function authenticate(req, res, next) {
+    req.user = null;
+    if (!enabled) return next();
+    try {
+      const bearer = String(req.get("authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1];
+      if (bearer) {
+        const claims = await provider.verify(bearer, { audience });
+        if (!claims.sub) throw authError(401, "invalid_token", "Token has no subject (sub)");
+        req.user = userFrom(claims, bearer);
+        return next();
+      }
+      const sid = parseCookies(req.get("cookie"))[SESSION_COOKIE];
+      const s = sessions.get(sid);
+      if (s && s.expiresAt > Date.now()) req.user = (await freshSession(sid, s))?.user || null;
+      return next();
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e.message || String(e), code: e.code || "auth_failed" });
+    }
+  }
+
+  function requireUser(req, res, next) {
+    if (!enabled || req.user) return next();
+    return res.status(401).json({ error: "Sign-in required", code: "unauthenticated", login: "/auth/login" });
+  }
+
+  function checkTenant(user, tenant) {
+    if (!enabled) return;
+    if (!allows(user?.permissions.tenants, tenant)) throw authError(403, "tenant_forbidden", `You may not use tenant ${tenant}`);
+  }
+
+  function canUseTool(user, tool) {
+    return !enabled || allows(user?.permissions.tools, tool);
+  }
+
+  function checkTool(user, tool) {
+    if (!canUseTool(user, tool)) throw authError(403, "tool_forbidden", `You may not use ${tool}`);
+  }
+
+  function checkAdmin(user) {
+    if (!enabled) return;
+    if (!user?.permissions.admin) throw authError(403, "admin_required", "Only administrators can change this");
+  }
+
+  function routes(app) {
+    app.get("/auth/me", (req, res) => {
+      if (!enabled) return res.json({ enabled: false, user: null });
+      if (!req.user) return res.status(401).json({ enabled: true, user: null, login: "/auth/login" });
+      const { token: _token, ...user } = req.user;
+      res.json({ enabled: true, user });
+    });
+
+    app.get("/auth/login", async (req, res) => {
+      if (!enabled) return res.redirect(safeReturnTo(req.query.returnTo));
+      try {
+        const { authorization_endpoint } = await provider.config();
+        const state = crypto.randomBytes(24).toString("base64url");
+        const verifier = crypto.randomBytes(32).toString("base64url");
+        const nonce = crypto.randomBytes(16).toString("base64url");
+        const uri = redirectUri(req);
+        logins.set(state, { verifier, nonce, returnTo: safeReturnTo(req.query.returnTo), redirectUri: uri, at: Date.now() });
+        const qs = new URLSearchParams({
+          response_type: "code",
+          client_id: clientId,
+          redirect_uri: uri,
+          scope: scopes,
+          state,
+          nonce,
+          code_challenge: crypto.createHash("sha256").update(verifier).digest("base64url"),
+          code_challenge_method: "S256"
+        });
+        res.redirect(`${authorization_endpoint}?${qs}`);
+      } catch (e) {
+        res.status(e.status || 502).json({ error: e.message, code: e.code || "login_failed" });
+      }
+    });
+
+    app.get("/auth/callback", async (req, res) => {
+      const login = logins.get(String(req.query.state || ""));
+      logins.delete(String(req.query.state || ""));
+      if (req.query.error) return res.status(401).json({ error: String(req.query.error_description || req.query.error), code: "login_failed" });
+      if (!login) return res.status(400).json({ error: "Unknown or expired login; start again at /auth/login", code: "login_expired" });
+      try {
+        const session = await sessionFrom(
+          await tokenRequest(new URLSearchParams({
+            grant_type: "authorization_code",
+            code: String(req.query.code || ""),
+            redirect_uri: login.redirectUri,
+            code_verifier: login.verifier
+          })),
+          { nonce: login.nonce }
+        );
+        const sid = crypto.randomBytes(32).toString("base64url");
+        sessions.set(sid, { ...session, expiresAt: Date.now() + sessionTtlMs });
+        const { user } = session;
+        log(`[auth] ${user.name} signed in (roles: ${user.roles.join(", ") || "none"})`);
+        res.set("set-cookie", cookie(req, sid, sessionTtlMs)).redirect(login.returnTo);
+      } catch (e) {
+        log(`[auth] login failed: ${e.message}`);
+        res.status(e.status || 502).json({ error: e.message, code: e.code || "login_failed" });
+      }
+    });
+
+    app.all("/auth/logout", async (req, res) => {
+      sessions.delete(parseCookies(req.get("cookie"))[SESSION_COOKIE]);
+      res.set("set-cookie", cookie(req, "", 0));
+      let end = null;
+      try {
+        end = enabled ? (await provider.config()).end_session_endpoint : null;
+      } catch {}
+      const back = `${redirectUri(req).replace(/\/auth\/callback$/, "")}/`;
+      const target = end ? `${end}?${new URLSearchParams({ client_id: clientId, post_logout_redirect_uri: back })}` : "/";
+      if (req.method === "GET") return res.redirect(target);
+      res.json({ ok: true, logout: target });
+    });
+  }
+
+  return { enabled, routes, authenticate, requireUser, checkTenant, checkTool, canUseTool, checkAdmin };
+}
@@ -0,0 +1,194 @@
+import fetch from "node-fetch";
+
+/**
+ * mcp-client.mjs
+ *
+ * Model Context Protocol client (Streamable HTTP, JSON-RPC 2.0) for the MCP server.
+ * One session per server URL: `initialize` + `notifications/initialized` on first use,
+ * the Mcp-Session-Id is then sent on every request and the session is re-created when
+ * the server forgets it (404).
+ * With sign-in on, every request carries the signed-in user's access token (`token`) so the MCP
+ * server applies that user's permissions; the session itself is shared. `correlationId` is sent
+ * as X-Correlation-ID so the MCP server's trace and its Maximo requests can be matched to it.
+ */
+
+const PROTOCOL_VERSION = "2025-06-18";
+const CLIENT_INFO = { name: "maximo-ai-agent-app", version: "0.1.0" };
+
+function mcpError(message, extra = {}) {
+  const e = new Error(message);
+  Object.assign(e, extra);
+  return e;
+}
+
+// Streamable HTTP servers may answer a POST with an SSE stream; the reply is the `message` event
+// whose id matches the request.
+function fromEventStream(text, id) {
+  for (const block of text.split(/\r?\n\r?\n/)) {
+    const data = block
+      .split(/\r?\n/)
+      .filter((l) => l.startsWith("data:"))
+      .map((l) => l.slice(5).trimStart())
+      .join("\n");
+    if (!data) continue;
+    try {
+      const msg = JSON.parse(data);
+      if (msg?.id === id) return msg;
+    } catch {
+      // keep looking
+    }
+  }
+  return null;
+}
+
+/**
+ * createMcpClient({ getUrl, timeoutMs })
+ *
+ * getUrl() -> Promise<string> base URL of the MCP server (the endpoint is <base>/mcp).
+ */
+export function createMcpClient({ getUrl, timeoutMs = 60000 }) {
+  const sessions = new Map(); // endpoint -> Promise<{ id, protocolVersion }>
+  let nextId = 1;
+
+  async function endpoint() {
+    const base = String((await getUrl()) || "").replace(/\/+$/, "");
+    if (!base) throw mcpError("MCP_SERVER_URL is not configured", { status: 503 });
+    return base.endsWith("/mcp") ? base : `${base}/mcp`;
+  }
+
+  async function post(url, message, { session, tenant, token, correlationId, signal } = {}) {
+    const headers = {
+      "content-type": "application/json",
+      accept: "application/json, text/event-stream",
+    };
+    if (session) {
+      headers["mcp-session-id"] = session.id;
+      headers["mcp-protocol-version"] = session.protocolVersion;
+    }
+    if (tenant) headers["x-maximo-tenant"] = tenant;
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (correlationId) headers["x-correlation-id"] = correlationId;
+
+    // node-fetch crashes the process on a pre-aborted signal with a body, so fail first
+    signal?.throwIfAborted();
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const r = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(message),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    const text = await r.text();
+    if (r.status === 202 || !("id" in message)) return { status: r.status, headers: r.headers, reply: null };
+
+    const ct = (r.headers.get("content-type") || "").toLowerCase();
+    let reply = null;
+    if (ct.includes("text/event-stream")) reply = fromEventStream(text, message.id);
+    else {
+      try {
+        reply = JSON.parse(text);
+      } catch {
+        reply = null;
+      }
+    }
+    return { status: r.status, headers: r.headers, reply, text };
+  }
+
+  async function openSession(url, token) {
+    const init = {
+      jsonrpc: "2.0",
+      id: nextId++,
+      method: "initialize",
+      params: { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: CLIENT_INFO },
+    };
+    const r = await post(url, init, { token });
+    if (!r.reply?.result) {
+      throw mcpError(r.reply?.error?.message || `MCP initialize failed (${r.status})`, { status: 502 });
+    }
+    const session = {
+      id: r.headers.get("mcp-session-id"),
+      protocolVersion: r.reply.result.protocolVersion || PROTOCOL_VERSION,
+      serverInfo: r.reply.result.serverInfo,
+    };
+    await post(url, { jsonrpc: "2.0", method: "notifications/initialized" }, { session, token });
+    return session;
+  }
+
+  function getSession(url, token) {
+    if (!sessions.has(url)) {
+      const p = openSession(url, token);
+      sessions.set(url, p);
+      p.catch(() => sessions.delete(url));
+    }
+    return sessions.get(url);
+  }
+
+  /** JSON-RPC request; returns `result` or throws with e.rpcCode / e.status. */
+  async function request(method, params, { tenant, token, correlationId, signal } = {}) {
+    const url = await endpoint();
+    for (let attempt = 0; ; attempt++) {
+      const session = await getSession(url, token);
+      const r = await post(url, { jsonrpc: "2.0", id: nextId++, method, params }, { session, tenant, token, correlationId, signal });
+      if (r.status === 404 && attempt === 0) {
+        // Server restarted or expired the session
+        sessions.delete(url);
+        continue;
+      }
+      if (r.reply?.error) {
+        throw mcpError(r.reply.error.message || "MCP error", { rpcCode: r.reply.error.code, status: r.status >= 400 ? r.status : 502 });
+      }
+      if (!r.reply || !("result" in r.reply)) {
+        throw mcpError(`MCP ${method} failed (${r.status}): ${String(r.text || "").slice(0, 200)}`, { status: 502 });
+      }
+      return r.reply.result;
+    }
+  }
+
+  /** [{ name, description, inputSchema }] */
+  async function listTools(tenant, { token, correlationId } = {}) {
+    const tools = [];
+    let cursor;
+    do {
+      const result = await request("tools/list", cursor ? { cursor } : {}, { tenant, token, correlationId });
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool; returns { status, ok, body } like the old REST /mcp/call so traces keep
+   * showing the Maximo HTTP status. body is the parsed text content when it is JSON.
+   */
+  async function callTool({ name, args, tenant, token, correlationId, signal }) {
+    const result = await request("tools/call", { name, arguments: args || {}, _meta: { tenant } }, { tenant, token, correlationId, signal });
+    const text = (result.content || [])
+      .filter((c) => c.type === "text")
+      .map((c) => c.text)
+      .join("\n");
+    let body = result.structuredContent;
+    if (body === undefined) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        body = text;
+      }
+    }
+    const ok = !result.isError;
+    return { status: result._meta?.httpStatus ?? (ok ? 200 : 502), ok, body };
+  }
+
+  async function close() {
+    for (const [url, p] of sessions) {
+      sessions.delete(url);
+      try {
+        const s = await p;
+        if (s.id) await fetch(url, { method: "DELETE", headers: { "mcp-session-id": s.id } });
+      } catch {
+        // best effort
+      }
+    }
+  }
+
+  return { listTools, callTool, request, close };
+}
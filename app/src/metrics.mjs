@@ -0,0 +1,88 @@
+import client from "prom-client";
+
+/**
+ * metrics.mjs
+ *
+ * Prometheus metrics for GET /metrics (prom-client): HTTP requests per route, LLM calls, latency
+ * and tokens per provider and model, plus the Node.js process defaults. Label values are route
+ * patterns, provider ids and model names only, so the number of series stays bounded.
+ */
+
+const PREFIX = "maximo_agent_";
+
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const LLM_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+// The Express route pattern ("/api/sessions/:id"), not the URL, so ids do not become labels.
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl || ""}${req.route.path}` : "other";
+}
+
+/**
+ * createMetrics()
+ *
+ * - middleware: counts and times every request by method, route and status
+ * - llmCall({ provider, model, durationMs, ok, usage }): one model call (usage from the adapter)
+ * - handler: the /metrics route
+ */
+export function createMetrics() {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+  const httpRequests = new client.Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: "HTTP requests by method, route and status",
+    labelNames: ["method", "route", "status"],
+    registers: [register],
+  });
+  const httpDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: "HTTP request latency by method, route and status (streams count until they close)",
+    labelNames: ["method", "route", "status"],
+    buckets: HTTP_BUCKETS,
+    registers: [register],
+  });
+  const llmRequests = new client.Counter({
+    name: `${PREFIX}llm_requests_total`,
+    help: "LLM calls by provider, model and outcome (ok or error)",
+    labelNames: ["provider", "model", "outcome"],
+    registers: [register],
+  });
+  const llmDuration = new client.Histogram({
+    name: `${PREFIX}llm_request_duration_seconds`,
+    help: "LLM call latency by provider and model",
+    labelNames: ["provider", "model"],
+    buckets: LLM_BUCKETS,
+    registers: [register],
+  });
+  const llmTokens = new client.Counter({
+    name: `${PREFIX}llm_tokens_total`,
+    help: "Tokens reported by the provider, by provider, model and type (input or output)",
+    labelNames: ["provider", "model", "type"],
+    registers: [register],
+  });
+
+  function middleware(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+      httpRequests.inc(labels);
+      httpDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  }
+
+  function llmCall({ provider, model, durationMs, ok, usage }) {
+    const labels = { provider: provider || "unknown", model: model || "unknown" };
+    llmRequests.inc({ ...labels, outcome: ok ? "ok" : "error" });
+    llmDuration.observe(labels, durationMs / 1000);
+    if (usage?.inputTokens) llmTokens.inc({ ...labels, type: "input" }, usage.inputTokens);
+    if (usage?.outputTokens) llmTokens.inc({ ...labels, type: "output" }, usage.outputTokens);
+  }
+
+  async function handler(_req, res) {
+    res.set("content-type", register.contentType).send(await register.metrics());
+  }
+
+  return { middleware, llmCall, handler };
+}
@@ -0,0 +1,87 @@
+import { getAdapter, listModels } from "./providers/index.mjs";
+
+/**
+ * models.mjs
+ *
+ * Model discovery for the Settings page (`/api/models`).
+ * Each provider's list endpoint is queried with the server-side credentials,
+ * normalised into a flat list of model ids and cached per provider with a TTL.
+ * When a provider is unreachable (or has no key) the configured static list is returned:
+ * settings.providers.<id>.models, <PROVIDER>_MODELS (comma-separated) or the adapter's defaults.
+ */
+
+function uniqSorted(list) {
+  return [...new Set(list.filter(Boolean).map(String))].sort((a, b) => a.localeCompare(b));
+}
+
+// -----------------------------
+// Catalog
+// -----------------------------
+/**
+ * createModelCatalog({ getProviderConfig, ttlMs, timeoutMs, env })
+ *
+ * getProviderConfig(provider) -> Promise<{ apiKey, baseUrl, projectId, models }>
+ */
+export function createModelCatalog({
+  getProviderConfig,
+  ttlMs = 10 * 60 * 1000,
+  timeoutMs = 8000,
+  env = process.env,
+}) {
+  const cache = new Map(); // provider -> { key, models, fetchedAt }
+  const inflight = new Map(); // provider -> Promise
+
+  function staticModels(provider, cfg) {
+    if (Array.isArray(cfg.models) && cfg.models.length) return uniqSorted(cfg.models);
+    const fromEnv = String(env[`${provider.toUpperCase()}_MODELS`] || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (fromEnv.length) return uniqSorted(fromEnv);
+    return getAdapter(provider).defaultModels;
+  }
+
+  // Changing the key or base URL invalidates the cached list.
+  function cacheKey(cfg) {
+    return `${cfg.baseUrl || ""}|${String(cfg.apiKey || "").slice(-6)}`;
+  }
+
+  async function list(provider, { refresh = false } = {}) {
+    getAdapter(provider); // throws unknown_provider
+
+    const cfg = (await getProviderConfig(provider)) || {};
+    const key = cacheKey(cfg);
+    const hit = cache.get(provider);
+    if (!refresh && hit && hit.key === key && Date.now() - hit.fetchedAt < ttlMs) {
+      return { provider, models: hit.models, source: "cache", fetchedAt: new Date(hit.fetchedAt).toISOString() };
+    }
+
+    if (!inflight.has(provider)) {
+      inflight.set(
+        provider,
+        (async () => {
+          try {
+            const models = uniqSorted(await listModels(provider, cfg, { timeoutMs }));
+            if (!models.length) throw new Error("Provider returned an empty model list");
+            const fetchedAt = Date.now();
+            cache.set(provider, { key, models, fetchedAt });
+            return { provider, models, source: "live", fetchedAt: new Date(fetchedAt).toISOString() };
+          } catch (e) {
+            // Failures are not cached so the next request retries the provider.
+            return { provider, models: staticModels(provider, cfg), source: "static", error: e?.message || String(e) };
+          } finally {
+            inflight.delete(provider);
+          }
+        })()
+      );
+    }
+    return inflight.get(provider);
+  }
+
+  function invalidate(provider) {
+    if (provider) cache.delete(provider);
+    else cache.clear();
+  }
+
+  return { list, invalidate };
+}
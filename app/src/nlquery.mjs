@@ -0,0 +1,281 @@
+import { z } from "zod";
+
+/**
+ * nlquery.mjs
+ *
+ * Natural language -> OSLC query translation for Maximo mode (`/api/maximo/query`).
+ * - ruleBasedQuery: deterministic mapper used when no LLM is configured (or the LLM fails).
+ * - llmQuery: asks the model to call a single `emit_oslc_query` tool whose parameters are
+ *   the query schema, so the output is schema-constrained on every provider; validated with zod.
+ * - toTable: flattens the OSLC `member` array into { title, columns, rows } for MaximoTable.
+ */
+
+export const OslcQuerySchema = z.object({
+  objectStructure: z.string().regex(/^[A-Za-z0-9_]+$/, "Object structure names are alphanumeric"),
+  where: z.string().default(""),
+  select: z.array(z.string().regex(/^[A-Za-z0-9_.*{},]+$/)).min(1),
+  orderBy: z.string().regex(/^([+-][A-Za-z0-9_.]+,?)*$/, "orderBy is +attr/-attr, comma separated").default(""),
+  pageSize: z.coerce.number().int().min(1).max(1000).default(50),
+  title: z.string().default(""),
+});
+
+// -----------------------------
+// Rule-based mapper
+// -----------------------------
+const OPEN_WO_STATUSES = ["WAPPR", "APPR", "WSCH", "WMATL", "WPCOND", "INPRG"];
+
+// Ordered: the first entity whose pattern matches wins.
+const ENTITIES = [
+  {
+    id: "workorders",
+    pattern: /\bwork ?orders?\b|\bwos?\b/i,
+    objectStructure: "mxapiwodetail",
+    title: "Work orders",
+    select: ["wonum", "description", "status", "worktype", "wopriority", "assetnum", "location", "siteid", "reportdate"],
+    orderBy: "-reportdate",
+    filters: [
+      { pattern: /\bopen\b/i, where: `status in [${OPEN_WO_STATUSES.map((s) => `"${s}"`).join(",")}]`, label: "Open" },
+      { pattern: /\bcorrective\b/i, where: 'worktype="CM"', label: "Corrective" },
+      { pattern: /\bpreventive|preventative\b/i, where: 'worktype="PM"', label: "Preventive" },
+      { pattern: /\bemergency\b/i, where: 'worktype="EM"', label: "Emergency" },
+      { pattern: /\bwaiting (for )?approval\b|\bwappr\b/i, where: 'status="WAPPR"', label: "Waiting for approval" },
+      { pattern: /\bapproved\b/i, where: 'status="APPR"', label: "Approved" },
+      { pattern: /\bin progress\b|\binprg\b/i, where: 'status="INPRG"', label: "In progress" },
+      { pattern: /\bcompleted?\b/i, where: 'status="COMP"', label: "Completed" },
+      { pattern: /\bclosed\b/i, where: 'status="CLOSE"', label: "Closed" },
+    ],
+  },
+  {
+    id: "servicerequests",
+    pattern: /\bservice requests?\b|\bsrs?\b|\btickets?\b/i,
+    objectStructure: "mxapisr",
+    title: "Service requests",
+    select: ["ticketid", "description", "status", "reportedby", "reportdate", "assetnum", "location", "siteid"],
+    orderBy: "-reportdate",
+    filters: [
+      { pattern: /\bopen\b/i, where: 'status in ["NEW","QUEUED","INPROG","PENDING"]', label: "Open" },
+      { pattern: /\bnew\b/i, where: 'status="NEW"', label: "New" },
+      { pattern: /\bclosed\b/i, where: 'status="CLOSED"', label: "Closed" },
+    ],
+  },
+  {
+    id: "assets",
+    pattern: /\bassets?\b|\bequipment\b/i,
+    objectStructure: "mxapiasset",
+    title: "Assets",
+    select: ["assetnum", "description", "status", "location", "assettype", "siteid"],
+    orderBy: "+assetnum",
+    filters: [
+      { pattern: /\boperating\b|\bactive\b/i, where: 'status="OPERATING"', label: "Operating" },
+      { pattern: /\bnot ready\b/i, where: 'status="NOT READY"', label: "Not ready" },
+      { pattern: /\bdecommissioned\b/i, where: 'status="DECOMMISSIONED"', label: "Decommissioned" },
+    ],
+  },
+  {
+    id: "locations",
+    pattern: /\blocations?\b/i,
+    objectStructure: "mxapilocations",
+    title: "Locations",
+    select: ["location", "description", "status", "type", "siteid"],
+    orderBy: "+location",
+    filters: [{ pattern: /\boperating\b|\bactive\b/i, where: 'status="OPERATING"', label: "Operating" }],
+  },
+  {
+    id: "inventory",
+    pattern: /\binventory\b|\bstock\b|\bitems?\b|\bspare parts?\b/i,
+    objectStructure: "mxapiinventory",
+    title: "Inventory",
+    select: ["itemnum", "location", "siteid", "status", "curbaltotal", "issueunit"],
+    orderBy: "+itemnum",
+    filters: [{ pattern: /\bactive\b/i, where: 'status="ACTIVE"', label: "Active" }],
+  },
+];
+
+function quote(v) {
+  return `"${String(v).replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Map a prompt to an OSLC query without an LLM. Returns null if no entity is recognised.
+ * Understands status/work type words, "site X", "asset X", "location X", "top N" and
+ * "containing X" / "about X" (description search).
+ */
+export function ruleBasedQuery(text, { defaultSite, pageSize = 50 } = {}) {
+  const t = String(text || "");
+  const entity = ENTITIES.find((e) => e.pattern.test(t));
+  if (!entity) return null;
+
+  const clauses = [];
+  const labels = [];
+  for (const f of entity.filters) {
+    if (f.pattern.test(t)) {
+      clauses.push(f.where);
+      labels.push(f.label);
+    }
+  }
+
+  const site = t.match(/\bsite\s+([A-Z0-9_]+)\b/i)?.[1] || defaultSite;
+  if (site) clauses.push(`siteid=${quote(site.toUpperCase())}`);
+
+  const asset = t.match(/\basset\s+(?:number\s+|#)?([A-Z0-9_-]*\d[A-Z0-9_-]*)\b/i)?.[1];
+  if (asset && entity.id !== "assets") clauses.push(`assetnum=${quote(asset.toUpperCase())}`);
+
+  const location = t.match(/\blocation\s+([A-Z0-9_-]*\d[A-Z0-9_-]*)\b/i)?.[1];
+  if (location && entity.id !== "locations") clauses.push(`location=${quote(location.toUpperCase())}`);
+
+  const search = t.match(/\b(?:containing|about|matching|like|with description)\s+["']?([^"']+?)["']?\s*$/i)?.[1];
+  if (search) clauses.push(`description=${quote(`%${search.trim()}%`)}`);
+
+  const n = Number(t.match(/\b(?:top|first|last|latest|recent)\s+(\d{1,4})\b/i)?.[1] || 0);
+
+  const words = [...labels, entity.title].join(" ").toLowerCase();
+  const title = words.charAt(0).toUpperCase() + words.slice(1);
+  return OslcQuerySchema.parse({
+    objectStructure: entity.objectStructure,
+    where: clauses.join(" and "),
+    select: entity.select,
+    orderBy: entity.orderBy,
+    pageSize: n || pageSize,
+    title: site ? `${title} (site ${site.toUpperCase()})` : title,
+  });
+}
+
+// -----------------------------
+// LLM mapper
+// -----------------------------
+const EMIT_TOOL = {
+  name: "emit_oslc_query",
+  description: "Return the Maximo OSLC query that answers the user's request.",
+  parameters: {
+    type: "object",
+    properties: {
+      objectStructure: { type: "string", description: "Object structure, e.g. mxapiwodetail, mxapiasset, mxapilocations, mxapisr, mxapiinventory" },
+      where: { type: "string", description: 'oslc.where clause, e.g. status="APPR" and siteid="BEDFORD"; empty for no filter' },
+      select: { type: "array", items: { type: "string" }, description: "Attributes for oslc.select" },
+      orderBy: { type: "string", description: "oslc.orderBy, e.g. -reportdate or +assetnum" },
+      pageSize: { type: "integer", minimum: 1, maximum: 1000 },
+      title: { type: "string", description: "Short human title for the result table" },
+    },
+    required: ["objectStructure", "where", "select", "orderBy", "pageSize", "title"],
+    additionalProperties: false,
+  },
+};
+
+function llmInstructions({ defaultSite }) {
+  return [
+    "You translate requests about IBM Maximo data into a single OSLC REST query.",
+    `Call the ${EMIT_TOOL.name} tool exactly once; do not answer in prose.`,
+    "OSLC where syntax: attr=\"value\", attr!=\"value\", attr in [\"A\",\"B\"], attr>=\"2024-01-01T00:00:00\", joined with and/or; use % as wildcard (description=\"%pump%\").",
+    "Prefer the MXAPI* object structures: mxapiwodetail (work orders), mxapiasset, mxapilocations, mxapisr (service requests), mxapiinventory.",
+    "Open work orders have status in [\"WAPPR\",\"APPR\",\"WSCH\",\"WMATL\",\"WPCOND\",\"INPRG\"]; corrective work type is CM, preventive PM.",
+    defaultSite ? `Filter on siteid="${defaultSite}" unless the user names another site.` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function extractJson(text) {
+  const m = String(text || "").match(/\{[\s\S]*\}/);
+  if (!m) return null;
+  try {
+    return JSON.parse(m[0]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * llmQuery(text, { chat, defaultSite })
+ * chat({ messages, tools, instructions }) -> ChatResult (see providers/index.mjs)
+ * Throws if the model output does not validate against OslcQuerySchema.
+ */
+export async function llmQuery(text, { chat, defaultSite }) {
+  const out = await chat({
+    messages: [{ role: "user", content: text }],
+    tools: [EMIT_TOOL],
+    instructions: llmInstructions({ defaultSite }),
+  });
+  const call = out.toolCalls?.find((tc) => tc.name === EMIT_TOOL.name);
+  const candidate = call?.arguments ?? extractJson(out.text);
+  if (!candidate) throw new Error("Model did not return a query");
+
+  const parsed = OslcQuerySchema.safeParse({
+    ...candidate,
+    select: typeof candidate.select === "string" ? candidate.select.split(",").map((s) => s.trim()).filter(Boolean) : candidate.select,
+  });
+  if (!parsed.success) {
+    const msg = parsed.error.issues.map((i) => `${i.path.join(".")}: ${i.message}`).join("; ");
+    throw new Error(`Model query failed validation: ${msg}`);
+  }
+  return { query: parsed.data, usage: out.usage, provider: out.provider, model: out.model };
+}
+
+// -----------------------------
+// OSLC params and table shape
+// -----------------------------
+export function toOslcParams(q) {
+  const params = { lean: "1", "oslc.select": q.select.join(","), "oslc.pageSize": String(q.pageSize) };
+  if (q.where) params["oslc.where"] = q.where;
+  if (q.orderBy) params["oslc.orderBy"] = q.orderBy;
+  return params;
+}
+
+const SKIP_KEYS = /^(_|href$|localref$)|_collectionref$/;
+
+function flattenRecord(rec, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(rec || {})) {
+    if (SKIP_KEYS.test(k)) continue;
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v === null || typeof v !== "object") out[key] = v;
+    else if (Array.isArray(v)) {
+      // Child collections: show the first child's scalars inline when there is only one
+      if (v.length === 1 && v[0] && typeof v[0] === "object") flattenRecord(v[0], key, out);
+      else out[key] = `${v.length} item(s)`;
+    } else flattenRecord(v, key, out);
+  }
+  return out;
+}
+
+/**
+ * OSLC collection body -> { title, columns, rows, totalCount, cursor } (columns: selected attributes
+ * first). cursor continues a paged maximo.queryOS result.
+ */
+export function toTable(body, q) {
+  const members = Array.isArray(body?.member) ? body.member : Array.isArray(body?.["rdfs:member"]) ? body["rdfs:member"] : [];
+  const rows = members.map((m) => flattenRecord(m));
+  const present = new Set(rows.flatMap((r) => Object.keys(r)));
+  const selected = (q.select || []).filter((c) => c !== "*" && present.has(c));
+  const rest = [...present].filter((c) => !selected.includes(c)).sort();
+  return {
+    title: q.title || q.objectStructure.toUpperCase(),
+    columns: [...selected, ...rest],
+    rows,
+    totalCount: body?.paging?.totalCount ?? body?.responseInfo?.totalCount ?? undefined,
+    cursor: body?.paging?.cursor || undefined,
+  };
+}
+
+// -----------------------------
+// "Summarize the last Maximo results"
+// -----------------------------
+export function isSummaryRequest(text) {
+  return /\bsummari[sz]e\b/i.test(text) && /\b(result|table|data|last|previous)\b/i.test(text);
+}
+
+/** Deterministic summary: row count plus value counts of low-cardinality columns. */
+export function summarizeTable(table) {
+  const rows = table?.rows || [];
+  const lines = [`${table?.title || "Results"}: ${rows.length} row(s).`];
+  for (const col of table?.columns || []) {
+    const counts = new Map();
+    for (const r of rows) {
+      const v = r[col];
+      if (v === undefined || v === null || v === "") continue;
+      counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    if (counts.size < 2 || counts.size > 8 || counts.size === rows.length) continue;
+    const parts = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([v, n]) => `${v} (${n})`);
+    lines.push(`By ${col}: ${parts.join(", ")}.`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,190 @@
+/**
+ * os-schema.mjs
+ *
+ * Checks a generated OSLC query against its object structure's schema (the MCP maximo.describeOS
+ * tool, with children) before it is sent. Attribute names in oslc.select, oslc.where and
+ * oslc.orderBy that the structure does not have are corrected when one attribute is clearly meant
+ * ("work_type" -> "worktype", "site" -> "siteid", "descripton" -> "description"):
+ * - select: unknown attributes and child objects are dropped, and so are those the tenant's
+ *   selectAllow leaves out (describeOS flags them `selectable: false`)
+ * - orderBy: unknown attributes are dropped
+ * - where: unknown attributes are reported in `unknown`; dropping a filter would widen the result,
+ *   so the caller refuses the query instead
+ * where and orderBy are checked against all attributes, selectable or not.
+ * Names that only differ in case or a namespace prefix ("spi:WONUM") are left as they are.
+ */
+
+const squash = (s) => s.replace(/[^a-z0-9]/g, "");
+const plain = (s) => String(s).trim().replace(/^[A-Za-z]+:/, "").toLowerCase();
+
+function distance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * The schema name meant by `name`, or null. Tries, in order: the name itself, the name without
+ * separators, the name plus a usual key suffix (id, num) and the single nearest name within a
+ * quarter of its length.
+ */
+function resolveName(name, names) {
+  const n = plain(name);
+  if (names.includes(n)) return n;
+  const bySquash = names.filter((x) => squash(x) === squash(n));
+  if (bySquash.length === 1) return bySquash[0];
+  const bySuffix = ["id", "num"].map((s) => squash(n) + s).filter((x) => names.includes(x));
+  if (bySuffix.length === 1) return bySuffix[0];
+
+  let best = null;
+  let bestDistance = Infinity;
+  let tie = false;
+  for (const x of names) {
+    const d = distance(n, x);
+    if (d < bestDistance) [best, bestDistance, tie] = [x, d, false];
+    else if (d === bestDistance) tie = true;
+  }
+  return !tie && bestDistance <= Math.max(1, Math.floor(n.length / 4)) ? best : null;
+}
+
+// Top-level items of an oslc.select ("wonum,asset{assetnum,status}" -> ["wonum", "asset{assetnum,status}"]).
+function splitSelect(select) {
+  const items = [];
+  let depth = 0;
+  let cur = "";
+  for (const ch of String(select || "")) {
+    if (ch === "{") depth++;
+    if (ch === "}") depth--;
+    if (ch === "," && depth === 0) {
+      items.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  items.push(cur);
+  return items.map((s) => s.trim()).filter(Boolean);
+}
+
+function fitSelect(select, shape, path, out) {
+  const attrs = (shape.attributes || []).map((a) => a.name);
+  const children = shape.children || [];
+  const kept = [];
+  for (const item of splitSelect(select)) {
+    const m = item.match(/^([^{]+)\{(.*)\}$/);
+    const name = (m ? m[1] : item).trim();
+    if (name === "*" || (!m && name.includes("."))) {
+      kept.push(item);
+      continue;
+    }
+    const childNames = children.map((c) => c.name);
+    const resolved = resolveName(name, m ? childNames : [...attrs, ...childNames]);
+    if (!resolved) {
+      out.dropped.push({ part: "select", name: path + name });
+      continue;
+    }
+    const target = (m ? children : [...(shape.attributes || []), ...children]).find((x) => x.name === resolved);
+    if (target.selectable === false) {
+      out.dropped.push({ part: "select", name: path + name });
+      continue;
+    }
+    if (resolved !== plain(name)) out.corrections.push({ part: "select", from: path + name, to: path + resolved });
+    const final = resolved === plain(name) ? name : resolved;
+    const child = m && target;
+    if (!m) kept.push(final);
+    else if (!child.attributes) kept.push(`${final}{${m[2]}}`);
+    else {
+      const inner = fitSelect(m[2], child, `${path}${resolved}.`, out);
+      if (inner) kept.push(`${final}{${inner}}`);
+    }
+  }
+  return kept.join(",");
+}
+
+// Attribute references in an oslc.where: a name before a comparison or in/!in, outside quotes.
+const WHERE_TOKENS = /"(?:[^"\\]|\\.)*"|([A-Za-z_][\w:.]*)(?=\s*(?:!=|>=|<=|=|>|<|\s!?in\s*\[))/g;
+
+function fitWhere(where, attrs, out) {
+  return String(where || "").replace(WHERE_TOKENS, (token, name) => {
+    // Dotted names go through relationships the schema does not describe
+    if (!name || name.includes(".")) return token;
+    const resolved = resolveName(name, attrs);
+    if (!resolved) {
+      if (!out.unknown.includes(name)) out.unknown.push(name);
+      return token;
+    }
+    if (resolved === plain(name)) return token;
+    out.corrections.push({ part: "where", from: name, to: resolved });
+    return resolved;
+  });
+}
+
+function fitOrderBy(orderBy, attrs, out) {
+  const terms = [];
+  for (const term of String(orderBy || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [, sign, name] = term.match(/^([+-]?)(.*)$/);
+    const resolved = name.includes(".") ? plain(name) : resolveName(name, attrs);
+    if (!resolved) {
+      out.dropped.push({ part: "orderBy", name });
+      continue;
+    }
+    if (resolved !== plain(name)) out.corrections.push({ part: "orderBy", from: name, to: resolved });
+    terms.push(`${sign || "+"}${resolved === plain(name) ? name : resolved}`);
+  }
+  return terms.join(",");
+}
+
+/**
+ * fitOslc({ select, where, orderBy }, schema) -> { select, where, orderBy, corrections, dropped,
+ * unknown }
+ *
+ * select, where and orderBy are OSLC strings. corrections: [{ part, from, to }], dropped:
+ * [{ part, name }], unknown: names in where that match no attribute. A select left empty falls
+ * back to the selectable key attributes (or "*").
+ */
+export function fitOslc({ select, where, orderBy }, schema) {
+  const out = { corrections: [], dropped: [], unknown: [] };
+  const attrs = (schema?.attributes || []).map((a) => a.name);
+  if (!attrs.length) return { select, where, orderBy, ...out };
+
+  let fitted = select ? fitSelect(select, schema, "", out) : select;
+  if (select && !fitted) {
+    const keys = (schema.keys || []).filter((k) => schema.attributes.find((a) => a.name === k)?.selectable !== false);
+    fitted = keys.length ? keys.join(",") : "*";
+  }
+  return {
+    select: fitted,
+    where: where ? fitWhere(where, attrs, out) : where,
+    orderBy: orderBy ? fitOrderBy(orderBy, attrs, out) : orderBy,
+    ...out,
+  };
+}
+
+/** fitOslc for a Maximo mode query (nlquery.mjs): { query, corrections, dropped, unknown }. */
+export function fitQuery(query, schema) {
+  const { select, where, orderBy, ...out } = fitOslc({ select: query.select.join(","), where: query.where, orderBy: query.orderBy }, schema);
+  return { query: { ...query, select: splitSelect(select), where, orderBy }, ...out };
+}
+
+/** fitOslc for maximo.queryOS params ({ "oslc.select", "oslc.where", "oslc.orderBy", ... }): { params, ... }. */
+export function fitQueryParams(params, schema) {
+  const { select, where, orderBy, ...out } = fitOslc(
+    { select: params["oslc.select"], where: params["oslc.where"], orderBy: params["oslc.orderBy"] },
+    schema,
+  );
+  const fitted = { ...params };
+  if (select !== undefined) fitted["oslc.select"] = select;
+  if (where !== undefined) fitted["oslc.where"] = where;
+  if (orderBy) fitted["oslc.orderBy"] = orderBy;
+  else delete fitted["oslc.orderBy"];
+  return { params: fitted, ...out };
+}
+
+/** Message for a where clause that names attributes the structure does not have. */
+export function unknownAttributesMessage(schema, unknown) {
+  return `${schema.os} has no attribute ${unknown.join(", ")} (used in oslc.where); see maximo.describeOS for its attributes`;
+}
@@ -0,0 +1,162 @@
+import { ProviderError, parseJson, providerFetch, requireKey, sseEvents, trimSlash } from "./http.mjs";
+
+/**
+ * providers/anthropic.mjs
+ *
+ * Anthropic Messages API (`/v1/messages`).
+ * Tool calls are `tool_use` content blocks; results go back as `tool_result`
+ * blocks inside the next user message.
+ */
+
+const ID = "anthropic";
+const DEFAULT_BASE_URL = "https://api.anthropic.com";
+const API_VERSION = "2023-06-01";
+const MAX_TOKENS = parseInt(process.env.ANTHROPIC_MAX_TOKENS || "4096", 10);
+
+function toMessages(messages) {
+  const out = [];
+  const push = (role, blocks) => {
+    const last = out[out.length - 1];
+    // The API requires alternating roles; merge consecutive turns (e.g. several tool results).
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+
+  for (const m of messages || []) {
+    if (m.role === "user") push("user", [{ type: "text", text: m.content || "" }]);
+    else if (m.role === "assistant") {
+      const blocks = [];
+      if (m.content) blocks.push({ type: "text", text: m.content });
+      for (const tc of m.toolCalls || []) blocks.push({ type: "tool_use", id: tc.id, name: tc.name, input: tc.arguments ?? {} });
+      if (blocks.length) push("assistant", blocks);
+    } else if (m.role === "tool") {
+      push("user", [{ type: "tool_result", tool_use_id: m.toolCallId, content: m.content || "" }]);
+    }
+  }
+  return out;
+}
+
+function buildRequest({ model, system, temperature, messages, tools }) {
+  const sys = [system, ...(messages || []).filter((m) => m.role === "system").map((m) => m.content)]
+    .filter(Boolean)
+    .join("\n\n");
+  const body = { model, max_tokens: MAX_TOKENS, messages: toMessages(messages) };
+  if (sys) body.system = sys;
+  // Anthropic accepts 0..1 only
+  if (temperature != null) body.temperature = Math.min(1, Math.max(0, temperature));
+  if (tools?.length) {
+    body.tools = tools.map((t) => ({ name: t.name, description: t.description || "", input_schema: t.parameters }));
+  }
+  return body;
+}
+
+export function parseMessage(j) {
+  const text = [];
+  const toolCalls = [];
+  for (const b of j?.content || []) {
+    if (b?.type === "text" && b.text) text.push(b.text);
+    else if (b?.type === "tool_use") toolCalls.push({ id: b.id, name: b.name, arguments: b.input ?? {} });
+  }
+  return {
+    text: text.join("\n"),
+    toolCalls,
+    finishReason: j?.stop_reason || null,
+    usage: { inputTokens: j?.usage?.input_tokens ?? null, outputTokens: j?.usage?.output_tokens ?? null },
+    model: j?.model || null,
+  };
+}
+
+function headers(config) {
+  return { "x-api-key": requireKey(ID, config), "anthropic-version": API_VERSION };
+}
+
+// Accept a base configured with or without the /v1 suffix.
+function baseUrl(config) {
+  return trimSlash(config?.baseUrl || DEFAULT_BASE_URL).replace(/\/v1$/, "");
+}
+
+export default {
+  id: ID,
+  label: "Anthropic",
+  defaultBaseUrl: DEFAULT_BASE_URL,
+  defaultModels: ["claude-3-5-sonnet-latest", "claude-3-5-haiku-latest"],
+
+  async listModels(config, { timeoutMs, signal } = {}) {
+    const j = await providerFetch(ID, `${baseUrl(config)}/v1/models?limit=1000`, {
+      method: "GET",
+      headers: headers(config),
+      timeoutMs,
+      signal,
+    });
+    return (j.data || []).map((m) => m?.id);
+  },
+
+  async chat({ config, signal, timeoutMs, ...req }) {
+    const j = await providerFetch(ID, `${baseUrl(config)}/v1/messages`, {
+      headers: headers(config),
+      json: buildRequest(req),
+      signal,
+      timeoutMs,
+    });
+    return parseMessage(j);
+  },
+
+  async *stream({ config, signal, timeoutMs, ...req }) {
+    const r = await providerFetch(ID, `${baseUrl(config)}/v1/messages`, {
+      headers: headers(config),
+      json: { ...buildRequest(req), stream: true },
+      signal,
+      timeoutMs,
+      stream: true,
+    });
+
+    // Rebuild the final message from the event stream, then parse it like a non-streamed reply.
+    const msg = { content: [], usage: {}, stop_reason: null, model: null };
+    const partialJson = new Map(); // block index -> accumulated input_json_delta
+
+    for await (const ev of sseEvents(ID, r, { signal })) {
+      const j = parseJson(ev.data);
+      if (!j) continue;
+      switch (j.type) {
+        case "message_start":
+          msg.model = j.message?.model || null;
+          msg.usage = { ...(j.message?.usage || {}) };
+          break;
+        case "content_block_start":
+          msg.content[j.index] = { ...j.content_block };
+          if (j.content_block?.type === "tool_use") partialJson.set(j.index, "");
+          break;
+        case "content_block_delta": {
+          const block = msg.content[j.index];
+          if (j.delta?.type === "text_delta") {
+            block.text = (block.text || "") + j.delta.text;
+            yield { type: "text", delta: j.delta.text };
+          } else if (j.delta?.type === "input_json_delta") {
+            partialJson.set(j.index, partialJson.get(j.index) + (j.delta.partial_json || ""));
+          }
+          break;
+        }
+        case "content_block_stop":
+          if (partialJson.has(j.index)) msg.content[j.index].input = parseJson(partialJson.get(j.index) || "{}") ?? {};
+          break;
+        case "message_delta":
+          msg.stop_reason = j.delta?.stop_reason ?? msg.stop_reason;
+          if (j.usage) msg.usage = { ...msg.usage, ...j.usage };
+          break;
+        case "message_stop":
+          yield { type: "done", result: parseMessage(msg) };
+          return;
+        case "error":
+          throw new ProviderError(`${ID}: ${j.error?.message || "stream error"}`, {
+            provider: ID,
+            code: j.error?.type === "overloaded_error" ? "unavailable" : "upstream_error",
+            retryable: j.error?.type === "overloaded_error",
+            details: j.error,
+          });
+        default:
+          break;
+      }
+    }
+    throw new ProviderError(`${ID}: stream ended before message_stop`, { provider: ID });
+  },
+};
@@ -0,0 +1,15 @@
+import { createOpenAICompatibleAdapter } from "./openai-compatible.mjs";
+
+/**
+ * providers/deepseek.mjs
+ *
+ * DeepSeek API (OpenAI-compatible `/v1/chat/completions`, `/v1/models`).
+ */
+export default createOpenAICompatibleAdapter({
+  id: "deepseek",
+  label: "DeepSeek",
+  defaultBaseUrl: "https://api.deepseek.com/v1",
+  defaultModels: ["deepseek-chat", "deepseek-reasoner"],
+  // Usage comes in a last chunk with empty choices, only when asked for
+  streamUsage: true,
+});
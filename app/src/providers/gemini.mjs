@@ -0,0 +1,166 @@
+import { ProviderError, parseJson, providerFetch, requireKey, sseEvents, withApiVersion } from "./http.mjs";
+
+/**
+ * providers/gemini.mjs
+ *
+ * Google Gemini API (`models/<model>:generateContent`, `:streamGenerateContent?alt=sse`).
+ * Tool calls are `functionCall` parts; results go back as `functionResponse` parts.
+ * Gemini has no call ids, so ids are generated here and results are matched by name.
+ */
+
+const ID = "gemini";
+const DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+function toolResultObject(content) {
+  const parsed = parseJson(content || "");
+  // functionResponse.response must be a JSON object
+  return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : { result: parsed ?? content ?? "" };
+}
+
+function toContents(messages) {
+  const out = [];
+  const namesById = new Map();
+  const push = (role, parts) => {
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.parts.push(...parts);
+    else out.push({ role, parts });
+  };
+
+  for (const m of messages || []) {
+    if (m.role === "user") push("user", [{ text: m.content || "" }]);
+    else if (m.role === "assistant") {
+      const parts = [];
+      if (m.content) parts.push({ text: m.content });
+      for (const tc of m.toolCalls || []) {
+        namesById.set(tc.id, tc.name);
+        const part = { functionCall: { name: tc.name, args: tc.arguments ?? {} } };
+        // Thinking models require the signature to be echoed back with the call
+        if (tc.signature) part.thoughtSignature = tc.signature;
+        parts.push(part);
+      }
+      if (parts.length) push("model", parts);
+    } else if (m.role === "tool") {
+      const name = m.name || namesById.get(m.toolCallId) || "";
+      push("user", [{ functionResponse: { name, response: toolResultObject(m.content) } }]);
+    }
+  }
+  return out;
+}
+
+function buildRequest({ system, temperature, messages, tools }) {
+  const sys = [system, ...(messages || []).filter((m) => m.role === "system").map((m) => m.content)]
+    .filter(Boolean)
+    .join("\n\n");
+  const body = { contents: toContents(messages) };
+  if (sys) body.systemInstruction = { parts: [{ text: sys }] };
+  if (temperature != null) body.generationConfig = { temperature };
+  if (tools?.length) {
+    body.tools = [
+      {
+        // parametersJsonSchema takes plain JSON Schema (additionalProperties etc.)
+        functionDeclarations: tools.map((t) => {
+          const { $schema, ...schema } = t.parameters || {};
+          return { name: t.name, description: t.description || "", parametersJsonSchema: schema };
+        }),
+      },
+    ];
+  }
+  return body;
+}
+
+function blocked(j) {
+  const reason = j?.promptFeedback?.blockReason;
+  return reason
+    ? new ProviderError(`${ID}: prompt blocked (${reason})`, { provider: ID, code: "bad_request", status: 400, details: j.promptFeedback })
+    : null;
+}
+
+export function parseGenerateContent(j, { idOffset = 0 } = {}) {
+  const cand = j?.candidates?.[0] || {};
+  const text = [];
+  const toolCalls = [];
+  for (const p of cand.content?.parts || []) {
+    if (p?.text && !p.thought) text.push(p.text);
+    if (p?.functionCall) {
+      toolCalls.push({
+        id: p.functionCall.id || `call_${idOffset + toolCalls.length}`,
+        name: p.functionCall.name,
+        arguments: p.functionCall.args ?? {},
+        ...(p.thoughtSignature ? { signature: p.thoughtSignature } : {}),
+      });
+    }
+  }
+  return {
+    text: text.join(""),
+    toolCalls,
+    finishReason: cand.finishReason || null,
+    usage: {
+      inputTokens: j?.usageMetadata?.promptTokenCount ?? null,
+      outputTokens: j?.usageMetadata?.candidatesTokenCount ?? null,
+    },
+    model: j?.modelVersion || null,
+  };
+}
+
+function headers(config) {
+  return { "x-goog-api-key": requireKey(ID, config) };
+}
+
+function baseUrl(config) {
+  return withApiVersion(config?.baseUrl || DEFAULT_BASE_URL, "v1beta");
+}
+
+export default {
+  id: ID,
+  label: "Google Gemini",
+  defaultBaseUrl: DEFAULT_BASE_URL,
+  defaultModels: ["gemini-1.5-flash", "gemini-1.5-pro"],
+
+  async listModels(config, { timeoutMs, signal } = {}) {
+    const j = await providerFetch(ID, `${baseUrl(config)}/models?pageSize=1000`, {
+      method: "GET",
+      headers: headers(config),
+      timeoutMs,
+      signal,
+    });
+    return (j.models || [])
+      .filter((m) => !m?.supportedGenerationMethods || m.supportedGenerationMethods.includes("generateContent"))
+      .map((m) => String(m?.name || "").replace(/^models\//, ""));
+  },
+
+  async chat({ config, model, signal, timeoutMs, ...req }) {
+    const url = `${baseUrl(config)}/models/${encodeURIComponent(model)}:generateContent`;
+    const j = await providerFetch(ID, url, { headers: headers(config), json: buildRequest(req), signal, timeoutMs });
+    const err = blocked(j);
+    if (err) throw err;
+    return parseGenerateContent(j);
+  },
+
+  async *stream({ config, model, signal, timeoutMs, ...req }) {
+    const url = `${baseUrl(config)}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`;
+    const r = await providerFetch(ID, url, { headers: headers(config), json: buildRequest(req), signal, timeoutMs, stream: true });
+
+    // Every chunk is a partial GenerateContentResponse; text parts are deltas, function calls arrive whole.
+    let text = "";
+    const toolCalls = [];
+    let last = null;
+    for await (const ev of sseEvents(ID, r, { signal })) {
+      const j = parseJson(ev.data);
+      if (!j) continue;
+      if (j.error) throw new ProviderError(`${ID}: ${j.error.message || "stream error"}`, { provider: ID, details: j.error });
+      const err = blocked(j);
+      if (err) throw err;
+      const part = parseGenerateContent(j, { idOffset: toolCalls.length });
+      if (part.text) {
+        text += part.text;
+        yield { type: "text", delta: part.text };
+      }
+      toolCalls.push(...part.toolCalls);
+      last = part;
+    }
+    yield {
+      type: "done",
+      result: { text, toolCalls, finishReason: last?.finishReason || null, usage: last?.usage || {}, model: last?.model || null },
+    };
+  },
+};
@@ -0,0 +1,183 @@
+import fetch from "node-fetch";
+
+/**
+ * providers/http.mjs
+ *
+ * Shared HTTP plumbing for provider adapters: JSON requests with timeouts,
+ * Server-Sent Events parsing and normalisation of vendor errors into ProviderError.
+ */
+
+/**
+ * Normalised provider failure.
+ * - code: config_missing | unknown_provider | bad_request | auth_failed | model_not_found |
+ *         rate_limited | timeout | aborted | unavailable | upstream_error
+ * - status: HTTP status the app should answer with
+ * - upstreamStatus: HTTP status returned by the vendor (if any)
+ */
+export class ProviderError extends Error {
+  constructor(message, { provider, code = "upstream_error", status = 502, upstreamStatus, retryable = false, details } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+export function parseJson(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+export function trimSlash(s) {
+  return String(s || "").replace(/\/+$/, "");
+}
+
+/** OpenAI-compatible bases may be configured with or without the /v1 suffix. */
+export function withApiVersion(base, version = "v1") {
+  const b = trimSlash(base);
+  return /\/v\d+(beta)?$/.test(b) ? b : `${b}/${version}`;
+}
+
+export function requireKey(provider, config) {
+  if (!config?.apiKey) {
+    throw new ProviderError(`${provider} API key is not configured`, {
+      provider,
+      code: "config_missing",
+      status: 400,
+    });
+  }
+  return config.apiKey;
+}
+
+function vendorMessage(body, raw) {
+  const err = body?.error;
+  if (typeof err === "string") return err;
+  return (
+    err?.message ||
+    body?.message ||
+    body?.errors?.[0]?.message ||
+    body?.errorMessage ||
+    body?.detail ||
+    String(raw || "").slice(0, 400) ||
+    "Provider request failed"
+  );
+}
+
+export function errorFromResponse(provider, upstreamStatus, body, raw) {
+  const message = `${provider}: ${vendorMessage(body, raw)}`;
+  const base = { provider, upstreamStatus, details: body ?? undefined };
+  if (upstreamStatus === 401 || upstreamStatus === 403) {
+    return new ProviderError(message, { ...base, code: "auth_failed", status: 502 });
+  }
+  if (upstreamStatus === 404) return new ProviderError(message, { ...base, code: "model_not_found", status: 400 });
+  if (upstreamStatus === 408 || upstreamStatus === 504) {
+    return new ProviderError(message, { ...base, code: "timeout", status: 504, retryable: true });
+  }
+  if (upstreamStatus === 429) return new ProviderError(message, { ...base, code: "rate_limited", status: 429, retryable: true });
+  if (upstreamStatus >= 500) return new ProviderError(message, { ...base, code: "unavailable", status: 502, retryable: true });
+  if (upstreamStatus >= 400) return new ProviderError(message, { ...base, code: "bad_request", status: 400 });
+  return new ProviderError(message, base);
+}
+
+/**
+ * providerFetch(provider, url, { method, headers, json, form, signal, timeoutMs, stream })
+ *
+ * Returns parsed JSON, or the raw node-fetch Response when `stream` is set.
+ * Non-2xx answers, timeouts and network failures become ProviderError.
+ */
+export async function providerFetch(provider, url, { method = "POST", headers = {}, json, form, signal, timeoutMs = 60000, stream = false } = {}) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+  const init = { method, headers: { accept: stream ? "text/event-stream" : "application/json", ...headers }, signal: combined };
+  if (json !== undefined) {
+    init.headers["content-type"] = "application/json";
+    init.body = JSON.stringify(json);
+  } else if (form !== undefined) {
+    init.headers["content-type"] = "application/x-www-form-urlencoded";
+    init.body = new URLSearchParams(form).toString();
+  }
+
+  // node-fetch destroys the request body on a pre-aborted signal without an error listener
+  if (signal?.aborted) throw fetchFailure(provider, null, { signal });
+
+  let r;
+  try {
+    r = await fetch(url, init);
+  } catch (e) {
+    throw fetchFailure(provider, e, { signal, timeout, timeoutMs });
+  }
+
+  if (!r.ok) {
+    const raw = await r.text().catch(() => "");
+    throw errorFromResponse(provider, r.status, parseJson(raw), raw);
+  }
+  if (stream) return r;
+
+  const raw = await r.text();
+  const j = parseJson(raw);
+  if (j === null) {
+    throw new ProviderError(`${provider}: expected JSON, got ${raw.slice(0, 160)}`, { provider, upstreamStatus: r.status });
+  }
+  return j;
+}
+
+function fetchFailure(provider, e, { signal, timeout, timeoutMs }) {
+  if (e instanceof ProviderError) return e;
+  if (signal?.aborted) return new ProviderError(`${provider}: request aborted`, { provider, code: "aborted", status: 499 });
+  if (timeout?.aborted) {
+    return new ProviderError(`${provider}: timed out after ${timeoutMs}ms`, { provider, code: "timeout", status: 504, retryable: true });
+  }
+  return new ProviderError(`${provider}: ${e?.message || e}`, { provider, code: "unavailable", status: 502, retryable: true });
+}
+
+/**
+ * Iterate Server-Sent Events from a streaming Response.
+ * Yields { event, data } where data is the raw (joined) data string.
+ */
+export async function* sseEvents(provider, response, { signal } = {}) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  try {
+    for await (const chunk of response.body) {
+      buf += decoder.decode(chunk, { stream: true });
+      let idx;
+      while ((idx = buf.search(/\r?\n\r?\n/)) >= 0) {
+        const block = buf.slice(0, idx);
+        buf = buf.slice(idx).replace(/^\r?\n\r?\n/, "");
+        const ev = parseSseBlock(block);
+        if (ev) yield ev;
+      }
+    }
+    const tail = parseSseBlock(buf);
+    if (tail) yield tail;
+  } catch (e) {
+    if (e instanceof ProviderError) throw e;
+    if (signal?.aborted || e?.name === "AbortError") {
+      throw new ProviderError(`${provider}: stream aborted`, { provider, code: "aborted", status: 499 });
+    }
+    throw new ProviderError(`${provider}: stream failed: ${e?.message || e}`, { provider, code: "unavailable", status: 502 });
+  }
+}
+
+function parseSseBlock(block) {
+  let event = "message";
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue;
+    const i = line.indexOf(":");
+    const field = i < 0 ? line : line.slice(0, i);
+    const value = i < 0 ? "" : line.slice(i + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+  if (!data.length) return null;
+  return { event, data: data.join("\n") };
+}
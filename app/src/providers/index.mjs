@@ -0,0 +1,106 @@
+import openai from "./openai.mjs";
+import anthropic from "./anthropic.mjs";
+import gemini from "./gemini.mjs";
+import mistral from "./mistral.mjs";
+import deepseek from "./deepseek.mjs";
+import watsonx from "./watsonx.mjs";
+import { ProviderError, requireKey } from "./http.mjs";
+
+/**
+ * providers/index.mjs
+ *
+ * Provider adapter registry. Every adapter implements:
+ *
+ *   id, label, defaultBaseUrl, defaultModels
+ *   listModels(config, { timeoutMs, signal }) -> Promise<string[]>
+ *   chat(request)                             -> Promise<ChatResult>
+ *   stream(request)                           -> AsyncIterable<{ type: "text", delta } | { type: "done", result: ChatResult }>
+ *   checkKey(config, { timeoutMs, signal })   -> Promise<void> (optional; listModels is used otherwise)
+ *
+ * request: { config, model, system, temperature, messages, tools, signal, timeoutMs }
+ *   config:   { apiKey, baseUrl, projectId, ... } (settings.providers.<id>, Secret values applied)
+ *   messages: [{ role: "user" | "assistant" | "tool" | "system", content,
+ *                toolCalls?: [{ id, name, arguments }], toolCallId?, name? }]
+ *   tools:    [{ name, description, parameters }] (parameters = JSON Schema)
+ *
+ * ChatResult: { text, toolCalls: [{ id, name, arguments }], finishReason,
+ *               usage: { inputTokens, outputTokens }, model }
+ *
+ * Failures are thrown as ProviderError (see http.mjs).
+ */
+
+export { ProviderError };
+
+export const ADAPTERS = { openai, anthropic, gemini, mistral, deepseek, watsonx };
+
+export const PROVIDER_IDS = Object.keys(ADAPTERS);
+
+export function getAdapter(id) {
+  const a = ADAPTERS[String(id || "").toLowerCase()];
+  if (!a) throw new ProviderError(`Unknown provider: ${id}`, { provider: id, code: "unknown_provider", status: 400 });
+  return a;
+}
+
+// -----------------------------
+// Tool names
+// -----------------------------
+// MCP tool names contain dots (maximo.queryOS), which OpenAI and Anthropic reject
+// (^[a-zA-Z0-9_-]{1,64}$). Names are rewritten on the way out and mapped back on return.
+function toolNameCodec(tools) {
+  const toWire = new Map();
+  const fromWire = new Map();
+  for (const t of tools || []) {
+    let wire = String(t.name).replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+    for (let i = 2; fromWire.has(wire); i++) wire = `${wire.slice(0, 60)}_${i}`;
+    toWire.set(t.name, wire);
+    fromWire.set(wire, t.name);
+  }
+  return {
+    encode: (name) => toWire.get(name) || name,
+    decode: (name) => fromWire.get(name) || name,
+  };
+}
+
+function encodeRequest(req) {
+  const codec = toolNameCodec(req.tools);
+  const tools = req.tools?.map((t) => ({ ...t, name: codec.encode(t.name) }));
+  const messages = (req.messages || []).map((m) => {
+    if (m.toolCalls?.length) return { ...m, toolCalls: m.toolCalls.map((tc) => ({ ...tc, name: codec.encode(tc.name) })) };
+    if (m.role === "tool" && m.name) return { ...m, name: codec.encode(m.name) };
+    return m;
+  });
+  return { req: { ...req, tools, messages }, codec };
+}
+
+function decodeResult(result, codec) {
+  return { ...result, toolCalls: (result.toolCalls || []).map((tc) => ({ ...tc, name: codec.decode(tc.name) })) };
+}
+
+// -----------------------------
+// Entry points
+// -----------------------------
+export async function chat(providerId, request) {
+  const adapter = getAdapter(providerId);
+  const { req, codec } = encodeRequest(request);
+  return decodeResult(await adapter.chat(req), codec);
+}
+
+export async function* stream(providerId, request) {
+  const adapter = getAdapter(providerId);
+  const { req, codec } = encodeRequest(request);
+  for await (const ev of adapter.stream(req)) {
+    yield ev.type === "done" ? { ...ev, result: decodeResult(ev.result, codec) } : ev;
+  }
+}
+
+export async function listModels(providerId, config, opts) {
+  return getAdapter(providerId).listModels(config || {}, opts);
+}
+
+// Readiness: throws unless the configured credentials are accepted by the provider.
+export async function checkKey(providerId, config, opts) {
+  const adapter = getAdapter(providerId);
+  requireKey(adapter.id, config);
+  if (adapter.checkKey) return adapter.checkKey(config, opts);
+  await adapter.listModels(config, opts);
+}
@@ -0,0 +1,14 @@
+import { createOpenAICompatibleAdapter } from "./openai-compatible.mjs";
+
+/**
+ * providers/mistral.mjs
+ *
+ * Mistral La Plateforme (`/v1/chat/completions`, `/v1/models`).
+ * Streams report usage in their last chunk unasked; stream_options is not part of this API and is not sent.
+ */
+export default createOpenAICompatibleAdapter({
+  id: "mistral",
+  label: "Mistral",
+  defaultBaseUrl: "https://api.mistral.ai/v1",
+  defaultModels: ["mistral-large-latest", "mistral-small-latest"],
+});
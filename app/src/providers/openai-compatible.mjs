@@ -0,0 +1,182 @@
+import { ProviderError, parseJson, providerFetch, requireKey, sseEvents, withApiVersion } from "./http.mjs";
+
+/**
+ * providers/openai-compatible.mjs
+ *
+ * Chat Completions wire format (`/chat/completions`), shared by Mistral, DeepSeek
+ * and watsonx (`/ml/v1/text/chat`, which uses the same messages/tools/choices shape).
+ */
+
+export function toChatMessages({ system, messages }) {
+  const out = [];
+  if (system) out.push({ role: "system", content: system });
+  for (const m of messages || []) {
+    if (m.role === "system") out.push({ role: "system", content: m.content || "" });
+    else if (m.role === "user") out.push({ role: "user", content: m.content || "" });
+    else if (m.role === "assistant") {
+      const msg = { role: "assistant", content: m.content || "" };
+      if (m.toolCalls?.length) {
+        msg.tool_calls = m.toolCalls.map((tc) => ({
+          id: tc.id,
+          type: "function",
+          function: { name: tc.name, arguments: JSON.stringify(tc.arguments ?? {}) },
+        }));
+      }
+      out.push(msg);
+    } else if (m.role === "tool") {
+      out.push({ role: "tool", tool_call_id: m.toolCallId, name: m.name, content: m.content || "" });
+    }
+  }
+  return out;
+}
+
+export function toChatTools(tools) {
+  if (!tools?.length) return undefined;
+  return tools.map((t) => ({
+    type: "function",
+    function: { name: t.name, description: t.description || "", parameters: t.parameters },
+  }));
+}
+
+function contentText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) return content.map((c) => (typeof c === "string" ? c : c?.text || "")).join("");
+  return "";
+}
+
+export function parseChatCompletion(j) {
+  const choice = j?.choices?.[0] || {};
+  const msg = choice.message || {};
+  return {
+    text: contentText(msg.content),
+    toolCalls: (msg.tool_calls || []).map((tc) => ({
+      id: tc.id,
+      name: tc.function?.name || "",
+      arguments: parseJson(tc.function?.arguments || "{}") ?? {},
+    })),
+    finishReason: choice.finish_reason || null,
+    usage: {
+      inputTokens: j?.usage?.prompt_tokens ?? null,
+      outputTokens: j?.usage?.completion_tokens ?? null,
+    },
+    model: j?.model || null,
+  };
+}
+
+/**
+ * Relay a Chat Completions SSE stream: yields { type: "text", delta } and finally
+ * { type: "done", result } with the same shape parseChatCompletion returns. usage is taken from
+ * whichever chunk carries it (usually the last one).
+ */
+export async function* streamChatCompletion(provider, response, { signal } = {}) {
+  let text = "";
+  let finishReason = null;
+  let usage = { inputTokens: null, outputTokens: null };
+  let model = null;
+  const calls = []; // by index
+
+  for await (const ev of sseEvents(provider, response, { signal })) {
+    if (ev.data === "[DONE]") break;
+    const j = parseJson(ev.data);
+    if (!j) continue;
+    if (j.error) throw new ProviderError(`${provider}: ${j.error.message || JSON.stringify(j.error)}`, { provider });
+
+    model = j.model || model;
+    if (j.usage) usage = { inputTokens: j.usage.prompt_tokens ?? null, outputTokens: j.usage.completion_tokens ?? null };
+
+    const choice = j.choices?.[0];
+    if (!choice) continue;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+
+    const delta = choice.delta || {};
+    const piece = contentText(delta.content);
+    if (piece) {
+      text += piece;
+      yield { type: "text", delta: piece };
+    }
+    for (const d of delta.tool_calls || []) {
+      const i = d.index ?? calls.length;
+      calls[i] = calls[i] || { id: "", name: "", args: "" };
+      if (d.id) calls[i].id = d.id;
+      if (d.function?.name) calls[i].name += d.function.name;
+      if (d.function?.arguments) calls[i].args += d.function.arguments;
+    }
+  }
+
+  yield {
+    type: "done",
+    result: {
+      text,
+      toolCalls: calls.filter(Boolean).map((c, i) => ({
+        id: c.id || `call_${i}`,
+        name: c.name,
+        arguments: parseJson(c.args || "{}") ?? {},
+      })),
+      finishReason,
+      usage,
+      model,
+    },
+  };
+}
+
+/**
+ * createOpenAICompatibleAdapter({ id, label, defaultBaseUrl, defaultModels, streamUsage })
+ * Adapter for vendors that implement `/v1/chat/completions` and `/v1/models` as-is.
+ * streamUsage: the vendor only reports token usage on streams that ask for it with
+ * stream_options.include_usage (vendors that do not know the field may reject the request).
+ */
+export function createOpenAICompatibleAdapter({ id, label, defaultBaseUrl, defaultModels, streamUsage = false }) {
+  function buildRequest({ model, system, temperature, messages, tools }) {
+    const body = { model, messages: toChatMessages({ system, messages }) };
+    if (temperature != null) body.temperature = temperature;
+    const t = toChatTools(tools);
+    if (t) body.tools = t;
+    return body;
+  }
+
+  function headers(config) {
+    return { authorization: `Bearer ${requireKey(id, config)}` };
+  }
+
+  function baseUrl(config) {
+    return withApiVersion(config?.baseUrl || defaultBaseUrl);
+  }
+
+  return {
+    id,
+    label,
+    defaultBaseUrl,
+    defaultModels,
+
+    async listModels(config, { timeoutMs, signal } = {}) {
+      const j = await providerFetch(id, `${baseUrl(config)}/models`, {
+        method: "GET",
+        headers: headers(config),
+        timeoutMs,
+        signal,
+      });
+      return (j.data || []).map((m) => m?.id);
+    },
+
+    async chat({ config, signal, timeoutMs, ...req }) {
+      const j = await providerFetch(id, `${baseUrl(config)}/chat/completions`, {
+        headers: headers(config),
+        json: buildRequest(req),
+        signal,
+        timeoutMs,
+      });
+      return parseChatCompletion(j);
+    },
+
+    async *stream({ config, signal, timeoutMs, ...req }) {
+      const r = await providerFetch(id, `${baseUrl(config)}/chat/completions`, {
+        headers: headers(config),
+        json: { ...buildRequest(req), stream: true, ...(streamUsage ? { stream_options: { include_usage: true } } : {}) },
+        signal,
+        timeoutMs,
+        stream: true,
+      });
+      yield* streamChatCompletion(id, r, { signal });
+    },
+  };
+}
@@ -0,0 +1,123 @@
+import { ProviderError, parseJson, providerFetch, requireKey, sseEvents, withApiVersion } from "./http.mjs";
+
+/**
+ * providers/openai.mjs
+ *
+ * OpenAI Responses API (`/v1/responses`).
+ * Tool calls are `function_call` output items; results go back as `function_call_output` items.
+ */
+
+const ID = "openai";
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+function toInput(messages) {
+  const input = [];
+  for (const m of messages || []) {
+    if (m.role === "user") input.push({ role: "user", content: m.content || "" });
+    else if (m.role === "assistant") {
+      if (m.content) input.push({ role: "assistant", content: m.content });
+      for (const tc of m.toolCalls || []) {
+        input.push({ type: "function_call", call_id: tc.id, name: tc.name, arguments: JSON.stringify(tc.arguments ?? {}) });
+      }
+    } else if (m.role === "tool") {
+      input.push({ type: "function_call_output", call_id: m.toolCallId, output: m.content || "" });
+    }
+  }
+  return input;
+}
+
+function buildRequest({ model, system, temperature, messages, tools }) {
+  const instructions = [system, ...(messages || []).filter((m) => m.role === "system").map((m) => m.content)]
+    .filter(Boolean)
+    .join("\n\n");
+  const body = { model, input: toInput(messages) };
+  if (instructions) body.instructions = instructions;
+  if (temperature != null) body.temperature = temperature;
+  if (tools?.length) {
+    body.tools = tools.map((t) => ({ type: "function", name: t.name, description: t.description || "", parameters: t.parameters }));
+  }
+  return body;
+}
+
+export function parseResponse(j) {
+  const text = [];
+  const toolCalls = [];
+  for (const item of j?.output || []) {
+    if (item?.type === "message") {
+      for (const c of item.content || []) {
+        if (c?.type === "output_text" && c.text) text.push(c.text);
+        else if (c?.type === "refusal" && c.refusal) text.push(c.refusal);
+      }
+    } else if (item?.type === "function_call") {
+      toolCalls.push({ id: item.call_id || item.id, name: item.name, arguments: parseJson(item.arguments || "{}") ?? {} });
+    }
+  }
+  return {
+    text: text.join("\n"),
+    toolCalls,
+    finishReason: j?.status || null,
+    usage: { inputTokens: j?.usage?.input_tokens ?? null, outputTokens: j?.usage?.output_tokens ?? null },
+    model: j?.model || null,
+  };
+}
+
+function failure(j) {
+  const err = j?.error || j?.response?.error || {};
+  return new ProviderError(`${ID}: ${err.message || "response failed"}`, { provider: ID, details: err });
+}
+
+function headers(config) {
+  return { authorization: `Bearer ${requireKey(ID, config)}` };
+}
+
+function baseUrl(config) {
+  return withApiVersion(config?.baseUrl || DEFAULT_BASE_URL);
+}
+
+export default {
+  id: ID,
+  label: "OpenAI",
+  defaultBaseUrl: DEFAULT_BASE_URL,
+  defaultModels: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"],
+
+  async listModels(config, { timeoutMs, signal } = {}) {
+    const j = await providerFetch(ID, `${baseUrl(config)}/models`, { method: "GET", headers: headers(config), timeoutMs, signal });
+    // /models also lists embeddings, audio, image and moderation models
+    return (j.data || [])
+      .map((m) => m?.id)
+      .filter((id) => /^(gpt-|o\d|chatgpt-)/.test(id || "") && !/(audio|realtime|transcribe|tts|image|search)/.test(id));
+  },
+
+  async chat({ config, signal, timeoutMs, ...req }) {
+    const j = await providerFetch(ID, `${baseUrl(config)}/responses`, {
+      headers: headers(config),
+      json: buildRequest(req),
+      signal,
+      timeoutMs,
+    });
+    if (j.status === "failed") throw failure(j);
+    return parseResponse(j);
+  },
+
+  async *stream({ config, signal, timeoutMs, ...req }) {
+    const r = await providerFetch(ID, `${baseUrl(config)}/responses`, {
+      headers: headers(config),
+      json: { ...buildRequest(req), stream: true },
+      signal,
+      timeoutMs,
+      stream: true,
+    });
+
+    for await (const ev of sseEvents(ID, r, { signal })) {
+      const j = parseJson(ev.data);
+      if (!j) continue;
+      const type = j.type || ev.event;
+      if (type === "response.output_text.delta" && j.delta) yield { type: "text", delta: j.delta };
+      else if (type === "response.completed") {
+        yield { type: "done", result: parseResponse(j.response) };
+        return;
+      } else if (type === "response.failed" || type === "error") throw failure(j);
+    }
+    throw new ProviderError(`${ID}: stream ended before response.completed`, { provider: ID });
+  },
+};
@@ -0,0 +1,97 @@
+import { ProviderError, providerFetch, requireKey, trimSlash } from "./http.mjs";
+import { parseChatCompletion, streamChatCompletion, toChatMessages, toChatTools } from "./openai-compatible.mjs";
+
+/**
+ * providers/watsonx.mjs
+ *
+ * IBM watsonx.ai (`/ml/v1/text/chat`, `/ml/v1/text/chat_stream`).
+ * The API key is exchanged for an IAM bearer token (cached until shortly before expiry);
+ * the chat payload itself uses the Chat Completions messages/tools shape.
+ */
+
+const ID = "watsonx";
+const DEFAULT_BASE_URL = "https://us-south.ml.cloud.ibm.com";
+const DEFAULT_IAM_URL = "https://iam.cloud.ibm.com/identity/token";
+const API_VERSION = process.env.WATSONX_API_VERSION || "2024-05-01";
+
+const tokens = new Map(); // `${iamUrl}|${apiKey}` -> { token, expiresAt }
+
+async function iamToken(config, { signal, timeoutMs }) {
+  const apiKey = requireKey(ID, config);
+  const iamUrl = config.iamUrl || process.env.WATSONX_IAM_URL || DEFAULT_IAM_URL;
+  const key = `${iamUrl}|${apiKey}`;
+  const hit = tokens.get(key);
+  if (hit && hit.expiresAt - 60_000 > Date.now()) return hit.token;
+
+  const j = await providerFetch(ID, iamUrl, {
+    form: { grant_type: "urn:ibm:params:oauth:grant-type:apikey", apikey: apiKey },
+    signal,
+    timeoutMs,
+  });
+  if (!j.access_token) throw new ProviderError(`${ID}: IAM response has no access_token`, { provider: ID, code: "auth_failed" });
+  const expiresAt = j.expiration ? j.expiration * 1000 : Date.now() + (j.expires_in || 3600) * 1000;
+  tokens.set(key, { token: j.access_token, expiresAt });
+  return j.access_token;
+}
+
+function baseUrl(config) {
+  return trimSlash(config?.baseUrl || DEFAULT_BASE_URL);
+}
+
+function buildRequest(config, { model, system, temperature, messages, tools }) {
+  const body = { model_id: model, messages: toChatMessages({ system, messages }) };
+  if (config.spaceId) body.space_id = config.spaceId;
+  else if (config.projectId) body.project_id = config.projectId;
+  else throw new ProviderError(`${ID}: project ID is not configured (WATSONX_PROJECT)`, { provider: ID, code: "config_missing", status: 400 });
+  if (temperature != null) body.temperature = temperature;
+  const t = toChatTools(tools);
+  if (t) body.tools = t;
+  return body;
+}
+
+async function post(path, config, req, { signal, timeoutMs, stream = false }) {
+  const json = buildRequest(config, req);
+  const token = await iamToken(config, { signal, timeoutMs });
+  return providerFetch(ID, `${baseUrl(config)}${path}?version=${encodeURIComponent(API_VERSION)}`, {
+    headers: { authorization: `Bearer ${token}` },
+    json,
+    signal,
+    timeoutMs,
+    stream,
+  });
+}
+
+export default {
+  id: ID,
+  label: "IBM watsonx",
+  defaultBaseUrl: DEFAULT_BASE_URL,
+  defaultModels: ["ibm/granite-3-8b-instruct", "meta-llama/llama-3-3-70b-instruct"],
+
+  // Foundation model specs are public; no IAM token needed to list them.
+  async listModels(config, { timeoutMs, signal } = {}) {
+    const qs = new URLSearchParams({ version: API_VERSION, filters: "function_text_chat", limit: "200" });
+    const j = await providerFetch(ID, `${baseUrl(config)}/ml/v1/foundation_model_specs?${qs}`, {
+      method: "GET",
+      timeoutMs,
+      signal,
+    });
+    return (j.resources || []).map((m) => m?.model_id);
+  },
+
+  // The model list is public, so the key is checked by exchanging it for an IAM token.
+  async checkKey(config, { timeoutMs, signal } = {}) {
+    if (!config.spaceId && !config.projectId) {
+      throw new ProviderError(`${ID}: project ID is not configured (WATSONX_PROJECT)`, { provider: ID, code: "config_missing", status: 400 });
+    }
+    await iamToken(config, { signal, timeoutMs });
+  },
+
+  async chat({ config, signal, timeoutMs, ...req }) {
+    return parseChatCompletion(await post("/ml/v1/text/chat", config, req, { signal, timeoutMs }));
+  },
+
+  async *stream({ config, signal, timeoutMs, ...req }) {
+    const r = await post("/ml/v1/text/chat_stream", config, req, { signal, timeoutMs, stream: true });
+    yield* streamChatCompletion(ID, r, { signal });
+  },
+};
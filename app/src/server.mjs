@@ -1,3 +1,5 @@
+import path from "path";
+import crypto from "crypto";
 import express from "express";
 import helmet from "helmet";
 import cors from "cors";
@@ -5,13 +7,23 @@ import bodyParser from "body-parser";
 import morgan from "morgan";
 import fetch from "node-fetch";
 import { z } from "zod";
+import { createSettingsStore } from "./settings.mjs";
+import { createModelCatalog } from "./models.mjs";
+import * as providers from "./providers/index.mjs";
+import { toAgentTools, runAgent } from "./agent.mjs";
+import { createMcpClient } from "./mcp-client.mjs";
+import { createAuth } from "./auth.mjs";
+import { createMetrics } from "./metrics.mjs";
+import { createReadiness } from "./readiness.mjs";
+import { createFileSessionBackend, createMemorySessionBackend, createSessionStore } from "./sessions.mjs";
+import { isSummaryRequest, llmQuery, ruleBasedQuery, summarizeTable, toOslcParams, toTable } from "./nlquery.mjs";
+import { fitQuery, fitQueryParams, unknownAttributesMessage } from "./os-schema.mjs";
 
 /**
  * server.mjs
  *
  * This file runs the “AI Agent” HTTP server.
- * Fix applied: replaced invalid multiline string literals in `.join(" <newline> ")`
- * with `.join('\n')` (2 occurrences: OpenAI + Gemini response parsing).
+ * LLM calls go through the provider adapters in ./providers (one per entry in the UI's PROVIDERS).
  */
 
 // -----------------------------
@@ -19,13 +31,7 @@ import { z } from "zod";
 // -----------------------------
 const PORT = parseInt(process.env.PORT || "3000", 10);
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY || "";
-const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
-const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-
+// Default provider when neither the request nor settings.ai.provider names one
 const PROVIDER = (process.env.LLM_PROVIDER || process.env.PROVIDER || "openai").toLowerCase();
 
 const ALLOW_ORIGINS = (process.env.CORS_ORIGINS || "*")
@@ -37,12 +43,50 @@ const LOG_LEVEL = (process.env.LOG_LEVEL || "info").toLowerCase();
 
 const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS || "60000", 10);
 
+// Browser-facing URL of the MCP server's trace UI; traces link to their events there.
+const MCP_UI_URL = String(process.env.MCP_UI_URL || "").replace(/\/+$/, "");
+
 const MCP_SERVER_URL =
   process.env.MCP_SERVER_URL ||
   process.env.MCP_URL ||
   process.env.MCP_ENDPOINT ||
   "";
 
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS || "8", 10);
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS || "15000", 10);
+
+// auto: LLM when the selected provider has credentials, rules otherwise; rules | llm force one mapper
+const NLQ_MODE = (process.env.NLQ_MODE || "auto").toLowerCase();
+
+const MODELS_CACHE_TTL_MS = parseInt(process.env.MODELS_CACHE_TTL_MS || "600000", 10);
+const MODELS_TIMEOUT_MS = parseInt(process.env.MODELS_TIMEOUT_MS || "8000", 10);
+
+// file (PVC, default) | memory
+const SESSION_STORE = (process.env.SESSION_STORE || "file").toLowerCase();
+const SESSION_HISTORY_MESSAGES = parseInt(process.env.SESSION_HISTORY_MESSAGES || "20", 10);
+const SESSION_MAX_MESSAGES = parseInt(process.env.SESSION_MAX_MESSAGES || "200", 10);
+
+const settingsStore = createSettingsStore();
+
+// Sessions live next to settings.json on the PVC unless SESSIONS_DIR says otherwise.
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(path.dirname(settingsStore.file), "sessions");
+
+// OIDC sign-in and role mapping; off unless OIDC_ISSUER is set (see auth.mjs).
+const auth = createAuth({ log });
+
+const sessionStore = createSessionStore({
+  backend: SESSION_STORE === "memory" ? createMemorySessionBackend() : createFileSessionBackend({ dir: SESSIONS_DIR }),
+  maxMessages: SESSION_MAX_MESSAGES,
+  owned: auth.enabled,
+});
+const metrics = createMetrics();
+
+const modelCatalog = createModelCatalog({
+  getProviderConfig: async (provider) => (await settingsStore.getEffective()).settings.providers?.[provider] || {},
+  ttlMs: MODELS_CACHE_TTL_MS,
+  timeoutMs: MODELS_TIMEOUT_MS,
+});
+
 // -----------------------------
 // Helpers
 // -----------------------------
@@ -74,15 +118,109 @@ function normalizeOriginList(list) {
   return list;
 }
 
+function versionETag(version) {
+  return `"${version}"`;
+}
+
+// Accepts `"3"`, `W/"3"` or a bare `3`; returns null when absent or `*`.
+function parseIfMatch(header) {
+  const v = String(header || "").trim();
+  if (!v || v === "*") return null;
+  const m = v.match(/^(?:W\/)?"?(\d+)"?$/);
+  return m ? Number(m[1]) : NaN;
+}
+
+function errorBody(e) {
+  const body = { error: e?.message || String(e) };
+  if (e?.code) body.code = e.code;
+  if (e?.details) body.details = e.details;
+  if (e?.currentVersion != null) body.currentVersion = e.currentVersion;
+  if (e?.provider) body.provider = e.provider;
+  if (e?.upstreamStatus) body.upstreamStatus = e.upstreamStatus;
+  return body;
+}
+
+function sendError(res, e) {
+  res.status(e?.status || 500).json(errorBody(e));
+}
+
 // -----------------------------
 // Validation
 // -----------------------------
-const ChatRequestSchema = z.object({
+const ProviderFieldsSchema = z.object({
+  provider: z.enum(providers.PROVIDER_IDS).optional(),
+  model: z.string().optional(),
+  system: z.string().optional(),
+  temperature: z.coerce.number().min(0).max(2).optional(),
+});
+
+const ChatRequestSchema = ProviderFieldsSchema.extend({
   message: z.string().min(1),
   sessionId: z.string().optional(),
   metadata: z.record(z.any()).optional(),
 });
 
+// Body sent by the Carbon UI's apiAgentChat; `settings` is the browser's copy and only UI hints are read from it.
+const AgentChatSchema = ProviderFieldsSchema.extend({
+  text: z.string().min(1),
+  sessionId: z.string().optional(),
+  tenant: z.string().optional(),
+  settings: z.record(z.any()).optional(),
+});
+
+const MaximoTableSchema = z.object({
+  title: z.string().optional(),
+  columns: z.array(z.string()),
+  rows: z.array(z.record(z.any())),
+});
+
+const MaximoMoreSchema = z.object({
+  cursor: z.string().min(1),
+  tenant: z.string().optional(),
+  columns: z.array(z.string()).default([]),
+  title: z.string().optional(),
+  maxRecords: z.coerce.number().int().min(1).max(1000).default(50),
+});
+
+const MaximoQuerySchema = z.object({
+  text: z.string().min(1),
+  sessionId: z.string().optional(),
+  tenant: z.string().optional(),
+  lastTable: MaximoTableSchema.nullish(),
+  settings: z.record(z.any()).optional(),
+});
+
+// REST Builder form (RestPage in the Carbon UI); field names mirror the form inputs.
+const MaximoRawSchema = z.object({
+  method: z.enum(["GET", "POST", "PATCH", "DELETE"]).default("GET"),
+  os: z.string().trim().regex(/^[A-Za-z0-9_]+$/, "Object Structure name expected"),
+  recordId: z.string().trim().optional(),
+  where: z.string().optional(),
+  select: z.string().optional(),
+  orderBy: z.string().optional(),
+  pageSize: z.union([z.string(), z.number()]).optional(),
+  body: z.union([z.string(), z.record(z.any())]).optional(),
+  tenant: z.string().optional(),
+  settings: z.record(z.any()).optional(),
+});
+
+// Field rules live in the MCP server's registry (mcp-server/tenants.mjs); this only checks the shape.
+const TenantSchema = z.record(z.union([z.string(), z.number(), z.boolean(), z.null(), z.array(z.string())]));
+
+const SessionCreateSchema = z.object({
+  id: z.string().optional(),
+  title: z.string().optional(),
+});
+
+const SessionRenameSchema = z.object({
+  title: z.string().trim().min(1),
+});
+
+const ApprovalDecisionSchema = z.object({
+  sessionId: z.string().optional(),
+  reason: z.string().max(500).optional(),
+});
+
 const ToolCallSchema = z.object({
   name: z.string(),
   arguments: z.record(z.any()).default({}),
@@ -125,151 +263,1054 @@ app.use(
 );
 
 app.use(bodyParser.json({ limit: "2mb" }));
-app.use(morgan("combined"));
-
-app.get("/health", (_req, res) => {
-  res.json({
-    ok: true,
-    provider: PROVIDER,
-    mcp: Boolean(MCP_SERVER_URL),
-    model: PROVIDER === "openai" ? OPENAI_MODEL : GEMINI_MODEL,
-  });
+
+// One correlation ID per request (a chat turn, a query, a REST Builder call). A valid
+// X-Correlation-ID from the caller is kept. It goes to the MCP server (which logs it and sends it
+// on to Maximo), is echoed as a response header and added to error bodies and traces.
+const CORRELATION_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get("x-correlation-id");
+  req.correlationId = CORRELATION_ID_RE.test(incoming || "") ? incoming : crypto.randomUUID();
+  res.set("x-correlation-id", req.correlationId);
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body);
+    return json(isError && !body.correlationId ? { ...body, correlationId: req.correlationId } : body);
+  };
+  next();
+});
+
+morgan.token("correlation-id", (req) => req.correlationId || "-");
+app.use(morgan(`${morgan.combined} :correlation-id`));
+app.use(metrics.middleware);
+
+// Everything except /health, /healthz, /readyz and the /auth routes needs a signed-in user when sign-in is on.
+app.use(auth.authenticate);
+auth.routes(app);
+app.use(["/api", "/chat", "/tools"], auth.requireUser);
+
+// Prometheus scrape endpoint (see metrics.mjs); open like /health
+app.get("/metrics", metrics.handler);
+
+// Liveness: the process answers
+app.get("/healthz", (_req, res) => res.json({ ok: true }));
+
+// -----------------------------
+// Readiness (see readiness.mjs)
+// -----------------------------
+// /readyz: settings.json is readable (the OpenShift readiness probe). /readyz?deep=1 also checks
+// the MCP server (and through its own /readyz?deep=1 every tenant's Maximo) and each provider
+// with an API key; the report is cached briefly and ?refresh=1 asks for a new one.
+const readiness = createReadiness({
+  checks: async ({ deep, refresh }) => {
+    const settingsCheck = {
+      name: "settings",
+      kind: "config",
+      run: async () => ({ file: settingsStore.file, version: (await settingsStore.getEffective()).version }),
+    };
+    if (!deep) return [settingsCheck];
+
+    const { settings } = await settingsStore.getEffective();
+    const selected = (settings.ai?.provider || PROVIDER).toLowerCase();
+    const mcpCheck = {
+      name: "mcp",
+      kind: "mcp",
+      // The MCP server runs its own checks within the same timeout
+      timeoutMs: readiness.timeoutMs * 2,
+      run: async ({ signal }) => {
+        const base = await mcpBaseUrl();
+        const r = await fetch(`${base}/readyz?deep=1${refresh ? "&refresh=1" : ""}`, { headers: { accept: "application/json" }, signal });
+        const j = await r.json().catch(() => null);
+        if (!Array.isArray(j?.checks)) {
+          const e = new Error(`MCP server answered ${r.status} without a readiness report`);
+          e.detail = { url: base, httpStatus: r.status };
+          throw e;
+        }
+        return { url: base, httpStatus: r.status, checks: j.checks };
+      },
+    };
+    const providerChecks = providers.PROVIDER_IDS.map((id) => {
+      const config = settings.providers?.[id] || {};
+      const check = { name: `llm:${id}`, kind: "llm", detail: { provider: id, selected: id === selected } };
+      // Providers without a key are skipped, except the one chat uses
+      if (!config.apiKey && id !== selected) return { ...check, skip: "No API key" };
+      return { ...check, run: ({ signal }) => providers.checkKey(id, config, { timeoutMs: readiness.timeoutMs, signal }) };
+    });
+    return [settingsCheck, mcpCheck, ...providerChecks];
+  },
+});
+
+app.get("/readyz", async (req, res) => {
+  const flag = (v) => ["1", "true"].includes(String(v || ""));
+  const report = await readiness.report({ deep: flag(req.query.deep), refresh: flag(req.query.refresh) });
+  res.status(report.ok ? 200 : 503).json(report);
+});
+
+app.get("/health", async (_req, res) => {
+  try {
+    const sel = await resolveProvider({});
+    res.json({ ok: true, provider: sel.provider, mcp: Boolean(MCP_SERVER_URL), model: sel.model });
+  } catch (e) {
+    res.json({ ok: true, provider: PROVIDER, mcp: Boolean(MCP_SERVER_URL), error: e?.message || String(e) });
+  }
 });
 
+// -----------------------------
+// Settings (PVC-backed, Secret values override file values)
+// -----------------------------
+app.get("/api/settings", async (_req, res) => {
+  try {
+    const view = await settingsStore.getPublic();
+    res.set("ETag", versionETag(view.version)).json(view);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+async function saveSettings(req, res) {
+  try {
+    auth.checkAdmin(req.user);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  // Accept either { settings, version } or the bare settings object.
+  const body = req.body || {};
+  const incoming = body.settings && typeof body.settings === "object" ? body.settings : body;
+  const ifMatch = parseIfMatch(req.get("if-match"));
+  if (Number.isNaN(ifMatch)) return res.status(400).json({ error: "Invalid If-Match header" });
+  const expectedVersion = ifMatch ?? (body.settings && body.version != null ? body.version : null);
+
+  try {
+    await settingsStore.save(incoming, { expectedVersion });
+    modelCatalog.invalidate();
+    const view = await settingsStore.getPublic();
+    res.set("ETag", versionETag(view.version)).json({ ok: true, ...view });
+  } catch (e) {
+    sendError(res, e);
+  }
+}
+
+app.post("/api/settings", saveSettings);
+app.put("/api/settings", saveSettings);
+
+// -----------------------------
+// Model discovery
+// -----------------------------
+// The UI posts its local settings in the body; they are ignored on purpose so that
+// a browser cannot point server-held API keys at an arbitrary base URL.
+async function listModels(req, res) {
+  const provider = String(req.query.provider || "").toLowerCase();
+  if (!provider) return res.status(400).json({ error: "provider is required" });
+  const refresh = ["1", "true"].includes(String(req.query.refresh || "").toLowerCase());
+
+  try {
+    res.json(await modelCatalog.list(provider, { refresh }));
+  } catch (e) {
+    sendError(res, e);
+  }
+}
+
+app.get("/api/models", listModels);
+app.post("/api/models", listModels);
+
 // -----------------------------
 // MCP client
 // -----------------------------
-async function mcpInvoke({ tool, input }) {
-  if (!MCP_SERVER_URL) throw new Error("MCP_SERVER_URL is not configured");
+async function mcpBaseUrl() {
+  const { settings } = await settingsStore.getEffective();
+  const url = settings.mcp?.url || MCP_SERVER_URL;
+  if (!url) throw new Error("MCP_SERVER_URL is not configured");
+  return url.replace(/\/+$/, "");
+}
 
-  const url = MCP_SERVER_URL.replace(/\/+$/, "") + ensureStartsWithSlash("/invoke");
+// Tools go through the MCP protocol endpoint (<url>/mcp); see mcp-client.mjs.
+const mcpClient = createMcpClient({ getUrl: mcpBaseUrl, timeoutMs: REQUEST_TIMEOUT_MS });
+
+/**
+ * Plain REST call to the MCP server for routes that are not tools (e.g. /mcp/raw).
+ * Returns { status, ok, body } where body is parsed JSON when possible.
+ * user is the signed-in user (req.user); their access token lets the MCP server apply their permissions.
+ * correlationId (req.correlationId) is sent as X-Correlation-ID.
+ */
+async function mcpRequest(path, { method = "GET", body, user, correlationId } = {}) {
+  const url = (await mcpBaseUrl()) + ensureStartsWithSlash(path);
   const { signal, cancel } = toAbortSignal(REQUEST_TIMEOUT_MS);
+  const headers = body === undefined ? {} : { "content-type": "application/json" };
+  if (user?.token) headers.authorization = `Bearer ${user.token}`;
+  if (correlationId) headers["x-correlation-id"] = correlationId;
 
   try {
     const r = await fetch(url, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({ tool, input }),
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
       signal,
     });
-
     const raw = await r.text();
     const j = safeJsonParse(raw);
-
-    if (!r.ok) {
-      throw new Error(j?.error || j?.message || raw.slice(0, 400));
-    }
-
-    return j ?? raw;
+    return { status: r.status, ok: r.ok, body: j ?? raw };
   } finally {
     cancel();
   }
 }
 
+/** Tool catalog from tools/list ({ name, description, inputSchema }), limited to the tools the user may use. */
+async function mcpListTools(tenant, user, correlationId) {
+  const tools = await mcpClient.listTools(tenant, { token: user?.token, correlationId });
+  return tools.filter((t) => auth.canUseTool(user, t.name));
+}
+
+/** tools/call after the user's tenant and tool permissions; returns { status, ok, body } with the Maximo HTTP status. */
+async function mcpCall({ tool, args, tenant, user, correlationId, signal }) {
+  auth.checkTenant(user, tenant);
+  auth.checkTool(user, tool);
+  return mcpClient.callTool({ name: tool, args, tenant, token: user?.token, correlationId, signal });
+}
+
+/**
+ * Schema of an object structure (maximo.describeOS with children), or null when the user may not
+ * describe it or the MCP server could not; the reason goes to warnings and the query is sent unchecked.
+ */
+async function osSchema({ os, tenant, user, correlationId, signal }, warnings) {
+  if (!auth.canUseTool(user, "maximo.describeOS")) return null;
+  try {
+    const r = await mcpCall({ tool: "maximo.describeOS", args: { os, children: true }, tenant, user, correlationId, signal });
+    if (r.ok && Array.isArray(r.body?.attributes)) return r.body;
+    warnings.push(`Schema of ${os} unavailable, query not checked: ${maximoErrorMessage(r.body, r.status)}`);
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    warnings.push(`Schema of ${os} unavailable, query not checked: ${e?.message || e}`);
+  }
+  return null;
+}
+
+async function mcpInvoke({ tool, input }, user, correlationId) {
+  const { tenant, ...args } = input || {};
+  const r = await mcpCall({ tool, args, tenant: tenant || "default", user, correlationId });
+  if (!r.ok) {
+    throw new Error(maximoErrorMessage(r.body, r.status));
+  }
+  return r.body;
+}
+
 // -----------------------------
 // LLM providers
 // -----------------------------
-async function callOpenAI({ message }) {
-  if (!OPENAI_API_KEY) throw new Error("OPENAI_API_KEY is not configured");
+/**
+ * Pick provider, model and credentials for one request.
+ * Precedence: request fields > settings.ai (from the PVC file) > LLM_PROVIDER / <PROVIDER>_MODEL env > adapter default.
+ */
+async function resolveProvider({ provider, model, system, temperature }) {
+  const { settings } = await settingsStore.getEffective();
+  const ai = settings.ai || {};
+  const id = (provider || ai.provider || PROVIDER).toLowerCase();
+  const adapter = providers.getAdapter(id);
+  const sameAsSettings = id === (ai.provider || PROVIDER);
 
-  const url = `${OPENAI_BASE_URL.replace(/\/+$/, "")}/responses`;
-  const payload = {
-    model: OPENAI_MODEL,
-    input: message,
+  return {
+    provider: id,
+    model:
+      model ||
+      (sameAsSettings ? ai.model : "") ||
+      process.env[`${id.toUpperCase()}_MODEL`] ||
+      adapter.defaultModels[0],
+    system: system ?? (sameAsSettings ? ai.system : undefined) ?? "",
+    temperature: temperature ?? (sameAsSettings ? ai.temperature : undefined),
+    config: settings.providers?.[id] || {},
   };
+}
 
-  const { signal, cancel } = toAbortSignal(REQUEST_TIMEOUT_MS);
-
+// Counts a model call in the LLM metrics; calls the user stopped are left out.
+async function observeLlm(sel, signal, call) {
+  const started = Date.now();
   try {
-    const r = await fetch(url, {
-      method: "POST",
-      headers: {
-        authorization: `Bearer ${OPENAI_API_KEY}`,
-        "content-type": "application/json",
-      },
-      body: JSON.stringify(payload),
-      signal,
-    });
+    const result = await call();
+    metrics.llmCall({ provider: sel.provider, model: result.model || sel.model, durationMs: Date.now() - started, ok: true, usage: result.usage });
+    return result;
+  } catch (e) {
+    if (!signal?.aborted) metrics.llmCall({ provider: sel.provider, model: sel.model, durationMs: Date.now() - started, ok: false });
+    throw e;
+  }
+}
 
-    const raw = await r.text();
-    const ct = (r.headers.get("content-type") || "").toLowerCase();
-    let j = null;
+async function callProvider({ messages, tools, signal, instructions, ...fields }) {
+  const sel = await resolveProvider(fields);
+  const result = await observeLlm(sel, signal, () =>
+    providers.chat(sel.provider, {
+      config: sel.config,
+      model: sel.model,
+      system: [sel.system, instructions].filter(Boolean).join("\n\n"),
+      temperature: sel.temperature,
+      messages,
+      tools,
+      signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+    })
+  );
+  return { ...result, provider: sel.provider, model: result.model || sel.model };
+}
 
-    if (ct.includes("application/json")) {
-      try {
-        j = JSON.parse(raw);
-      } catch {
-        j = null;
-      }
+// Same contract as callProvider, but relays text deltas to onText while the model generates.
+async function streamProvider({ messages, tools, signal, instructions, onText, ...fields }) {
+  const sel = await resolveProvider(fields);
+  const result = await observeLlm(sel, signal, async () => {
+    let done = null;
+    for await (const ev of providers.stream(sel.provider, {
+      config: sel.config,
+      model: sel.model,
+      system: [sel.system, instructions].filter(Boolean).join("\n\n"),
+      temperature: sel.temperature,
+      messages,
+      tools,
+      signal,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+    })) {
+      if (ev.type === "text" && ev.delta) onText(ev.delta);
+      else if (ev.type === "done") done = ev.result;
+    }
+    if (!done) {
+      const e = new Error(`${sel.provider}: stream ended without a final message`);
+      e.status = 502;
+      e.provider = sel.provider;
+      throw e;
     }
+    return done;
+  });
+  return { ...result, provider: sel.provider, model: result.model || sel.model };
+}
+
+// -----------------------------
+// Sessions
+// -----------------------------
+function errorMessage(e, source) {
+  return { role: "assistant", text: `Error: ${e?.message || e}`, source, error: true };
+}
 
-    if (!r.ok) throw new Error(j?.error?.message || raw.slice(0, 400));
+// Sessions belong to the signed-in user; without sign-in there is no owner and all are shared.
+function owner(req) {
+  return req.user?.sub;
+}
 
-    // join must NOT contain a literal newline between quotes
-    const out = (j?.content || []).map((x) => x?.text).filter(Boolean).join('\n');
-    return { reply: out };
-  } finally {
-    cancel();
+// Persist one exchange. A storage failure is logged but does not fail the chat response.
+async function recordTurn({ sessionId, user }, ...messages) {
+  if (!sessionId) return;
+  try {
+    await sessionStore.append(sessionId, messages, { owner: user?.sub });
+  } catch (e) {
+    log(`[sessions] could not save session ${sessionId}: ${e?.message || e}`);
   }
 }
 
-async function callGemini({ message }) {
-  if (!GEMINI_API_KEY) throw new Error("GEMINI_API_KEY is not configured");
+app.get("/api/sessions", async (req, res) => {
+  try {
+    res.json({ sessions: await sessionStore.list({ owner: owner(req) }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/sessions", async (req, res) => {
+  const parsed = SessionCreateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+  try {
+    res.status(201).json(await sessionStore.create({ ...parsed.data, owner: owner(req) }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/sessions/:id", async (req, res) => {
+  try {
+    res.json(await sessionStore.get(req.params.id, { owner: owner(req) }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-  const url =
-    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
-      GEMINI_MODEL
-    )}:generateContent?key=${encodeURIComponent(GEMINI_API_KEY)}`;
+app.patch("/api/sessions/:id", async (req, res) => {
+  const parsed = SessionRenameSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+  try {
+    res.json(await sessionStore.rename(req.params.id, parsed.data.title, { owner: owner(req) }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/sessions/:id", async (req, res) => {
+  try {
+    await sessionStore.remove(req.params.id, { owner: owner(req) });
+    res.status(204).end();
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// -----------------------------
+// Tenant registry
+// -----------------------------
+// The MCP server owns the registry (tenants.json on the PVC); the Settings page edits it
+// through these routes so new tenants reach the tools without a redeploy.
+function tenantPath(id) {
+  return `/api/tenants${id === undefined ? "" : `/${encodeURIComponent(id)}`}`;
+}
+
+function sendTenantResult(res, r) {
+  if (r.ok) return r.status === 204 ? res.status(204).end() : res.status(r.status).json(r.body);
+  const err = r.body?.error;
+  return res.status(r.status).json({
+    error: err?.message || err || `Tenant request failed (${r.status})`,
+    code: err?.code,
+    details: r.body?.details,
+  });
+}
+
+app.get("/api/tenants", async (req, res) => {
+  try {
+    sendTenantResult(res, await mcpRequest(tenantPath(), { user: req.user, correlationId: req.correlationId }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-  const payload = {
-    contents: [{ role: "user", parts: [{ text: message }] }],
+app.get("/api/tenants/:id", async (req, res) => {
+  try {
+    sendTenantResult(res, await mcpRequest(tenantPath(req.params.id), { user: req.user, correlationId: req.correlationId }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.put("/api/tenants/:id", async (req, res) => {
+  const parsed = TenantSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+  try {
+    auth.checkAdmin(req.user);
+    sendTenantResult(res, await mcpRequest(tenantPath(req.params.id), { method: "PUT", body: parsed.data, user: req.user, correlationId: req.correlationId }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/tenants/:id", async (req, res) => {
+  try {
+    auth.checkAdmin(req.user);
+    sendTenantResult(res, await mcpRequest(tenantPath(req.params.id), { method: "DELETE", user: req.user, correlationId: req.correlationId }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// -----------------------------
+// Write approvals
+// -----------------------------
+// Write tools on tenants that require approval answer with a pending action; the MCP server
+// keeps it until a user approves or rejects it here.
+function pendingApproval(body) {
+  return body?.status === "pending_approval" && body.approval?.id ? body.approval : null;
+}
+
+// correlationId and, with MCP_UI_URL set, mcpTraceUrl: the MCP trace UI filtered to its events
+function traceLink(correlationId) {
+  if (!correlationId) return {};
+  const mcpTraceUrl = MCP_UI_URL ? `${MCP_UI_URL}/rx-agent?${new URLSearchParams({ correlation: correlationId })}` : undefined;
+  return { correlationId, mcpTraceUrl };
+}
+
+function approvalText(a) {
+  const what = `${a.tool} on tenant ${a.tenant}`;
+  if (a.status === "rejected") return `Rejected ${what}${a.decision?.reason ? `: ${a.decision.reason}` : "."}`;
+  if (a.status === "executed") return `Approved ${what}; Maximo answered ${a.result?.status}.`;
+  if (a.status === "failed") return `Approved ${what}, but it failed: ${maximoErrorMessage(a.result?.body, a.result?.status)}`;
+  return `${what} is ${a.status}.`;
+}
+
+function approvalTrace(a, correlationId) {
+  return {
+    kind: "approval",
+    tenant: a.tenant,
+    ...traceLink(correlationId),
+    approval: { id: a.id, tool: a.tool, status: a.status, decision: a.decision, diff: a.diff, expiresAt: a.expiresAt },
+    request: { method: a.method, httpMethod: "POST", url: a.url, headers: a.headers, body: a.payload },
+    response: a.result ? { status: a.result.status, body: prettyBody(a.result.body) } : undefined,
+    durationMs: a.result?.durationMs,
   };
+}
 
-  const { signal, cancel } = toAbortSignal(REQUEST_TIMEOUT_MS);
+app.get("/api/approvals", async (req, res) => {
+  try {
+    const qs = new URLSearchParams();
+    for (const k of ["tenant", "status"]) if (req.query[k]) qs.set(k, String(req.query[k]));
+    const q = qs.toString();
+    const r = await mcpRequest(`/mcp/approvals${q ? `?${q}` : ""}`, { user: req.user, correlationId: req.correlationId });
+    res.status(r.status).json(r.body);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
+app.get("/api/approvals/:id", async (req, res) => {
   try {
-    const r = await fetch(url, {
+    const r = await mcpRequest(`/mcp/approvals/${encodeURIComponent(req.params.id)}`, { user: req.user, correlationId: req.correlationId });
+    res.status(r.status).json(r.body);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/approvals/:id/:decision(approve|reject)", async (req, res) => {
+  const parsed = ApprovalDecisionSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+  const { sessionId, reason } = parsed.data;
+  const { id, decision } = req.params;
+
+  try {
+    const r = await mcpRequest(`/mcp/approvals/${encodeURIComponent(id)}/${decision}`, {
       method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify(payload),
+      // With sign-in the MCP server records the token's user; a name from here would be ignored
+      body: auth.enabled ? { reason } : { by: "chat-ui", reason },
+      user: req.user,
+      correlationId: req.correlationId,
+    });
+    if (!r.ok) {
+      const err = r.body?.error;
+      return res.status(r.status).json({
+        error: err?.message || `Approval request failed (${r.status})`,
+        code: err?.code,
+        approval: r.body?.approval,
+      });
+    }
+
+    const approval = r.body;
+    const message = {
+      role: "assistant",
+      text: approvalText(approval),
+      source: "ai",
+      approvalDecision: { id: approval.id, tool: approval.tool, status: approval.status, decision: approval.decision },
+      at: new Date().toISOString(),
+    };
+    await recordTurn({ sessionId, user: req.user }, message);
+    res.json({ approval, message, trace: approvalTrace(approval, req.correlationId) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// -----------------------------
+// Routes
+// -----------------------------
+app.post("/chat", async (req, res) => {
+  const parsed = ChatRequestSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+
+  const { message, sessionId, metadata, ...fields } = parsed.data;
+  const { user } = req;
+  const userMsg = { role: "user", text: message, source: "ai", at: new Date().toISOString() };
+
+  try {
+    const history = sessionId ? await sessionStore.history(sessionId, { limit: SESSION_HISTORY_MESSAGES, owner: user?.sub }) : [];
+    const out = await callProvider({ ...fields, messages: [...history, { role: "user", content: message }] });
+    await recordTurn({ sessionId, user }, userMsg, {
+      role: "assistant",
+      text: out.text,
+      source: "ai",
+      provider: out.provider,
+      model: out.model,
+    });
+    res.json({ reply: out.text, provider: out.provider, model: out.model, usage: out.usage, sessionId });
+  } catch (e) {
+    await recordTurn({ sessionId, user }, userMsg, errorMessage(e, "ai"));
+    sendError(res, e);
+  }
+});
+
+/**
+ * One agent turn, shared by the JSON and the streaming endpoint.
+ * emit(event, data) is optional; when given, model text is streamed (token events) and tool
+ * progress is reported (tool_call_start / tool_call_end). An aborted signal stops the model
+ * call or tool in flight; whatever was produced so far is kept in the session as "stopped".
+ * user (req.user) limits the tenant and the tools the model is offered; every MCP call of the
+ * turn carries correlationId.
+ */
+async function agentChat(data, { user, correlationId, signal, emit } = {}) {
+  const { text, sessionId, tenant: tenantField, settings: _uiSettings, ...fields } = data;
+  const userMsg = { role: "user", text, source: "ai", at: new Date().toISOString() };
+  const steps = [];
+  const approvals = [];
+  let partial = "";
+
+  const chat = (req) =>
+    emit
+      ? streamProvider({
+          ...fields,
+          ...req,
+          signal,
+          onText: (delta) => {
+            partial += delta;
+            emit("token", { delta });
+          },
+        })
+      : callProvider({ ...fields, ...req, signal });
+
+  try {
+    const history = sessionId ? await sessionStore.history(sessionId, { limit: SESSION_HISTORY_MESSAGES, owner: user?.sub }) : [];
+    const messages = [...history, { role: "user", content: text }];
+    const { settings } = await settingsStore.getEffective();
+    const tenant = tenantField || settings.maximo?.defaultTenant || "default";
+    auth.checkTenant(user, tenant);
+    const warnings = [];
+
+    let tools = [];
+    if (settings.mcp?.enableTools && (settings.mcp?.url || MCP_SERVER_URL)) {
+      try {
+        tools = toAgentTools(await mcpListTools(tenant, user, correlationId));
+      } catch (e) {
+        warnings.push(`MCP tools unavailable, answering without them: ${e?.message || e}`);
+      }
+    }
+    emit?.("start", { sessionId, tenant, tools: tools.length, warnings, correlationId });
+
+    if (!tools.length) {
+      const out = await chat({ messages });
+      await recordTurn({ sessionId, user }, userMsg, { role: "assistant", text: out.text, source: "ai", warnings, provider: out.provider, model: out.model });
+      return { reply: out.text, provider: out.provider, model: out.model, usage: out.usage, steps: [], warnings, sessionId, correlationId };
+    }
+
+    const result = await runAgent({
+      chat: (req) => chat({ ...req, instructions: agentInstructions(settings, tenant, tools) }),
+      callTool: async ({ name, arguments: args }) => {
+        const fit = name === "maximo.queryOS" ? await fitAgentQuery(args, { tenant, user, correlationId, signal }, warnings) : null;
+        if (fit?.refused) return fit.refused;
+        const r = await mcpCall({ tool: name, args: fit?.args || args, tenant, user, correlationId, signal });
+        const approval = pendingApproval(r.body);
+        if (approval) {
+          approvals.push(approval);
+          emit?.("approval_required", approval);
+        }
+        // Tell the model what was changed so its next query uses the schema's names
+        if (fit?.corrections.length && r.ok && r.body && typeof r.body === "object") {
+          return { ...r, body: { ...r.body, queryCorrections: fit.corrections } };
+        }
+        return r;
+      },
+      tools,
+      messages,
+      maxSteps: AGENT_MAX_STEPS,
       signal,
+      onEvent: (ev) => {
+        if (ev.type === "tool_call_end") steps.push(ev);
+        // Text streamed before a tool call is narration; separate it from what follows.
+        if (ev.type === "tool_call_start" && partial && !partial.endsWith("\n\n")) partial += "\n\n";
+        const { type, ...rest } = ev;
+        emit?.(type, rest);
+      },
     });
 
-    const raw = await r.text();
-    const j = safeJsonParse(raw);
+    await recordTurn({ sessionId, user }, userMsg, {
+      role: "assistant",
+      text: result.reply,
+      source: "ai",
+      steps: result.steps,
+      approvals,
+      warnings,
+      provider: result.provider,
+      model: result.model,
+    });
+    return {
+      ...result,
+      tenant,
+      approvals,
+      warnings,
+      sessionId,
+      correlationId,
+      trace: {
+        kind: "agent",
+        tenant,
+        ...traceLink(correlationId),
+        steps: result.steps,
+        approvals: approvals.map((a) => ({ id: a.id, tool: a.tool, status: "pending" })),
+        stoppedReason: result.stoppedReason,
+      },
+    };
+  } catch (e) {
+    if (signal?.aborted) {
+      await recordTurn({ sessionId, user }, userMsg, { role: "assistant", text: partial.trim() || "(stopped)", source: "ai", steps, approvals, stopped: true });
+    } else {
+      await recordTurn({ sessionId, user }, userMsg, errorMessage(e, "ai"));
+    }
+    throw e;
+  }
+}
+
+app.post("/api/agent/chat", async (req, res) => {
+  const parsed = AgentChatSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+  try {
+    res.json(await agentChat(parsed.data, { user: req.user, correlationId: req.correlationId }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * Server-Sent Events variant of /api/agent/chat.
+ * Events: start, token { delta }, tool_call_start, tool_call_end, approval_required (a pending
+ * write), done (the /api/agent/chat response) and error ({ error, code, ... }). Closing the connection aborts the provider
+ * request and any running tool call.
+ */
+app.post("/api/agent/chat/stream", async (req, res) => {
+  const parsed = AgentChatSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+
+  res.status(200).set({
+    "content-type": "text/event-stream; charset=utf-8",
+    "cache-control": "no-cache, no-transform",
+    "x-accel-buffering": "no",
+  });
+  res.flushHeaders();
 
-    if (!r.ok) throw new Error((j && JSON.stringify(j).slice(0, 400)) || raw.slice(0, 400));
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Keeps proxies (OpenShift router) from closing a connection that waits on a slow tool.
+  const heartbeat = setInterval(() => !res.writableEnded && res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
 
-    // join must NOT contain a literal newline between quotes
-    const cand =
-      j?.candidates?.[0]?.content?.parts?.map((p) => p.text).filter(Boolean).join('\n') || "";
-    return { reply: cand };
+  try {
+    send("done", await agentChat(parsed.data, { user: req.user, correlationId: req.correlationId, signal: controller.signal, emit: send }));
+  } catch (e) {
+    if (!controller.signal.aborted) send("error", { ...errorBody(e), correlationId: req.correlationId });
   } finally {
-    cancel();
+    clearInterval(heartbeat);
+    res.end();
   }
+});
+
+function agentInstructions(settings, tenant, tools = []) {
+  const site = settings.maximo?.defaultSite;
+  return [
+    `You are connected to the IBM Maximo tenant "${tenant}" through tools.`,
+    "Use the tools to read or change Maximo data instead of guessing, and base your answer on their results.",
+    tools.some((t) => t.name === "maximo.describeOS")
+      ? "Call maximo.describeOS for an object structure before writing oslc.select, oslc.where or oslc.orderBy with attribute names you are not sure of."
+      : "",
+    "To change or delete a record, address it by the href from a query result or by its key attributes.",
+    "A tool error with code policy_denied is a rule of this tenant (error.policy.rule says which); explain it to the user instead of retrying.",
+    site ? `Unless the user says otherwise, work in site ${site}.` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
 }
 
-async function callProvider({ message }) {
-  if (PROVIDER === "gemini") return callGemini({ message });
-  return callOpenAI({ message });
+// Corrections and dropped names as one list: [{ part, from, to }] with to null for a dropped name.
+function schemaChanges(fit) {
+  return [...fit.corrections, ...fit.dropped.map((d) => ({ part: d.part, from: d.name, to: null }))];
+}
+
+/**
+ * An agent's maximo.queryOS arguments checked against the object structure's schema (os-schema.mjs):
+ * { args, corrections } with corrected params, or { refused } (a 400 tool result listing the
+ * attributes) when oslc.where names attributes the structure does not have. null when there is
+ * nothing to check or no schema.
+ */
+async function fitAgentQuery(args, ctx, warnings) {
+  if (!args?.os || !args.params || typeof args.params !== "object") return null;
+  const schema = await osSchema({ os: args.os, ...ctx }, warnings);
+  if (!schema) return null;
+  const fit = fitQueryParams(args.params, schema);
+  if (fit.unknown.length) {
+    const error = {
+      code: "unknown_attribute",
+      message: unknownAttributesMessage(schema, fit.unknown),
+      status: 400,
+      attributes: schema.attributes.map((a) => a.name),
+    };
+    return { refused: { status: 400, ok: false, body: { error } } };
+  }
+  return { args: { ...args, params: fit.params }, corrections: schemaChanges(fit) };
 }
 
 // -----------------------------
-// Routes
+// Maximo mode: natural language -> OSLC
 // -----------------------------
-app.post("/chat", async (req, res) => {
-  const parsed = ChatRequestSchema.safeParse(req.body);
+function truncateBody(body, max = 20000) {
+  const str = typeof body === "string" ? body : JSON.stringify(body, null, 2);
+  return str.length > max ? `${str.slice(0, max)}\n… [truncated ${str.length - max} chars]` : str;
+}
+
+function maximoErrorMessage(body, status) {
+  const err = body?.Error || body?.error || body?.oslc_Error;
+  if (typeof err === "string") return err;
+  return err?.message || body?.message || `Maximo request failed (${status})`;
+}
+
+// Tenant policy refusals (mcp-server/policy.mjs) stay 403 so they read differently from Maximo failures.
+function toolFailureStatus(r, fallback = 502) {
+  return r.body?.error?.code === "policy_denied" ? 403 : fallback;
+}
+
+async function hasLlmCredentials() {
+  try {
+    const sel = await resolveProvider({});
+    return Boolean(sel.config?.apiKey);
+  } catch {
+    return false;
+  }
+}
+
+app.post("/api/maximo/query", async (req, res) => {
+  const parsed = MaximoQuerySchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+
+  const { text, sessionId, tenant: tenantField } = parsed.data;
+  const { user } = req;
+  const userMsg = { role: "user", text, source: "maximo", at: new Date().toISOString() };
+
+  try {
+    const lastTable = parsed.data.lastTable ?? (sessionId ? await sessionStore.latestTable(sessionId, { owner: user?.sub }) : null);
+    const { settings } = await settingsStore.getEffective();
+    const tenant = tenantField || settings.maximo?.defaultTenant || "default";
+    auth.checkTenant(user, tenant);
+    auth.checkTool(user, "maximo.queryOS");
+    const defaultSite = settings.maximo?.defaultSite || "";
+    const useLlm = NLQ_MODE === "llm" || (NLQ_MODE === "auto" && (await hasLlmCredentials()));
+    const trace = { kind: "maximo-query", prompt: text, tenant, mapper: null, warnings: [], ...traceLink(req.correlationId) };
+
+    if (isSummaryRequest(text)) {
+      if (!lastTable?.rows) {
+        const error = "There are no previous Maximo results to summarize";
+        await recordTurn({ sessionId, user }, userMsg, errorMessage({ message: error }, "maximo"));
+        return res.status(400).json({ error, trace });
+      }
+      trace.mapper = useLlm ? "llm" : "rules";
+      if (!useLlm) {
+        const summary = summarizeTable(lastTable);
+        await recordTurn({ sessionId, user }, userMsg, { role: "assistant", text: summary, source: "maximo" });
+        return res.json({ summary, trace, sessionId });
+      }
+      const out = await callProvider({
+        instructions: "Summarize the Maximo records for an asset manager: counts, notable statuses, priorities and anything that needs attention. Be concise.",
+        messages: [{ role: "user", content: `${lastTable.title || "Results"}\n${truncateBody({ columns: lastTable.columns, rows: lastTable.rows.slice(0, 200) })}` }],
+      });
+      await recordTurn({ sessionId, user }, userMsg, { role: "assistant", text: out.text, source: "maximo" });
+      return res.json({ summary: out.text, sessionId, trace: { ...trace, provider: out.provider, model: out.model, usage: out.usage } });
+    }
+
+    let query = null;
+    if (useLlm) {
+      try {
+        const out = await llmQuery(text, { chat: (r) => callProvider(r), defaultSite });
+        query = out.query;
+        Object.assign(trace, { mapper: "llm", provider: out.provider, model: out.model, usage: out.usage });
+      } catch (e) {
+        if (NLQ_MODE === "llm") throw e;
+        trace.warnings.push(`LLM mapping failed, using rules: ${e?.message || e}`);
+      }
+    }
+    if (!query) {
+      query = ruleBasedQuery(text, { defaultSite });
+      trace.mapper = "rules";
+    }
+    if (!query) {
+      const error =
+        "Could not map the prompt to a Maximo query. Mention work orders, assets, locations, service requests or inventory.";
+      await recordTurn({ sessionId, user }, userMsg, errorMessage({ message: error }, "maximo"));
+      return res.status(422).json({ error, trace });
+    }
+
+    // Check the attribute names against the object structure before Maximo sees them
+    const ctx = { tenant, user, correlationId: req.correlationId };
+    const fitToSchema = async (q) => {
+      const schema = await osSchema({ os: q.objectStructure, ...ctx }, trace.warnings);
+      return schema ? { schema, ...fitQuery(q, schema) } : null;
+    };
+    let fit = await fitToSchema(query);
+    if (fit?.unknown.length && trace.mapper === "llm" && NLQ_MODE !== "llm") {
+      const rules = ruleBasedQuery(text, { defaultSite });
+      if (rules) {
+        trace.warnings.push(`${unknownAttributesMessage(fit.schema, fit.unknown)}; using rules`);
+        trace.mapper = "rules";
+        query = rules;
+        fit = await fitToSchema(query);
+      }
+    }
+    if (fit?.unknown.length) {
+      const error = unknownAttributesMessage(fit.schema, fit.unknown);
+      trace.query = query;
+      await recordTurn({ sessionId, user }, userMsg, errorMessage({ message: error }, "maximo"));
+      return res.status(422).json({ error, code: "unknown_attribute", trace });
+    }
+    if (fit) {
+      query = fit.query;
+      trace.schema = { os: fit.schema.os, source: fit.schema.source, cached: fit.schema.cached, corrections: schemaChanges(fit) };
+    }
+
+    const params = toOslcParams(query);
+    trace.query = query;
+    trace.request = {
+      tool: "maximo.queryOS",
+      tenant,
+      method: "GET",
+      url: `/maximo/api/os/${encodeURIComponent(query.objectStructure)}?${new URLSearchParams(params)}`,
+      params,
+      maxRecords: query.pageSize,
+    };
+
+    // pageSize is the number of rows asked for; queryOS follows Maximo's pages until it has them.
+    const t0 = Date.now();
+    const r = await mcpCall({ tool: "maximo.queryOS", args: { os: query.objectStructure, params, maxRecords: query.pageSize }, tenant, user, correlationId: req.correlationId });
+    trace.durationMs = Date.now() - t0;
+    trace.response = { status: r.status, body: truncateBody(r.body) };
+
+    if (!r.ok) {
+      const error = maximoErrorMessage(r.body, r.status);
+      await recordTurn({ sessionId, user }, userMsg, errorMessage({ message: error }, "maximo"));
+      return res.status(toolFailureStatus(r)).json({ error, code: r.body?.error?.code, policy: r.body?.error?.policy, trace });
+    }
+    const table = toTable(r.body, query);
+    await recordTurn({ sessionId, user }, userMsg, { role: "assistant", text: retrievedText(table), source: "maximo", table });
+    res.json({ table, query, trace, sessionId });
+  } catch (e) {
+    await recordTurn({ sessionId, user }, userMsg, errorMessage(e, "maximo"));
+    sendError(res, e);
+  }
+});
+
+function retrievedText(table) {
+  const of = table.totalCount != null && table.totalCount > table.rows.length ? ` of ${table.totalCount}` : "";
+  return `Retrieved ${table.rows.length}${of} row(s) from Maximo.`;
+}
+
+// Next rows of a table from /api/maximo/query, continuing its queryOS cursor.
+app.post("/api/maximo/query/more", async (req, res) => {
+  const parsed = MaximoMoreSchema.safeParse(req.body);
   if (!parsed.success) {
     return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
   }
+  const { cursor, tenant: tenantField, columns, title, maxRecords } = parsed.data;
 
-  const { message } = parsed.data;
+  try {
+    const { settings } = await settingsStore.getEffective();
+    const tenant = tenantField || settings.maximo?.defaultTenant || "default";
+    const t0 = Date.now();
+    const r = await mcpCall({ tool: "maximo.queryOS", args: { cursor, maxRecords }, tenant, user: req.user, correlationId: req.correlationId });
+    const trace = {
+      kind: "maximo-query",
+      tenant,
+      ...traceLink(req.correlationId),
+      request: { tool: "maximo.queryOS", tenant, cursor, maxRecords },
+      durationMs: Date.now() - t0,
+      response: { status: r.status, body: truncateBody(r.body) },
+    };
+    if (!r.ok) {
+      return res
+        .status(toolFailureStatus(r, r.status === 400 ? 400 : 502))
+        .json({ error: maximoErrorMessage(r.body, r.status), code: r.body?.error?.code, policy: r.body?.error?.policy, trace });
+    }
+    const page = toTable(r.body, { select: columns, title: title || "", objectStructure: "" });
+    res.json({ rows: page.rows, columns: page.columns, totalCount: page.totalCount, cursor: page.cursor || null, trace });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * Query params for a REST Builder request. Keep in sync with restQueryParams in ui/src/App.jsx
+ * so the Preview tab shows the URL that is actually sent.
+ */
+function rawQueryParams({ method, where, select, orderBy, pageSize }) {
+  const params = { lean: "1" };
+  if (method !== "GET") return params;
+  if (where?.trim()) params["oslc.where"] = where.trim();
+  if (select?.trim()) params["oslc.select"] = select.trim();
+  if (orderBy?.trim()) params["oslc.orderBy"] = orderBy.trim();
+  if (String(pageSize ?? "").trim()) params["oslc.pageSize"] = String(pageSize).trim();
+  return params;
+}
+
+function prettyBody(text) {
+  const j = typeof text === "string" ? safeJsonParse(text) : text;
+  return truncateBody(j ?? text ?? "");
+}
+
+app.post("/api/maximo/raw", async (req, res) => {
+  const parsed = MaximoRawSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: "Invalid request", details: parsed.error.flatten() });
+  }
+
+  const { method, os, recordId, body: rawBody, tenant: tenantField } = parsed.data;
+  if ((method === "PATCH" || method === "DELETE") && !recordId) {
+    return res.status(400).json({ error: `${method} needs a record id or href` });
+  }
+
+  let payload;
+  if (method === "POST" || method === "PATCH") {
+    payload = typeof rawBody === "string" ? (rawBody.trim() ? safeJsonParse(rawBody) : {}) : rawBody || {};
+    if (!payload || typeof payload !== "object") return res.status(400).json({ error: "Body must be a JSON object" });
+  }
 
   try {
-    const out = await callProvider({ message });
-    res.json(out);
+    const { settings } = await settingsStore.getEffective();
+    const tenant = tenantField || settings.maximo?.defaultTenant || "default";
+    // The REST Builder is not a tool; roles grant it as the pseudo-tool "maximo.raw".
+    auth.checkTenant(req.user, tenant);
+    auth.checkTool(req.user, "maximo.raw");
+    const params = rawQueryParams(parsed.data);
+
+    const t0 = Date.now();
+    const r = await mcpRequest("/mcp/raw", { method: "POST", body: { tenant, method, os, recordId, params, payload }, user: req.user, correlationId: req.correlationId });
+    const out = r.body && typeof r.body === "object" ? r.body : {};
+    const trace = {
+      kind: "maximo-raw",
+      tenant,
+      ...traceLink(req.correlationId),
+      request: out.request || { method, url: null, body: payload ?? null },
+      durationMs: out.durationMs ?? Date.now() - t0,
+    };
+    if (!out.response) {
+      return res
+        .status(r.ok ? 502 : r.status)
+        .json({ error: out.detail || out.error || `MCP request failed (${r.status})`, code: out.code, policy: out.policy, trace });
+    }
+
+    trace.response = {
+      status: out.response.status,
+      headers: out.response.headers,
+      body: prettyBody(out.response.body),
+    };
+    const ok = Boolean(out.response.ok);
+    // Writes on tenants that require approval are parked by the MCP server (202 pending_approval)
+    const pending = out.response.status === 202 ? safeJsonParse(out.response.body) : null;
+    res.json({
+      ok,
+      status: out.response.status,
+      error: ok ? undefined : maximoErrorMessage(safeJsonParse(out.response.body), out.response.status),
+      approval: pending?.status === "pending_approval" ? pending.approval : undefined,
+      trace,
+    });
   } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+    sendError(res, e);
   }
 });
 
@@ -289,13 +1330,13 @@ app.post("/tools/call", async (req, res) => {
           .status(400)
           .json({ error: "Invalid mcp.invoke args", details: p2.error.flatten() });
       }
-      const r = await mcpInvoke(p2.data);
+      const r = await mcpInvoke(p2.data, req.user, req.correlationId);
       return res.json({ ok: true, result: r });
     }
 
     return res.status(400).json({ error: `Unknown tool: ${name}` });
   } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+    res.status(e?.status === 403 ? 403 : 500).json({ error: e?.message || String(e), code: e?.code });
   }
 });
 
@@ -304,11 +1345,9 @@ app.post("/tools/call", async (req, res) => {
 // -----------------------------
 app.listen(PORT, () => {
   log(`[maximo-ai-agent-app] listening on :${PORT}`);
-  log(
-    `[maximo-ai-agent-app] provider=${PROVIDER} model=${
-      PROVIDER === "openai" ? OPENAI_MODEL : GEMINI_MODEL
-    }`
-  );
+  log(`[maximo-ai-agent-app] default provider=${PROVIDER} (providers: ${providers.PROVIDER_IDS.join(", ")})`);
   log(`[maximo-ai-agent-app] mcp=${MCP_SERVER_URL ? MCP_SERVER_URL : "(not configured)"}`);
+  log(`[maximo-ai-agent-app] settings=${settingsStore.file}`);
+  log(`[maximo-ai-agent-app] sessions=${SESSION_STORE === "memory" ? "memory" : SESSIONS_DIR}`);
 });
 
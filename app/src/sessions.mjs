@@ -0,0 +1,272 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * sessions.mjs
+ *
+ * Server-side chat sessions keyed by sessionId: message history (AI and Maximo mode),
+ * agent tool steps and Maximo result tables. Storage is pluggable:
+ * - "file" (default): one JSON file per session under SESSIONS_DIR on the PVC
+ * - "memory": process-local, for development and tests
+ *
+ * A backend implements { list(), get(id), put(session), remove(id) }.
+ *
+ * With sign-in on (owned: true), sessions belong to the user who created them: every call takes
+ * { owner } (the user's subject) and other users' sessions answer as not found. Sessions without
+ * an owner are shared only while sign-in is off.
+ */
+
+const ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+const TITLE_MAX = 80;
+const TABLE_MAX_ROWS = 200;
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+function sessionError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function titleFrom(text) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  return t.length > TITLE_MAX ? `${t.slice(0, TITLE_MAX - 1)}…` : t || "New chat";
+}
+
+function summary(s) {
+  return {
+    id: s.id,
+    title: s.title,
+    createdAt: s.createdAt,
+    updatedAt: s.updatedAt,
+    messageCount: s.messages.length,
+  };
+}
+
+// Keep stored tables bounded; the full result can always be re-queried.
+function compactMessage(m) {
+  const out = { ...m, at: m.at || new Date().toISOString() };
+  if (out.table?.rows?.length > TABLE_MAX_ROWS) {
+    out.table = { ...out.table, rows: out.table.rows.slice(0, TABLE_MAX_ROWS), truncated: true };
+  }
+  return out;
+}
+
+// -----------------------------
+// Backends
+// -----------------------------
+export function createMemorySessionBackend() {
+  const map = new Map();
+  const copy = (v) => (v ? JSON.parse(JSON.stringify(v)) : null);
+  return {
+    async list() {
+      return [...map.values()].map(copy);
+    },
+    async get(id) {
+      return copy(map.get(id));
+    },
+    async put(session) {
+      map.set(session.id, copy(session));
+    },
+    async remove(id) {
+      return map.delete(id);
+    },
+  };
+}
+
+export function createFileSessionBackend({ dir }) {
+  const file = (id) => path.join(dir, `${id}.json`);
+
+  async function readJson(f) {
+    try {
+      return JSON.parse(await fs.readFile(f, "utf8"));
+    } catch (e) {
+      if (e?.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  return {
+    dir,
+    async list() {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        if (e?.code === "ENOENT") return [];
+        throw e;
+      }
+      const out = [];
+      for (const n of names) {
+        if (!n.endsWith(".json")) continue;
+        try {
+          const s = await readJson(path.join(dir, n));
+          if (s?.id) out.push(s);
+        } catch {
+          // a corrupt file must not hide the other sessions
+        }
+      }
+      return out;
+    },
+    async get(id) {
+      return readJson(file(id));
+    },
+    async put(session) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${file(session.id)}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(session), { encoding: "utf8", mode: 0o600 });
+      try {
+        await fs.rename(tmp, file(session.id));
+      } catch (e) {
+        await fs.rm(tmp, { force: true });
+        throw e;
+      }
+    },
+    async remove(id) {
+      try {
+        await fs.rm(file(id));
+        return true;
+      } catch (e) {
+        if (e?.code === "ENOENT") return false;
+        throw e;
+      }
+    },
+  };
+}
+
+// -----------------------------
+// Store
+// -----------------------------
+/**
+ * createSessionStore({ backend, maxMessages, owned })
+ *
+ * Session: { id, title, owner?, createdAt, updatedAt, messages: [{ role, text, source, at, steps?, warnings?, table?, provider?, model? }] }
+ */
+export function createSessionStore({ backend, maxMessages = 200, owned = false }) {
+  const locks = new Map();
+
+  // Serialise read-modify-write per session.
+  function withLock(id, fn) {
+    const prev = locks.get(id) || Promise.resolve();
+    const run = prev.then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(id, tail);
+    tail.then(() => {
+      if (locks.get(id) === tail) locks.delete(id);
+    });
+    return run;
+  }
+
+  function checkId(id) {
+    if (!isValidSessionId(id)) throw sessionError(400, "invalid_session_id", "sessionId must be 8-64 characters of A-Z, a-z, 0-9, _ or -");
+  }
+
+  // Without sign-in every session is visible; with it only the caller's, and none without a caller.
+  function visible(s, owner) {
+    if (!s) return false;
+    if (!owner) return !owned;
+    return s.owner === owner;
+  }
+
+  // A new session with sign-in on must have an owner, or no one could see it again.
+  function checkOwner(owner) {
+    if (owned && !owner) throw sessionError(401, "unauthenticated", "Sessions need a signed-in user");
+  }
+
+  async function list({ owner } = {}) {
+    const all = await backend.list();
+    return all.filter((s) => visible(s, owner)).map(summary).sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async function get(id, { owner } = {}) {
+    checkId(id);
+    const s = await backend.get(id);
+    if (!visible(s, owner)) throw sessionError(404, "session_not_found", `Session ${id} not found`);
+    return s;
+  }
+
+  function create({ id = crypto.randomUUID(), title, owner } = {}) {
+    checkId(id);
+    checkOwner(owner);
+    return withLock(id, async () => {
+      if (await backend.get(id)) throw sessionError(409, "session_exists", `Session ${id} already exists`);
+      const now = new Date().toISOString();
+      const s = { id, title: title ? titleFrom(title) : "New chat", ...(owner ? { owner } : {}), createdAt: now, updatedAt: now, messages: [] };
+      await backend.put(s);
+      return s;
+    });
+  }
+
+  function rename(id, title, { owner } = {}) {
+    checkId(id);
+    return withLock(id, async () => {
+      const s = await get(id, { owner });
+      s.title = titleFrom(title);
+      s.titleSet = true;
+      s.updatedAt = new Date().toISOString();
+      await backend.put(s);
+      return summary(s);
+    });
+  }
+
+  function remove(id, { owner } = {}) {
+    checkId(id);
+    return withLock(id, async () => {
+      if (!visible(await backend.get(id), owner) || !(await backend.remove(id))) throw sessionError(404, "session_not_found", `Session ${id} not found`);
+    });
+  }
+
+  /** Append messages, creating the session on first use; the first user message becomes the title. */
+  function append(id, messages, { owner } = {}) {
+    checkId(id);
+    checkOwner(owner);
+    return withLock(id, async () => {
+      const now = new Date().toISOString();
+      const existing = await backend.get(id);
+      if (existing && !visible(existing, owner)) throw sessionError(404, "session_not_found", `Session ${id} not found`);
+      const s = existing || { id, title: "New chat", ...(owner ? { owner } : {}), createdAt: now, messages: [] };
+      s.messages.push(...messages.map(compactMessage));
+      if (s.messages.length > maxMessages) s.messages = s.messages.slice(-maxMessages);
+      if (!s.titleSet && s.title === "New chat") {
+        const first = s.messages.find((m) => m.role === "user");
+        if (first) s.title = titleFrom(first.text);
+      }
+      s.updatedAt = now;
+      await backend.put(s);
+      return summary(s);
+    });
+  }
+
+  /**
+   * Prior turns in provider format ([{ role, content }]), newest last, at most `limit` messages.
+   * Maximo-mode answers are included as text so the model knows what the user has seen.
+   * Unknown ids yield an empty history.
+   */
+  async function history(id, { limit = 20, owner } = {}) {
+    checkId(id);
+    const s = await backend.get(id);
+    if (!visible(s, owner)) return [];
+    const turns = s.messages.filter((m) => m.text && (m.role === "user" || m.role === "assistant") && !m.error).slice(-limit);
+    // Several providers require the conversation to start with a user turn.
+    while (turns.length && turns[0].role !== "user") turns.shift();
+    return turns.map((m) => ({
+      role: m.role,
+      content: m.table ? `${m.text}\n(Table "${m.table.title || "Maximo results"}": ${m.table.rows?.length || 0} rows)` : m.text,
+    }));
+  }
+
+  /** Most recent Maximo table in the session, or null. */
+  async function latestTable(id, { owner } = {}) {
+    checkId(id);
+    const s = await backend.get(id);
+    if (!visible(s, owner)) return null;
+    for (let i = (s?.messages.length || 0) - 1; i >= 0; i--) if (s.messages[i].table) return s.messages[i].table;
+    return null;
+  }
+
+  return { list, get, create, rename, remove, append, history, latestTable };
+}
@@ -0,0 +1,329 @@
+import fs from "fs/promises";
+import path from "path";
+import { z } from "zod";
+import { PROVIDER_IDS } from "./providers/index.mjs";
+
+/**
+ * settings.mjs
+ *
+ * PVC-backed settings store for the AI Agent app.
+ * - The file lives at SETTINGS_FILE (default /opt/app-root/settings/settings.json).
+ * - Env/Secret values override file values when read and are never written back to disk.
+ * - Writes are serialised, atomic (tmp file + rename) and versioned so a stale
+ *   client cannot overwrite a newer save (optimistic concurrency via If-Match / version).
+ */
+
+export const SECRET_MASK = "********";
+
+const SECRET_KEYS = new Set(["apiKey", "password", "clientSecret"]);
+// Fields that decide where the secrets next to them are sent.
+const URL_KEYS = ["baseUrl", "url"];
+
+// -----------------------------
+// Validation
+// -----------------------------
+const ProviderSettingsSchema = z
+  .object({
+    apiKey: z.string().optional(),
+    baseUrl: z.string().optional(),
+    projectId: z.string().optional(),
+    models: z.array(z.string()).optional(),
+  })
+  .passthrough();
+
+export const SettingsSchema = z
+  .object({
+    ui: z
+      .object({ theme: z.string().optional(), mode: z.enum(["ai", "maximo"]).optional() })
+      .passthrough()
+      .default({}),
+    ai: z
+      .object({
+        provider: z.enum(PROVIDER_IDS).optional(),
+        model: z.string().optional(),
+        system: z.string().optional(),
+        temperature: z.coerce.number().min(0).max(2).optional(),
+      })
+      .passthrough()
+      .default({}),
+    providers: z.record(ProviderSettingsSchema).default({}),
+    maximo: z
+      .object({
+        baseUrl: z.string().optional(),
+        apiKey: z.string().optional(),
+        defaultTenant: z.string().optional(),
+        defaultSite: z.string().optional(),
+        objectStructure: z.string().optional(),
+      })
+      .passthrough()
+      .default({}),
+    mcp: z
+      .object({ url: z.string().optional(), enableTools: z.boolean().optional() })
+      .passthrough()
+      .default({}),
+  })
+  .passthrough();
+
+// -----------------------------
+// Env / Secret overrides
+// -----------------------------
+// [settings path, env names (first non-empty wins), value type]
+// Empty env values do not override: the README asks for empty keys for unused providers.
+const ENV_OVERRIDES = [
+  ["providers.openai.apiKey", ["OPENAI_API_KEY", "OPENAI_KEY"]],
+  ["providers.openai.baseUrl", ["OPENAI_BASE_URL", "OPENAI_BASE"]],
+  ["providers.anthropic.apiKey", ["ANTHROPIC_API_KEY"]],
+  ["providers.anthropic.baseUrl", ["ANTHROPIC_BASE_URL", "ANTHROPIC_BASE"]],
+  ["providers.gemini.apiKey", ["GEMINI_API_KEY"]],
+  ["providers.gemini.baseUrl", ["GEMINI_BASE_URL", "GEMINI_BASE"]],
+  ["providers.mistral.apiKey", ["MISTRAL_API_KEY"]],
+  ["providers.mistral.baseUrl", ["MISTRAL_BASE_URL", "MISTRAL_BASE"]],
+  ["providers.deepseek.apiKey", ["DEEPSEEK_API_KEY"]],
+  ["providers.deepseek.baseUrl", ["DEEPSEEK_BASE_URL", "DEEPSEEK_BASE"]],
+  ["providers.watsonx.apiKey", ["WATSONX_API_KEY"]],
+  ["providers.watsonx.baseUrl", ["WATSONX_BASE_URL", "WATSONX_BASE"]],
+  ["providers.watsonx.projectId", ["WATSONX_PROJECT", "WATSONX_PROJECT_ID"]],
+  ["maximo.baseUrl", ["MAXIMO_URL"]],
+  ["maximo.apiKey", ["MAXIMO_APIKEY"]],
+  ["maximo.defaultSite", ["DEFAULT_SITEID"]],
+  ["maximo.defaultTenant", ["DEFAULT_TENANT", "MAXIMO_TENANT"]],
+  ["mcp.url", ["MCP_SERVER_URL", "MCP_URL", "MCP_ENDPOINT"]],
+  ["mcp.enableTools", ["ENABLE_MCP_TOOLS"], "boolean"],
+];
+
+function envOverrides(env) {
+  const out = [];
+  for (const [p, names, type] of ENV_OVERRIDES) {
+    const name = names.find((n) => String(env[n] ?? "").trim() !== "");
+    if (!name) continue;
+    const raw = String(env[name]).trim();
+    const value = type === "boolean" ? ["1", "true", "yes", "on"].includes(raw.toLowerCase()) : raw;
+    out.push({ path: p, env: name, value });
+  }
+  return out;
+}
+
+// -----------------------------
+// Helpers
+// -----------------------------
+function clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+function getPath(obj, p) {
+  return p.split(".").reduce((cur, k) => (cur == null ? undefined : cur[k]), obj);
+}
+
+function setPath(obj, p, value) {
+  if (value === undefined && getPath(obj, p) === undefined) return;
+  const keys = p.split(".");
+  let cur = obj;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (!cur[keys[i]] || typeof cur[keys[i]] !== "object") cur[keys[i]] = {};
+    cur = cur[keys[i]];
+  }
+  if (value === undefined) delete cur[keys[keys.length - 1]];
+  else cur[keys[keys.length - 1]] = value;
+}
+
+/** Replace every non-empty secret value with SECRET_MASK (deep). */
+export function maskSecrets(v) {
+  if (Array.isArray(v)) return v.map(maskSecrets);
+  if (!v || typeof v !== "object") return v;
+  const out = {};
+  for (const [k, val] of Object.entries(v)) {
+    out[k] = SECRET_KEYS.has(k) && typeof val === "string" && val ? SECRET_MASK : maskSecrets(val);
+  }
+  return out;
+}
+
+/**
+ * Put back stored secrets wherever the client echoed SECRET_MASK.
+ * Array items are matched by id when they have one so reordering rows does not swap credentials.
+ */
+function restoreMaskedSecrets(next, prev) {
+  if (Array.isArray(next)) {
+    const byId = new Map((Array.isArray(prev) ? prev : []).map((x, i) => [x?.id ?? i, x]));
+    return next.map((x, i) => restoreMaskedSecrets(x, byId.get(x?.id ?? i)));
+  }
+  if (!next || typeof next !== "object") return next;
+  const out = {};
+  for (const [k, val] of Object.entries(next)) {
+    if (SECRET_KEYS.has(k) && val === SECRET_MASK) {
+      const old = prev && typeof prev === "object" ? prev[k] : undefined;
+      if (old !== undefined) out[k] = old;
+      continue;
+    }
+    out[k] = restoreMaskedSecrets(val, prev && typeof prev === "object" ? prev[k] : undefined);
+  }
+  return out;
+}
+
+/**
+ * Refuse a save that moves a URL while keeping the secret next to it: a stored secret (or one from
+ * env) was given for the old endpoint and must be entered again before it follows a new one.
+ * `shown` is what the client was given (env overrides applied); URLs set from env cannot move here.
+ */
+function checkSecretsFollowUrls(next, shown, overridden, at = "") {
+  if (Array.isArray(next)) {
+    const byId = new Map((Array.isArray(shown) ? shown : []).map((x, i) => [x?.id ?? i, x]));
+    next.forEach((x, i) => checkSecretsFollowUrls(x, byId.get(x?.id ?? i), overridden, `${at}${i}.`));
+    return;
+  }
+  if (!next || typeof next !== "object") return;
+  const old = shown && typeof shown === "object" ? shown : {};
+  const moved = URL_KEYS.find((k) => !overridden.has(`${at}${k}`) && (next[k] ?? "") !== (old[k] ?? ""));
+  for (const k of moved ? SECRET_KEYS : []) {
+    const p = `${at}${k}`;
+    if (overridden.has(p)) {
+      throw settingsError(400, "secret_required", `${p} comes from the environment; change ${at}${moved} there too`, {
+        details: { path: p },
+      });
+    }
+    if (next[k] === SECRET_MASK && old[k]) {
+      throw settingsError(400, "secret_required", `${at}${moved} changed; enter ${p} again`, { details: { path: p } });
+    }
+  }
+  for (const [k, val] of Object.entries(next)) {
+    if (!SECRET_KEYS.has(k)) checkSecretsFollowUrls(val, old[k], overridden, `${at}${k}.`);
+  }
+}
+
+function settingsError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+// -----------------------------
+// Store
+// -----------------------------
+export function defaultSettingsFile(env = process.env) {
+  if (env.SETTINGS_FILE) return env.SETTINGS_FILE;
+  if (env.DATA_DIR) return path.join(env.DATA_DIR, "settings.json");
+  return "/opt/app-root/settings/settings.json";
+}
+
+/**
+ * createSettingsStore({ file, env })
+ *
+ * File format is the plain settings object (as in the README) plus a `_meta`
+ * block ({ version, updatedAt }) maintained by the store.
+ */
+export function createSettingsStore({ file = defaultSettingsFile(), env = process.env } = {}) {
+  let chain = Promise.resolve();
+
+  // Serialise writers in this process; the version check covers other writers.
+  function withLock(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function readFileState() {
+    let raw;
+    try {
+      raw = await fs.readFile(file, "utf8");
+    } catch (e) {
+      if (e?.code === "ENOENT") return { version: 0, updatedAt: null, settings: SettingsSchema.parse({}) };
+      throw e;
+    }
+
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch (e) {
+      throw settingsError(500, "settings_corrupt", `Settings file ${file} is not valid JSON: ${e.message}`);
+    }
+
+    const { _meta, ...rest } = json && typeof json === "object" ? json : {};
+    const parsed = SettingsSchema.safeParse(rest);
+    if (!parsed.success) {
+      throw settingsError(500, "settings_invalid", `Settings file ${file} failed validation`, {
+        details: parsed.error.flatten(),
+      });
+    }
+    return {
+      version: Number(_meta?.version) || 0,
+      updatedAt: _meta?.updatedAt || null,
+      settings: parsed.data,
+    };
+  }
+
+  async function writeFileState(state) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const body = JSON.stringify(
+      { ...state.settings, _meta: { version: state.version, updatedAt: state.updatedAt } },
+      null,
+      2
+    );
+    await fs.writeFile(tmp, body + "\n", { encoding: "utf8", mode: 0o600 });
+    try {
+      await fs.rename(tmp, file);
+    } catch (e) {
+      await fs.rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  /** Settings as stored on disk, with env/Secret overrides applied (unmasked; server use only). */
+  async function getEffective() {
+    const state = await readFileState();
+    const settings = clone(state.settings);
+    const overrides = envOverrides(env);
+    for (const o of overrides) setPath(settings, o.path, o.value);
+    return {
+      version: state.version,
+      updatedAt: state.updatedAt,
+      settings,
+      overridden: overrides.map((o) => o.path),
+    };
+  }
+
+  /** Effective settings safe to send to the browser (secrets masked). */
+  async function getPublic() {
+    const eff = await getEffective();
+    return { ...eff, settings: maskSecrets(eff.settings) };
+  }
+
+  /**
+   * Validate and persist `incoming`.
+   * - expectedVersion (optional): reject with 409 if the file has moved on.
+   * - Overridden paths keep their on-disk value, so Secret values never reach the file.
+   * - Masked secrets keep their previously stored value, unless the URL next to them changed.
+   */
+  function save(incoming, { expectedVersion } = {}) {
+    return withLock(async () => {
+      const current = await readFileState();
+
+      if (expectedVersion != null && Number(expectedVersion) !== current.version) {
+        throw settingsError(409, "version_conflict", "Settings were changed by someone else; reload and retry", {
+          currentVersion: current.version,
+        });
+      }
+
+      const { _meta, ...body } = incoming && typeof incoming === "object" ? incoming : {};
+      const parsed = SettingsSchema.safeParse(body);
+      if (!parsed.success) {
+        throw settingsError(400, "invalid_settings", "Invalid settings", { details: parsed.error.flatten() });
+      }
+
+      const overrides = envOverrides(env);
+      const shown = clone(current.settings);
+      for (const o of overrides) setPath(shown, o.path, o.value);
+      checkSecretsFollowUrls(parsed.data, shown, new Set(overrides.map((o) => o.path)));
+
+      const next = restoreMaskedSecrets(parsed.data, current.settings);
+      for (const o of overrides) setPath(next, o.path, clone(getPath(current.settings, o.path)));
+
+      const state = { version: current.version + 1, updatedAt: new Date().toISOString(), settings: next };
+      await writeFileState(state);
+      return state;
+    });
+  }
+
+  return { file, getEffective, getPublic, save };
+}
@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import { after, before, test } from "node:test";
+import { createAuth } from "../src/auth.mjs";
+import { createAuth as createMcpAuth } from "../../mcp-server/auth.mjs";
+import { sendJson, standIn } from "../../mcp-server/test/stand-in.mjs";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const ROLES = { ops: { tenants: ["prod"], tools: ["maximo.queryOS"] } };
+
+let idp;
+let app;
+let server;
+const codes = new Map(); // code -> { challenge, nonce }
+let opaque = false; // answer the token request with an opaque access token and no ID token
+let userinfo = null; // claims /userinfo answers with, or null for 401
+
+const authEnv = () => ({ OIDC_ISSUER: idp.url, OIDC_CLIENT_ID: "agent", ROLE_MAPPING_JSON: JSON.stringify(ROLES) });
+
+function jwt(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: "RS256", kid: "k1", typ: "JWT" })).toString("base64url");
+  const payload = Buffer.from(JSON.stringify({ iss: idp.url, aud: "agent", sub: "u-alice", exp: now + 300, ...claims })).toString("base64url");
+  return `${header}.${payload}.${crypto.sign("sha256", Buffer.from(`${header}.${payload}`), privateKey).toString("base64url")}`;
+}
+
+before(async () => {
+  idp = await standIn((req, res, body) => {
+    const url = new URL(req.url, idp.url);
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, {
+        issuer: idp.url,
+        authorization_endpoint: `${idp.url}/authorize`,
+        token_endpoint: `${idp.url}/token`,
+        jwks_uri: `${idp.url}/jwks`,
+        userinfo_endpoint: `${idp.url}/userinfo`,
+      });
+    }
+    if (url.pathname === "/jwks") return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid: "k1", use: "sig" }] });
+    if (url.pathname === "/token") {
+      const form = new URLSearchParams(body);
+      const login = codes.get(form.get("code"));
+      const challenge = crypto.createHash("sha256").update(form.get("code_verifier") || "").digest("base64url");
+      if (!login || login.challenge !== challenge) return sendJson(res, 400, { error: "invalid_grant" });
+      if (opaque) return sendJson(res, 200, { access_token: "opaque-access-token", expires_in: 300 });
+      const user = { preferred_username: "alice", roles: ["ops"] };
+      return sendJson(res, 200, { access_token: jwt(user), id_token: jwt({ ...user, nonce: login.nonce }), expires_in: 300 });
+    }
+    if (url.pathname === "/userinfo") {
+      const ok = userinfo && req.headers.authorization === "Bearer opaque-access-token";
+      return ok ? sendJson(res, 200, userinfo) : sendJson(res, 401, { error: "invalid_token" });
+    }
+    sendJson(res, 404, {});
+  });
+
+  const auth = createAuth({ env: authEnv(), log: () => {} });
+  const web = express();
+  web.use(auth.authenticate);
+  auth.routes(web);
+  web.get("/api/private", auth.requireUser, (req, res) => res.json({ name: req.user.name, permissions: req.user.permissions }));
+  await new Promise((resolve) => (server = web.listen(0, "127.0.0.1", resolve)));
+  app = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await idp.close();
+});
+
+// /auth/login, the provider's redirect (answered here) and /auth/callback: the callback response.
+async function signIn({ nonce, returnTo = "/chat" } = {}) {
+  const login = await fetch(`${app}/auth/login?returnTo=${encodeURIComponent(returnTo)}`, { redirect: "manual" });
+  const authorize = new URL(login.headers.get("location"));
+  assert.equal(authorize.origin + authorize.pathname, `${idp.url}/authorize`);
+  assert.equal(authorize.searchParams.get("code_challenge_method"), "S256");
+  const code = crypto.randomUUID();
+  codes.set(code, { challenge: authorize.searchParams.get("code_challenge"), nonce: nonce ?? authorize.searchParams.get("nonce") });
+  return fetch(`${app}/auth/callback?code=${code}&state=${authorize.searchParams.get("state")}`, { redirect: "manual" });
+}
+
+test("the browser flow signs in with PKCE and sets a session cookie", async () => {
+  const callback = await signIn();
+  assert.equal(callback.status, 302);
+  assert.equal(callback.headers.get("location"), "/chat");
+  const cookie = callback.headers.get("set-cookie").split(";")[0];
+  assert.match(callback.headers.get("set-cookie"), /HttpOnly/);
+
+  const me = await (await fetch(`${app}/auth/me`, { headers: { cookie } })).json();
+  assert.equal(me.user.name, "alice");
+  assert.equal(me.user.sub, "u-alice");
+  assert.deepEqual(me.user.permissions.tenants, ["prod"]);
+  assert.equal(me.user.token, undefined);
+});
+
+test("an ID token with another nonce is refused", async () => {
+  const callback = await signIn({ nonce: "replayed" });
+  assert.equal(callback.status, 401);
+  assert.equal((await callback.json()).code, "invalid_token");
+});
+
+test("an opaque access token signs in with the subject from userinfo", async () => {
+  opaque = true;
+  userinfo = { sub: "u-carol", preferred_username: "carol" };
+  try {
+    const callback = await signIn();
+    assert.equal(callback.status, 302);
+    const cookie = callback.headers.get("set-cookie").split(";")[0];
+    const me = await (await fetch(`${app}/auth/me`, { headers: { cookie } })).json();
+    assert.equal(me.user.sub, "u-carol");
+    assert.equal(me.user.name, "carol");
+
+    userinfo = null;
+    const refused = await signIn();
+    assert.equal(refused.status, 502);
+    assert.equal(refused.headers.get("set-cookie"), null);
+
+    userinfo = { preferred_username: "nobody" };
+    const anonymous = await signIn();
+    assert.equal(anonymous.status, 401);
+    assert.equal((await anonymous.json()).code, "login_failed");
+  } finally {
+    opaque = false;
+    userinfo = null;
+  }
+});
+
+test("a callback with an unknown state is refused", async () => {
+  const r = await fetch(`${app}/auth/callback?code=x&state=unknown`, { redirect: "manual" });
+  assert.equal(r.status, 400);
+  assert.equal((await r.json()).code, "login_expired");
+});
+
+test("returnTo only accepts paths on this site", async () => {
+  for (const returnTo of ["//evil.example", "https://evil.example/x"]) {
+    assert.equal((await signIn({ returnTo })).headers.get("location"), "/");
+  }
+});
+
+test("API callers use a bearer token from the same provider", async () => {
+  const good = await fetch(`${app}/api/private`, { headers: { authorization: `Bearer ${jwt({ preferred_username: "bob" })}` } });
+  assert.equal((await good.json()).name, "bob");
+
+  const noSubject = await fetch(`${app}/api/private`, { headers: { authorization: `Bearer ${jwt({ sub: undefined })}` } });
+  assert.equal(noSubject.status, 401);
+
+  const wrongAudience = await fetch(`${app}/api/private`, { headers: { authorization: `Bearer ${jwt({ aud: "other" })}` } });
+  assert.equal(wrongAudience.status, 401);
+  assert.equal((await wrongAudience.json()).code, "invalid_token");
+
+  const none = await fetch(`${app}/api/private`);
+  assert.equal(none.status, 401);
+  assert.equal((await none.json()).code, "unauthenticated");
+});
+
+test("the MCP server names and permits a bearer user like the app", async () => {
+  const token = jwt({ name: "Alice Example", preferred_username: "alice", email: "alice@example.com", roles: ["ops"] });
+  const here = await (await fetch(`${app}/api/private`, { headers: { authorization: `Bearer ${token}` } })).json();
+
+  const mcp = createMcpAuth({ env: authEnv(), log: () => {} });
+  const req = { get: (name) => (name === "authorization" ? `Bearer ${token}` : undefined) };
+  await new Promise((resolve, reject) => mcp.authenticate(req, { set: () => {}, status: () => ({ json: reject }) }, resolve));
+  assert.equal(req.user.name, "alice");
+  assert.equal(req.user.name, here.name);
+  assert.deepEqual(req.user.permissions, here.permissions);
+});
@@ -0,0 +1,350 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { chat, stream } from "../src/providers/index.mjs";
+import { sendJson, standIn } from "../../mcp-server/test/stand-in.mjs";
+
+// One stand-in answers for every vendor; each test sets how it replies.
+let vendor;
+let reply = null; // (req, res, body) for the next request; body is parsed when it is JSON
+
+before(async () => {
+  vendor = await standIn((req, res, body) => {
+    const json = String(req.headers["content-type"] || "").includes("application/json");
+    return reply(req, res, json ? JSON.parse(body || "{}") : body);
+  });
+});
+
+after(() => vendor.close());
+
+const config = () => ({ apiKey: "sk-test", baseUrl: `${vendor.url}/v1` });
+const tools = [{ name: "maximo.queryOS", description: "Query", parameters: { type: "object", properties: {} } }];
+const sentBody = () => JSON.parse(vendor.requests.at(-1).body);
+
+// A finished tool round: the model asked for maximo.queryOS and got its result.
+const toolRound = [
+  { role: "user", content: "open work orders?" },
+  { role: "assistant", content: "", toolCalls: [{ id: "c1", name: "maximo.queryOS", arguments: { os: "mxwo" } }] },
+  { role: "tool", toolCallId: "c1", name: "maximo.queryOS", content: "{\"member\":[]}" },
+];
+
+async function collect(events) {
+  const out = [];
+  for await (const ev of events) out.push(ev);
+  return out;
+}
+
+function sse(res, chunks) {
+  res.writeHead(200, { "content-type": "text/event-stream" });
+  for (const c of chunks) res.write(`data: ${typeof c === "string" ? c : JSON.stringify(c)}\n\n`);
+  res.end();
+}
+
+// -----------------------------
+// Chat Completions (Mistral, DeepSeek)
+// -----------------------------
+test("chat sends the conversation and maps tool names both ways", async () => {
+  let sent;
+  reply = (req, res, body) => {
+    sent = { headers: req.headers, url: req.url, body };
+    sendJson(res, 200, {
+      model: "mistral-small",
+      choices: [{
+        finish_reason: "tool_calls",
+        message: { content: "", tool_calls: [{ id: "c1", function: { name: "maximo_queryOS", arguments: "{\"os\":\"mxwo\"}" } }] },
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 3 },
+    });
+  };
+  const r = await chat("mistral", { config: config(), model: "mistral-small", system: "Be brief", messages: [{ role: "user", content: "hi" }], tools });
+  assert.equal(sent.url, "/v1/chat/completions");
+  assert.equal(sent.headers.authorization, "Bearer sk-test");
+  assert.deepEqual(sent.body.messages, [{ role: "system", content: "Be brief" }, { role: "user", content: "hi" }]);
+  assert.equal(sent.body.tools[0].function.name, "maximo_queryOS");
+  assert.deepEqual(r.toolCalls, [{ id: "c1", name: "maximo.queryOS", arguments: { os: "mxwo" } }]);
+  assert.deepEqual(r.usage, { inputTokens: 12, outputTokens: 3 });
+});
+
+test("stream yields text deltas and assembles tool calls", async () => {
+  reply = (req, res) =>
+    sse(res, [
+      { model: "m", choices: [{ delta: { content: "Hel" } }] },
+      { choices: [{ delta: { content: "lo" } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: "c1", function: { name: "maximo_queryOS", arguments: "{\"os\":" } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: "\"mxwo\"}" } }] }, finish_reason: "tool_calls" }] },
+      "[DONE]",
+    ]);
+  const events = await collect(stream("mistral", { config: config(), model: "m", messages: [{ role: "user", content: "hi" }], tools }));
+  assert.deepEqual(events.filter((e) => e.type === "text").map((e) => e.delta), ["Hel", "lo"]);
+  const { result } = events.at(-1);
+  assert.equal(result.text, "Hello");
+  assert.equal(result.finishReason, "tool_calls");
+  assert.deepEqual(result.toolCalls, [{ id: "c1", name: "maximo.queryOS", arguments: { os: "mxwo" } }]);
+  assert.equal(sentBody().stream, true);
+});
+
+test("mistral streams read usage from the last chunk without asking for it", async () => {
+  reply = (req, res) =>
+    sse(res, [
+      { model: "m", choices: [{ delta: { content: "Hi" } }] },
+      { model: "m", choices: [{ delta: {}, finish_reason: "stop" }], usage: { prompt_tokens: 20, completion_tokens: 2, total_tokens: 22 } },
+      "[DONE]",
+    ]);
+  const events = await collect(stream("mistral", { config: config(), model: "m", messages: [{ role: "user", content: "hi" }] }));
+  assert.equal(sentBody().stream_options, undefined);
+  assert.deepEqual(events.at(-1).result.usage, { inputTokens: 20, outputTokens: 2 });
+});
+
+test("deepseek streams ask for usage and read it from the chunk without choices", async () => {
+  reply = (req, res) =>
+    sse(res, [
+      { model: "deepseek-chat", choices: [{ delta: { content: "Hi" }, finish_reason: "stop" }] },
+      { model: "deepseek-chat", choices: [], usage: { prompt_tokens: 20, completion_tokens: 2, total_tokens: 22 } },
+      "[DONE]",
+    ]);
+  const events = await collect(stream("deepseek", { config: config(), model: "deepseek-chat", messages: [{ role: "user", content: "hi" }] }));
+  assert.deepEqual(sentBody().stream_options, { include_usage: true });
+  assert.deepEqual(events.at(-1).result.usage, { inputTokens: 20, outputTokens: 2 });
+});
+
+// -----------------------------
+// OpenAI Responses
+// -----------------------------
+test("openai sends Responses input items and reads function calls", async () => {
+  reply = (req, res) =>
+    sendJson(res, 200, {
+      model: "gpt-4o-mini",
+      status: "completed",
+      output: [
+        { type: "message", content: [{ type: "output_text", text: "Checking" }] },
+        { type: "function_call", call_id: "c2", name: "maximo_queryOS", arguments: "{\"os\":\"mxasset\"}" },
+      ],
+      usage: { input_tokens: 30, output_tokens: 5 },
+    });
+  const r = await chat("openai", { config: config(), model: "gpt-4o-mini", system: "Be brief", messages: toolRound, tools });
+  const sent = vendor.requests.at(-1);
+  assert.equal(sent.url, "/v1/responses");
+  assert.equal(sent.headers.authorization, "Bearer sk-test");
+  const body = sentBody();
+  assert.equal(body.instructions, "Be brief");
+  assert.deepEqual(body.input.slice(1), [
+    { type: "function_call", call_id: "c1", name: "maximo_queryOS", arguments: "{\"os\":\"mxwo\"}" },
+    { type: "function_call_output", call_id: "c1", output: "{\"member\":[]}" },
+  ]);
+  assert.deepEqual(body.tools[0], { type: "function", name: "maximo_queryOS", description: "Query", parameters: tools[0].parameters });
+  assert.equal(r.text, "Checking");
+  assert.deepEqual(r.toolCalls, [{ id: "c2", name: "maximo.queryOS", arguments: { os: "mxasset" } }]);
+  assert.deepEqual(r.usage, { inputTokens: 30, outputTokens: 5 });
+});
+
+test("openai stream yields text deltas and the completed response", async () => {
+  reply = (req, res) =>
+    sse(res, [
+      { type: "response.output_text.delta", delta: "Hel" },
+      { type: "response.output_text.delta", delta: "lo" },
+      {
+        type: "response.completed",
+        response: {
+          status: "completed",
+          output: [{ type: "message", content: [{ type: "output_text", text: "Hello" }] }],
+          usage: { input_tokens: 9, output_tokens: 2 },
+        },
+      },
+    ]);
+  const events = await collect(stream("openai", { config: config(), model: "m", messages: [{ role: "user", content: "hi" }] }));
+  assert.equal(sentBody().stream, true);
+  assert.deepEqual(events.filter((e) => e.type === "text").map((e) => e.delta), ["Hel", "lo"]);
+  assert.equal(events.at(-1).result.text, "Hello");
+  assert.deepEqual(events.at(-1).result.usage, { inputTokens: 9, outputTokens: 2 });
+});
+
+test("openai reports a failed response as an error", async () => {
+  reply = (req, res) => sse(res, [{ type: "response.failed", response: { error: { message: "quota" } } }]);
+  await assert.rejects(collect(stream("openai", { config: config(), model: "m", messages: [] })), { code: "upstream_error", message: "openai: quota" });
+});
+
+// -----------------------------
+// Anthropic Messages
+// -----------------------------
+test("anthropic sends tool results as user blocks and reads tool_use", async () => {
+  reply = (req, res) =>
+    sendJson(res, 200, {
+      model: "claude-test",
+      stop_reason: "tool_use",
+      content: [{ type: "text", text: "Let me look" }, { type: "tool_use", id: "t2", name: "maximo_queryOS", input: { os: "mxasset" } }],
+      usage: { input_tokens: 40, output_tokens: 7 },
+    });
+  const r = await chat("anthropic", { config: config(), model: "claude-test", system: "Be brief", temperature: 1.5, messages: toolRound, tools });
+  const sent = vendor.requests.at(-1);
+  assert.equal(sent.url, "/v1/messages");
+  assert.equal(sent.headers["x-api-key"], "sk-test");
+  assert.ok(sent.headers["anthropic-version"]);
+  const body = sentBody();
+  assert.equal(body.system, "Be brief");
+  assert.equal(body.temperature, 1);
+  assert.deepEqual(body.messages.at(-1), { role: "user", content: [{ type: "tool_result", tool_use_id: "c1", content: "{\"member\":[]}" }] });
+  assert.deepEqual(body.tools[0], { name: "maximo_queryOS", description: "Query", input_schema: tools[0].parameters });
+  assert.deepEqual(r.toolCalls, [{ id: "t2", name: "maximo.queryOS", arguments: { os: "mxasset" } }]);
+  assert.equal(r.finishReason, "tool_use");
+  assert.deepEqual(r.usage, { inputTokens: 40, outputTokens: 7 });
+});
+
+test("anthropic stream rebuilds text, tool input and usage from the events", async () => {
+  reply = (req, res) =>
+    sse(res, [
+      { type: "message_start", message: { model: "claude-test", usage: { input_tokens: 12, output_tokens: 1 } } },
+      { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+      { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "On it" } },
+      { type: "content_block_stop", index: 0 },
+      { type: "content_block_start", index: 1, content_block: { type: "tool_use", id: "t1", name: "maximo_queryOS", input: {} } },
+      { type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: "{\"os\":" } },
+      { type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: "\"mxwo\"}" } },
+      { type: "content_block_stop", index: 1 },
+      { type: "message_delta", delta: { stop_reason: "tool_use" }, usage: { output_tokens: 15 } },
+      { type: "message_stop" },
+    ]);
+  const events = await collect(stream("anthropic", { config: config(), model: "claude-test", messages: [{ role: "user", content: "hi" }], tools }));
+  assert.equal(sentBody().stream, true);
+  assert.deepEqual(events.filter((e) => e.type === "text").map((e) => e.delta), ["On it"]);
+  const { result } = events.at(-1);
+  assert.equal(result.text, "On it");
+  assert.deepEqual(result.toolCalls, [{ id: "t1", name: "maximo.queryOS", arguments: { os: "mxwo" } }]);
+  assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 15 });
+});
+
+test("an anthropic overloaded event is retryable", async () => {
+  reply = (req, res) => sse(res, [{ type: "error", error: { type: "overloaded_error", message: "Overloaded" } }]);
+  await assert.rejects(collect(stream("anthropic", { config: config(), model: "m", messages: [] })), { code: "unavailable", retryable: true });
+});
+
+// -----------------------------
+// Gemini
+// -----------------------------
+test("gemini sends contents with function responses and numbers the calls", async () => {
+  reply = (req, res) =>
+    sendJson(res, 200, {
+      modelVersion: "gemini-test",
+      candidates: [{ finishReason: "STOP", content: { parts: [{ functionCall: { name: "maximo_queryOS", args: { os: "mxasset" } } }] } }],
+      usageMetadata: { promptTokenCount: 50, candidatesTokenCount: 4 },
+    });
+  const r = await chat("gemini", { config: config(), model: "gemini-test", system: "Be brief", messages: toolRound, tools });
+  const sent = vendor.requests.at(-1);
+  assert.equal(sent.url, "/v1/models/gemini-test:generateContent");
+  assert.equal(sent.headers["x-goog-api-key"], "sk-test");
+  const body = sentBody();
+  assert.deepEqual(body.systemInstruction, { parts: [{ text: "Be brief" }] });
+  assert.deepEqual(body.contents.slice(1), [
+    { role: "model", parts: [{ functionCall: { name: "maximo_queryOS", args: { os: "mxwo" } } }] },
+    { role: "user", parts: [{ functionResponse: { name: "maximo_queryOS", response: { member: [] } } }] },
+  ]);
+  assert.equal(body.tools[0].functionDeclarations[0].name, "maximo_queryOS");
+  assert.deepEqual(r.toolCalls, [{ id: "call_0", name: "maximo.queryOS", arguments: { os: "mxasset" } }]);
+  assert.deepEqual(r.usage, { inputTokens: 50, outputTokens: 4 });
+});
+
+test("gemini stream joins text chunks and keeps the last usage", async () => {
+  reply = (req, res) =>
+    sse(res, [
+      { candidates: [{ content: { parts: [{ text: "Hel" }] } }], usageMetadata: { promptTokenCount: 8 } },
+      { candidates: [{ content: { parts: [{ text: "lo" }] }, finishReason: "STOP" }], usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 2 } },
+    ]);
+  const events = await collect(stream("gemini", { config: config(), model: "gemini-test", messages: [{ role: "user", content: "hi" }] }));
+  assert.equal(vendor.requests.at(-1).url, "/v1/models/gemini-test:streamGenerateContent?alt=sse");
+  assert.deepEqual(events.filter((e) => e.type === "text").map((e) => e.delta), ["Hel", "lo"]);
+  const { result } = events.at(-1);
+  assert.equal(result.text, "Hello");
+  assert.equal(result.finishReason, "STOP");
+  assert.deepEqual(result.usage, { inputTokens: 8, outputTokens: 2 });
+});
+
+test("a blocked gemini prompt is a bad request", async () => {
+  reply = (req, res) => sendJson(res, 200, { promptFeedback: { blockReason: "SAFETY" } });
+  await assert.rejects(chat("gemini", { config: config(), model: "m", messages: [] }), { code: "bad_request", status: 400 });
+});
+
+// -----------------------------
+// watsonx
+// -----------------------------
+const watsonx = () => ({ apiKey: "ibm-key", baseUrl: vendor.url, iamUrl: `${vendor.url}/iam`, projectId: "p1" });
+
+function watsonxReply(answer) {
+  return (req, res, body) => {
+    if (req.url === "/iam") return sendJson(res, 200, { access_token: "iam-token", expires_in: 3600 });
+    if (req.headers.authorization !== "Bearer iam-token") return sendJson(res, 401, { errors: [{ message: "bad token" }] });
+    answer(req, res, body);
+  };
+}
+
+test("watsonx exchanges the key for an IAM token once and sends the project", async () => {
+  reply = watsonxReply((req, res) =>
+    sendJson(res, 200, {
+      model: "granite",
+      choices: [{ message: { content: "Hi" }, finish_reason: "stop" }],
+      usage: { prompt_tokens: 6, completion_tokens: 1 },
+    }),
+  );
+  const count = vendor.requests.length;
+  const r = await chat("watsonx", { config: watsonx(), model: "granite", messages: [{ role: "user", content: "hi" }] });
+  const [iam, call] = vendor.requests.slice(count);
+  assert.equal(new URLSearchParams(iam.body).get("apikey"), "ibm-key");
+  assert.match(call.url, /^\/ml\/v1\/text\/chat\?version=/);
+  assert.equal(JSON.parse(call.body).project_id, "p1");
+  assert.equal(JSON.parse(call.body).model_id, "granite");
+  assert.equal(r.text, "Hi");
+  assert.deepEqual(r.usage, { inputTokens: 6, outputTokens: 1 });
+
+  await chat("watsonx", { config: watsonx(), model: "granite", messages: [{ role: "user", content: "again" }] });
+  assert.equal(vendor.requests.filter((x) => x.url === "/iam").length, 1);
+});
+
+test("watsonx stream reads Chat Completions chunks", async () => {
+  reply = watsonxReply((req, res) =>
+    sse(res, [
+      { model: "granite", choices: [{ delta: { content: "Hel" } }] },
+      { choices: [{ delta: { content: "lo" }, finish_reason: "stop" }], usage: { prompt_tokens: 6, completion_tokens: 2 } },
+    ]),
+  );
+  const events = await collect(stream("watsonx", { config: watsonx(), model: "granite", messages: [{ role: "user", content: "hi" }] }));
+  assert.match(vendor.requests.at(-1).url, /^\/ml\/v1\/text\/chat_stream\?/);
+  assert.equal(events.at(-1).result.text, "Hello");
+  assert.deepEqual(events.at(-1).result.usage, { inputTokens: 6, outputTokens: 2 });
+});
+
+test("watsonx without a project fails before anything is sent", async () => {
+  const count = vendor.requests.length;
+  await assert.rejects(chat("watsonx", { config: { ...watsonx(), projectId: undefined }, model: "granite", messages: [] }), {
+    code: "config_missing",
+    status: 400,
+  });
+  assert.equal(vendor.requests.length, count);
+});
+
+// -----------------------------
+// Errors
+// -----------------------------
+for (const [status, code, ourStatus] of [
+  [401, "auth_failed", 502],
+  [404, "model_not_found", 400],
+  [429, "rate_limited", 429],
+  [503, "unavailable", 502],
+]) {
+  test(`a vendor ${status} becomes ${code}`, async () => {
+    reply = (req, res) => sendJson(res, status, { error: { message: "nope" } });
+    await assert.rejects(chat("mistral", { config: config(), model: "m", messages: [] }), {
+      code,
+      status: ourStatus,
+      upstreamStatus: status,
+      message: "mistral: nope",
+    });
+  });
+}
+
+test("a vendor that does not answer in time is a timeout", async () => {
+  reply = (req, res) => setTimeout(() => sendJson(res, 200, {}), 500);
+  await assert.rejects(chat("mistral", { config: config(), model: "m", messages: [], timeoutMs: 100 }), { code: "timeout", status: 504 });
+});
+
+test("a missing API key fails before anything is sent", async () => {
+  const count = vendor.requests.length;
+  await assert.rejects(chat("mistral", { config: { baseUrl: `${vendor.url}/v1` }, model: "m", messages: [] }));
+  assert.equal(vendor.requests.length, count);
+});
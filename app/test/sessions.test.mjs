@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createMemorySessionBackend, createSessionStore } from "../src/sessions.mjs";
+
+const user = { role: "user", text: "list open work orders", source: "ai" };
+
+test("with sign-in on, sessions are visible to their owner only", async () => {
+  const store = createSessionStore({ backend: createMemorySessionBackend(), owned: true });
+  await store.append("session-alice", [user], { owner: "u-alice" });
+  assert.deepEqual((await store.list({ owner: "u-alice" })).map((s) => s.id), ["session-alice"]);
+  assert.deepEqual(await store.list({ owner: "u-bob" }), []);
+  await assert.rejects(store.get("session-alice", { owner: "u-bob" }), { status: 404, code: "session_not_found" });
+  await assert.rejects(store.append("session-alice", [user], { owner: "u-bob" }), { status: 404 });
+  assert.deepEqual(await store.history("session-alice", { owner: "u-bob" }), []);
+});
+
+test("with sign-in on, ownerless sessions and callers without a subject see nothing", async () => {
+  const backend = createMemorySessionBackend();
+  await createSessionStore({ backend }).create({ id: "shared-session" });
+  const store = createSessionStore({ backend, owned: true });
+  await store.create({ id: "session-alice", owner: "u-alice" });
+
+  assert.deepEqual(await store.list({ owner: "u-bob" }), []);
+  assert.deepEqual(await store.list({}), []);
+  await assert.rejects(store.get("shared-session", { owner: "u-bob" }), { status: 404 });
+  await assert.rejects(store.get("session-alice", {}), { status: 404 });
+  assert.throws(() => store.create({ id: "no-owner-session" }), { status: 401, code: "unauthenticated" });
+  assert.throws(() => store.append("no-owner-session", [user]), { status: 401 });
+});
+
+test("with sign-in off every session is shared", async () => {
+  const store = createSessionStore({ backend: createMemorySessionBackend() });
+  await store.append("shared-session", [user]);
+  assert.equal((await store.get("shared-session")).title, "list open work orders");
+  assert.equal((await store.list()).length, 1);
+});
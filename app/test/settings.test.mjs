@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { SECRET_MASK, createSettingsStore } from "../src/settings.mjs";
+
+let dir;
+let n = 0;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "settings-test-"));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+function store(env = {}) {
+  return createSettingsStore({ file: path.join(dir, `settings-${++n}.json`), env });
+}
+
+async function onDisk(s) {
+  return JSON.parse(await fs.readFile(s.file, "utf8"));
+}
+
+test("a missing file reads as empty settings at version 0", async () => {
+  const s = store();
+  const eff = await s.getEffective();
+  assert.equal(eff.version, 0);
+  assert.deepEqual(eff.settings.providers, {});
+  assert.deepEqual(eff.overridden, []);
+});
+
+test("save validates, versions and writes the file", async () => {
+  const s = store();
+  const saved = await s.save({ ai: { provider: "mistral", temperature: "0.5" } });
+  assert.equal(saved.version, 1);
+  const file = await onDisk(s);
+  assert.equal(file.ai.temperature, 0.5);
+  assert.equal(file._meta.version, 1);
+  assert.equal((await s.save({ ai: { provider: "openai" } }, { expectedVersion: 1 })).version, 2);
+
+  await assert.rejects(s.save({ ai: { provider: "nope" } }), { status: 400, code: "invalid_settings" });
+  await assert.rejects(s.save({ ai: { temperature: 3 } }), { status: 400, code: "invalid_settings" });
+  assert.equal((await onDisk(s))._meta.version, 2);
+});
+
+test("a stale version is refused with 409", async () => {
+  const s = store();
+  await s.save({});
+  await s.save({});
+  await assert.rejects(s.save({ ai: { provider: "openai" } }, { expectedVersion: 1 }), {
+    status: 409,
+    code: "version_conflict",
+    currentVersion: 2,
+  });
+});
+
+test("secrets are masked for the browser and kept when the mask comes back", async () => {
+  const s = store();
+  await s.save({ providers: { mistral: { apiKey: "sk-1", models: ["m"] } }, maximo: { apiKey: "mx-1" } });
+  const pub = await s.getPublic();
+  assert.equal(pub.settings.providers.mistral.apiKey, SECRET_MASK);
+  assert.equal(pub.settings.maximo.apiKey, SECRET_MASK);
+
+  await s.save({ ...pub.settings, providers: { mistral: { apiKey: SECRET_MASK, models: ["m", "n"] } } });
+  const file = await onDisk(s);
+  assert.equal(file.providers.mistral.apiKey, "sk-1");
+  assert.deepEqual(file.providers.mistral.models, ["m", "n"]);
+  assert.equal(file.maximo.apiKey, "mx-1");
+
+  await s.save({ providers: { mistral: { apiKey: "sk-2" } } });
+  assert.equal((await onDisk(s)).providers.mistral.apiKey, "sk-2");
+});
+
+test("a changed base URL needs the secret entered again", async () => {
+  const s = store();
+  await s.save({
+    providers: { mistral: { apiKey: "sk-1", baseUrl: "https://api.mistral.ai/v1" } },
+    maximo: { baseUrl: "https://mx", apiKey: "mx-1" },
+  });
+  const { settings } = await s.getPublic();
+
+  const moved = { ...settings, providers: { mistral: { apiKey: SECRET_MASK, baseUrl: "https://elsewhere/v1" } } };
+  await assert.rejects(s.save(moved), {
+    status: 400,
+    code: "secret_required",
+    details: { path: "providers.mistral.apiKey" },
+  });
+  await assert.rejects(s.save({ ...settings, maximo: { baseUrl: "https://elsewhere", apiKey: SECRET_MASK } }), {
+    code: "secret_required",
+    details: { path: "maximo.apiKey" },
+  });
+  assert.equal((await onDisk(s))._meta.version, 1);
+
+  await s.save({ ...moved, providers: { mistral: { apiKey: "sk-2", baseUrl: "https://elsewhere/v1" } } });
+  assert.equal((await onDisk(s)).providers.mistral.apiKey, "sk-2");
+});
+
+test("a base URL cannot move away from a secret set in env", async () => {
+  const s = store({ MISTRAL_API_KEY: "from-env", MAXIMO_URL: "https://mx-env" });
+  await s.save({ maximo: { baseUrl: "https://mx-file", apiKey: "mx-1" } });
+  const { settings } = await s.getPublic();
+  await s.save(settings); // echoing the env URL back is no change
+
+  await assert.rejects(s.save({ ...settings, providers: { mistral: { baseUrl: "https://elsewhere/v1" } } }), {
+    status: 400,
+    code: "secret_required",
+    details: { path: "providers.mistral.apiKey" },
+  });
+});
+
+test("env overrides win on read and never reach the file", async () => {
+  const s = store({ MISTRAL_API_KEY: "from-env", ENABLE_MCP_TOOLS: "true", OPENAI_API_KEY: " " });
+  await s.save({ providers: { mistral: { apiKey: "from-ui" }, openai: { apiKey: "sk-openai" } } });
+  const eff = await s.getEffective();
+  assert.equal(eff.settings.providers.mistral.apiKey, "from-env");
+  assert.equal(eff.settings.providers.openai.apiKey, "sk-openai");
+  assert.equal(eff.settings.mcp.enableTools, true);
+  assert.deepEqual(eff.overridden, ["providers.mistral.apiKey", "mcp.enableTools"]);
+  const file = await onDisk(s);
+  assert.equal(file.providers.mistral?.apiKey, undefined);
+  assert.equal(file.mcp.enableTools, undefined);
+});
+
+test("a corrupt file is reported, not overwritten", async () => {
+  const s = store();
+  await fs.writeFile(s.file, "{ not json");
+  await assert.rejects(s.getEffective(), { status: 500, code: "settings_corrupt" });
+  await assert.rejects(s.save({}), { code: "settings_corrupt" });
+  assert.equal(await fs.readFile(s.file, "utf8"), "{ not json");
+});
+
+test("concurrent saves are serialised", async () => {
+  const s = store();
+  const results = await Promise.all([1, 2, 3].map((i) => s.save({ ui: { theme: `t${i}` } })));
+  assert.deepEqual(results.map((r) => r.version), [1, 2, 3]);
+  assert.equal((await onDisk(s)).ui.theme, "t3");
+});
@@ -4,13 +4,14 @@ import {
   Content, SideNav, SideNavItems, SideNavLink, Theme,
   Button, TextInput, Dropdown, Modal, Tabs, Tab, Tile, Tag,
   DataTable, TableContainer, Table, TableHead, TableRow, TableHeader, TableBody, TableCell,
-  InlineNotification, TextArea, Toggle, CodeSnippet, Loading
+  InlineNotification, TextArea, Toggle, CodeSnippet, Loading, Link
 } from '@carbon/react'
-import { Chat, Settings, Help, Code, Moon, Sun } from '@carbon/icons-react'
+import { Chat, Settings, Help, Code, Moon, Sun, Add, Edit, TrashCan, Logout, Activity } from '@carbon/icons-react'
 import { BrowserRouter, Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom'
 import './overrides.css'
 
 const SETTINGS_KEY = 'mx_settings_v3'
+const SESSION_KEY = 'mx_session'
 
 const PROVIDERS = [
   { id:'openai', label:'OpenAI (OpenAI API)' },
@@ -45,24 +46,85 @@ function saveLocalSettings(s) {
   localStorage.setItem(SETTINGS_KEY, JSON.stringify(s || {}))
 }
 
+// With sign-in on, an expired session answers 401 unauthenticated; start the login again and
+// come back to the same page.
+function signIn() {
+  window.location.assign(`/auth/login?returnTo=${encodeURIComponent(window.location.pathname + window.location.search)}`)
+}
+
+async function apiFetch(url, init) {
+  const r = await fetch(url, init)
+  if (r.status === 401) {
+    const j = await r.clone().json().catch(() => null)
+    if (j?.code === 'unauthenticated') signIn()
+  }
+  return r
+}
+
+// { enabled, user }; user is null when sign-in is off.
+async function apiMe() {
+  const r = await fetch('/auth/me')
+  if (r.status === 401) {
+    signIn()
+    return { enabled: true, user: null }
+  }
+  if (!r.ok) throw new Error(`Failed to load the signed-in user (${r.status})`)
+  return await r.json()
+}
+
+async function apiSignOut() {
+  const r = await fetch('/auth/logout', { method: 'POST' })
+  const j = await r.json().catch(() => null)
+  window.location.assign(j?.logout || '/')
+}
+
 async function apiGetSettings() {
-  const r = await fetch('/api/settings')
+  const r = await apiFetch('/api/settings')
   if (!r.ok) throw new Error(`Failed to load settings (${r.status})`)
   return await r.json()
 }
 
-async function apiSaveSettings(payload) {
-  const r = await fetch('/api/settings', {
+async function apiSaveSettings(payload, version) {
+  const headers = { 'content-type':'application/json' }
+  if (version != null) headers['if-match'] = `"${version}"`
+  const r = await apiFetch('/api/settings', {
     method: 'POST',
-    headers: { 'content-type':'application/json' },
+    headers,
     body: JSON.stringify(payload || {})
   })
-  if (!r.ok) throw new Error(`Failed to save settings (${r.status})`)
-  return await r.json()
+  const raw = await r.text()
+  let j = null
+  try { j = JSON.parse(raw) } catch {}
+  if (r.status === 409) {
+    const e = new Error(j?.error || 'Settings were changed elsewhere; reload and retry')
+    e.conflict = true
+    throw e
+  }
+  if (!r.ok) throw new Error(j?.error || `Failed to save settings (${r.status})`)
+  return j
+}
+
+// Server settings win over the local cache, except per-browser UI preferences.
+function mergeServerSettings(local, server) {
+  const l = local || {}
+  const s = server || {}
+  return {
+    ...l,
+    ...s,
+    ui: { ...(s.ui||{}), ...(l.ui||{}) },
+    ai: { temperature: 0.7, ...(l.ai||{}), ...(s.ai||{}) },
+    maximo: {
+      ...(l.maximo||{}),
+      ...(s.maximo||{}),
+      defaultSite: String(s.maximo?.defaultSite || l.maximo?.defaultSite || '').toUpperCase(),
+      objectStructure: s.maximo?.objectStructure || l.maximo?.objectStructure || 'mxapiasset'
+    },
+    mcp: { ...(l.mcp||{}), ...(s.mcp||{}) }
+  }
 }
 
-async function apiListModels(provider, settings) {
-  const r = await fetch(`/api/models?provider=${encodeURIComponent(provider||'')}`, {
+async function apiListModels(provider, settings, refresh) {
+  const r = await apiFetch(`/api/models?provider=${encodeURIComponent(provider||'')}${refresh ? '&refresh=1' : ''}`, {
     method: 'POST',
     headers: { 'content-type':'application/json' },
     body: JSON.stringify({ settings: settings || {} })
@@ -74,28 +136,52 @@ async function apiListModels(provider, settings) {
   throw new Error(`Unexpected response (not JSON): ${raw.slice(0,160)}`)
 }
 
-async function apiAgentChat({ provider, model, system, temperature, text, settings }) {
-  const r = await fetch('/api/agent/chat', {
+// Streams /api/agent/chat/stream: token and tool_call_* events go to onEvent(event, data),
+// the promise resolves with the `done` payload (the /api/agent/chat response).
+async function apiAgentChatStream({ provider, model, system, temperature, text, sessionId, settings, signal, onEvent }) {
+  const r = await apiFetch('/api/agent/chat/stream', {
     method:'POST',
-    headers:{'content-type':'application/json'},
-    body: JSON.stringify({ provider, model, system, temperature, text, settings })
+    headers:{'content-type':'application/json', accept:'text/event-stream'},
+    body: JSON.stringify({ provider, model, system, temperature, text, sessionId, settings }),
+    signal
   })
-  const ct = (r.headers.get('content-type') || '').toLowerCase()
-  const raw = await r.text()
   if (!r.ok) {
-    // surface HTML / proxy pages as readable text
-    const detail = raw.slice(0, 400)
-    throw new Error(detail || `AI request failed (${r.status})`)
+    const raw = await r.text()
+    throw new Error(raw.slice(0, 400) || `AI request failed (${r.status})`)
   }
-  if (ct.includes('application/json')) return JSON.parse(raw)
-  throw new Error(`Unexpected response (not JSON): ${raw.slice(0,160)}`)
+
+  const reader = r.body.getReader()
+  const decoder = new TextDecoder()
+  let buf = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buf += decoder.decode(value, { stream:true })
+    let i
+    while ((i = buf.indexOf('\n\n')) >= 0) {
+      const block = buf.slice(0, i)
+      buf = buf.slice(i + 2)
+      let event = 'message'
+      let data = ''
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data += line.slice(5).trimStart()
+      }
+      if (!data) continue // heartbeat comment
+      const payload = JSON.parse(data)
+      if (event === 'error') throw new Error(payload.error || 'AI request failed')
+      if (event === 'done') return payload
+      onEvent?.(event, payload)
+    }
+  }
+  throw new Error('The answer stream ended unexpectedly')
 }
 
-async function apiMaximoNL({ text, settings }) {
-  const r = await fetch('/api/maximo/query', {
+async function apiMaximoNL({ text, sessionId, settings, lastTable }) {
+  const r = await apiFetch('/api/maximo/query', {
     method:'POST',
     headers:{'content-type':'application/json'},
-    body: JSON.stringify({ text, settings })
+    body: JSON.stringify({ text, sessionId, settings, lastTable })
   })
   const ct = (r.headers.get('content-type') || '').toLowerCase()
   const raw = await r.text()
@@ -104,12 +190,129 @@ async function apiMaximoNL({ text, settings }) {
   throw new Error(`Unexpected response (not JSON): ${raw.slice(0,160)}`)
 }
 
+async function apiMaximoMore({ cursor, columns, title }) {
+  const r = await apiFetch('/api/maximo/query/more', {
+    method:'POST',
+    headers:{'content-type':'application/json'},
+    body: JSON.stringify({ cursor, columns, title })
+  })
+  const raw = await r.text()
+  const j = raw ? JSON.parse(raw) : null
+  if (!r.ok) throw new Error(j?.error || `Maximo request failed (${r.status})`)
+  return j
+}
+
+function newSessionId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID()
+  return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+async function apiSessions(path = '', { method = 'GET', body } = {}) {
+  const r = await apiFetch(`/api/sessions${path}`, {
+    method,
+    headers: body ? { 'content-type':'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  })
+  if (r.status === 204) return null
+  const raw = await r.text()
+  if (!r.ok) {
+    const e = new Error(raw || `Session request failed (${r.status})`)
+    e.status = r.status
+    throw e
+  }
+  return JSON.parse(raw)
+}
+
+async function apiApprovals(path = '', { method = 'GET', body } = {}) {
+  const r = await apiFetch(`/api/approvals${path}`, {
+    method,
+    headers: body ? { 'content-type':'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const raw = await r.text()
+  const j = raw ? JSON.parse(raw) : null
+  if (!r.ok) {
+    const e = new Error(j?.error?.message || j?.error || `Approval request failed (${r.status})`)
+    e.status = r.status
+    e.approval = j?.approval
+    throw e
+  }
+  return j
+}
+
+// Keep in sync with rawQueryParams in app/src/server.mjs
+function restQueryParams({ method, where, select, orderBy, pageSize }) {
+  const p = { lean: '1' }
+  if (method !== 'GET') return p
+  if (where.trim()) p['oslc.where'] = where.trim()
+  if (select.trim()) p['oslc.select'] = select.trim()
+  if (orderBy.trim()) p['oslc.orderBy'] = orderBy.trim()
+  if (String(pageSize).trim()) p['oslc.pageSize'] = String(pageSize).trim()
+  return p
+}
+
+function restRecordPath(os, recordId) {
+  const id = String(recordId || '').trim()
+  if (!id) return ''
+  const m = id.match(new RegExp(`/os/${os}/([^/?#]+)`, 'i'))
+  return '/' + (m ? m[1] : id.replace(/^\/+/, ''))
+}
+
+function restPreviewUrl(form) {
+  const path = `/maximo/api/os/${encodeURIComponent(form.os)}${restRecordPath(form.os, form.recordId)}`
+  return `${path}?${new URLSearchParams(restQueryParams(form))}`
+}
+
+async function apiTenants(path = '', { method = 'GET', body } = {}) {
+  const r = await apiFetch(`/api/tenants${path}`, {
+    method,
+    headers: body ? { 'content-type':'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const raw = await r.text()
+  const j = raw ? JSON.parse(raw) : null
+  if (!r.ok) {
+    const e = new Error(j?.error?.message || j?.error || `Tenant request failed (${r.status})`)
+    e.status = r.status
+    e.details = j?.details
+    throw e
+  }
+  return j
+}
+
+// The deep readiness report; 503 (something is down) still carries the report.
+async function apiReadiness(refresh) {
+  const r = await apiFetch(`/readyz?deep=1${refresh ? '&refresh=1' : ''}`)
+  const j = await r.json().catch(() => null)
+  if (!Array.isArray(j?.checks)) throw new Error(`Readiness check failed (${r.status})`)
+  return j
+}
+
+async function apiMaximoRaw(payload) {
+  const r = await apiFetch('/api/maximo/raw', {
+    method:'POST',
+    headers:{'content-type':'application/json'},
+    body: JSON.stringify(payload)
+  })
+  const ct = (r.headers.get('content-type') || '').toLowerCase()
+  const raw = await r.text()
+  const json = ct.includes('application/json') ? JSON.parse(raw) : null
+  if (!r.ok) {
+    const e = new Error(json?.error || raw || `Request failed (${r.status})`)
+    e.trace = json?.trace
+    e.correlationId = json?.correlationId
+    throw e
+  }
+  if (!json) throw new Error(`Unexpected response (not JSON): ${raw.slice(0,160)}`)
+  return json
+}
+
 function useHashRoute() {
   const loc = useLocation()
   return loc.pathname
 }
 
-function Shell({ children, theme, onToggleTheme, onOpenSettings, onOpenHelp }) {
+function Shell({ children, theme, user, onToggleTheme, onOpenSettings, onOpenHelp }) {
   const route = useHashRoute()
   const nav = useNavigate()
   const isActive = (p) => route === p
@@ -120,6 +323,7 @@ function Shell({ children, theme, onToggleTheme, onOpenSettings, onOpenHelp }) {
         <Header aria-label="Maximo AI Agent">
           <HeaderName prefix="ZNAPZ">Maximo AI Agent</HeaderName>
           <HeaderGlobalBar>
+            {user && <span className="mx-header-user" title={user.roles?.length ? `Roles: ${user.roles.join(', ')}` : undefined}>{user.name}</span>}
             <HeaderGlobalAction aria-label="Help" onClick={onOpenHelp}>
               <Help size={20} />
             </HeaderGlobalAction>
@@ -129,6 +333,11 @@ function Shell({ children, theme, onToggleTheme, onOpenSettings, onOpenHelp }) {
             <HeaderGlobalAction aria-label="Toggle theme" onClick={onToggleTheme}>
               {theme === 'dark' ? <Sun size={20}/> : <Moon size={20}/>}
             </HeaderGlobalAction>
+            {user && (
+              <HeaderGlobalAction aria-label="Sign out" onClick={() => apiSignOut()}>
+                <Logout size={20} />
+              </HeaderGlobalAction>
+            )}
           </HeaderGlobalBar>
         </Header>
 
@@ -140,6 +349,9 @@ function Shell({ children, theme, onToggleTheme, onOpenSettings, onOpenHelp }) {
             <SideNavLink isActive={isActive('/rest')} onClick={() => nav('/rest')} renderIcon={Code}>
               REST Builder & Trace
             </SideNavLink>
+            <SideNavLink isActive={isActive('/status')} onClick={() => nav('/status')} renderIcon={Activity}>
+              Status
+            </SideNavLink>
             <SideNavLink isActive={isActive('/settings')} onClick={() => nav('/settings')} renderIcon={Settings}>
               Settings
             </SideNavLink>
@@ -157,10 +369,10 @@ function Shell({ children, theme, onToggleTheme, onOpenSettings, onOpenHelp }) {
   )
 }
 
-function ChatBubble({ side, title, children, subtle }) {
+function ChatBubble({ side, title, children, subtle, streaming }) {
   return (
-    <div className={`mx-bubble-row ${side}`}>
-      <Tile className={`mx-bubble ${subtle ? 'subtle':''}`}>
+    <div className={`mx-bubble-row ${side}`} aria-busy={streaming ? 'true' : undefined}>
+      <Tile className={`mx-bubble ${subtle ? 'subtle':''} ${streaming ? 'streaming':''}`}>
         {title ? <div className="mx-bubble-title">{title}</div> : null}
         <div className="mx-bubble-body">{children}</div>
       </Tile>
@@ -187,7 +399,59 @@ function ChatPage({ settings, setSettings, setLastTrace, setLastMaximoTable }) {
   const [busy, setBusy] = useState(false)
   const [note, setNote] = useState(null)
   const [messages, setMessages] = useState([]) // {role:'user'|'assistant', text, source}
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_KEY) || newSessionId())
+  const [sessions, setSessions] = useState([])
+  const [live, setLive] = useState(null) // streaming AI answer: { text, steps }
   const listRef = useRef(null)
+  const abortRef = useRef(null)
+
+  const refreshSessions = async () => {
+    try {
+      const r = await apiSessions()
+      setSessions(r.sessions || [])
+    } catch {
+      // sidebar stays as it was; chat keeps working
+    }
+  }
+
+  useEffect(() => {
+    abortRef.current?.abort()
+    localStorage.setItem(SESSION_KEY, sessionId)
+    let cancelled = false
+    apiSessions(`/${encodeURIComponent(sessionId)}`)
+      .then((s) => { if (!cancelled) setMessages(s.messages || []) })
+      .catch((e) => {
+        if (cancelled) return
+        setMessages([])
+        if (e.status !== 404) setNote({ kind:'warning', title:'Could not load conversation', subtitle: String(e.message || e) })
+      })
+    refreshSessions()
+    return () => { cancelled = true }
+  }, [sessionId])
+
+  const startNewChat = () => {
+    setNote(null)
+    setSessionId(newSessionId())
+  }
+
+  const renameSession = async (id, title) => {
+    try {
+      await apiSessions(`/${encodeURIComponent(id)}`, { method:'PATCH', body:{ title } })
+      refreshSessions()
+    } catch (e) {
+      setNote({ kind:'error', title:'Rename failed', subtitle: String(e.message || e) })
+    }
+  }
+
+  const deleteSession = async (id) => {
+    try {
+      await apiSessions(`/${encodeURIComponent(id)}`, { method:'DELETE' })
+      if (id === sessionId) startNewChat()
+      else refreshSessions()
+    } catch (e) {
+      setNote({ kind:'error', title:'Delete failed', subtitle: String(e.message || e) })
+    }
+  }
 
   useEffect(() => {
     const s = { ...(settings||{}) }
@@ -199,7 +463,15 @@ function ChatPage({ settings, setSettings, setLastTrace, setLastMaximoTable }) {
   useEffect(() => {
     if (!listRef.current) return
     listRef.current.scrollTop = listRef.current.scrollHeight
-  }, [messages, busy])
+  }, [messages, busy, live])
+
+  const stop = () => abortRef.current?.abort()
+
+  const onApprovalDecided = (out) => {
+    if (out.trace) setLastTrace(out.trace)
+    if (out.message) setMessages((m) => [...m, out.message])
+    refreshSessions()
+  }
 
   const onSend = async (text) => {
     const t = (text ?? input).trim()
@@ -209,32 +481,63 @@ function ChatPage({ settings, setSettings, setLastTrace, setLastMaximoTable }) {
     setInput('')
     setMessages((m) => [...m, { role:'user', text:t, source: mode }])
 
+    const controller = new AbortController()
+    let partial = { text:'', steps:[], approvals:[] }
+    const update = (fn) => { partial = fn(partial); setLive(partial) }
+
     try {
       if (mode === 'ai') {
-        const resp = await apiAgentChat({
+        abortRef.current = controller
+        setLive(partial)
+        const resp = await apiAgentChatStream({
           provider: settings?.ai?.provider || 'openai',
           model: settings?.ai?.model || '',
           system: settings?.ai?.system || '',
           temperature: settings?.ai?.temperature ?? 0.7,
           text: t,
-          settings
+          sessionId,
+          settings,
+          signal: controller.signal,
+          onEvent: (event, data) => {
+            if (event === 'token') update((l) => ({ ...l, text: l.text + data.delta }))
+            if (event === 'tool_call_start') {
+              update((l) => ({
+                ...l,
+                text: l.text && !l.text.endsWith('\n\n') ? `${l.text}\n\n` : l.text,
+                steps: [...l.steps, { ...data, running: true }]
+              }))
+            }
+            if (event === 'tool_call_end') update((l) => ({ ...l, steps: l.steps.map((st) => st.step === data.step ? data : st) }))
+            if (event === 'approval_required') update((l) => ({ ...l, approvals: [...l.approvals, data] }))
+          }
         })
-        setMessages((m) => [...m, { role:'assistant', text: resp.reply || '', source:'ai' }])
+        if (resp.trace) setLastTrace(resp.trace)
+        setMessages((m) => [...m, { role:'assistant', text: resp.reply || partial.text, source:'ai', steps: resp.steps || [], approvals: resp.approvals || [], warnings: resp.warnings || [] }])
       } else {
-        const resp = await apiMaximoNL({ text: t, settings })
+        const resp = await apiMaximoNL({ text: t, sessionId, settings, lastTable: latestTable })
         setLastTrace(resp.trace || null)
         if (resp.table) setLastMaximoTable(resp.table)
         if (resp.table) {
-          setMessages((m) => [...m, { role:'assistant', text:`Retrieved ${resp.table.rows.length} row(s) from Maximo.`, source:'maximo', table: resp.table }])
+          const of = resp.table.totalCount > resp.table.rows.length ? ` of ${resp.table.totalCount}` : ''
+          setMessages((m) => [...m, { role:'assistant', text:`Retrieved ${resp.table.rows.length}${of} row(s) from Maximo.`, source:'maximo', table: resp.table }])
         } else {
           setMessages((m) => [...m, { role:'assistant', text: resp.summary || 'Maximo query completed.', source:'maximo' }])
         }
       }
     } catch (e) {
-      setMessages((m) => [...m, { role:'assistant', text: `Error: ${e.message || e}`, source: mode }])
-      setNote({ kind:'error', title:'Request failed', subtitle: String(e.message || e) })
+      if (controller.signal.aborted) {
+        // Keep what was already streamed; the server stores the same partial answer.
+        const steps = partial.steps.filter((st) => !st.running)
+        setMessages((m) => [...m, { role:'assistant', text: partial.text.trim() || '(stopped)', source:'ai', steps, approvals: partial.approvals, stopped: true }])
+      } else {
+        setMessages((m) => [...m, { role:'assistant', text: `Error: ${e.message || e}`, source: mode }])
+        setNote({ kind:'error', title:'Request failed', subtitle: String(e.message || e) })
+      }
     } finally {
+      if (abortRef.current === controller) abortRef.current = null
+      setLive(null)
       setBusy(false)
+      refreshSessions()
     }
   }
 
@@ -279,11 +582,31 @@ function ChatPage({ settings, setSettings, setLastTrace, setLastMaximoTable }) {
                 subtle={m.role === 'user'}
               >
                 <div style={{ whiteSpace:'pre-wrap' }}>{m.text}</div>
-                {m.table ? <MaximoTable table={m.table}/> : null}
+                {m.steps?.length ? <AgentSteps steps={m.steps}/> : null}
+                {(m.approvals || []).map((a) => (
+                  <ApprovalCard key={a.id} approval={a} sessionId={sessionId} onDecided={onApprovalDecided}/>
+                ))}
+                {m.stopped ? <div className="mx-subtle" style={{ marginTop:'0.5rem' }}>Stopped</div> : null}
+                {(m.warnings || []).map((w, i) => <div key={i} className="mx-subtle" style={{ marginTop:'0.5rem' }}>⚠ {w}</div>)}
+                {m.table ? (
+                  <MaximoTable
+                    table={m.table}
+                    onTrace={setLastTrace}
+                    onChange={(table) => {
+                      setMessages((list) => list.map((x, i) => (i === idx ? { ...x, table } : x)))
+                      setLastMaximoTable(table)
+                    }}
+                  />
+                ) : null}
               </ChatBubble>
             </div>
           ))}
-          {busy ? (
+          {live && (live.text || live.steps.length) ? (
+            <ChatBubble side="left" title="AI Agent" streaming>
+              <div style={{ whiteSpace:'pre-wrap' }}>{live.text}<span className="mx-cursor"/></div>
+              {live.steps.length ? <AgentSteps steps={live.steps} live/> : null}
+            </ChatBubble>
+          ) : busy ? (
             <ChatBubble side="left" title={mode === 'maximo' ? 'Maximo' : 'AI Agent'}>
               Thinking…
             </ChatBubble>
@@ -291,6 +614,15 @@ function ChatPage({ settings, setSettings, setLastTrace, setLastMaximoTable }) {
         </div>
 
         <div className="mx-sidepanel">
+          <SessionList
+            sessions={sessions}
+            activeId={sessionId}
+            onSelect={(id) => { setNote(null); setSessionId(id) }}
+            onNew={startNewChat}
+            onRename={renameSession}
+            onDelete={deleteSession}
+          />
+
           <Chips title="Predefined Prompt Examples — Maximo" items={MAXIMO_PROMPTS} onPick={(t) => {
             // convenience: "Show me all assets" maps to your prompt style
             onSend(t.toLowerCase().includes('show me') ? t.replace(/^Show me/i,'Show me') : t)
@@ -315,14 +647,166 @@ function ChatPage({ settings, setSettings, setLastTrace, setLastMaximoTable }) {
           onChange={(e) => setInput(e.target.value)}
           onKeyDown={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); onSend() } }}
         />
-        <Button onClick={() => onSend()} disabled={busy || !input.trim()}>Send</Button>
+        {live ? (
+          <Button kind="danger--tertiary" onClick={stop}>Stop</Button>
+        ) : (
+          <Button onClick={() => onSend()} disabled={busy || !input.trim()}>Send</Button>
+        )}
       </div>
     </div>
   )
 }
 
-function MaximoTable({ table }) {
-  const { columns, rows, title } = table
+function SessionList({ sessions, activeId, onSelect, onNew, onRename, onDelete }) {
+  const [editing, setEditing] = useState(null) // { id, title }
+
+  const commit = () => {
+    if (editing?.title?.trim()) onRename(editing.id, editing.title.trim())
+    setEditing(null)
+  }
+
+  return (
+    <div className="mx-sessions">
+      <div className="mx-sessions-head">
+        <div className="mx-chips-title">Conversations</div>
+        <Button kind="ghost" size="sm" renderIcon={Add} onClick={onNew}>New chat</Button>
+      </div>
+      {!sessions.length ? <div className="mx-subtle">No saved conversations yet.</div> : null}
+      {sessions.map((s) => (
+        <div key={s.id} className={`mx-session ${s.id === activeId ? 'active' : ''}`}>
+          {editing?.id === s.id ? (
+            <TextInput
+              id={`session-title-${s.id}`}
+              labelText=""
+              size="sm"
+              autoFocus
+              value={editing.title}
+              onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+              onBlur={commit}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commit()
+                if (e.key === 'Escape') setEditing(null)
+              }}
+            />
+          ) : (
+            <button className="mx-session-title" onClick={() => onSelect(s.id)} title={s.title}>
+              <span>{s.title}</span>
+              <span className="mx-subtle">{new Date(s.updatedAt).toLocaleString()} · {s.messageCount} msg</span>
+            </button>
+          )}
+          <div className="mx-session-actions">
+            <button className="mx-icon-btn" aria-label="Rename conversation" onClick={() => setEditing({ id: s.id, title: s.title })}><Edit size={16}/></button>
+            <button className="mx-icon-btn" aria-label="Delete conversation" onClick={() => onDelete(s.id)}><TrashCan size={16}/></button>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// live: the answer is still streaming; steps without a result yet have `running` set.
+function AgentSteps({ steps, live }) {
+  const [open, setOpen] = useState(!!live)
+  return (
+    <div className="mx-steps">
+      <button className="mx-chip" onClick={() => setOpen(!open)}>
+        {open ? 'Hide' : 'Show'} {steps.length} tool step{steps.length === 1 ? '' : 's'}
+      </button>
+      {open ? steps.map((st) => (
+        <div key={st.step} className="mx-step">
+          <div className="mx-step-head">
+            {st.running
+              ? <Tag type="gray" size="sm">running</Tag>
+              : <Tag type={st.ok ? 'green' : 'red'} size="sm">{st.status ?? 'error'}</Tag>}
+            <b>{st.step}. {st.tool}</b>
+            {st.running ? null : <span className="mx-subtle">{st.durationMs} ms</span>}
+          </div>
+          <CodeSnippet type="multi" wrapText>{JSON.stringify(st.arguments, null, 2)}</CodeSnippet>
+          {st.error ? <div className="mx-subtle">{st.error}</div> : null}
+        </div>
+      )) : null}
+    </div>
+  )
+}
+
+const APPROVAL_TAGS = { pending:'blue', approved:'blue', executed:'green', failed:'red', rejected:'gray', expired:'gray' }
+
+function diffValue(v) {
+  if (v === null || v === undefined || v === '') return '—'
+  return typeof v === 'object' ? JSON.stringify(v) : String(v)
+}
+
+// A write the agent proposed; nothing reaches Maximo until it is approved here.
+function ApprovalCard({ approval, sessionId, onDecided }) {
+  const [a, setA] = useState({ status:'pending', ...approval })
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    // The stored message may be stale (decided elsewhere, expired, MCP server restarted)
+    if (approval.status && approval.status !== 'pending') return
+    apiApprovals(`/${encodeURIComponent(approval.id)}`)
+      .then(setA)
+      .catch((e) => { if (e.status === 404) setA((cur) => ({ ...cur, status:'expired' })) })
+  }, [approval.id])
+
+  const decide = async (decision) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const out = await apiApprovals(`/${encodeURIComponent(a.id)}/${decision}`, { method:'POST', body:{ sessionId } })
+      setA(out.approval)
+      onDecided?.(out)
+    } catch (e) {
+      if (e.approval) setA(e.approval)
+      setError(String(e.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const open = a.status === 'pending' && Date.parse(a.expiresAt) > Date.now()
+  return (
+    <div className="mx-approval">
+      <div className="mx-step-head">
+        <Tag type={APPROVAL_TAGS[a.status] || 'gray'} size="sm">{a.status === 'pending' ? 'needs approval' : a.status}</Tag>
+        <b>{a.tool}</b>
+        <span className="mx-subtle">tenant {a.tenant}</span>
+      </div>
+      <div className="mx-subtle mx-approval-url">{a.method} {a.url}</div>
+      {a.diff?.length ? (
+        <table className="mx-diff">
+          <thead><tr><th>Field</th><th>Current</th><th>New</th></tr></thead>
+          <tbody>
+            {a.diff.map((d) => (
+              <tr key={d.path}><td>{d.path}</td><td>{diffValue(d.from)}</td><td>{diffValue(d.to)}</td></tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+      {open ? (
+        <div className="mx-approval-actions">
+          <Button size="sm" onClick={() => decide('approve')} disabled={busy}>Approve</Button>
+          <Button size="sm" kind="secondary" onClick={() => decide('reject')} disabled={busy}>Reject</Button>
+          <span className="mx-subtle">Expires {new Date(a.expiresAt).toLocaleTimeString()}</span>
+        </div>
+      ) : null}
+      {a.decision ? (
+        <div className="mx-subtle">
+          {a.decision.decision} by {a.decision.by || 'unknown'} at {new Date(a.decision.at).toLocaleString()}
+          {a.result ? ` · Maximo ${a.result.status}` : ''}
+        </div>
+      ) : null}
+      {error ? <div className="mx-subtle">⚠ {error}</div> : null}
+    </div>
+  )
+}
+
+// onChange(table) receives the table with the next page appended when "Load more" is used.
+function MaximoTable({ table, onChange, onTrace }) {
+  const { columns, rows, title, totalCount, cursor } = table
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
   const headers = columns.map((c) => ({ key: c, header: c.toUpperCase() }))
   const tableRows = rows.map((r, i) => {
     const obj = { id: String(i) }
@@ -330,11 +814,33 @@ function MaximoTable({ table }) {
     return obj
   })
 
+  const loadMore = async () => {
+    setBusy(true)
+    setError(null)
+    try {
+      const out = await apiMaximoMore({ cursor, columns, title })
+      if (out.trace) onTrace?.(out.trace)
+      onChange({
+        ...table,
+        columns: [...columns, ...out.columns.filter((c) => !columns.includes(c))],
+        rows: [...rows, ...out.rows],
+        totalCount: out.totalCount ?? totalCount,
+        cursor: out.cursor || undefined
+      })
+    } catch (e) {
+      setError(String(e.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const description = totalCount != null ? `${rows.length} of ${totalCount} rows` : `${rows.length} rows`
+
   return (
     <div style={{ marginTop: '0.75rem' }}>
       <DataTable rows={tableRows} headers={headers} isSortable>
         {({ rows, headers, getHeaderProps, getRowProps, getTableProps }) => (
-          <TableContainer title={title || 'Results'} description="">
+          <TableContainer title={title || 'Results'} description={description}>
             <Table {...getTableProps()} size="sm" useZebraStyles>
               <TableHead>
                 <TableRow>
@@ -358,6 +864,12 @@ function MaximoTable({ table }) {
           </TableContainer>
         )}
       </DataTable>
+      {cursor && onChange ? (
+        <div className="mx-table-more">
+          <Button kind="ghost" size="sm" onClick={loadMore} disabled={busy}>{busy ? 'Loading…' : 'Load more'}</Button>
+          {error ? <span className="mx-subtle">⚠ {error}</span> : null}
+        </div>
+      ) : null}
     </div>
   )
 }
@@ -369,9 +881,11 @@ function RestPage({ lastTrace, settings, setLastTrace }) {
   const [select, setSelect] = useState('')
   const [orderBy, setOrderBy] = useState('')
   const [pageSize, setPageSize] = useState('50')
+  const [recordId, setRecordId] = useState('')
   const [body, setBody] = useState('')
   const [busy, setBusy] = useState(false)
   const [note, setNote] = useState(null)
+  const [approval, setApproval] = useState(null)
 
   useEffect(() => {
     setOs(settings?.maximo?.objectStructure || os)
@@ -380,30 +894,33 @@ function RestPage({ lastTrace, settings, setLastTrace }) {
 
   const run = async () => {
     setNote(null)
+    setApproval(null)
     setBusy(true)
     try {
-      const r = await fetch('/api/maximo/raw', {
-        method:'POST',
-        headers:{'content-type':'application/json'},
-        body: JSON.stringify({
-          method, os, where, select, orderBy, pageSize, body,
-          settings
-        })
+      const json = await apiMaximoRaw({
+        method, os, recordId, where, select, orderBy, pageSize, body,
+        tenant: settings?.maximo?.defaultTenant,
+        settings
       })
-      const ct = (r.headers.get('content-type') || '').toLowerCase()
-      const raw = await r.text()
-      if (!r.ok) throw new Error(raw || `Request failed (${r.status})`)
-      const json = ct.includes('application/json') ? JSON.parse(raw) : { raw }
-      setLastTrace(json.trace || json)
-      setNote({ kind:'success', title:'Request executed', subtitle:'Trace updated' })
+      setLastTrace(json.trace)
+      if (json.approval) {
+        setApproval(json.approval)
+        setNote({ kind:'info', title:`${method} waits for approval`, subtitle:'Nothing was sent to Maximo yet' })
+      } else if (json.ok) setNote({ kind:'success', title:`${method} ${json.status}`, subtitle:`Trace updated (${json.trace?.durationMs} ms)` })
+      else setNote({ kind:'warning', title:`Maximo returned ${json.status}`, subtitle: json.error || 'See Response tab' })
     } catch (e) {
-      setNote({ kind:'error', title:'Request failed', subtitle: String(e.message || e) })
+      if (e.trace) setLastTrace(e.trace)
+      setNote({ kind:'error', title:'Request failed', subtitle: `${e.message || e}${e.correlationId ? ` (correlation ID ${e.correlationId})` : ''}` })
     } finally {
       setBusy(false)
     }
   }
 
   const trace = lastTrace || null
+  const previewUrl = restPreviewUrl({ method, os, recordId, where, select, orderBy, pageSize })
+  const traceRequest = trace?.request?.headers
+    ? `${trace.request.httpMethod || trace.request.method} ${trace.request.url}\n${Object.entries(trace.request.headers).map(([k, v]) => `${k}: ${v}`).join('\n')}${trace.request.body ? `\n\n${JSON.stringify(trace.request.body, null, 2)}` : ''}`
+    : null
 
   return (
     <div className="mx-page">
@@ -411,6 +928,14 @@ function RestPage({ lastTrace, settings, setLastTrace }) {
       <div className="mx-subtle">Transparent REST traceability</div>
 
       {note ? <InlineNotification kind={note.kind} title={note.title} subtitle={note.subtitle} /> : null}
+      {approval ? <ApprovalCard key={approval.id} approval={approval} /> : null}
+
+      {trace?.correlationId ? (
+        <div className="mx-subtle mx-trace-correlation">
+          <span>Correlation ID <code>{trace.correlationId}</code></span>
+          {trace.mcpTraceUrl ? <Link href={trace.mcpTraceUrl} target="_blank" rel="noopener noreferrer">Open in MCP trace</Link> : null}
+        </div>
+      ) : null}
 
       <Tabs>
         <Tab id="tab-build" label="Build Request">
@@ -419,11 +944,12 @@ function RestPage({ lastTrace, settings, setLastTrace }) {
               id="br-method"
               titleText="Method"
               label="Select method"
-              items={['GET','POST','PATCH']}
+              items={['GET','POST','PATCH','DELETE']}
               selectedItem={method}
               onChange={({ selectedItem }) => setMethod(selectedItem)}
             />
             <TextInput id="br-os" labelText="Object Structure" value={os} onChange={(e) => setOs(e.target.value)} />
+            <TextInput id="br-record" labelText="Record ID or href (PATCH/DELETE)" value={recordId} onChange={(e) => setRecordId(e.target.value)} />
             <TextArea id="br-where" labelText="oslc.where" value={where} onChange={(e) => setWhere(e.target.value)} />
             <TextInput id="br-select" labelText="oslc.select" value={select} onChange={(e) => setSelect(e.target.value)} />
             <TextInput id="br-order" labelText="oslc.orderBy" value={orderBy} onChange={(e) => setOrderBy(e.target.value)} />
@@ -438,12 +964,21 @@ function RestPage({ lastTrace, settings, setLastTrace }) {
 
         <Tab id="tab-preview" label="Preview">
           <Tile>
-            <div className="mx-subtle">Computed URL preview is shown in Trace after you Run.</div>
+            <div className="mx-subtle">URL for the current form (sent to the selected tenant via MCP)</div>
+            <div style={{ marginTop:'0.5rem' }}>
+              <CodeSnippet type="single" wrapText>{previewUrl}</CodeSnippet>
+            </div>
+            <div className="mx-subtle" style={{ marginTop:'1rem' }}>Last request{trace?.durationMs != null ? ` · ${trace.response?.status ?? 'no response'} in ${trace.durationMs} ms` : ''}</div>
             <div style={{ marginTop:'0.5rem' }}>
               <CodeSnippet type="multi" wrapText>
-                {trace?.request?.url || trace?.url || '—'}
+                {traceRequest || trace?.request?.url || trace?.url || (trace?.steps ? trace.steps.map((st) => `${st.step}. ${st.tool} ${JSON.stringify(st.arguments)} → ${st.status ?? 'error'} (${st.durationMs} ms)`).join('\n') : '—')}
               </CodeSnippet>
             </div>
+            {trace?.schema?.corrections?.length ? (
+              <div className="mx-subtle" style={{ marginTop:'1rem' }}>
+                Checked against the {trace.schema.os} schema: {trace.schema.corrections.map((c) => c.to ? `${c.from} → ${c.to} (${c.part})` : `${c.from} dropped (${c.part})`).join(', ')}
+              </div>
+            ) : null}
           </Tile>
         </Tab>
 
@@ -462,7 +997,238 @@ function RestPage({ lastTrace, settings, setLastTrace }) {
   )
 }
 
-function SettingsPage({ settings, setSettings }) {
+const TENANT_APPROVAL = [
+  { id:'', label:'Server default' },
+  { id:'required', label:'Approval required' },
+  { id:'two-person', label:'Approval by a second person' },
+  { id:'auto', label:'Auto' }
+]
+
+// Maximo sign-in per tenant; mirrors authMode in mcp-server/maximo-auth.mjs
+const TENANT_AUTH = [
+  { id:'apikey', label:'API key' },
+  { id:'maxauth', label:'Maximo user (maxauth)' },
+  { id:'ldap', label:'LDAP login (session cookie)' },
+  { id:'certificate', label:'Client certificate' }
+]
+
+function tenantAuth(t) {
+  if (t.auth) return t.auth
+  if (t.apiKey) return 'apikey'
+  if (t.user && t.password) return 'maxauth'
+  if (t.cert && t.key) return 'certificate'
+  return 'apikey'
+}
+
+function TenantAuthFields({ t, locked, edit }) {
+  const mode = tenantAuth(t)
+  const field = (name, labelText, props = {}) => (
+    <TextInput id={`t-${name}-${t._key}`} labelText={labelText} value={t[name]||''} disabled={locked}
+      onChange={(e) => edit(name, e.target.value)} {...props} />
+  )
+  return (
+    <div className="mx-tenant-auth">
+      {mode === 'apikey' ? field('apiKey', 'API key', { type:'password' }) : null}
+      {mode === 'maxauth' || mode === 'ldap' ? field('user', 'User') : null}
+      {mode === 'maxauth' || mode === 'ldap' ? field('password', 'Password', { type:'password' }) : null}
+      {mode === 'ldap' ? field('loginPath', 'Login path', { placeholder:'/j_security_check' }) : null}
+      {mode === 'certificate' ? field('cert', 'Client certificate', { placeholder:'PEM or file path' }) : null}
+      {mode === 'certificate' ? field('key', 'Client key', { type:'password', placeholder:'PEM or file path' }) : null}
+      {field('ca', 'CA bundle', { placeholder:'PEM or file path (private CA)' })}
+      <Toggle
+        id={`t-insecure-${t._key}`}
+        labelText="Skip TLS verification"
+        labelA="Off"
+        labelB="On (test only)"
+        size="sm"
+        toggled={!!t.insecureSkipVerify}
+        onToggle={(v) => edit('insecureSkipVerify', !!v)}
+        disabled={locked}
+      />
+    </div>
+  )
+}
+
+// What the tools may do on a tenant; see mcp-server/policy.mjs. Lists are comma-separated.
+function TenantPolicyFields({ t, locked, edit }) {
+  const list = (name, labelText, placeholder) => (
+    <TextInput id={`t-${name}-${t._key}`} labelText={labelText} placeholder={placeholder} disabled={locked}
+      value={Array.isArray(t[name]) ? t[name].join(', ') : (t[name]||'')}
+      onChange={(e) => edit(name, e.target.value)} />
+  )
+  return (
+    <div className="mx-tenant-policy">
+      <Toggle
+        id={`t-readonly-${t._key}`}
+        labelText="Read-only"
+        labelA="Writes allowed"
+        labelB="No writes"
+        size="sm"
+        toggled={!!t.readOnly}
+        onToggle={(v) => edit('readOnly', !!v)}
+        disabled={locked}
+      />
+      {list('osAllow', 'Allowed object structures', 'All, e.g. MXWO, MXASSET')}
+      {list('osDeny', 'Blocked object structures', 'e.g. MXPERUSER')}
+      {list('selectAllow', 'Selectable attributes', 'All, e.g. wonum, description, status')}
+      {list('tools', 'Tools', 'All, e.g. maximo.queryOS, maximo.wo.*')}
+      <TextInput id={`t-pagesize-${t._key}`} labelText="Max page size" type="number" min={1} placeholder="No cap" disabled={locked}
+        value={t.maxPageSize ?? ''}
+        onChange={(e) => edit('maxPageSize', e.target.value === '' ? '' : Number(e.target.value))} />
+      <TextInput id={`t-maxrecords-${t._key}`} labelText="Max records per query" type="number" min={1} placeholder="No cap" disabled={locked}
+        value={t.maxRecords ?? ''}
+        onChange={(e) => edit('maxRecords', e.target.value === '' ? '' : Number(e.target.value))} />
+    </div>
+  )
+}
+
+// Request limits (mcp-server/maximo-http.mjs); empty fields use the MCP server's defaults
+const TENANT_LIMITS = [
+  { name:'timeoutMs', labelText:'Timeout (ms)', placeholder:'30000', min:1 },
+  { name:'retries', labelText:'Retries (reads)', placeholder:'2', min:0 },
+  { name:'maxConcurrent', labelText:'Max concurrent requests', placeholder:'8', min:1 },
+  { name:'rateLimit', labelText:'Requests per second', placeholder:'10 (0: no limit)', min:0 },
+  { name:'rateBurst', labelText:'Burst', placeholder:'20', min:1 },
+  { name:'breakerThreshold', labelText:'Failures before pausing', placeholder:'5 (0: never)', min:0 },
+  { name:'breakerCooldownMs', labelText:'Pause (ms)', placeholder:'30000', min:1 },
+]
+
+function TenantLimitFields({ t, locked, edit }) {
+  return (
+    <div className="mx-tenant-limits">
+      {TENANT_LIMITS.map(f => (
+        <TextInput key={f.name} id={`t-${f.name}-${t._key}`} labelText={f.labelText} type="number" min={f.min} placeholder={f.placeholder} disabled={locked}
+          value={t[f.name] ?? ''}
+          onChange={(e) => edit(f.name, e.target.value === '' ? '' : Number(e.target.value))} />
+      ))}
+    </div>
+  )
+}
+
+// Tenants live in the MCP server's registry (tenants.json on the PVC), not in settings.json:
+// each row is saved on its own and reaches the tools without a redeploy.
+function TenantRegistry() {
+  const [reg, setReg] = useState(null)
+  const [rows, setRows] = useState([])
+  const [busy, setBusy] = useState(null)
+  const [note, setNote] = useState(null)
+
+  const load = async () => {
+    try {
+      const out = await apiTenants()
+      setReg(out)
+      setRows((out.tenants || []).map(t => ({ ...t, _key: t.id })))
+    } catch (e) {
+      setNote({ kind:'error', title:'Tenants unavailable', subtitle: String(e.message || e) })
+    }
+  }
+
+  useEffect(() => { load() }, [])
+
+  const edit = (key, field, value) => setRows(rows.map(r => r._key === key ? { ...r, [field]: value, _dirty: true } : r))
+  const addRow = () => setRows([...rows, { _key: `new-${Date.now()}`, _new: true, _dirty: true, id:'', label:'', baseUrl:'', auth:'apikey', apiKey:'', site:'', approval:'' }])
+
+  const saveRow = async (row) => {
+    const { _key, _new, _dirty, id, source, ...fields } = row
+    setBusy(_key); setNote(null)
+    try {
+      if (_new && rows.some(r => !r._new && r.id === id)) throw new Error(`Tenant ${id} already exists`)
+      await apiTenants(`/${encodeURIComponent(id)}`, { method:'PUT', body: fields })
+      setNote({ kind:'success', title:'Tenant saved', subtitle:`${id} is available to the MCP tools.` })
+      await load()
+    } catch (e) {
+      setNote({ kind:'error', title:'Save failed', subtitle: (e.details && e.details.length ? e.details.join('; ') : String(e.message || e)) })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const deleteRow = async (row) => {
+    if (row._new) return setRows(rows.filter(r => r._key !== row._key))
+    setBusy(row._key); setNote(null)
+    try {
+      await apiTenants(`/${encodeURIComponent(row.id)}`, { method:'DELETE' })
+      await load()
+    } catch (e) {
+      setNote({ kind:'error', title:'Delete failed', subtitle: String(e.message || e) })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const writable = !!reg?.writable && !reg?.error
+  const source = reg?.source === 'env'
+    ? 'Loaded from TENANTS_JSON (read-only). Edit the Secret to change tenants.'
+    : reg?.source === 'file'
+      ? `Stored on the PVC in ${reg.file}. Changes apply without a redeploy.`
+      : 'The MCP server has no registry file (set DATA_DIR or TENANTS_FILE); only MAXIMO_URL is used.'
+
+  return (
+    <div className="mx-section">
+      <div className="mx-section-title">Tenants Registry</div>
+      <div className="mx-subtle">{reg ? source : 'Loading tenants from the MCP server…'}</div>
+      {reg?.error ? <InlineNotification kind="error" title="Registry file is invalid" subtitle={`${reg.error}. The last valid tenants stay in use.`} /> : null}
+      {note ? <InlineNotification kind={note.kind} title={note.title} subtitle={note.subtitle} onClose={() => setNote(null)} /> : null}
+
+      <div className="mx-tenant-table">
+        <div className="mx-tenant-row head">
+          <div>Tenant ID</div><div>Label</div><div>Maximo Base URL</div><div>Sign-in</div><div>Site</div><div>Writes</div><div></div>
+        </div>
+        {rows.map((t) => {
+          const locked = !writable || t.source === 'env'
+          return (
+            <div className="mx-tenant-row" key={t._key}>
+              <TextInput id={`t-id-${t._key}`} labelText="" value={t.id||''} disabled={!t._new}
+                onChange={(e) => edit(t._key, 'id', e.target.value)} />
+              <TextInput id={`t-label-${t._key}`} labelText="" value={t.label||''} disabled={locked}
+                onChange={(e) => edit(t._key, 'label', e.target.value)} />
+              <TextInput id={`t-url-${t._key}`} labelText="" value={t.baseUrl||''} disabled={locked} placeholder="https://host/maximo"
+                onChange={(e) => edit(t._key, 'baseUrl', e.target.value)} />
+              <Dropdown
+                id={`t-auth-${t._key}`}
+                titleText=""
+                label="API key"
+                items={TENANT_AUTH}
+                itemToString={(it) => it ? it.label : ''}
+                selectedItem={TENANT_AUTH.find(a => a.id === tenantAuth(t))}
+                onChange={({ selectedItem }) => edit(t._key, 'auth', selectedItem?.id || 'apikey')}
+                disabled={locked}
+              />
+              <TextInput id={`t-site-${t._key}`} labelText="" value={t.site||''} disabled={locked}
+                onChange={(e) => edit(t._key, 'site', e.target.value.toUpperCase())} />
+              <Dropdown
+                id={`t-approval-${t._key}`}
+                titleText=""
+                label="Server default"
+                items={TENANT_APPROVAL}
+                itemToString={(it) => it ? it.label : ''}
+                selectedItem={TENANT_APPROVAL.find(a => a.id === (t.approval||'')) || TENANT_APPROVAL[0]}
+                onChange={({ selectedItem }) => edit(t._key, 'approval', selectedItem?.id || '')}
+                disabled={locked}
+              />
+              <div className="mx-tenant-actions">
+                <Button size="sm" onClick={() => saveRow(t)} disabled={locked || !t._dirty || !t.id || busy === t._key}>
+                  {busy === t._key ? 'Saving…' : 'Save'}
+                </Button>
+                <Button size="sm" kind="danger--tertiary" onClick={() => deleteRow(t)} disabled={(locked && !t._new) || busy === t._key}>
+                  Delete
+                </Button>
+              </div>
+              <TenantAuthFields t={t} locked={locked} edit={(field, value) => edit(t._key, field, value)} />
+              <TenantPolicyFields t={t} locked={locked} edit={(field, value) => edit(t._key, field, value)} />
+              <TenantLimitFields t={t} locked={locked} edit={(field, value) => edit(t._key, field, value)} />
+            </div>
+          )
+        })}
+        <div style={{ marginTop:'0.75rem' }}>
+          <Button kind="secondary" onClick={addRow} disabled={!writable}>Add tenant</Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function SettingsPage({ settings, setSettings, serverMeta, onSaved, onReload }) {
   const [open, setOpen] = useState(false)
   const [saving, setSaving] = useState(false)
   const [note, setNote] = useState(null)
@@ -472,7 +1238,8 @@ function SettingsPage({ settings, setSettings }) {
   const s = settings || {}
   const ai = s.ai || {}
   const maximo = s.maximo || {}
-  const tenants = s.tenants || [{ id:'default', label:'Default', url: maximo.baseUrl || '' }]
+  const overridden = serverMeta?.overridden || []
+  const fromSecret = (path) => overridden.includes(path)
 
   const set = (path, value) => {
     const next = JSON.parse(JSON.stringify(s || {}))
@@ -485,14 +1252,17 @@ function SettingsPage({ settings, setSettings }) {
     setSettings(next)
   }
 
-  const loadModels = async () => {
+  const loadModels = async (refresh) => {
     setModelsBusy(true)
     setNote(null)
     try {
-      const out = await apiListModels(ai.provider || 'openai', s)
+      const out = await apiListModels(ai.provider || 'openai', s, refresh)
       const list = out.models || []
       setModels(list)
       if (!ai.model && list.length) set(['ai','model'], list[0])
+      if (out.source === 'static') {
+        setNote({ kind:'warning', title:'Using configured model list', subtitle: `Provider unreachable: ${out.error || 'unknown error'}` })
+      }
     } catch (e) {
       setModels([])
       setNote({ kind:'error', title:'Model list failed', subtitle: String(e.message || e) })
@@ -509,30 +1279,20 @@ function SettingsPage({ settings, setSettings }) {
   const save = async () => {
     setSaving(true); setNote(null)
     try {
-      await apiSaveSettings(s)
-      saveLocalSettings(s)
-      setNote({ kind:'success', title:'Saved', subtitle:'Settings persisted to PVC-backed file.' })
+      const out = await apiSaveSettings(s, serverMeta?.version)
+      onSaved(out)
+      setNote({ kind:'success', title:'Saved', subtitle:`Settings persisted to PVC-backed file (version ${out.version}).` })
     } catch (e) {
-      setNote({ kind:'error', title:'Save failed', subtitle: String(e.message || e) })
+      if (e.conflict) {
+        setNote({ kind:'warning', title:'Settings changed elsewhere', subtitle:'Another session saved newer settings. Reload them, re-apply your edits and save again.' })
+      } else {
+        setNote({ kind:'error', title:'Save failed', subtitle: String(e.message || e) })
+      }
     } finally {
       setSaving(false)
     }
   }
 
-  const addTenant = () => {
-    const next = { ...(s||{}) }
-    next.tenants = [...(next.tenants||tenants), { id:'', label:'', url:'' }]
-    setSettings(next)
-  }
-  const delTenant = (idx) => {
-    const next = { ...(s||{}) }
-    const copy = [...(next.tenants||tenants)]
-    if (copy[idx]?.id === 'default') return
-    copy.splice(idx,1)
-    next.tenants = copy
-    setSettings(next)
-  }
-
   return (
     <div className="mx-page">
       <div className="mx-page-title">Settings</div>
@@ -564,7 +1324,7 @@ function SettingsPage({ settings, setSettings }) {
               onChange={({ selectedItem }) => set(['ai','model'], String(selectedItem||''))}
               disabled={modelsBusy || (!models.length && !ai.model)}
             />
-            <Button size="sm" kind="secondary" onClick={loadModels} disabled={modelsBusy}>
+            <Button size="sm" kind="secondary" onClick={() => loadModels(true)} disabled={modelsBusy}>
               Refresh
             </Button>
           </div>
@@ -587,21 +1347,26 @@ function SettingsPage({ settings, setSettings }) {
         <TextInput
           id="maximo-url"
           labelText="Maximo Base URL"
-          helperText="Example: https://yourhost/maximo (API uses /maximo/api/os)"
+          helperText={fromSecret('maximo.baseUrl') ? 'Provided by OpenShift Secret (MAXIMO_URL)' : 'Example: https://yourhost/maximo (API uses /maximo/api/os)'}
           value={maximo.baseUrl || ''}
+          disabled={fromSecret('maximo.baseUrl')}
           onChange={(e) => set(['maximo','baseUrl'], e.target.value)}
         />
         <TextInput
           id="maximo-key"
           labelText="Maximo API Key"
+          helperText={fromSecret('maximo.apiKey') ? 'Provided by OpenShift Secret (MAXIMO_APIKEY)' : undefined}
           value={maximo.apiKey || ''}
           type="password"
+          disabled={fromSecret('maximo.apiKey')}
           onChange={(e) => set(['maximo','apiKey'], e.target.value)}
         />
         <TextInput
           id="maximo-site"
           labelText="Default Site ID"
+          helperText={fromSecret('maximo.defaultSite') ? 'Provided by OpenShift Secret (DEFAULT_SITEID)' : undefined}
           value={maximo.defaultSite || ''}
+          disabled={fromSecret('maximo.defaultSite')}
           onChange={(e) => set(['maximo','defaultSite'], e.target.value.toUpperCase())}
         />
         <TextInput
@@ -615,63 +1380,114 @@ function SettingsPage({ settings, setSettings }) {
         <TextInput
           id="mcp-url"
           labelText="MCP Server URL"
+          helperText={fromSecret('mcp.url') ? 'Provided by OpenShift Secret' : undefined}
           value={s.mcp?.url || ''}
+          disabled={fromSecret('mcp.url')}
           onChange={(e) => set(['mcp','url'], e.target.value)}
         />
         <Toggle
           id="mcp-tools"
-          labelText="Enable MCP tool orchestration in AI mode (OpenAI-compatible providers only)"
+          labelText="Enable MCP tool orchestration in AI mode"
           toggled={!!(s.mcp?.enableTools)}
           onToggle={(v) => set(['mcp','enableTools'], !!v)}
         />
       </div>
 
-      <div className="mx-section">
-        <div className="mx-section-title">Tenants Registry</div>
-        <div className="mx-subtle">Add, edit, and remove tenants. Stored in the PVC-backed settings file.</div>
-
-        <div className="mx-tenant-table">
-          <div className="mx-tenant-row head">
-            <div>Tenant ID</div><div>Label</div><div>Maximo Base URL</div><div></div>
-          </div>
-          {(s.tenants || tenants).map((t, idx) => (
-            <div className="mx-tenant-row" key={idx}>
-              <TextInput id={`t-id-${idx}`} labelText="" value={t.id||''}
-                onChange={(e) => {
-                  const next = { ...(s||{}) }; const copy=[...(next.tenants||tenants)]
-                  copy[idx] = { ...(copy[idx]||{}), id: e.target.value }
-                  next.tenants = copy; setSettings(next)
-                }} />
-              <TextInput id={`t-label-${idx}`} labelText="" value={t.label||''}
-                onChange={(e) => {
-                  const next = { ...(s||{}) }; const copy=[...(next.tenants||tenants)]
-                  copy[idx] = { ...(copy[idx]||{}), label: e.target.value }
-                  next.tenants = copy; setSettings(next)
-                }} />
-              <TextInput id={`t-url-${idx}`} labelText="" value={t.url||''}
-                onChange={(e) => {
-                  const next = { ...(s||{}) }; const copy=[...(next.tenants||tenants)]
-                  copy[idx] = { ...(copy[idx]||{}), url: e.target.value }
-                  next.tenants = copy; setSettings(next)
-                }} />
-              <Button size="sm" kind="danger--tertiary" onClick={() => delTenant(idx)} disabled={(t.id||'')==='default'}>
-                Delete
-              </Button>
-            </div>
-          ))}
-          <div style={{ marginTop:'0.75rem' }}>
-            <Button kind="secondary" onClick={addTenant}>Add tenant</Button>
-          </div>
-        </div>
-      </div>
+      <TenantRegistry />
 
       <div className="mx-form-actions">
         <Button onClick={save} disabled={saving}>{saving ? 'Saving…' : 'Save Settings'}</Button>
+        <Button kind="secondary" onClick={async () => { setNote(null); try { await onReload() } catch (e) { setNote({ kind:'error', title:'Reload failed', subtitle: String(e.message || e) }) } }} disabled={saving}>
+          Reload from server
+        </Button>
       </div>
     </div>
   )
 }
 
+const STATUS_TAGS = { up:'green', down:'red', skipped:'gray' }
+const STATUS_REFRESH_MS = 30000
+
+// One line about what a check looked at, by kind (see /readyz in app/src/server.mjs)
+function checkDetail(c) {
+  if (c.status === 'skipped') return c.reason
+  if (c.kind === 'config') return c.file
+  if (c.kind === 'registry') return `${c.tenants} tenant${c.tenants === 1 ? '' : 's'} from ${c.source}${c.warning ? ` (${c.warning})` : ''}`
+  if (c.kind === 'mcp') return c.url
+  if (c.kind === 'maximo') return c.user ? `${c.endpoint}: signed in as ${c.user}` : [c.endpoint, c.httpStatus && `HTTP ${c.httpStatus}`].filter(Boolean).join(', ')
+  if (c.kind === 'llm') return c.selected ? 'Used for chat' : ''
+  return ''
+}
+
+function StatusRows({ checks, parent }) {
+  return checks.flatMap(c => [
+    <TableRow key={parent ? `${parent}/${c.name}` : c.name}>
+      <TableCell className={parent ? 'mx-status-nested' : undefined}>{c.name}</TableCell>
+      <TableCell><Tag type={STATUS_TAGS[c.status] || 'gray'} size="sm">{c.status}</Tag></TableCell>
+      <TableCell>{c.latencyMs != null ? `${c.latencyMs} ms` : ''}</TableCell>
+      <TableCell>
+        <div>{checkDetail(c)}</div>
+        {c.error ? <div className="mx-status-error">{c.error}</div> : null}
+      </TableCell>
+    </TableRow>,
+    ...(c.checks ? [<StatusRows key={`${c.name}/checks`} checks={c.checks} parent={c.name} />] : [])
+  ])
+}
+
+// Deep readiness of the app and, through it, the MCP server and every tenant's Maximo
+function StatusPage() {
+  const [report, setReport] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const load = async (refresh) => {
+    setBusy(true)
+    try {
+      setReport(await apiReadiness(refresh))
+      setError(null)
+    } catch (e) {
+      setError(String(e.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  useEffect(() => {
+    load(false)
+    const t = setInterval(() => load(false), STATUS_REFRESH_MS)
+    return () => clearInterval(t)
+  }, [])
+
+  return (
+    <div className="mx-page">
+      <div className="mx-page-title">Status</div>
+      <div className="mx-subtle">
+        The MCP server, each tenant's Maximo and each AI provider with an API key. Results are cached for a few seconds.
+      </div>
+      <div className="mx-status-head">
+        {report ? <Tag type={report.ok ? 'green' : 'red'}>{report.ok ? 'Ready' : 'Not ready'}</Tag> : null}
+        {report ? <span className="mx-subtle">Checked {new Date(report.checkedAt).toLocaleTimeString()}{report.cached ? ' (cached)' : ''}</span> : null}
+        <Button size="sm" kind="tertiary" onClick={() => load(true)} disabled={busy}>{busy ? 'Checking…' : 'Check now'}</Button>
+      </div>
+      {error ? <InlineNotification kind="error" title="Status unavailable" subtitle={error} onClose={() => setError(null)} /> : null}
+      {report ? (
+        <TableContainer>
+          <Table size="sm">
+            <TableHead>
+              <TableRow>
+                <TableHeader>Dependency</TableHeader><TableHeader>Status</TableHeader><TableHeader>Latency</TableHeader><TableHeader>Details</TableHeader>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <StatusRows checks={report.checks} />
+            </TableBody>
+          </Table>
+        </TableContainer>
+      ) : !error ? <Loading small withOverlay={false} /> : null}
+    </div>
+  )
+}
+
 function HelpPage() {
   return (
     <div className="mx-page">
@@ -691,13 +1507,14 @@ function HelpPage() {
   )
 }
 
-function RouterApp({ settings, setSettings, lastTrace, setLastTrace, setLastMaximoTable }) {
+function RouterApp({ settings, setSettings, serverMeta, onSettingsSaved, onReloadSettings, lastTrace, setLastTrace, setLastMaximoTable }) {
   return (
     <Routes>
       <Route path="/" element={<Navigate to="/chat" replace/>} />
       <Route path="/chat" element={<ChatPage settings={settings} setSettings={setSettings} setLastTrace={setLastTrace} setLastMaximoTable={setLastMaximoTable} />} />
       <Route path="/rest" element={<RestPage lastTrace={lastTrace} settings={settings} setLastTrace={setLastTrace} />} />
-      <Route path="/settings" element={<SettingsPage settings={settings} setSettings={setSettings} />} />
+      <Route path="/status" element={<StatusPage />} />
+      <Route path="/settings" element={<SettingsPage settings={settings} setSettings={setSettings} serverMeta={serverMeta} onSaved={onSettingsSaved} onReload={onReloadSettings} />} />
       <Route path="/help" element={<HelpPage />} />
       <Route path="*" element={<Navigate to="/chat" replace/>} />
     </Routes>
@@ -709,6 +1526,8 @@ export default function App() {
   const [settings, setSettings] = useState(() => loadLocalSettings())
   const [lastTrace, setLastTrace] = useState(null)
   const [lastMaximoTable, setLastMaximoTable] = useState(null)
+  const [serverMeta, setServerMeta] = useState(null) // { version, overridden }
+  const [me, setMe] = useState(null) // { enabled, user }
 
   const [helpOpen, setHelpOpen] = useState(false)
 
@@ -718,39 +1537,21 @@ export default function App() {
     localStorage.setItem('mx_theme', next)
   }
 
-  // Merge PVC/Secret settings into local settings on load
+  // PVC/Secret settings are authoritative; localStorage is only a cache
+  const applyServerSettings = (out, base) => {
+    const merged = mergeServerSettings(base, out.settings)
+    setSettings(merged)
+    saveLocalSettings(merged)
+    setServerMeta({ version: out.version, overridden: out.overridden || [] })
+  }
+
+  const reloadSettings = async () => applyServerSettings(await apiGetSettings(), loadLocalSettings())
+
   useEffect(() => {
-    (async () => {
-      try {
-        const s = await apiGetSettings()
-        // normalize structure expected by UI
-        const merged = {
-          ...settings,
-          ai: {
-            provider: (settings.ai?.provider || s.openai_key ? 'openai' : 'openai'),
-            model: settings.ai?.model || '',
-            system: settings.ai?.system || '',
-            temperature: settings.ai?.temperature ?? 0.7,
-            ...settings.ai
-          },
-          maximo: {
-            baseUrl: settings.maximo?.baseUrl || s.maximo_url || '',
-            apiKey: settings.maximo?.apiKey || s.maximo_apikey || '',
-            defaultSite: (settings.maximo?.defaultSite || s.default_siteid || '').toUpperCase(),
-            objectStructure: settings.maximo?.objectStructure || s.maximo_os || 'mxapiasset'
-          },
-          mcp: {
-            url: settings.mcp?.url || s.mcp_url || '',
-            enableTools: settings.mcp?.enableTools ?? (String(s.enable_mcp_tools||'').toLowerCase()==='true')
-          },
-          tenants: settings.tenants || s.tenants || [{ id:'default', label:'Default', url: (settings.maximo?.baseUrl || s.maximo_url || '') }]
-        }
-        setSettings(merged)
-        saveLocalSettings(merged)
-      } catch (e) {
-        // ignore; user can still configure locally
-      }
-    })()
+    apiMe().then(setMe).catch(() => setMe({ enabled: false, user: null }))
+    reloadSettings().catch(() => {
+      // ignore; user can still configure locally
+    })
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
@@ -758,6 +1559,7 @@ export default function App() {
     <BrowserRouter>
       <Shell
         theme={theme}
+        user={me?.user}
         onToggleTheme={toggleTheme}
         onOpenSettings={() => {}}
         onOpenHelp={() => setHelpOpen(true)}
@@ -765,6 +1567,9 @@ export default function App() {
         <RouterApp
           settings={settings}
           setSettings={(s) => { setSettings(s); saveLocalSettings(s) }}
+          serverMeta={serverMeta}
+          onSettingsSaved={(out) => applyServerSettings(out, settings)}
+          onReloadSettings={reloadSettings}
           lastTrace={lastTrace}
           setLastTrace={setLastTrace}
           setLastMaximoTable={setLastMaximoTable}
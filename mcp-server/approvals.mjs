@@ -0,0 +1,164 @@
+import crypto from "crypto";
+
+/**
+ * approvals.mjs
+ *
+ * Human-in-the-loop queue for write tools. When a tenant's policy requires approval the
+ * resolved write plan (see planWrite in maximo-tools.mjs) is parked here instead of being
+ * sent; the tool answers with a pending action. A user approves it, and the plan is sent
+ * exactly as it was shown, or rejects it. Pending actions expire after ttlMs.
+ */
+
+function approvalError(status, code, message, approval) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  if (approval) e.approval = approval;
+  return e;
+}
+
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * createApprovalQueue({ ttlMs, keep, describe, execute, onChange })
+ *
+ * - describe(plan) -> [{ path, from, to }] shown to the approver
+ * - execute(plan) -> { status, ok, body } (the tool result once approved)
+ * - onChange(approval) is called on every state change (pending, rejected, executed, failed, expired)
+ *
+ * - submit(plan, { requestedBy: { sub, name }, twoPerson }): park a plan; with twoPerson the
+ *   user who asked for it (by sub) cannot approve it
+ *
+ * Approval: { id, tool, tenant, method, url, headers, payload, diff, status, createdAt, expiresAt,
+ *             requestedBy, twoPerson, decision: { decision, by, reason, at } | null,
+ *             result: { status, ok, body, durationMs } | null }
+ * status: pending | approved (executing) | executed | failed | rejected | expired
+ */
+export function createApprovalQueue({ ttlMs = 15 * 60 * 1000, keep = 200, describe, execute, onChange = () => {} }) {
+  const items = new Map(); // id -> { approval, plan, requester }
+
+  const view = (a) => JSON.parse(JSON.stringify(a));
+
+  function sweep(now = Date.now()) {
+    for (const { approval } of items.values()) {
+      if (approval.status === "pending" && Date.parse(approval.expiresAt) <= now) {
+        approval.status = "expired";
+        onChange(view(approval));
+      }
+    }
+    // Decided actions stay readable for the trace; only the newest `keep` are retained.
+    const done = [...items.values()].filter(({ approval }) => !["pending", "approved"].includes(approval.status));
+    for (const { approval } of done.slice(0, Math.max(0, done.length - keep))) items.delete(approval.id);
+  }
+  setInterval(sweep, 30 * 1000).unref();
+
+  async function submit(plan, { requestedBy = null, twoPerson = false } = {}) {
+    const now = Date.now();
+    const approval = {
+      id: crypto.randomUUID(),
+      tool: plan.tool,
+      tenant: plan.tenant,
+      method: plan.method,
+      url: plan.url,
+      headers: plan.headers || {},
+      payload: plan.payload ?? null,
+      diff: await describe(plan),
+      status: "pending",
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+      requestedBy: requestedBy?.name || null,
+      twoPerson: Boolean(twoPerson),
+      decision: null,
+      result: null
+    };
+    items.set(approval.id, { approval, plan, requester: requestedBy?.sub || null });
+    onChange(view(approval));
+    return view(approval);
+  }
+
+  function list({ tenant, status } = {}) {
+    sweep();
+    return [...items.values()]
+      .map(({ approval }) => approval)
+      .filter(a => (!tenant || a.tenant === tenant) && (!status || a.status === status))
+      .map(view)
+      .reverse();
+  }
+
+  function get(id) {
+    sweep();
+    const item = items.get(id);
+    if (!item) throw approvalError(404, "approval_not_found", `No pending action ${id}`);
+    return view(item.approval);
+  }
+
+  /**
+   * Approve (execute the plan) or reject a pending action; decided or expired actions cannot change.
+   * by is the approver's name, bySub their verified subject (null without sign-in).
+   */
+  async function decide(id, { approve, by, bySub = null, reason } = {}) {
+    sweep();
+    const item = items.get(id);
+    if (!item) throw approvalError(404, "approval_not_found", `No pending action ${id}`);
+    const { approval, plan } = item;
+    if (approval.status === "expired") throw approvalError(410, "approval_expired", `Action ${id} expired at ${approval.expiresAt}`, view(approval));
+    if (approval.status !== "pending") throw approvalError(409, "approval_decided", `Action ${id} is already ${approval.status}`, view(approval));
+    if (approve && approval.twoPerson) {
+      // Without verified identities the two people cannot be told apart
+      if (!item.requester || !bySub) {
+        throw approvalError(403, "approval_unverified", `Action ${id} needs a second person's approval, which needs sign-in (OIDC_ISSUER)`, view(approval));
+      }
+      if (item.requester === bySub) {
+        throw approvalError(403, "approval_same_user", `Action ${id} was requested by ${approval.requestedBy}; someone else must approve it`, view(approval));
+      }
+    }
+
+    approval.decision = { decision: approve ? "approved" : "rejected", by: by || null, reason: reason || null, at: new Date().toISOString() };
+    if (!approve) {
+      approval.status = "rejected";
+      onChange(view(approval));
+      return view(approval);
+    }
+
+    approval.status = "approved";
+    const started = Date.now();
+    try {
+      const r = await execute(plan);
+      approval.result = { status: r.status, ok: r.ok, body: parseBody(r.body), durationMs: Date.now() - started };
+      approval.status = r.ok ? "executed" : "failed";
+    } catch (e) {
+      const status = e.status || 502;
+      approval.result = {
+        status,
+        ok: false,
+        body: { error: { code: e.code || "tool_failed", message: e.message || String(e), status } },
+        durationMs: Date.now() - started
+      };
+      approval.status = "failed";
+    }
+    onChange(view(approval));
+    return view(approval);
+  }
+
+  return { submit, list, get, decide };
+}
+
+/** Tool result for a parked write: not an error, so the model relays it to the user. */
+export function pendingResult(approval) {
+  return {
+    status: 202,
+    ok: true,
+    contentType: "application/json",
+    body: JSON.stringify({
+      status: "pending_approval",
+      approval: { id: approval.id, tool: approval.tool, tenant: approval.tenant, method: approval.method, url: approval.url, diff: approval.diff, expiresAt: approval.expiresAt },
+      message: "Nothing was sent to Maximo yet. A user must approve or reject this action in the chat before it runs. Tell the user what is waiting for approval and do not call the tool again."
+    })
+  };
+}
@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+
+/**
+ * auth.mjs
+ *
+ * Bearer-token checks for the HTTP endpoints. Off unless OIDC_ISSUER is set; then every call to
+ * /mcp, /mcp/*, /api/tenants and /api/logs needs `Authorization: Bearer <access token>` from that provider.
+ * The app forwards the signed-in user's token, other MCP clients bring their own.
+ * ROLE_MAPPING_JSON decides which tenants and tools the token's roles (OIDC_ROLES_CLAIM) allow;
+ * it is the same mapping the app uses, so both sides agree. The stdio transport is local and
+ * does not authenticate.
+ */
+
+const CLOCK_SKEW_S = 60;
+
+function authError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function b64json(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+function claimAt(claims, path) {
+  return String(path || "").split(".").reduce((v, k) => (v && typeof v === "object" ? v[k] : undefined), claims);
+}
+
+/** "*" matches everything, "x*" a prefix, anything else exactly. Keep in sync with app/src/auth.mjs. */
+export function allows(patterns, name) {
+  return (patterns || []).some(p => p === "*" || p === name || (p.endsWith("*") && String(name).startsWith(p.slice(0, -1))));
+}
+
+// The user's name in approvals (requester and approver) and the trace. Keep in sync with
+// userName in app/src/auth.mjs so both services name the same person the same way.
+export function userName(claims) {
+  return claims.preferred_username || claims.name || claims.email || claims.sub;
+}
+
+// { "<role>": { tenants: [...], tools: [...], admin: true } }; the union over the user's roles.
+// Without a mapping every valid token may use everything. Keep in sync with app/src/auth.mjs.
+function permissionsFor(mapping, roles) {
+  if (!mapping) return { tenants: ["*"], tools: ["*"], admin: true };
+  const p = { tenants: [], tools: [], admin: false };
+  for (const role of roles) {
+    const m = mapping[role];
+    if (!m) continue;
+    p.tenants.push(...(m.tenants || []));
+    p.tools.push(...(m.tools || []));
+    p.admin = p.admin || m.admin === true;
+  }
+  return p;
+}
+
+// Keep in sync with app/src/auth.mjs
+const ALGS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" }
+};
+
+/**
+ * createAuth({ env, log })
+ *
+ * - authenticate: middleware; req.user = { sub, name, roles, permissions } or 401 invalid_token
+ * - checkTenant(user, id) / checkTool(user, name) / checkAdmin(user): throw 403 when not allowed
+ * - canUseTenant / canUseTool: boolean forms, for filtering lists
+ */
+export function createAuth({ env = process.env, log = console.log } = {}) {
+  const issuer = String(env.OIDC_ISSUER || "").replace(/\/+$/, "");
+  const enabled = Boolean(issuer);
+  const audience = env.OIDC_AUDIENCE || env.OIDC_CLIENT_ID || "";
+  const rolesClaim = env.OIDC_ROLES_CLAIM || "roles";
+  const timeoutMs = Number(env.OIDC_TIMEOUT_MS || 10000);
+  const mapping = env.ROLE_MAPPING_JSON ? JSON.parse(env.ROLE_MAPPING_JSON) : null;
+  if (mapping !== null && (typeof mapping !== "object" || Array.isArray(mapping))) {
+    throw new Error("ROLE_MAPPING_JSON must be an object keyed by role name");
+  }
+  if (!enabled) log("[auth] OIDC_ISSUER is not set: /mcp and the REST routes accept unauthenticated calls");
+
+  let discovery = null;
+  let keys = null; // kid -> KeyObject
+  let keysAt = 0;
+
+  async function getJson(url) {
+    const r = await fetch(url, { headers: { accept: "application/json" }, signal: AbortSignal.timeout(timeoutMs) });
+    const j = await r.json().catch(() => null);
+    if (!r.ok || !j) throw authError(502, "oidc_unavailable", `${url} answered ${r.status}`);
+    return j;
+  }
+
+  function config() {
+    if (!discovery) discovery = getJson(`${issuer}/.well-known/openid-configuration`).catch(e => { discovery = null; throw e; });
+    return discovery;
+  }
+
+  // Refetched when a token names an unknown key (rotation), at most every 30 s.
+  async function key(kid) {
+    if (!keys || (!keys.has(kid) && Date.now() - keysAt > 30 * 1000)) {
+      const { keys: list = [] } = await getJson((await config()).jwks_uri);
+      keys = new Map(list.filter(k => k.use !== "enc").map(k => [k.kid, crypto.createPublicKey({ key: k, format: "jwk" })]));
+      keysAt = Date.now();
+    }
+    const k = keys.get(kid) || (keys.size === 1 && !kid ? [...keys.values()][0] : null);
+    if (!k) throw authError(401, "invalid_token", `Unknown signing key ${kid}`);
+    return k;
+  }
+
+  async function verify(token) {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 3) throw authError(401, "invalid_token", "Token is not a JWT");
+    let header, claims;
+    try {
+      header = b64json(parts[0]);
+      claims = b64json(parts[1]);
+    } catch {
+      throw authError(401, "invalid_token", "Token is not a JWT");
+    }
+    const alg = ALGS[header.alg];
+    if (!alg) throw authError(401, "invalid_token", `Unsupported token algorithm ${header.alg}`);
+    const ok = crypto.verify(alg.hash, Buffer.from(`${parts[0]}.${parts[1]}`), { key: await key(header.kid), ...alg }, Buffer.from(parts[2], "base64url"));
+    if (!ok) throw authError(401, "invalid_token", "Token signature is invalid");
+
+    const now = Date.now() / 1000;
+    if (claims.iss !== (await config()).issuer) throw authError(401, "invalid_token", `Token issuer ${claims.iss} is not trusted`);
+    if (audience && ![].concat(claims.aud || []).includes(audience) && claims.azp !== audience) throw authError(401, "invalid_token", "Token audience does not match");
+    if (typeof claims.exp !== "number" || claims.exp < now - CLOCK_SKEW_S) throw authError(401, "invalid_token", "Token expired");
+    if (typeof claims.nbf === "number" && claims.nbf > now + CLOCK_SKEW_S) throw authError(401, "invalid_token", "Token not valid yet");
+    return claims;
+  }
+
+  async function authenticate(req, res, next) {
+    req.user = null;
+    if (!enabled) return next();
+    const token = String(req.get("authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1];
+    try {
+      if (!token) throw authError(401, "unauthenticated", "Authorization: Bearer <token> is required");
+      const claims = await verify(token);
+      const roles = [].concat(claimAt(claims, rolesClaim) || []).map(String);
+      req.user = {
+        sub: claims.sub,
+        name: userName(claims),
+        roles,
+        permissions: permissionsFor(mapping, roles)
+      };
+      return next();
+    } catch (e) {
+      if (e.status !== 401) log(`[auth] token check failed: ${e.message}`);
+      res.set("www-authenticate", `Bearer realm="mcp-server"${e.status === 401 ? `, error="invalid_token"` : ""}`);
+      return res.status(e.status || 500).json({ error: { code: e.code || "auth_failed", message: e.message, status: e.status || 500 } });
+    }
+  }
+
+  const canUseTenant = (user, tenant) => !enabled || allows(user?.permissions.tenants, tenant);
+  const canUseTool = (user, tool) => !enabled || allows(user?.permissions.tools, tool);
+
+  function checkTenant(user, tenant) {
+    if (!canUseTenant(user, tenant)) throw authError(403, "tenant_forbidden", `${user?.name} may not use tenant ${tenant}`);
+  }
+
+  function checkTool(user, tool) {
+    if (!canUseTool(user, tool)) throw authError(403, "tool_forbidden", `${user?.name} may not use ${tool}`);
+  }
+
+  function checkAdmin(user) {
+    if (enabled && !user?.permissions.admin) throw authError(403, "admin_required", `${user?.name} may not change tenants`);
+  }
+
+  return { enabled, authenticate, canUseTenant, canUseTool, checkTenant, checkTool, checkAdmin };
+}
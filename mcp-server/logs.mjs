@@ -0,0 +1,222 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * logs.mjs
+ *
+ * Trace log behind /api/logs and the MCP UI: events { id, ts, kind, tenant, meta, payload } in
+ * an in-memory ring of LOG_MAX (default 500); id increases by one per event. Kinds used by the
+ * UI: rx_agent (tool call received), tx_maximo / rx_maximo (request to / response from Maximo)
+ * and tx_agent (tool result sent); the server also logs "tenant" and "approval" changes.
+ * Events of one tool call share meta.call, a Maximo request and its response meta.exchange, and
+ * meta.correlationId ties them to the caller's request (an app chat turn).
+ *
+ * Every event is redacted before it is kept: API keys, passwords, tokens and cookies become
+ * "***" (object keys, URL query params and JSON text alike) and strings longer than
+ * LOG_BODY_MAX (default 4000) characters are cut.
+ *
+ * LOG_FILE (optional, e.g. /data/logs/mcp-trace.jsonl on the PVC) also appends each event as a
+ * JSON line. The file rotates at LOG_FILE_MAX_BYTES (default 10 MB) to .1, .2 ... keeping
+ * LOG_FILE_KEEP (default 3) old files, and the ring is refilled from it on startup.
+ */
+
+const REDACTED = "***";
+const SECRET_KEY_RE = /^(api[-_]?key|x-api-key|authorization|maxauth|cookie|set-cookie|password|passwd|passphrase|secret|client_secret|token|access_token|refresh_token|id_token|j_password|_lpwd)$/i;
+// key=value in URLs / form bodies and "key": "value" in JSON text
+const SECRET_PARAM_RE = /([?&;\s]|^)(apikey|api_key|_lpwd|password|access_token|token)=([^&\s"']*)/gi;
+const SECRET_JSON_RE = /("(?:apikey|apiKey|api_key|password|passphrase|maxauth|authorization|token|access_token|refresh_token|client_secret)"\s*:\s*)"(?:[^"\\]|\\.)*"/g;
+
+function redactString(s, bodyMax) {
+  const out = s.replace(SECRET_PARAM_RE, `$1$2=${REDACTED}`).replace(SECRET_JSON_RE, `$1"${REDACTED}"`);
+  return out.length > bodyMax ? `${out.slice(0, bodyMax)}… (${out.length - bodyMax} more chars)` : out;
+}
+
+/** A copy of value with secrets masked and long strings cut to bodyMax characters. */
+export function redact(value, bodyMax = 4000, depth = 0) {
+  if (typeof value === "string") return redactString(value, bodyMax);
+  if (!value || typeof value !== "object") return value;
+  if (depth > 8) return "[…]";
+  if (Array.isArray(value)) return value.map(v => redact(v, bodyMax, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (v === undefined) continue;
+    out[k] = SECRET_KEY_RE.test(k) && v ? REDACTED : redact(v, bodyMax, depth + 1);
+  }
+  return out;
+}
+
+function readEvents(file) {
+  try {
+    return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // a line cut short by a crash
+      }
+    });
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return [];
+  }
+}
+
+function csv(v) {
+  return v ? String(v).split(",").map(s => s.trim()).filter(Boolean) : null;
+}
+
+// ms since epoch or anything Date parses; null when absent or invalid
+function time(v) {
+  if (v === undefined || v === "") return null;
+  const n = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(String(v));
+  return Number.isFinite(n) ? n : null;
+}
+
+// "404", "4xx" or "400-599" -> [min, max]
+function statusRange(v) {
+  const s = String(v || "").trim().toLowerCase();
+  if (!s) return null;
+  let m = s.match(/^([1-5])xx$/);
+  if (m) return [Number(m[1]) * 100, Number(m[1]) * 100 + 99];
+  m = s.match(/^(\d{3})(?:-(\d{3}))?$/);
+  if (m) return [Number(m[1]), Number(m[2] || m[1])];
+  return null;
+}
+
+/**
+ * Filter from query params: kind and tenant (comma-separated), tool, status ("404", "4xx",
+ * "400-599"; events without a status are left out), correlation (meta.correlationId), from / to
+ * (ms or ISO time), q (text anywhere in the event, case-insensitive) and after (only events
+ * with a larger id). The server adds visible(tenant), the tenants the caller may see.
+ */
+export function parseLogFilter(q = {}) {
+  return {
+    kinds: csv(q.kind),
+    tenants: csv(q.tenant),
+    tool: q.tool ? String(q.tool) : null,
+    status: statusRange(q.status),
+    correlation: q.correlation ? String(q.correlation) : null,
+    from: time(q.from),
+    to: time(q.to),
+    text: q.q ? String(q.q).toLowerCase() : null,
+    after: Number(q.after) || 0
+  };
+}
+
+export function logMatches(e, f) {
+  if (f.after && !(e.id > f.after)) return false;
+  if (f.visible && !f.visible(e.tenant)) return false;
+  if (f.kinds && !f.kinds.includes(e.kind)) return false;
+  if (f.tenants && !f.tenants.includes(e.tenant)) return false;
+  if (f.tool && e.meta?.tool !== f.tool) return false;
+  if (f.status) {
+    const st = Number(e.meta?.status);
+    if (!Number.isFinite(st) || st < f.status[0] || st > f.status[1]) return false;
+  }
+  if (f.correlation && e.meta?.correlationId !== f.correlation) return false;
+  if (f.from !== null && e.ts < f.from) return false;
+  if (f.to !== null && e.ts > f.to) return false;
+  if (f.text && !JSON.stringify(e).toLowerCase().includes(f.text)) return false;
+  return true;
+}
+
+/**
+ * createLogStore({ env, log })
+ *
+ * - push(kind, payload, meta, tenant): redact and keep one event (and append it to LOG_FILE)
+ * - recent(limit, filter): the newest events matching a parseLogFilter() filter, oldest first
+ * - get(id): one event and the events of the same call (meta.call) or Maximo exchange
+ *   (meta.exchange), oldest first
+ * - subscribe(fn): fn(event) for every new event; returns the unsubscribe function
+ * - status(): { max, file, fileError }
+ */
+export function createLogStore({ env = process.env, log = console.error } = {}) {
+  const max = Number(env.LOG_MAX || 500);
+  const bodyMax = Number(env.LOG_BODY_MAX || 4000);
+  const file = env.LOG_FILE ? path.resolve(env.LOG_FILE) : null;
+  const maxBytes = Number(env.LOG_FILE_MAX_BYTES || 10 * 1024 * 1024);
+  const keep = Math.max(1, Number(env.LOG_FILE_KEEP || 3));
+
+  const ring = [];
+  const listeners = new Set();
+  let seq = 0;
+  let size = 0;
+  let fileError = null;
+  let writing = Promise.resolve();
+
+  if (file) {
+    try {
+      ring.push(...[...readEvents(`${file}.1`), ...readEvents(file)].slice(-max));
+      // Events written before ids existed get one; new ids continue after the largest
+      for (const e of ring) e.id = Number(e.id) || ++seq;
+      seq = ring.reduce((n, e) => Math.max(n, e.id), seq);
+      size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    } catch (e) {
+      fileError = `${file}: ${e.code || e.message}`;
+      log(`[logs] cannot read ${fileError}`);
+    }
+  }
+
+  async function rotate() {
+    for (let i = keep - 1; i >= 1; i--) {
+      await fsp.rename(`${file}.${i}`, `${file}.${i + 1}`).catch(e => { if (e.code !== "ENOENT") throw e; });
+    }
+    await fsp.rename(file, `${file}.1`).catch(e => { if (e.code !== "ENOENT") throw e; });
+    size = 0;
+  }
+
+  // Appends are serialised so rotation never interleaves with a write.
+  function append(event) {
+    const line = JSON.stringify(event) + "\n";
+    writing = writing.then(async () => {
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      if (size && size + Buffer.byteLength(line) > maxBytes) await rotate();
+      await fsp.appendFile(file, line, { encoding: "utf8", mode: 0o600 });
+      size += Buffer.byteLength(line);
+      fileError = null;
+    }).catch(e => {
+      // Logged once per failure streak, not per event
+      if (!fileError) log(`[logs] cannot write ${file}: ${e.code || e.message}`);
+      fileError = `${file}: ${e.code || e.message}`;
+    });
+  }
+
+  function push(kind, payload, meta = {}, tenant = "") {
+    const event = { id: ++seq, ts: Date.now(), kind, tenant, meta: redact(meta, bodyMax), payload: redact(payload, bodyMax) };
+    ring.push(event);
+    while (ring.length > max) ring.shift();
+    if (file) append(event);
+    for (const fn of listeners) {
+      try {
+        fn(event);
+      } catch (e) {
+        log(`[logs] listener failed: ${e.message}`);
+      }
+    }
+    return event;
+  }
+
+  function recent(limit = 200, filter = null) {
+    const n = Math.min(Number(limit) || 200, max);
+    return (filter ? ring.filter(e => logMatches(e, filter)) : ring).slice(-n);
+  }
+
+  function get(id) {
+    const event = ring.find(e => e.id === Number(id));
+    if (!event) return null;
+    const key = event.meta?.call ? "call" : event.meta?.exchange ? "exchange" : null;
+    const related = key ? ring.filter(e => e.meta?.[key] === event.meta[key]) : [event];
+    return { event, related };
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function status() {
+    return { max, file, fileError };
+  }
+
+  return { push, recent, get, subscribe, status };
+}
@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import fs from "fs";
+import https from "https";
+import tls from "tls";
+import fetch from "node-fetch";
+
+/**
+ * maximo-auth.mjs
+ *
+ * How the MCP server signs in to Maximo, per tenant (`auth` in the tenant registry):
+ * - apikey: the `apikey` header (Maximo 7.6.1+ / MAS API keys)
+ * - maxauth: native Maximo users, `maxauth: base64(user:password)`
+ * - ldap: form login (j_security_check) whose LTPA / JSESSIONID cookies are reused by later
+ *   requests; a 401 drops the session, logs in again and retries once
+ * - certificate: TLS client certificate (`cert` + `key`, optional `passphrase`) and no header
+ * Without `auth` the mode follows the credentials present: apiKey, user + password, then cert.
+ *
+ * TLS per tenant, in any mode: `ca` adds trusted CAs (for private PKI) and `insecureSkipVerify:
+ * true` turns certificate checks off (self-signed test systems only). `cert`, `key` and `ca`
+ * take PEM text or a file path, e.g. a mounted Secret.
+ *
+ * signedFetch() sends one signed request; tools call maximoFetch (maximo-http.mjs), which adds
+ * timeouts, retries, limits and the trace on top.
+ */
+
+export const AUTH_MODES = ["apikey", "maxauth", "ldap", "certificate"];
+
+// Fields each explicit mode needs, checked by the tenant registry
+export const AUTH_REQUIRED_FIELDS = {
+  apikey: ["apiKey"],
+  maxauth: ["user", "password"],
+  ldap: ["user", "password"],
+  certificate: ["cert", "key"]
+};
+
+function authError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+export function authMode(t) {
+  if (t.auth) return t.auth;
+  if (t.apiKey) return "apikey";
+  if (t.user && t.password) return "maxauth";
+  if (t.cert && t.key) return "certificate";
+  return "apikey";
+}
+
+/** Headers that authenticate a request on their own (apikey, maxauth); ldap adds its cookie in signedFetch. */
+export function authHeaders(t) {
+  const h = { accept: "application/json" };
+  const mode = authMode(t);
+  if (mode === "apikey" && t.apiKey) h.apikey = String(t.apiKey);
+  if (mode === "maxauth") h.maxauth = Buffer.from(`${t.user}:${t.password}`).toString("base64");
+  return h;
+}
+
+// -----------------------------
+// TLS
+// -----------------------------
+const agents = new Map(); // hash of the TLS settings -> https.Agent
+
+// PEM text as-is; anything else is read as a file path.
+function pem(t, field) {
+  const v = t[field];
+  if (!v) return undefined;
+  if (String(v).includes("-----BEGIN")) return String(v);
+  try {
+    return fs.readFileSync(String(v), "utf8");
+  } catch (e) {
+    throw authError(500, "tenant_tls_invalid", `Tenant ${t.id}: cannot read ${field} from ${v} (${e.code || e.message})`);
+  }
+}
+
+function tlsAgent(t) {
+  if (!t.ca && !t.cert && !t.insecureSkipVerify) return undefined;
+  const options = {
+    keepAlive: true,
+    ca: t.ca ? [...tls.rootCertificates, pem(t, "ca")] : undefined,
+    cert: pem(t, "cert"),
+    key: pem(t, "key"),
+    passphrase: t.passphrase || undefined,
+    rejectUnauthorized: t.insecureSkipVerify !== true
+  };
+  const id = crypto.createHash("sha256").update(JSON.stringify(options)).digest("hex");
+  if (!agents.has(id)) agents.set(id, new https.Agent(options));
+  const agent = agents.get(id);
+  return url => (url.protocol === "https:" ? agent : undefined);
+}
+
+// -----------------------------
+// LDAP / form login sessions
+// -----------------------------
+const sessions = new Map(); // tenant + credentials -> { cookies: Map, login: Promise | null }
+
+function sessionFor(t) {
+  const id = crypto.createHash("sha256").update(JSON.stringify([t.id, t.api, t.user, t.password, t.loginPath])).digest("hex");
+  if (!sessions.has(id)) sessions.set(id, { cookies: new Map(), login: null });
+  return sessions.get(id);
+}
+
+function rememberCookies(session, r) {
+  for (const line of r.headers.raw()["set-cookie"] || []) {
+    const [pair] = line.split(";");
+    const i = pair.indexOf("=");
+    if (i > 0) session.cookies.set(pair.slice(0, i).trim(), pair.slice(i + 1).trim());
+  }
+}
+
+function cookieHeader(session) {
+  return [...session.cookies].map(([k, v]) => `${k}=${v}`).join("; ");
+}
+
+// The Maximo web root (".../maximo") that j_security_check lives under.
+function loginUrl(t) {
+  return t.api.replace(/\/api$/, "") + (t.loginPath || "/j_security_check");
+}
+
+async function login(t, session, agent, signal) {
+  session.cookies.clear();
+  const r = await fetch(loginUrl(t), {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ j_username: String(t.user || ""), j_password: String(t.password || "") }).toString(),
+    redirect: "manual",
+    agent,
+    signal
+  });
+  await r.arrayBuffer().catch(() => {});
+  rememberCookies(session, r);
+  const location = r.headers.get("location") || "";
+  if (r.status >= 400 || !session.cookies.size || /error|fail/i.test(location)) {
+    session.cookies.clear();
+    throw authError(401, "maximo_login_failed", `LDAP login to tenant ${t.id} failed (${r.status}${location ? ` -> ${location}` : ""})`);
+  }
+}
+
+// One login at a time per session; concurrent requests wait for it.
+function ensureLogin(t, session, agent, signal) {
+  if (session.cookies.size) return Promise.resolve();
+  if (!session.login) session.login = login(t, session, agent, signal).finally(() => { session.login = null; });
+  return session.login;
+}
+
+/**
+ * fetch() of url with tenant t's credentials and TLS settings, once; init as for node-fetch
+ * (init.signal also covers an LDAP login).
+ */
+export async function signedFetch(t, url, init = {}) {
+  const agent = tlsAgent(t);
+  const headers = { ...authHeaders(t), ...(init.headers || {}) };
+  if (authMode(t) !== "ldap") return fetch(url, { ...init, headers, agent });
+
+  const session = sessionFor(t);
+  await ensureLogin(t, session, agent, init.signal);
+  const sent = cookieHeader(session);
+  let r = await fetch(url, { ...init, headers: { ...headers, cookie: sent }, agent });
+  if (r.status === 401) {
+    await r.arrayBuffer().catch(() => {});
+    // Another request may have logged in again already
+    if (cookieHeader(session) === sent) session.cookies.clear();
+    await ensureLogin(t, session, agent, init.signal);
+    r = await fetch(url, { ...init, headers: { ...headers, cookie: cookieHeader(session) }, agent });
+  }
+  rememberCookies(session, r);
+  return r;
+}
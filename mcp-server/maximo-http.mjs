@@ -0,0 +1,331 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { Response } from "node-fetch";
+import { authHeaders, signedFetch } from "./maximo-auth.mjs";
+
+/**
+ * maximo-http.mjs
+ *
+ * The HTTP client for Maximo: every request goes through maximoFetch(), which signs it in
+ * (maximo-auth.mjs), traces it and keeps one slow or failing tenant from stalling the others or
+ * being hammered by an agent loop. Limits are per tenant: the registry field, else the env default.
+ *
+ * - timeoutMs (MAXIMO_TIMEOUT_MS, 30000): per attempt, response body included; 504 maximo_timeout
+ * - retries (MAXIMO_RETRIES, 2): more attempts for reads (GET / HEAD without x-method-override) on
+ *   429, 502, 503 or a dropped connection. The wait is Retry-After when Maximo sends one, else a
+ *   random share of MAXIMO_RETRY_BASE_MS (500) doubled per attempt, at most MAXIMO_RETRY_MAX_MS
+ *   (10000). Writes are never retried.
+ * - maxConcurrent (MAXIMO_MAX_CONCURRENT, 8): requests in flight; the rest wait in line
+ * - rateLimit / rateBurst (MAXIMO_RATE_LIMIT 10 per second, MAXIMO_RATE_BURST 20): token bucket;
+ *   rateLimit 0 turns it off. A request that waited timeoutMs for a slot or a token fails with
+ *   503 maximo_busy.
+ * - breakerThreshold (MAXIMO_BREAKER_THRESHOLD, 5): that many failures in a row (timeouts, no
+ *   connection, 502-504) open the circuit: calls fail at once with 503 maximo_unavailable for
+ *   breakerCooldownMs (MAXIMO_BREAKER_COOLDOWN_MS, 30000), then one trial request decides.
+ *   0 turns the breaker off.
+ *
+ * onMaximoTrace(fn) sees every attempt and every request refused by the limits (see below).
+ * Requests made inside maximoContext.run({ correlationId, ... }) carry X-Correlation-ID.
+ */
+
+const LIMIT_DEFAULTS = {
+  timeoutMs: ["MAXIMO_TIMEOUT_MS", 30000],
+  retries: ["MAXIMO_RETRIES", 2],
+  maxConcurrent: ["MAXIMO_MAX_CONCURRENT", 8],
+  rateLimit: ["MAXIMO_RATE_LIMIT", 10],
+  rateBurst: ["MAXIMO_RATE_BURST", 20],
+  breakerThreshold: ["MAXIMO_BREAKER_THRESHOLD", 5],
+  breakerCooldownMs: ["MAXIMO_BREAKER_COOLDOWN_MS", 30000]
+};
+
+const RETRY_STATUSES = new Set([429, 502, 503]);
+const RETRY_CODES = new Set(["ECONNRESET", "EPIPE", "EAI_AGAIN"]);
+const BREAKER_STATUSES = new Set([502, 503, 504]);
+const READ_METHODS = new Set(["GET", "HEAD"]);
+
+const positive = v => (Number.isInteger(v) && v > 0 ? null : "must be a positive integer");
+const zeroOrMore = v => (Number.isInteger(v) && v >= 0 ? null : "must be 0 or a positive integer");
+
+/** Registry field checks (see tenants.mjs): field -> check(value) returning a message or null. */
+export const LIMIT_FIELDS = {
+  timeoutMs: positive,
+  retries: zeroOrMore,
+  maxConcurrent: positive,
+  rateLimit: v => (typeof v === "number" && v >= 0 ? null : "must be a number of requests per second (0: no limit)"),
+  rateBurst: positive,
+  breakerThreshold: zeroOrMore,
+  breakerCooldownMs: positive
+};
+
+/** The limits that apply to tenant t (registry fields over env defaults). */
+export function tenantLimits(t, env = process.env) {
+  const out = {};
+  for (const [field, [name, fallback]] of Object.entries(LIMIT_DEFAULTS)) {
+    const v = t?.[field] ?? env[name];
+    const n = Number(v);
+    out[field] = v === undefined || v === "" || !Number.isFinite(n) || n < 0 ? fallback : n;
+  }
+  return out;
+}
+
+function httpError(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return Object.assign(e, extra);
+}
+
+// Resolves after ms; rejects with the signal's reason when it aborts first.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// -----------------------------
+// Per-tenant state
+// -----------------------------
+const states = new Map(); // tenant id -> { active, queue, tokens, refilledAt, failures, openUntil, trial }
+
+function stateFor(id) {
+  if (!states.has(id)) {
+    states.set(id, { active: 0, queue: [], tokens: null, refilledAt: Date.now(), failures: 0, openUntil: 0, trial: false });
+  }
+  return states.get(id);
+}
+
+/** Per tenant: requests in flight and waiting, and the circuit ("closed", "open" or "half-open"). */
+export function maximoHttpStats() {
+  const now = Date.now();
+  return [...states].map(([tenant, s]) => ({
+    tenant,
+    active: s.active,
+    queued: s.queue.length,
+    failures: s.failures,
+    circuit: !s.openUntil ? "closed" : now < s.openUntil ? "open" : "half-open"
+  }));
+}
+
+// Token bucket: refills at rateLimit per second up to rateBurst; waits for a token until deadline.
+async function takeToken(t, s, limits, deadline, signal) {
+  if (!(limits.rateLimit > 0)) return;
+  for (;;) {
+    const now = Date.now();
+    s.tokens = Math.min(limits.rateBurst, (s.tokens ?? limits.rateBurst) + ((now - s.refilledAt) / 1000) * limits.rateLimit);
+    s.refilledAt = now;
+    if (s.tokens >= 1) {
+      s.tokens -= 1;
+      return;
+    }
+    const wait = Math.ceil(((1 - s.tokens) / limits.rateLimit) * 1000);
+    if (now + wait > deadline) {
+      throw httpError(503, "maximo_busy", `Tenant ${t.id}: more than ${limits.rateLimit} Maximo requests per second; try again shortly`);
+    }
+    await sleep(wait, signal);
+  }
+}
+
+// Concurrency slot: at most maxConcurrent in flight, the rest wait in order until deadline.
+function takeSlot(t, s, limits, deadline, signal) {
+  if (s.active < limits.maxConcurrent && !s.queue.length) {
+    s.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      grant: () => {
+        settle();
+        s.active++;
+        resolve();
+      }
+    };
+    const onAbort = () => {
+      settle();
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      settle();
+      reject(httpError(503, "maximo_busy", `Tenant ${t.id}: ${s.active} Maximo requests still running after ${limits.timeoutMs} ms; try again shortly`));
+    }, Math.max(0, deadline - Date.now()));
+    function settle() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      const i = s.queue.indexOf(waiter);
+      if (i >= 0) s.queue.splice(i, 1);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+    s.queue.push(waiter);
+  });
+}
+
+function releaseSlot(s, limits) {
+  s.active--;
+  if (s.queue.length && s.active < limits.maxConcurrent) s.queue[0].grant();
+}
+
+// Throws while the circuit is open; returns true when this request is the half-open trial.
+function checkCircuit(t, s, limits) {
+  if (!limits.breakerThreshold || !s.openUntil) return false;
+  const wait = s.openUntil - Date.now();
+  if (wait > 0 || s.trial) {
+    throw httpError(503, "maximo_unavailable",
+      `Tenant ${t.id}: Maximo failed ${s.failures} times in a row; not calling it for ${Math.max(1, Math.ceil(wait / 1000))} s`,
+      { retryAfterMs: Math.max(0, wait) });
+  }
+  s.trial = true;
+  return true;
+}
+
+// failed: true / false, or null when the caller gave up (no verdict on Maximo)
+function recordOutcome(s, limits, failed, trial) {
+  if (trial) s.trial = false;
+  if (failed === null) return;
+  if (!failed) {
+    s.failures = 0;
+    s.openUntil = 0;
+    return;
+  }
+  s.failures++;
+  if (limits.breakerThreshold && (trial || s.failures >= limits.breakerThreshold)) s.openUntil = Date.now() + limits.breakerCooldownMs;
+}
+
+function retryDelay(r, attempt) {
+  const max = Number(process.env.MAXIMO_RETRY_MAX_MS || 10000);
+  const after = r?.headers.get("retry-after");
+  if (after) {
+    const ms = /^\d+$/.test(after) ? Number(after) * 1000 : Date.parse(after) - Date.now();
+    if (Number.isFinite(ms)) return Math.min(max, Math.max(0, ms));
+  }
+  const base = Number(process.env.MAXIMO_RETRY_BASE_MS || 500);
+  return Math.round(Math.random() * Math.min(max, base * 2 ** (attempt - 1)));
+}
+
+// -----------------------------
+// Trace
+// -----------------------------
+let traceListener = null;
+let exchanges = 0;
+
+/** Request-scoped context ({ correlationId, call, tool, via }) that follows a tool call across awaits. */
+export const maximoContext = new AsyncLocalStorage();
+
+/**
+ * fn(event) for every attempt maximoFetch makes, in order (exchange numbers the pair, attempt
+ * counts from 1 per maximoFetch call):
+ * - { phase: "request", exchange, attempt, tenant, method, url, headers, body }
+ * - { phase: "response", ..., status, durationMs, headers, body } or
+ *   { phase: "error", ..., durationMs, code, error }
+ * and { phase: "rejected", tenant, method, url, code, error } for a request the limits refused
+ * (maximo_busy, maximo_unavailable) before it was sent.
+ * headers include the credentials; the listener redacts. null turns tracing off.
+ */
+export function onMaximoTrace(fn) {
+  traceListener = fn;
+}
+
+function trace(event) {
+  if (!traceListener) return;
+  try {
+    traceListener(event);
+  } catch (e) {
+    console.error("Maximo trace listener failed:", e);
+  }
+}
+
+// One attempt. While traced, the body is read here (to log it) and handed back in a fresh Response.
+async function exchange(t, url, init, attempt, asTimeout) {
+  if (!traceListener) {
+    try {
+      return await signedFetch(t, url, init);
+    } catch (e) {
+      throw asTimeout(e);
+    }
+  }
+  const base = { exchange: ++exchanges, attempt, tenant: t.id, method: String(init.method || "GET").toUpperCase(), url: String(url) };
+  trace({ phase: "request", ...base, headers: { ...authHeaders(t), ...init.headers }, body: init.body ?? null });
+  const started = Date.now();
+  try {
+    const r = await signedFetch(t, url, init);
+    const buf = Buffer.from(await r.arrayBuffer());
+    trace({ phase: "response", ...base, status: r.status, durationMs: Date.now() - started, headers: Object.fromEntries(r.headers.entries()), body: buf.toString("utf8") });
+    return new Response(buf, { status: r.status, statusText: r.statusText, headers: r.headers });
+  } catch (e0) {
+    const e = asTimeout(e0);
+    trace({ phase: "error", ...base, durationMs: Date.now() - started, code: e.code || null, error: e.message || String(e) });
+    throw e;
+  }
+}
+
+// Circuit, rate and concurrency checks around one attempt, with its timeout.
+async function guardedAttempt(t, url, init, attempt, limits) {
+  const s = stateFor(t.id);
+  const caller = init.signal;
+  let trial = false;
+  try {
+    trial = checkCircuit(t, s, limits);
+    const deadline = Date.now() + limits.timeoutMs;
+    await takeToken(t, s, limits, deadline, caller);
+    await takeSlot(t, s, limits, deadline, caller);
+  } catch (e) {
+    if (trial) s.trial = false;
+    if (e?.code === "maximo_busy" || e?.code === "maximo_unavailable") {
+      trace({ phase: "rejected", tenant: t.id, method: String(init.method || "GET").toUpperCase(), url: String(url), code: e.code, error: e.message });
+    }
+    throw e;
+  }
+
+  const timeout = AbortSignal.timeout(limits.timeoutMs);
+  const timedOut = () => timeout.aborted && !caller?.aborted;
+  const asTimeout = e => (timedOut() ? httpError(504, "maximo_timeout", `Tenant ${t.id}: Maximo did not answer within ${limits.timeoutMs} ms`) : e);
+  let failed = null;
+  try {
+    // node-fetch crashes the process on a pre-aborted signal with a body, so fail first
+    caller?.throwIfAborted();
+    const r = await exchange(t, url, { ...init, signal: caller ? AbortSignal.any([caller, timeout]) : timeout }, attempt, asTimeout);
+    failed = BREAKER_STATUSES.has(r.status);
+    return r;
+  } catch (e) {
+    if (!caller?.aborted) failed = true;
+    throw e;
+  } finally {
+    releaseSlot(s, limits);
+    recordOutcome(s, limits, failed, trial);
+  }
+}
+
+/**
+ * fetch() against a tenant's Maximo with its credentials, TLS settings and limits.
+ * t is a resolved tenant ({ id, api, ...registry fields }); init as for node-fetch (init.signal
+ * cancels, including waits and retries).
+ */
+export async function maximoFetch(t, url, init = {}) {
+  const correlationId = maximoContext.getStore()?.correlationId;
+  const headers = { ...(init.headers || {}), ...(correlationId ? { "x-correlation-id": correlationId } : {}) };
+  init = { ...init, headers };
+  const limits = tenantLimits(t);
+  const method = String(init.method || "GET").toUpperCase();
+  const retryable = READ_METHODS.has(method) && !Object.keys(headers).some(h => h.toLowerCase() === "x-method-override");
+
+  for (let attempt = 1; ; attempt++) {
+    const last = !retryable || attempt > limits.retries;
+    let r;
+    try {
+      r = await guardedAttempt(t, url, init, attempt, limits);
+    } catch (e) {
+      if (last || !RETRY_CODES.has(e.code)) throw e;
+      await sleep(retryDelay(null, attempt), init.signal);
+      continue;
+    }
+    if (last || !RETRY_STATUSES.has(r.status)) return r;
+    await r.arrayBuffer().catch(() => {});
+    await sleep(retryDelay(r, attempt), init.signal);
+  }
+}
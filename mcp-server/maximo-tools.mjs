@@ -0,0 +1,843 @@
+import { maximoFetch } from "./maximo-http.mjs";
+import { createSchemaCache, parseOsSchema, withoutChildAttributes } from "./os-schema.mjs";
+import { createTenantRegistry } from "./tenants.mjs";
+import { applyQueryPolicy, capRecords, checkOs, checkSelect, checkTool, osFromUrl, policyList, toolAllowed } from "./policy.mjs";
+
+/**
+ * maximo-tools.mjs
+ *
+ * Maximo tool implementations and tenant loading shared by every transport:
+ * the HTTP server (server.mjs: /mcp, /mcp/call) and stdio (stdio.mjs).
+ */
+
+export const SERVER_INFO = { name: "maximo-mcp-server", title: "Maximo MCP Server", version: "0.1.0" };
+
+// -----------------------------
+// Tenants
+// -----------------------------
+/**
+ * Tenants come from the registry in tenants.mjs (TENANTS_JSON, else TENANTS_FILE /
+ * <DATA_DIR>/tenants.json, plus MAXIMO_URL / MAXIMO_APIKEY as "default").
+ * - Each tenant: { label, baseUrl, org, site, laborCode, approval, ...credentials }; the
+ *   credentials and TLS settings are applied by maximoFetch (maximo-http.mjs, signing in with
+ *   maximo-auth.mjs), and so are its timeout, retry, rate and circuit-breaker limits.
+ *   approval: "required" | "two-person" | "auto" — whether write tools wait for a user's
+ *   approval, and whether that user must be someone else (default WRITE_APPROVAL, else "required").
+ *   readOnly, tools, osAllow, osDeny, selectAllow, maxPageSize, maxRecords limit what the tools may do
+ *   (policy.mjs); callTool enforces them and toolsFor() hides the tools a tenant does not offer.
+ * Connection ALWAYS uses REST via /maximo/api/os (as per UI buildRequest logic).
+ */
+let registry = null;
+
+/** The process-wide registry, created on first use (after stdio has moved logging to stderr). */
+export function tenantRegistry() {
+  if (!registry) registry = createTenantRegistry();
+  return registry;
+}
+
+export function loadTenants() {
+  return tenantRegistry().all();
+}
+
+export function mkBaseApi(base) {
+  if (!base) return null;
+  let b = String(base).replace(/\/$/, "");
+  if (/\/api(\/)?$/.test(b)) return b;
+  if (/\/maximo(\/)?$/.test(b)) return b + "/api";
+  return b + "/maximo/api";
+}
+
+/**
+ * The tenant a call addresses, with its api root. "default" only stands in for a missing id; an
+ * id that is not in the registry is 404 tenant_not_found, never another tenant.
+ */
+export function tenantOrThrow(tenantId) {
+  const id = tenantId === undefined || tenantId === null || tenantId === "" ? "default" : String(tenantId);
+  const all = tenantRegistry().all();
+  const t = Object.hasOwn(all, id) ? all[id] : null;
+  if (!t) throw toolError(404, `Tenant ${id} is not configured`, "tenant_not_found");
+  const api = mkBaseApi(t.baseUrl);
+  if (!api) throw toolError(400, `Tenant ${id} has no valid Maximo URL`, "tenant_not_configured");
+  return { ...t, id, api };
+}
+
+// -----------------------------
+// Tools
+// -----------------------------
+// Record addressing shared by getRecord / update / delete
+const RECORD_REF_PROPS = {
+  href: { type: "string", description: "Record href from a previous query result (preferred)" },
+  os: { type: "string", description: "Object Structure name, required with keys (e.g., MXAPIWODETAIL)" },
+  keys: {
+    type: "object",
+    description: "Key attributes identifying exactly one record, e.g. { \"wonum\": \"1234\", \"siteid\": \"BEDFORD\" }",
+    additionalProperties: { type: ["string", "number"] }
+  }
+};
+const PROPERTIES_PROP = {
+  type: "string",
+  description: "Attributes to return in the response (\"*\" for all); without it Maximo answers 204 No Content"
+};
+
+// Work orders (MXAPIWODETAIL). Each tool addresses one WO by wonum (+ siteid) or href.
+const WO_OS = "mxapiwodetail";
+const WO_REF_PROPS = {
+  wonum: { type: "string", description: "Work order number" },
+  siteid: { type: "string", description: "Site of the work order (needed when the wonum exists in several sites)" },
+  href: { type: "string", description: "Work order href from a previous query result (instead of wonum/siteid)" }
+};
+
+const WO_TOOLS = [
+  {
+    name: "maximo.wo.changeStatus",
+    description: "Change a work order's status (wsmethod:changeStatus), e.g. APPR, INPRG, COMP, CLOSE, CAN",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...WO_REF_PROPS,
+        status: { type: "string", description: "New status" },
+        memo: { type: "string", description: "Status change memo" },
+        date: { type: "string", description: "Status date (ISO 8601), default now" }
+      },
+      required: ["status"],
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.wo.addWorkLog",
+    description: "Add a work log entry to a work order",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...WO_REF_PROPS,
+        description: { type: "string", description: "Summary (max 100 characters)" },
+        details: { type: "string", description: "Long description" },
+        logtype: { type: "string", description: "Log type (default WORK)" }
+      },
+      required: ["description"],
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.wo.reportLabor",
+    description: "Report actual labor hours on a work order",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...WO_REF_PROPS,
+        hours: { type: "number", description: "Regular hours worked" },
+        laborcode: { type: "string", description: "Labor code (default: the tenant's laborCode)" },
+        craft: { type: "string", description: "Craft" },
+        startdate: { type: "string", description: "Start date/time (ISO 8601)" }
+      },
+      required: ["hours"],
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.wo.reportMaterial",
+    description: "Report actual material issued to a work order",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...WO_REF_PROPS,
+        itemnum: { type: "string", description: "Item number" },
+        quantity: { type: "number", description: "Quantity issued" },
+        storeloc: { type: "string", description: "Storeroom the item is issued from" }
+      },
+      required: ["itemnum", "quantity"],
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.wo.createFollowUp",
+    description: "Create a follow-up work order linked to an existing one (same site, asset and location)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...WO_REF_PROPS,
+        description: { type: "string", description: "Description of the follow-up work" },
+        worktype: { type: "string", description: "Work type, e.g. CM or PM" }
+      },
+      required: ["description"],
+      additionalProperties: false
+    }
+  }
+];
+
+export const TOOLS = [
+  {
+    name: "maximo.listOS",
+    description: "List object structures (/os)",
+    inputSchema: { type: "object", properties: { }, additionalProperties: false }
+  },
+  {
+    name: "maximo.queryOS",
+    description: "Query an object structure with OSLC params. Follows Maximo's next pages up to maxRecords; " +
+      "paging.totalCount is the size of the whole result and paging.cursor fetches the records after these (pass it instead of os/params)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        os: { type: "string", description: "Object Structure name (e.g., MXWO)" },
+        params: { type: "object", description: "OSLC query params (oslc.where, oslc.select, oslc.pageSize, ...)" },
+        maxRecords: { type: "integer", minimum: 1, description: "Records to return across pages (default: one page)" },
+        cursor: { type: "string", description: "paging.cursor from a previous maximo.queryOS result" }
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.getRecord",
+    description: "Read one record by href or by key attributes",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...RECORD_REF_PROPS,
+        select: { type: "string", description: "oslc.select list (default all attributes)" }
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.describeOS",
+    description: "Describe an object structure: its attributes (type, maxLength, required, domain), key attributes " +
+      "and child objects. Use the names it returns in oslc.select, oslc.where and oslc.orderBy",
+    inputSchema: {
+      type: "object",
+      properties: {
+        os: { type: "string", description: "Object Structure name (e.g., MXAPIWODETAIL)" },
+        children: { type: "boolean", description: "Include the attributes of child objects (default false: names only)" },
+        refresh: { type: "boolean", description: "Read the schema from Maximo again instead of the cached copy" }
+      },
+      required: ["os"],
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.create",
+    description: "Create record in an OS (POST)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        os: { type: "string", description: "Object Structure name" },
+        body: { type: "object", description: "Record payload" },
+        properties: PROPERTIES_PROP
+      },
+      required: ["os", "body"],
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.update",
+    description: "Update attributes of one record (PATCH with merge semantics; attributes not sent are kept)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...RECORD_REF_PROPS,
+        body: { type: "object", description: "Attributes to change" },
+        properties: PROPERTIES_PROP
+      },
+      required: ["body"],
+      additionalProperties: false
+    }
+  },
+  {
+    name: "maximo.delete",
+    description: "Delete one record",
+    inputSchema: {
+      type: "object",
+      properties: { ...RECORD_REF_PROPS },
+      additionalProperties: false
+    }
+  },
+  ...WO_TOOLS
+];
+
+function toolError(status, message, code = "invalid_arguments") {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/** Tool error body, same shape for argument errors, policy denials and Maximo errors. */
+export function toolErrorBody(e) {
+  const error = { code: e.code || "tool_failed", message: e.message || String(e), status: e.status || 500 };
+  if (e.policy) error.policy = e.policy;
+  return { error };
+}
+
+function parseJsonText(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Maximo error payloads -> { error: { code, reasonCode, message, status } }.
+ * Handles lean ({ Error: { reasonCode, message } }) and OSLC ({ "oslc:Error": { "spi:reasonCode", "oslc:message" } }) bodies.
+ */
+export function maximoErrorBody(status, text) {
+  const j = parseJsonText(text);
+  const err = j?.Error || j?.["oslc:Error"] || j?.error || null;
+  const reasonCode = err?.reasonCode || err?.["spi:reasonCode"] || null;
+  const message = (typeof err === "string" ? err : err?.message || err?.["oslc:message"]) ||
+    (j ? `Maximo request failed (${status})` : String(text || "").slice(0, 500) || `Maximo request failed (${status})`);
+  return { error: { code: "maximo_error", reasonCode, message, status } };
+}
+
+/**
+ * Readiness check for one tenant: asks Maximo who the configured credentials sign in as
+ * (/whoami, or one object structure from /os where whoami is missing).
+ * Resolves to { httpStatus, endpoint, user }; throws with error.detail = { httpStatus, endpoint }.
+ */
+export async function probeTenant(tenantId, { signal } = {}) {
+  const t = tenantOrThrow(tenantId);
+  let endpoint = "whoami";
+  let r = await maximoFetch(t, `${t.api}/whoami`, { signal });
+  if (r.status === 404) {
+    await r.arrayBuffer().catch(() => {});
+    endpoint = "os";
+    r = await maximoFetch(t, `${t.api}/os?` + new URLSearchParams({ lean: 1, "oslc.pageSize": 1 }), { signal });
+  }
+  const text = await r.text();
+  if (!r.ok) {
+    const e = new Error(maximoErrorBody(r.status, text).error.message);
+    e.detail = { httpStatus: r.status, endpoint };
+    throw e;
+  }
+  const j = parseJsonText(text);
+  return { httpStatus: r.status, endpoint, user: j?.loginID || j?.loginid || j?.userName || j?.personid || null };
+}
+
+async function toResult(r) {
+  const text = await r.text();
+  if (!r.ok) {
+    return { status: r.status, ok: false, contentType: "application/json", body: JSON.stringify(maximoErrorBody(r.status, text)) };
+  }
+  return { status: r.status, ok: true, contentType: r.headers.get("content-type") || "application/json", body: text };
+}
+
+function requireOs(args) {
+  const os = String(args?.os || "").trim();
+  if (!/^[A-Za-z0-9_]+$/.test(os)) throw toolError(400, "args.os must be an object structure name");
+  return os;
+}
+
+// Only hrefs under the tenant's /os are followed; the host is always the tenant's, so a
+// crafted href cannot send credentials elsewhere.
+function recordUrlFromHref(t, href) {
+  const m = String(href).match(/\/os\/([A-Za-z0-9_]+)\/([^/?#]+)/);
+  if (!m) throw toolError(400, "href must be a Maximo record href (…/os/<os>/<id>)");
+  return { os: m[1], url: `${t.api}/os/${m[1]}/${m[2]}` };
+}
+
+function keysWhere(keys) {
+  const entries = Object.entries(keys || {}).filter(([, v]) => v !== undefined && v !== null && v !== "");
+  if (!entries.length) throw toolError(400, "Provide href, or os with keys");
+  return entries
+    .map(([k, v]) => {
+      if (!/^[A-Za-z0-9_.]+$/.test(k)) throw toolError(400, `Invalid key attribute: ${k}`);
+      if (typeof v === "number") return `${k}=${v}`;
+      if (/["\\]/.test(String(v))) throw toolError(400, `Invalid value for ${k}`);
+      return `${k}="${v}"`;
+    })
+    .join(" and ");
+}
+
+// Query by key attributes; exactly one match is required.
+async function findByKeys(t, os, keys, select) {
+  const params = { lean: 1, "oslc.where": keysWhere(keys), "oslc.pageSize": 2, "oslc.select": select || "*" };
+  const r = await maximoFetch(t, `${t.api}/os/${encodeURIComponent(os)}?` + new URLSearchParams(params));
+  const res = await toResult(r);
+  if (!res.ok) return { res };
+  const members = parseJsonText(res.body)?.member || [];
+  if (!members.length) throw toolError(404, `No ${os} record matches ${params["oslc.where"]}`, "not_found");
+  if (members.length > 1) throw toolError(409, `More than one ${os} record matches ${params["oslc.where"]}; add key attributes`, "ambiguous_keys");
+  return { res, record: members[0] };
+}
+
+async function resolveRecordUrl(t, args) {
+  if (args?.href) return recordUrlFromHref(t, args.href).url;
+  const os = requireOs(args);
+  const found = await findByKeys(t, os, args?.keys, Object.keys(args?.keys || {}).join(","));
+  if (!found.record) return found;
+  if (!found.record.href) throw toolError(502, "Maximo did not return an href for the record", "maximo_error");
+  return recordUrlFromHref(t, found.record.href).url;
+}
+
+// Headers of a write plan; credentials are added when it is executed.
+function writeHeaders(args, extra = {}) {
+  const h = { "content-type": "application/json", ...extra };
+  if (args?.properties) h.properties = String(args.properties);
+  return h;
+}
+
+// -----------------------------
+// Query paging
+// -----------------------------
+const QUERY_MAX_RECORDS = Number(process.env.QUERY_MAX_RECORDS || 1000);
+const QUERY_MAX_PAGES = Number(process.env.QUERY_MAX_PAGES || 50);
+
+// Path + query of a Maximo URL below the api root ("/os/mxwo?..."); the host is never kept.
+function apiPath(href) {
+  const u = new URL(String(href), "http://maximo.invalid");
+  const i = u.pathname.indexOf("/os/");
+  if (i < 0) throw toolError(400, "Invalid paging link", "invalid_cursor");
+  return u.pathname.slice(i) + u.search;
+}
+
+/**
+ * Opaque continuation token: the page to read next (relative to the tenant's api root) and how
+ * many of its records were already returned. Bound to the tenant it was issued for.
+ */
+function encodeCursor(tenantId, url, skip) {
+  return Buffer.from(JSON.stringify({ v: 1, t: tenantId, p: apiPath(url), s: skip || 0 })).toString("base64url");
+}
+
+function decodeCursor(t, tenantId, cursor) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    c = null;
+  }
+  if (c?.v !== 1 || typeof c.p !== "string") throw toolError(400, "args.cursor is not a maximo.queryOS cursor", "invalid_cursor");
+  if (c.t !== tenantId) throw toolError(400, `args.cursor was issued for tenant ${c.t}`, "invalid_cursor");
+  return { url: t.api + apiPath(c.p), skip: Math.max(0, Number(c.s) || 0) };
+}
+
+function maxRecordsArg(t, args) {
+  if (args?.maxRecords === undefined || args.maxRecords === null) return null;
+  const n = Number(args.maxRecords);
+  if (!Number.isInteger(n) || n < 1) throw toolError(400, "args.maxRecords must be a positive integer");
+  return capRecords(t, Math.min(n, QUERY_MAX_RECORDS));
+}
+
+// A query URL with the tenant's select and page size policy applied to its params.
+function withQueryPolicy(t, url) {
+  if (!t.selectAllow && !t.maxPageSize) return url;
+  const u = new URL(url);
+  const params = applyQueryPolicy(t, Object.fromEntries(u.searchParams));
+  return `${u.origin}${u.pathname}?` + new URLSearchParams(params).toString();
+}
+
+/**
+ * maximo.queryOS: reads pages until maxRecords are collected (one page without it) and answers
+ * { member, responseInfo, paging: { count, totalCount, pages, hasMore, cursor } }.
+ */
+async function queryOS(t, tenantId, args) {
+  const maxRecords = maxRecordsArg(t, args);
+  let url;
+  let skip = 0;
+  if (args?.cursor) {
+    ({ url, skip } = decodeCursor(t, tenantId, args.cursor));
+  } else {
+    if (!args?.os) throw toolError(400, "args.os is required (or args.cursor)");
+    const os = requireOs(args);
+    const params = { collectioncount: 1, ...(args?.params || {}) };
+    url = `${t.api}/os/${encodeURIComponent(os)}?` + new URLSearchParams(params).toString();
+  }
+  checkOs(t, osFromUrl(url));
+  url = withQueryPolicy(t, url);
+
+  const member = [];
+  let first = null;
+  let next = null;
+  let pages = 0;
+  for (;;) {
+    const res = await toResult(await maximoFetch(t, url));
+    if (!res.ok) return res;
+    pages++;
+    const j = parseJsonText(res.body) || {};
+    first = first || j.responseInfo || {};
+    const rows = (Array.isArray(j.member) ? j.member : j["rdfs:member"] || []).slice(skip);
+    const room = maxRecords === null ? rows.length : maxRecords - member.length;
+    member.push(...rows.slice(0, room));
+
+    const nextHref = j.responseInfo?.nextPage?.href;
+    if (rows.length > room) next = { url, skip: skip + room };
+    else next = nextHref ? { url: t.api + apiPath(nextHref), skip: 0 } : null;
+    if (!next || maxRecords === null || member.length >= maxRecords || pages >= QUERY_MAX_PAGES) break;
+    ({ url, skip } = next);
+  }
+
+  const { nextPage: _next, ...responseInfo } = first;
+  const body = {
+    member,
+    responseInfo,
+    paging: {
+      count: member.length,
+      totalCount: responseInfo.totalCount ?? null,
+      pages,
+      hasMore: Boolean(next),
+      cursor: next ? encodeCursor(tenantId, next.url, next.skip) : null
+    }
+  };
+  return { status: 200, ok: true, contentType: "application/json", body: JSON.stringify(body) };
+}
+
+// -----------------------------
+// Object structure schemas
+// -----------------------------
+const schemaCache = createSchemaCache();
+
+// -> { schema, source } or { res } when Maximo answered with an error
+async function fetchOsSchema(t, os) {
+  let source = "jsonschemas";
+  let r = await maximoFetch(t, `${t.api}/jsonschemas/${encodeURIComponent(os.toLowerCase())}`);
+  if (r.status === 404) {
+    // Older releases only describe a structure inside a query response
+    await r.arrayBuffer().catch(() => {});
+    source = "addschema";
+    const params = { lean: 1, "oslc.select": "*", "oslc.pageSize": 1, addschema: 1 };
+    r = await maximoFetch(t, `${t.api}/os/${encodeURIComponent(os)}?` + new URLSearchParams(params));
+  }
+  const res = await toResult(r);
+  if (!res.ok) return { res };
+  const j = parseJsonText(res.body);
+  const json = source === "jsonschemas" ? j : j?.responseInfo?.schema;
+  if (!json?.properties) throw toolError(502, `Maximo returned no schema for ${os}`, "maximo_error");
+  return { schema: parseOsSchema(os, json), source };
+}
+
+// The schema with each top-level attribute and child flagged `selectable` under the tenant's
+// selectAllow. The list itself stays whole: where and orderBy may use any attribute.
+function schemaForTenant(t, schema) {
+  const allow = policyList(t.selectAllow)?.map(s => s.toLowerCase());
+  const selectable = x => ({ ...x, selectable: !allow || allow.includes(x.name) });
+  return { ...schema, attributes: schema.attributes.map(selectable), children: schema.children.map(selectable) };
+}
+
+/**
+ * maximo.describeOS: the object structure's schema (os-schema.mjs), cached per tenant and Maximo
+ * URL. Answers { ...schema, tenant, source, fetchedAt, cached }; source is "jsonschemas" or
+ * "addschema".
+ */
+async function describeOS(t, tenantId, args) {
+  const os = requireOs(args);
+  const key = `${tenantId}|${t.baseUrl}|${os.toUpperCase()}`;
+  const entry = await schemaCache.get(key, () => fetchOsSchema(t, os), { refresh: args?.refresh === true });
+  if (entry.value.res) return entry.value.res;
+  const schema = schemaForTenant(t, entry.value.schema);
+  const body = {
+    ...(args?.children === true ? schema : withoutChildAttributes(schema)),
+    tenant: tenantId,
+    source: entry.value.source,
+    fetchedAt: new Date(entry.at).toISOString(),
+    cached: entry.cached
+  };
+  return { status: 200, ok: true, contentType: "application/json", body: JSON.stringify(body) };
+}
+
+// -----------------------------
+// Work order lifecycle
+// -----------------------------
+// Maximo's default WO status flow (internal values). WO_STATUS_TRANSITIONS (JSON, same shape)
+// replaces it for tenants with a customised flow; statuses missing from the map are left to Maximo.
+const DEFAULT_WO_TRANSITIONS = {
+  WAPPR: ["APPR", "WSCH", "WMATL", "INPRG", "CAN"],
+  APPR: ["WAPPR", "WSCH", "WMATL", "INPRG", "COMP", "CAN"],
+  WSCH: ["WAPPR", "APPR", "WMATL", "INPRG", "COMP", "CAN"],
+  WMATL: ["WAPPR", "APPR", "WSCH", "INPRG", "COMP", "CAN"],
+  INPRG: ["WSCH", "WMATL", "COMP"],
+  COMP: ["CLOSE"],
+  CLOSE: [],
+  CAN: []
+};
+const ACTUALS_STATUSES = ["APPR", "WSCH", "WMATL", "INPRG", "COMP"];
+
+function woTransitions() {
+  try {
+    if (process.env.WO_STATUS_TRANSITIONS) return JSON.parse(process.env.WO_STATUS_TRANSITIONS);
+  } catch {}
+  return DEFAULT_WO_TRANSITIONS;
+}
+
+function checkTransition(wo, to) {
+  const from = String(wo.status || "").toUpperCase();
+  const allowed = woTransitions()[from];
+  if (!allowed || !(to in woTransitions())) return;
+  if (from === to) throw toolError(409, `Work order ${wo.wonum} is already ${to}`, "invalid_transition");
+  if (!allowed.includes(to)) {
+    const next = allowed.length ? allowed.join(", ") : "none";
+    throw toolError(409, `Work order ${wo.wonum} cannot go from ${from} to ${to} (allowed: ${next})`, "invalid_transition");
+  }
+}
+
+function checkStatusIn(wo, statuses, action) {
+  const status = String(wo.status || "").toUpperCase();
+  if (status in woTransitions() && !statuses.includes(status)) {
+    throw toolError(409, `Cannot ${action} on work order ${wo.wonum} in status ${status} (needs ${statuses.join(", ")})`, "invalid_status");
+  }
+}
+
+function isoDate(value, name) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const d = new Date(value);
+  if (isNaN(d)) throw toolError(400, `${name} must be an ISO 8601 date`);
+  return d.toISOString();
+}
+
+const WO_SELECT = "wonum,siteid,status,description,assetnum,location,href";
+
+// -> { wo, url } or { res } when Maximo answered with an error
+async function resolveWorkOrder(t, args) {
+  if (args?.href) {
+    const { url } = recordUrlFromHref(t, args.href);
+    const res = await toResult(await maximoFetch(t, `${url}?` + new URLSearchParams({ lean: 1, "oslc.select": WO_SELECT })));
+    return res.ok ? { wo: parseJsonText(res.body) || {}, url } : { res };
+  }
+  if (!args?.wonum) throw toolError(400, "Provide wonum (and siteid) or href");
+  const keys = { wonum: String(args.wonum) };
+  if (args.siteid) keys.siteid = String(args.siteid);
+  const found = await findByKeys(t, WO_OS, keys, WO_SELECT);
+  if (!found.record) return found;
+  return { wo: found.record, url: recordUrlFromHref(t, found.record.href).url };
+}
+
+function patchWorkOrder(url, payload, { action, before, summary } = {}) {
+  const params = { lean: 1 };
+  if (action) params.action = action;
+  return {
+    method: "PATCH",
+    url: `${url}?` + new URLSearchParams(params),
+    headers: writeHeaders(null, { "x-method-override": "PATCH", patchtype: "MERGE" }),
+    payload,
+    before,
+    summary
+  };
+}
+
+async function planWorkOrderTool(t, tool, args) {
+  const target = await resolveWorkOrder(t, args);
+  if (target.res) return target;
+  const { wo, url } = target;
+  const ref = { wonum: wo.wonum, siteid: wo.siteid, href: url };
+
+  if (tool === "maximo.wo.changeStatus") {
+    const status = String(args?.status || "").trim().toUpperCase();
+    if (!status) throw toolError(400, "args.status is required");
+    checkTransition(wo, status);
+    const body = { status, date: isoDate(args.date, "date") || new Date().toISOString() };
+    if (args.memo) body.memo = String(args.memo);
+    return patchWorkOrder(url, body, {
+      action: "wsmethod:changeStatus",
+      before: wo,
+      summary: { ...ref, previousStatus: wo.status, status, memo: body.memo || null, date: body.date }
+    });
+  }
+  if (tool === "maximo.wo.addWorkLog") {
+    if (!args?.description) throw toolError(400, "args.description is required");
+    const log = { description: String(args.description).slice(0, 100), logtype: args.logtype || "WORK" };
+    if (args.details) log.description_longdescription = String(args.details);
+    return patchWorkOrder(url, { worklog: [log] }, { before: wo, summary: { ...ref, worklog: log } });
+  }
+  if (tool === "maximo.wo.reportLabor") {
+    const hours = Number(args?.hours);
+    if (!(hours > 0)) throw toolError(400, "args.hours must be a positive number");
+    const laborcode = args.laborcode || t.laborCode;
+    if (!laborcode) throw toolError(400, "args.laborcode is required (no default laborCode configured for this tenant)");
+    checkStatusIn(wo, ACTUALS_STATUSES, "report labor");
+    const line = { laborcode, regularhrs: hours };
+    if (args.craft) line.craft = args.craft;
+    const startdate = isoDate(args.startdate, "startdate");
+    if (startdate) line.startdate = startdate;
+    return patchWorkOrder(url, { labtrans: [line] }, { before: wo, summary: { ...ref, labtrans: line } });
+  }
+  if (tool === "maximo.wo.reportMaterial") {
+    const quantity = Number(args?.quantity);
+    if (!args?.itemnum) throw toolError(400, "args.itemnum is required");
+    if (!(quantity > 0)) throw toolError(400, "args.quantity must be a positive number");
+    checkStatusIn(wo, ACTUALS_STATUSES, "report material");
+    const line = { itemnum: String(args.itemnum), quantity, issuetype: "ISSUE" };
+    if (args.storeloc) line.storeloc = args.storeloc;
+    return patchWorkOrder(url, { matusetrans: [line] }, { before: wo, summary: { ...ref, matusetrans: line } });
+  }
+  if (tool === "maximo.wo.createFollowUp") {
+    if (!args?.description) throw toolError(400, "args.description is required");
+    checkStatusIn(wo, ["WAPPR", ...ACTUALS_STATUSES, "CLOSE"], "create a follow-up");
+    const body = {
+      siteid: wo.siteid,
+      description: String(args.description),
+      origrecordid: wo.wonum,
+      origrecordclass: "WORKORDER"
+    };
+    if (wo.assetnum) body.assetnum = wo.assetnum;
+    if (wo.location) body.location = wo.location;
+    if (args.worktype) body.worktype = args.worktype;
+    return {
+      method: "POST",
+      url: `${t.api}/os/${WO_OS}?lean=1`,
+      headers: writeHeaders({ properties: "wonum,siteid,status,href" }),
+      payload: body,
+      summary: { created: true, followUpOf: ref }
+    };
+  }
+  throw toolError(400, `Unknown tool: ${tool}`, "unknown_tool");
+}
+
+// -----------------------------
+// Writes: plan, approve, execute
+// -----------------------------
+export const WRITE_TOOLS = new Set(["maximo.create", "maximo.update", "maximo.delete", ...WO_TOOLS.map(t => t.name)]);
+
+/**
+ * "required" | "two-person" | "auto" for a tenant; anything unrecognised means "required".
+ * "two-person" is "required" with an approver who is not the user that asked for the write.
+ */
+export function approvalPolicy(tenantId) {
+  let t = {};
+  try {
+    t = tenantOrThrow(tenantId);
+  } catch {}
+  const policy = String(t.approval || process.env.WRITE_APPROVAL || "required").toLowerCase();
+  return policy === "auto" || policy === "two-person" ? policy : "required";
+}
+
+function tenantForTool(tenantId) {
+  try {
+    return tenantOrThrow(tenantId);
+  } catch (e) {
+    if (e.status) throw e;
+    throw toolError(400, String(e.message || e), "tenant_not_configured");
+  }
+}
+
+/** The tools a tenant offers (all of them when the tenant is unknown; calls fail later). */
+export function toolsFor(tenantId) {
+  let t;
+  try {
+    t = tenantOrThrow(tenantId);
+  } catch {
+    return TOOLS;
+  }
+  return TOOLS.filter(tool => toolAllowed(t, tool.name, WRITE_TOOLS.has(tool.name)));
+}
+
+// Object structure a call addresses, checked before anything is read: the href's, the work
+// order structure for maximo.wo.*, else args.os. null when there is none (listOS, cursors).
+function targetOs(tool, args) {
+  if (args?.href) return osFromUrl(args.href);
+  if (String(tool).startsWith("maximo.wo.")) return WO_OS;
+  return args?.os || null;
+}
+
+/**
+ * Resolve a write tool call into the exact request it will send, without sending it:
+ * { tool, tenant, method, url, headers, payload, before?, summary? }. method is Maximo's verb
+ * (POST | PATCH | DELETE); PATCH and DELETE go out as POST with x-method-override. Credentials
+ * are not part of the plan. Returns { res } when Maximo rejected the lookup of the target record.
+ */
+export async function planWrite(tool, args = {}, tenantId = "default") {
+  const t = tenantForTool(tenantId);
+  checkTool(t, tool, true);
+  if (targetOs(tool, args)) checkOs(t, targetOs(tool, args));
+  let plan;
+  if (tool === "maximo.create") {
+    if (!args?.os) throw toolError(400, "args.os is required");
+    const os = requireOs(args);
+    if (!args?.body || typeof args.body !== "object") throw toolError(400, "args.body must be an object");
+    plan = {
+      method: "POST",
+      url: `${t.api}/os/${encodeURIComponent(os)}?lean=1`,
+      headers: writeHeaders(args),
+      payload: args.body
+    };
+  } else if (tool === "maximo.update") {
+    if (!args?.body || typeof args.body !== "object") throw toolError(400, "args.body must be an object");
+    const url = await resolveRecordUrl(t, args);
+    if (typeof url !== "string") return url;
+    plan = {
+      method: "PATCH",
+      url: `${url}?lean=1`,
+      headers: writeHeaders(args, { "x-method-override": "PATCH", patchtype: "MERGE" }),
+      payload: args.body,
+      summary: { updated: true, href: url }
+    };
+  } else if (tool === "maximo.delete") {
+    const url = await resolveRecordUrl(t, args);
+    if (typeof url !== "string") return url;
+    plan = { method: "DELETE", url: `${url}?lean=1`, headers: { "x-method-override": "DELETE" }, summary: { deleted: true, href: url } };
+  } else if (String(tool || "").startsWith("maximo.wo.")) {
+    plan = await planWorkOrderTool(t, tool, args);
+    if (plan.res) return plan;
+  } else {
+    throw toolError(400, `Not a write tool: ${tool}`, "unknown_tool");
+  }
+  return { tool, tenant: tenantId, ...plan };
+}
+
+/**
+ * What a plan changes, for the approval prompt: [{ path, from, to }]. Updates read the current
+ * values of the fields they touch first.
+ */
+export async function describeWrite(plan) {
+  if (plan.method === "DELETE") return [{ path: "href", from: plan.url.replace(/\?.*$/, ""), to: null }];
+  let before = plan.before || null;
+  if (!before && plan.method === "PATCH") {
+    const fields = Object.keys(plan.payload || {}).filter(k => /^[A-Za-z0-9_.]+$/.test(k));
+    if (fields.length) {
+      const t = tenantForTool(plan.tenant);
+      const base = plan.url.replace(/\?.*$/, "");
+      const r = await maximoFetch(t, `${base}?` + new URLSearchParams({ lean: 1, "oslc.select": fields.join(",") }));
+      if (r.ok) before = parseJsonText(await r.text());
+    }
+  }
+  return Object.entries(plan.payload || {}).map(([path, to]) => ({ path, from: before?.[path] ?? null, to }));
+}
+
+/** Send a plan to Maximo as it was planned, unless the tenant turned read-only since. */
+export async function executeWrite(plan) {
+  const t = tenantForTool(plan.tenant);
+  checkTool(t, plan.tool, true);
+  const init = { method: "POST", headers: plan.headers };
+  if (plan.payload !== undefined) init.body = JSON.stringify(plan.payload);
+  const res = await toResult(await maximoFetch(t, plan.url, init));
+  // 204 No Content -> a summary the model can report back
+  return res.ok && !res.body && plan.summary ? { ...res, body: JSON.stringify(plan.summary) } : res;
+}
+
+/**
+ * Run a tool against a tenant. Returns { status, ok, contentType, body } with the response
+ * body as text. Maximo errors come back as { ok: false, body: { error: { code, reasonCode,
+ * message, status } } }; bad arguments / tenants throw with e.status and e.code.
+ *
+ * Writes on a tenant whose approval policy is "required" are handed to
+ * options.requestApproval(plan), which parks them and returns the pending result; without it
+ * such writes fail with approval_required. Calls the tenant's policy refuses throw 403
+ * policy_denied (see policy.mjs).
+ */
+export async function callTool(tool, args = {}, tenantId = "default", { requestApproval } = {}) {
+  if (WRITE_TOOLS.has(tool)) {
+    const plan = await planWrite(tool, args, tenantId);
+    if (plan.res) return plan.res;
+    if (approvalPolicy(tenantId) === "auto") return executeWrite(plan);
+    if (!requestApproval) {
+      throw toolError(403, `${tool} needs a user's approval on tenant ${tenantId}; use the HTTP server's approval queue`, "approval_required");
+    }
+    return requestApproval(plan);
+  }
+
+  const t = tenantForTool(tenantId);
+  checkTool(t, tool, false);
+  if (targetOs(tool, args)) checkOs(t, targetOs(tool, args));
+  if (tool === "maximo.listOS") {
+    return toResult(await maximoFetch(t, `${t.api}/os`));
+  }
+  if (tool === "maximo.queryOS") return queryOS(t, tenantId, args);
+  if (tool === "maximo.describeOS") return describeOS(t, tenantId, args);
+  if (tool === "maximo.getRecord") {
+    const select = checkSelect(t, args?.select);
+    if (!args?.href) {
+      const found = await findByKeys(t, requireOs(args), args?.keys, select);
+      return found.record ? { ...found.res, body: JSON.stringify(found.record) } : found.res;
+    }
+    const { url } = recordUrlFromHref(t, args.href);
+    const params = { lean: 1, "oslc.select": select || "*" };
+    return toResult(await maximoFetch(t, `${url}?` + new URLSearchParams(params)));
+  }
+  throw toolError(400, `Unknown tool: ${tool}`, "unknown_tool");
+}
@@ -0,0 +1,112 @@
+/**
+ * mcp-protocol.mjs
+ *
+ * Transport-independent Model Context Protocol (JSON-RPC 2.0) dispatcher.
+ * Transports (Streamable HTTP in server.mjs) pass every decoded message to
+ * `handle(message, ctx)` and write back whatever it returns; notifications
+ * return null.
+ */
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+export const RPC_PARSE_ERROR = -32700;
+export const RPC_INVALID_REQUEST = -32600;
+export const RPC_METHOD_NOT_FOUND = -32601;
+export const RPC_INVALID_PARAMS = -32602;
+export const RPC_INTERNAL_ERROR = -32603;
+
+export function rpcError(code, message, data) {
+  const e = new Error(message);
+  e.rpcCode = code;
+  if (data !== undefined) e.data = data;
+  return e;
+}
+
+export function rpcErrorResponse(id, e) {
+  const error = { code: e.rpcCode ?? RPC_INTERNAL_ERROR, message: e.message || String(e) };
+  if (e.data !== undefined) error.data = e.data;
+  return { jsonrpc: "2.0", id: id ?? null, error };
+}
+
+export function isNotification(msg) {
+  return msg && typeof msg === "object" && !("id" in msg) && typeof msg.method === "string";
+}
+
+function isRequest(msg) {
+  return msg && typeof msg === "object" && msg.jsonrpc === "2.0" && typeof msg.method === "string";
+}
+
+/** Tool output ({ status, ok, body }) -> CallToolResult; HTTP status is kept in _meta for traces. */
+function toToolResult(out) {
+  const text = typeof out.body === "string" ? out.body : JSON.stringify(out.body ?? null);
+  return { content: [{ type: "text", text }], isError: !out.ok, _meta: { httpStatus: out.status } };
+}
+
+/**
+ * createMcpDispatcher({ serverInfo, instructions, listTools, isTool, callTool })
+ *
+ * - listTools(ctx) -> [{ name, description, inputSchema }] offered to this caller
+ * - isTool(name) -> whether the tool exists at all (default: listed by listTools); a tool that
+ *   exists but is not listed reaches callTool, whose refusal explains why
+ * - callTool(name, args, ctx) -> { status, ok, body }; thrown errors become isError results
+ *   so the model can read them, unknown tools are JSON-RPC errors.
+ * ctx is transport state ({ session, tenant, user }); user is set when bearer tokens are required.
+ */
+export function createMcpDispatcher({ serverInfo, instructions, listTools, isTool, callTool }) {
+  const methods = {
+    initialize(params) {
+      const requested = params?.protocolVersion;
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION,
+        capabilities: { tools: { listChanged: false }, logging: {} },
+        serverInfo,
+        ...(instructions ? { instructions } : {})
+      };
+    },
+    ping() {
+      return {};
+    },
+    "logging/setLevel"() {
+      return {};
+    },
+    async "tools/list"(_params, ctx) {
+      return { tools: await listTools(ctx) };
+    },
+    async "tools/call"(params, ctx) {
+      const name = params?.name;
+      if (typeof name !== "string" || !name) throw rpcError(RPC_INVALID_PARAMS, "params.name is required");
+      const known = isTool ? isTool(name) : (await listTools(ctx)).some(t => t.name === name);
+      if (!known) throw rpcError(RPC_INVALID_PARAMS, `Unknown tool: ${name}`);
+      const args = params.arguments && typeof params.arguments === "object" ? params.arguments : {};
+      try {
+        return toToolResult(await callTool(name, args, ctx));
+      } catch (e) {
+        const status = e.status || 500;
+        const error = { code: e.code || "tool_failed", message: e.message || String(e), status };
+        if (e.policy) error.policy = e.policy;
+        return toToolResult({ ok: false, status, body: { error } });
+      }
+    }
+  };
+
+  async function handle(msg, ctx = {}) {
+    if (!isRequest(msg)) {
+      // Responses from the client (we never send requests) are ignored.
+      if (msg && typeof msg === "object" && ("result" in msg || "error" in msg)) return null;
+      return rpcErrorResponse(msg?.id, rpcError(RPC_INVALID_REQUEST, "Invalid JSON-RPC 2.0 request"));
+    }
+    if (isNotification(msg)) return null; // notifications/initialized, notifications/cancelled, ...
+
+    const fn = methods[msg.method];
+    if (!fn) return rpcErrorResponse(msg.id, rpcError(RPC_METHOD_NOT_FOUND, `Method not found: ${msg.method}`));
+    try {
+      return { jsonrpc: "2.0", id: msg.id, result: await fn(msg.params || {}, ctx) };
+    } catch (e) {
+      if (e.rpcCode == null) console.error("MCP method failed:", msg.method, e);
+      return rpcErrorResponse(msg.id, e);
+    }
+  }
+
+  return { handle };
+}
@@ -0,0 +1,138 @@
+import client from "prom-client";
+
+/**
+ * metrics.mjs
+ *
+ * Prometheus metrics for GET /metrics (prom-client): HTTP requests per route, tool calls per
+ * tool and tenant, Maximo responses per tenant and status, requests refused by the tenant's
+ * limits and the state of its circuit breaker (maximo-http.mjs), plus the Node.js process defaults.
+ * Tool and tenant names that are not known (isTool / isTenant) are counted as "other", so a
+ * caller cannot grow the number of series.
+ */
+
+const PREFIX = "maximo_mcp_";
+
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const MAXIMO_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// The Express route pattern ("/mcp/approvals/:id"), not the URL, so ids do not become labels.
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl || ""}${req.route.path}` : "other";
+}
+
+/**
+ * createMetrics({ isTool, isTenant, httpStats })
+ *
+ * - middleware: counts and times every request by method, route and status
+ * - toolCall({ tool, tenant, via, durationMs, ok }): one tool call (via: mcp, rest or raw)
+ * - maximoResponse({ tenant, method, status, durationMs }): one Maximo request; status is the
+ *   HTTP status or "error" when no response came back
+ * - maximoRejected({ tenant, reason }): a request the limits refused (maximo_busy, maximo_unavailable)
+ * httpStats() -> [{ tenant, active, queued, circuit }] is read at scrape time.
+ * - handler: the /metrics route
+ */
+export function createMetrics({ isTool = () => true, isTenant = () => true, httpStats = () => [] } = {}) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+  const httpRequests = new client.Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: "HTTP requests by method, route and status",
+    labelNames: ["method", "route", "status"],
+    registers: [register]
+  });
+  const httpDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: "HTTP request latency by method, route and status (streams count until they close)",
+    labelNames: ["method", "route", "status"],
+    buckets: HTTP_BUCKETS,
+    registers: [register]
+  });
+  const toolCalls = new client.Counter({
+    name: `${PREFIX}tool_calls_total`,
+    help: "Tool calls by tool, tenant, route (mcp, rest, raw) and outcome (ok or error)",
+    labelNames: ["tool", "tenant", "via", "outcome"],
+    registers: [register]
+  });
+  const toolDuration = new client.Histogram({
+    name: `${PREFIX}tool_call_duration_seconds`,
+    help: "Tool call latency by tool and tenant",
+    labelNames: ["tool", "tenant"],
+    buckets: MAXIMO_BUCKETS,
+    registers: [register]
+  });
+  const maximoResponses = new client.Counter({
+    name: `${PREFIX}maximo_responses_total`,
+    help: "Maximo HTTP responses by tenant, method and status (\"error\": no response)",
+    labelNames: ["tenant", "method", "status"],
+    registers: [register]
+  });
+  const maximoDuration = new client.Histogram({
+    name: `${PREFIX}maximo_request_duration_seconds`,
+    help: "Maximo request latency by tenant",
+    labelNames: ["tenant"],
+    buckets: MAXIMO_BUCKETS,
+    registers: [register]
+  });
+
+  const maximoRejections = new client.Counter({
+    name: `${PREFIX}maximo_rejected_total`,
+    help: "Maximo requests refused before sending, by tenant and reason (maximo_busy, maximo_unavailable)",
+    labelNames: ["tenant", "reason"],
+    registers: [register]
+  });
+  const tenantLabel = id => (isTenant(id) ? String(id) : "other");
+
+  new client.Gauge({
+    name: `${PREFIX}maximo_in_flight`,
+    help: "Maximo requests in flight by tenant",
+    labelNames: ["tenant"],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const s of httpStats()) if (isTenant(s.tenant)) this.set({ tenant: s.tenant }, s.active);
+    }
+  });
+  new client.Gauge({
+    name: `${PREFIX}maximo_circuit_open`,
+    help: "1 while the tenant's circuit breaker refuses Maximo calls (open or half-open), else 0",
+    labelNames: ["tenant"],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const s of httpStats()) if (isTenant(s.tenant)) this.set({ tenant: s.tenant }, s.circuit === "closed" ? 0 : 1);
+    }
+  });
+
+  function middleware(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+      httpRequests.inc(labels);
+      httpDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  }
+
+  function toolCall({ tool, tenant, via, durationMs, ok }) {
+    const labels = { tool: isTool(tool) ? String(tool) : "other", tenant: tenantLabel(tenant) };
+    toolCalls.inc({ ...labels, via, outcome: ok ? "ok" : "error" });
+    toolDuration.observe(labels, durationMs / 1000);
+  }
+
+  function maximoResponse({ tenant, method, status, durationMs }) {
+    const t = tenantLabel(tenant);
+    maximoResponses.inc({ tenant: t, method, status: String(status) });
+    maximoDuration.observe({ tenant: t }, durationMs / 1000);
+  }
+
+  function maximoRejected({ tenant, reason }) {
+    maximoRejections.inc({ tenant: tenantLabel(tenant), reason: String(reason) });
+  }
+
+  async function handler(_req, res) {
+    res.set("content-type", register.contentType).send(await register.metrics());
+  }
+
+  return { middleware, toolCall, maximoResponse, maximoRejected, handler };
+}
@@ -0,0 +1,102 @@
+/**
+ * os-schema.mjs
+ *
+ * Object structure schemas for maximo.describeOS: Maximo's JSON schema (/jsonschemas/<os>, or
+ * responseInfo.schema of a query with addschema=1) reduced to what a query builder needs, and a
+ * cache that keeps each tenant's schemas for OS_SCHEMA_TTL_MS (default 1 hour).
+ *
+ * Schema: { os, object, description, keys, attributes: [{ name, type, subType?, maxLength?,
+ * required, domain?, title?, persistent? }], children: [{ name, object, relation, array,
+ * attributes?, children? }] }. Names are lower case without namespace prefixes, as lean=1
+ * queries return them.
+ */
+
+// Child objects are described this many levels down; deeper ones are listed by name only.
+const MAX_DEPTH = 3;
+
+// Links and housekeeping fields, not attributes a query can select or filter on.
+const SKIP_NAMES = /^(_|href$|localref$)|_collectionref$/;
+
+const plainName = key => String(key).replace(/^[A-Za-z]+:/, "").toLowerCase();
+
+function attribute(name, p, required) {
+  const a = { name, type: p.type || "string" };
+  if (p.subType) a.subType = p.subType;
+  if (p.maxLength !== undefined && p.maxLength !== null) a.maxLength = p.maxLength;
+  a.required = required.has(name) || p.required === true;
+  const domain = p.domainid || p.domainId || p.domain;
+  if (domain) a.domain = String(domain);
+  if (p.title) a.title = p.title;
+  if (p.persistent === false) a.persistent = false;
+  return a;
+}
+
+function objectShape(node, depth) {
+  const required = new Set((Array.isArray(node?.required) ? node.required : []).map(plainName));
+  const attributes = [];
+  const children = [];
+  for (const [key, p] of Object.entries(node?.properties || {})) {
+    const name = plainName(key);
+    if (SKIP_NAMES.test(name) || !p || typeof p !== "object") continue;
+    const inner = p.type === "array" ? p.items : p;
+    if ((p.type === "array" || p.type === "object") && inner?.properties) {
+      const child = {
+        name,
+        object: p.objectName || inner.title || name.toUpperCase(),
+        relation: p.relation || null,
+        array: p.type === "array"
+      };
+      children.push(depth < MAX_DEPTH ? { ...child, ...objectShape(inner, depth + 1) } : child);
+    } else {
+      attributes.push(attribute(name, p, required));
+    }
+  }
+  return { attributes, children };
+}
+
+/** Maximo's JSON schema of object structure os -> the schema described above. */
+export function parseOsSchema(os, json) {
+  return {
+    os: String(os).toUpperCase(),
+    object: json.title || null,
+    description: json.description || null,
+    keys: (Array.isArray(json.pk) ? json.pk : []).map(plainName),
+    ...objectShape(json, 1)
+  };
+}
+
+/** The schema with children reduced to their names and flags, without attributes (children: false). */
+export function withoutChildAttributes(schema) {
+  return { ...schema, children: schema.children.map(({ attributes, children, ...child }) => child) };
+}
+
+/**
+ * createSchemaCache({ ttlMs })
+ *
+ * get(key, load, { refresh }) -> { value, at, cached }: load() runs once per key at a time and
+ * its result is kept when it carries a schema (value.schema); Maximo errors are not cached.
+ */
+export function createSchemaCache({ ttlMs = Number(process.env.OS_SCHEMA_TTL_MS || 3600000) } = {}) {
+  const entries = new Map(); // key -> { value, at }
+  const inflight = new Map();
+
+  async function get(key, load, { refresh = false } = {}) {
+    const hit = entries.get(key);
+    if (hit && Date.now() - hit.at >= ttlMs) entries.delete(key);
+    else if (hit && !refresh) return { ...hit, cached: true };
+    if (!inflight.has(key)) {
+      const p = Promise.resolve()
+        .then(load)
+        .then(value => {
+          const entry = { value, at: Date.now() };
+          if (value?.schema) entries.set(key, entry);
+          return entry;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, p);
+    }
+    return { ...(await inflight.get(key)), cached: false };
+  }
+
+  return { get };
+}
@@ -0,0 +1,140 @@
+/**
+ * policy.mjs
+ *
+ * Per-tenant limits on what the tools may do, set in the tenant registry:
+ * - readOnly: true refuses write tools (and REST Builder writes) and hides them from tools/list
+ * - tools: the tools the tenant offers, by name or "prefix*" (default all)
+ * - osAllow / osDeny: object structures the tools may touch; names are case-insensitive and
+ *   osDeny wins
+ * - selectAllow: the only attributes allowed in oslc.select; a query without a select gets
+ *   this list instead of "*"
+ * - maxPageSize: cap for oslc.pageSize, the rows per Maximo page; larger values are lowered to it
+ * - maxRecords: cap for the rows one maximo.queryOS call collects across pages (its maxRecords);
+ *   larger values are lowered to it
+ * Lists are JSON arrays or comma-separated strings.
+ *
+ * A refused call throws 403 policy_denied with e.policy = { tenant, rule, ... } so the caller
+ * (and the agent's model) can tell the user which rule stopped it.
+ */
+
+export const POLICY_RULES = ["readOnly", "tools", "osAllow", "osDeny", "selectAllow", "maxPageSize", "maxRecords"];
+
+function listCheck(v) {
+  if (typeof v === "string") return null;
+  return Array.isArray(v) && v.every(x => typeof x === "string") ? null : "must be a list of names (array or comma-separated)";
+}
+
+/** Registry field checks (see tenants.mjs): field -> check(value) returning a message or null. */
+export const POLICY_FIELDS = {
+  readOnly: v => (typeof v === "boolean" ? null : "must be true or false"),
+  tools: listCheck,
+  osAllow: listCheck,
+  osDeny: listCheck,
+  selectAllow: listCheck,
+  maxPageSize: v => (Number.isInteger(v) && v > 0 ? null : "must be a positive integer"),
+  maxRecords: v => (Number.isInteger(v) && v > 0 ? null : "must be a positive integer")
+};
+
+/** A registry list as trimmed names. */
+export function policyList(v) {
+  if (v === undefined || v === null || v === "") return null;
+  return (Array.isArray(v) ? v : String(v).split(",")).map(s => String(s).trim()).filter(Boolean);
+}
+
+function policyError(t, rule, message, extra = {}) {
+  const e = new Error(message);
+  e.status = 403;
+  e.code = "policy_denied";
+  e.policy = { tenant: t.id, rule, ...extra };
+  return e;
+}
+
+function matches(patterns, name) {
+  return patterns.some(p => p === "*" || p === name || (p.endsWith("*") && name.startsWith(p.slice(0, -1))));
+}
+
+/** Whether tenant t offers tool; isWrite marks the tools readOnly takes away. */
+export function toolAllowed(t, tool, isWrite) {
+  if (isWrite && t.readOnly === true) return false;
+  const tools = policyList(t.tools);
+  return !tools || matches(tools, tool);
+}
+
+export function checkTool(t, tool, isWrite) {
+  if (isWrite && t.readOnly === true) {
+    throw policyError(t, "readOnly", `Tenant ${t.id} is read-only; ${tool} is not allowed`, { tool });
+  }
+  if (!toolAllowed(t, tool, false)) {
+    throw policyError(t, "tools", `${tool} is not enabled on tenant ${t.id}`, { tool, allowed: policyList(t.tools) });
+  }
+}
+
+export function checkOs(t, os) {
+  const name = String(os || "").toUpperCase();
+  const deny = (policyList(t.osDeny) || []).map(s => s.toUpperCase());
+  if (deny.includes(name)) {
+    throw policyError(t, "osDeny", `Object structure ${name} is blocked on tenant ${t.id}`, { os: name });
+  }
+  const allow = policyList(t.osAllow)?.map(s => s.toUpperCase());
+  if (allow && !allow.includes(name)) {
+    throw policyError(t, "osAllow", `Object structure ${name} is not allowed on tenant ${t.id} (allowed: ${allow.join(", ")})`, { os: name, allowed: allow });
+  }
+}
+
+// Top-level attribute names of an oslc.select ("wonum,asset{assetnum},spi:status" ->
+// ["wonum", "asset", "status"]).
+function selectNames(select) {
+  const names = [];
+  let depth = 0;
+  let cur = "";
+  for (const ch of String(select)) {
+    if (ch === "{") depth++;
+    if (ch === "}") depth--;
+    if (ch === "," && depth === 0) {
+      names.push(cur);
+      cur = "";
+    } else if (depth === 0 && ch !== "}") cur += ch;
+  }
+  names.push(cur);
+  return names.map(n => n.trim().replace(/^[A-Za-z]+:/, "").toLowerCase()).filter(Boolean);
+}
+
+/** The oslc.select to send: the allowlist for an empty or "*" select, else select once checked. */
+export function checkSelect(t, select) {
+  const allow = policyList(t.selectAllow)?.map(s => s.toLowerCase());
+  if (!allow) return select;
+  if (!select || String(select).trim() === "*") return allow.join(",");
+  const denied = selectNames(select).filter(n => n === "*" || !allow.includes(n));
+  if (denied.length) {
+    throw policyError(t, "selectAllow", `Attributes ${denied.join(", ")} may not be selected on tenant ${t.id} (allowed: ${allow.join(", ")})`, { attributes: denied, allowed: allow });
+  }
+  return select;
+}
+
+/** n lowered to the tenant's maxPageSize (n itself when there is no cap). */
+export function capPageSize(t, n) {
+  const max = Number(t.maxPageSize) || 0;
+  if (!max) return n;
+  if (n === undefined || n === null || n === "") return max;
+  return Math.min(Number(n) || max, max);
+}
+
+/** n lowered to the tenant's maxRecords (n itself when there is no cap). */
+export function capRecords(t, n) {
+  const max = Number(t.maxRecords) || 0;
+  return max ? Math.min(n, max) : n;
+}
+
+/** OSLC query params with oslc.select checked and oslc.pageSize capped. */
+export function applyQueryPolicy(t, params = {}) {
+  const out = { ...params };
+  const select = checkSelect(t, out["oslc.select"]);
+  if (select) out["oslc.select"] = select;
+  if (t.maxPageSize) out["oslc.pageSize"] = capPageSize(t, out["oslc.pageSize"]);
+  return out;
+}
+
+/** Object structure a Maximo URL points at ("…/os/mxwo/_ABC?lean=1" -> "mxwo"), or null. */
+export function osFromUrl(url) {
+  return String(url).match(/\/os\/([A-Za-z0-9_]+)/)?.[1] || null;
+}
@@ -0,0 +1,93 @@
+/**
+ * readiness.mjs
+ *
+ * Runs the dependency checks behind GET /readyz and keeps the last deep report for READYZ_CACHE_MS
+ * (default 15 s), so probes and the status panels do not call Maximo on every request. Checks run
+ * in parallel and each gets READYZ_TIMEOUT_MS (default 5 s).
+ *
+ * Report: { ok, deep, checkedAt, durationMs, cached, checks: [{ name, kind, status, latencyMs,
+ * error?, ...detail }] } where status is "up", "down" or "skipped". ok is false when any check
+ * is down.
+ */
+
+// A refresh (?refresh=1) is ignored while the cached report is younger than this.
+const REFRESH_FLOOR_MS = 5000;
+
+function timeoutError(ms) {
+  const e = new Error(`No answer within ${ms} ms`);
+  e.code = "timeout";
+  return e;
+}
+
+// run({ signal }) with an abort at timeoutMs; the race also covers runs that ignore the signal.
+function withTimeout(run, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(timeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+  return Promise.race([Promise.resolve().then(() => run({ signal: controller.signal })), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+async function runCheck(check, timeoutMs, redact) {
+  const base = { name: check.name, kind: check.kind, ...(check.detail || {}) };
+  if (check.skip) return { ...base, status: "skipped", reason: check.skip };
+  const started = Date.now();
+  try {
+    const detail = await withTimeout(check.run, check.timeoutMs || timeoutMs);
+    return { ...base, status: "up", latencyMs: Date.now() - started, ...(detail || {}) };
+  } catch (e) {
+    return { ...base, status: "down", latencyMs: Date.now() - started, error: redact(String(e?.message || e)), ...(e?.detail || {}) };
+  }
+}
+
+/**
+ * createReadiness({ checks, ttlMs, timeoutMs, redact })
+ *
+ * checks({ deep, refresh }) -> [{ name, kind, detail?, skip?, timeoutMs?, run({ signal }) -> detail }]: the
+ * checks to run; skip (a reason) reports the check without running it, a throw marks it down
+ * (error.detail is merged into the entry). redact(message) cleans error messages.
+ * report({ deep, refresh }) -> the report; deep reports come from the cache while fresh.
+ */
+export function createReadiness({
+  checks,
+  ttlMs = Number(process.env.READYZ_CACHE_MS || 15000),
+  timeoutMs = Number(process.env.READYZ_TIMEOUT_MS || 5000),
+  redact = s => s
+}) {
+  let last = null; // { report, at }
+  let inflight = null;
+
+  async function build(deep, refresh) {
+    const started = Date.now();
+    const list = await Promise.all((await checks({ deep, refresh })).map(c => runCheck(c, timeoutMs, redact)));
+    return {
+      ok: list.every(c => c.status !== "down"),
+      deep,
+      checkedAt: new Date(started).toISOString(),
+      durationMs: Date.now() - started,
+      checks: list
+    };
+  }
+
+  async function report({ deep = false, refresh = false } = {}) {
+    if (!deep) return { ...(await build(false, false)), cached: false };
+    const age = last ? Date.now() - last.at : Infinity;
+    if (age < ttlMs && !(refresh && age >= REFRESH_FLOOR_MS)) return { ...last.report, cached: true };
+    if (!inflight) {
+      inflight = build(true, refresh)
+        .then(r => {
+          last = { report: r, at: Date.now() };
+          return r;
+        })
+        .finally(() => { inflight = null; });
+    }
+    return { ...(await inflight), cached: false };
+  }
+
+  return { report, timeoutMs };
+}
@@ -2,27 +2,148 @@
 import express from "express";
 import helmet from "helmet";
 import morgan from "morgan";
-import fetch from "node-fetch";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
+import {
+  createMcpDispatcher,
+  rpcError,
+  rpcErrorResponse,
+  RPC_INVALID_REQUEST,
+  RPC_PARSE_ERROR,
+  SUPPORTED_PROTOCOL_VERSIONS
+} from "./mcp-protocol.mjs";
+import { createApprovalQueue, pendingResult } from "./approvals.mjs";
+import { authHeaders } from "./maximo-auth.mjs";
+import { maximoContext, maximoFetch, maximoHttpStats, onMaximoTrace } from "./maximo-http.mjs";
+import { createLogStore, logMatches, parseLogFilter, redact } from "./logs.mjs";
+import { createAuth } from "./auth.mjs";
+import { createMetrics } from "./metrics.mjs";
+import { createReadiness } from "./readiness.mjs";
+import {
+  approvalPolicy,
+  callTool,
+  describeWrite,
+  executeWrite,
+  probeTenant,
+  SERVER_INFO,
+  tenantOrThrow,
+  tenantRegistry,
+  toolErrorBody,
+  TOOLS,
+  toolsFor
+} from "./maximo-tools.mjs";
+import { applyQueryPolicy, checkOs, checkTool as checkTenantTool } from "./policy.mjs";
 
 const app = express();
 app.use(helmet());
-app.use(morgan("combined"));
+morgan.token("correlation-id", req => req.correlationId || "-");
+app.use(morgan(`${morgan.combined} :correlation-id`));
+
+// Prometheus metrics (see metrics.mjs). Unknown tools and tenants are counted as "other".
+const metrics = createMetrics({
+  isTool: name => name === "maximo.raw" || TOOLS.some(t => t.name === name),
+  isTenant: id => Object.hasOwn(tenants.all(), String(id)),
+  httpStats: maximoHttpStats
+});
+app.use(metrics.middleware);
 app.use(express.json({ limit: "5mb" }));
 
+// -----------------------------
+// Correlation IDs
+// -----------------------------
+// X-Correlation-ID from the caller (the app sends one per chat turn) or a new one. It is echoed
+// in the response, added to error bodies and trace events and sent on to Maximo (maximoContext).
+const CORRELATION_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
 
-const LOG_MAX = Number(process.env.LOG_MAX || 500);
-const _log = [];
-function pushLog(kind, payload, meta = {}, tenant = "") {
-  _log.push({ ts: Date.now(), kind, tenant, meta, payload });
-  while (_log.length > LOG_MAX) _log.shift();
-}
+app.use((req, res, next) => {
+  const incoming = req.get("x-correlation-id");
+  req.correlationId = CORRELATION_ID_RE.test(incoming || "") ? incoming : crypto.randomUUID();
+  res.set("x-correlation-id", req.correlationId);
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body);
+    return json(isError && !body.correlationId ? { ...body, correlationId: req.correlationId } : body);
+  };
+  maximoContext.run({ correlationId: req.correlationId }, next);
+});
+
+// Bearer tokens and role mapping (see auth.mjs); /healthz, /readyz, /metrics and the UI stay open.
+const auth = createAuth();
+app.use(["/mcp", "/api/tenants", "/api/logs"], auth.authenticate);
+
+// -----------------------------
+// Trace log (see logs.mjs): redacted, optionally persisted to LOG_FILE
+// -----------------------------
+const logs = createLogStore();
+const pushLog = (kind, payload, meta = {}, tenant = "") =>
+  logs.push(kind, payload, { correlationId: maximoContext.getStore()?.correlationId, ...meta }, tenant);
+const LOG_HEARTBEAT_MS = 15 * 1000;
+
+// GET /api/logs?kind=&tenant=&tool=&status=&correlation=&from=&to=&q=&after=&limit= (see parseLogFilter).
+// JSON { events } by default; with Accept: text/event-stream (or ?stream=1) the matching backlog
+// and then every new matching event as SSE "log" events. Last-Event-ID resumes after that id.
+// The events hold Maximo data, so callers only see the tenants their roles allow.
 app.get("/api/logs", (req, res) => {
-  const limit = Math.min(Number(req.query.limit || 200), LOG_MAX);
-  res.json({ events: _log.slice(-limit) });
+  const filter = { ...parseLogFilter(req.query), visible: tenant => auth.canUseTenant(req.user, tenant) };
+  const stream = req.query.stream === "1" || String(req.get("accept") || "").includes("text/event-stream");
+  if (!stream) return res.json({ events: logs.recent(req.query.limit || 200, filter) });
+
+  if (req.get("last-event-id")) filter.after = Number(req.get("last-event-id")) || filter.after;
+  res.status(200).set({ "content-type": "text/event-stream", "cache-control": "no-cache", "x-accel-buffering": "no" });
+  res.flushHeaders();
+  const send = e => res.write(`id: ${e.id}\nevent: log\ndata: ${JSON.stringify(e)}\n\n`);
+  for (const e of logs.recent(req.query.limit || 200, filter)) send(e);
+  const unsubscribe = logs.subscribe(e => { if (logMatches(e, filter)) send(e); });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), LOG_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
+// One event and the rest of its tool call or Maximo exchange, for the UI's detail drawer
+app.get("/api/logs/:id", (req, res) => {
+  const found = logs.get(req.params.id);
+  if (!found || !auth.canUseTenant(req.user, found.event.tenant)) return res.status(404).json({ error: "not_found", message: `No log event ${req.params.id} (it may have rotated out)` });
+  res.json({ ...found, related: found.related.filter(e => auth.canUseTenant(req.user, e.tenant)) });
+});
+
+// Every request to Maximo, from tools, approvals and /mcp/raw alike (each retry is an exchange)
+onMaximoTrace((e) => {
+  const meta = { method: e.method, url: e.url, exchange: e.exchange, attempt: e.attempt, ...maximoContext.getStore() };
+  if (e.phase === "rejected") {
+    // Refused by the tenant's limits (maximo-http.mjs); nothing was sent
+    pushLog("rx_maximo", { error: e.error, code: e.code }, { ...meta, status: "rejected" }, e.tenant);
+    metrics.maximoRejected({ tenant: e.tenant, reason: e.code });
+  } else if (e.phase === "request") {
+    pushLog("tx_maximo", { method: e.method, url: e.url, headers: e.headers, body: e.body }, meta, e.tenant);
+  } else if (e.phase === "response") {
+    pushLog("rx_maximo", { status: e.status, headers: e.headers, body: e.body }, { ...meta, status: e.status, durationMs: e.durationMs }, e.tenant);
+    metrics.maximoResponse({ tenant: e.tenant, method: e.method, status: e.status, durationMs: e.durationMs });
+  } else {
+    pushLog("rx_maximo", { error: e.error, code: e.code }, { ...meta, status: "error", durationMs: e.durationMs }, e.tenant);
+    metrics.maximoResponse({ tenant: e.tenant, method: e.method, status: "error", durationMs: e.durationMs });
+  }
+});
+
+// rx_agent when a tool call arrives, tx_agent with what went back (result or error)
+async function tracedTool(tool, args, tenant, via, run) {
+  const call = crypto.randomUUID();
+  pushLog("rx_agent", { tool, args }, { tool, via, call }, tenant);
+  const started = Date.now();
+  try {
+    const r = await maximoContext.run({ ...maximoContext.getStore(), call, tool, via }, run);
+    pushLog("tx_agent", r.body, { tool, via, call, status: r.status, durationMs: Date.now() - started }, tenant);
+    metrics.toolCall({ tool, tenant, via, durationMs: Date.now() - started, ok: r.status < 400 });
+    return r;
+  } catch (e) {
+    pushLog("tx_agent", e.code ? toolErrorBody(e) : { error: String(e.message || e) }, { tool, via, call, status: e.status || 502, durationMs: Date.now() - started }, tenant);
+    metrics.toolCall({ tool, tenant, via, durationMs: Date.now() - started, ok: false });
+    throw e;
+  }
+}
+
 // Serve UI (built into ./public by Vite)
 const publicDir = path.join(process.cwd(), "public");
 if (fs.existsSync(publicDir)) {
@@ -33,44 +154,6 @@ if (fs.existsSync(publicDir)) {
 
 const PORT = process.env.PORT || 8081;
 
-/**
- * Tenants config:
- * - Provide a JSON via TENANTS_JSON env, or a file path via TENANTS_FILE.
- * - Each tenant: { baseUrl, apiKey, user, password }
- * Connection ALWAYS uses REST via /maximo/api/os (as per UI buildRequest logic).
- */
-function loadTenants() {
-  try {
-    if (process.env.TENANTS_JSON) return JSON.parse(process.env.TENANTS_JSON);
-  } catch {}
-  return {
-    default: {
-      baseUrl: process.env.MAXIMO_URL,
-      apiKey: process.env.MAXIMO_APIKEY,
-      user: process.env.MAXIMO_USER,
-      password: process.env.MAXIMO_PASSWORD
-    }
-  };
-}
-
-function mkBaseApi(base) {
-  if (!base) return null;
-  let b = String(base).replace(/\/$/, "");
-  if (/\/api(\/)?$/.test(b)) return b;
-  if (/\/maximo(\/)?$/.test(b)) return b + "/api";
-  return b + "/maximo/api";
-}
-
-function tenantOrThrow(tenantId) {
-  const tenants = loadTenants();
-  const t = tenants[tenantId] || tenants.default;
-  if (!t || !t.baseUrl) throw new Error("Tenant is not configured: " + tenantId);
-  const api = mkBaseApi(t.baseUrl);
-  if (!api) throw new Error("Bad Maximo URL for tenant: " + tenantId);
-  return { ...t, api };
-}
-
-
 function mcpToOpenAITools(mcpTools) {
   const list = Array.isArray(mcpTools) ? mcpTools : [];
   return list.map(t => ({
@@ -86,46 +169,266 @@ function mcpToOpenAITools(mcpTools) {
 }
 
 app.get("/healthz", (_req, res) => res.status(200).json({ ok: true }));
+app.get("/metrics", metrics.handler);
 
-// Minimal "MCP-like" endpoints
-app.get("/mcp/tools", (_req, res) => {
-  // Return OpenAI tool schema (type:function + function{name,description,parameters})
-  const tools = mcpToOpenAITools([
-
-      {
-        name: "maximo.listOS",
-        description: "List object structures (/os)",
-        inputSchema: { type: "object", properties: { }, additionalProperties: false }
-      },
-      {
-        name: "maximo.queryOS",
-        description: "Query an object structure with OSLC params",
-        inputSchema: {
-          type: "object",
-          properties: {
-            os: { type: "string", description: "Object Structure name (e.g., MXWO)" },
-            params: { type: "object", description: "OSLC query params (oslc.where, oslc.select, oslc.pageSize, ...)" }
-          },
-          required: ["os"],
-          additionalProperties: false
-        }
-      },
-      {
-        name: "maximo.create",
-        description: "Create record in an OS (POST)",
-        inputSchema: {
-          type: "object",
-          properties: {
-            os: { type: "string", description: "Object Structure name" },
-            body: { type: "object", description: "Record payload" }
-          },
-          required: ["os", "body"],
-          additionalProperties: false
-        }
+// -----------------------------
+// Tenant registry (shared with the app's Settings page)
+// -----------------------------
+// Fails startup on an invalid TENANTS_JSON instead of on the first tool call.
+const tenants = tenantRegistry();
+
+function sendTenantError(res, e) {
+  if (!e.code) {
+    console.error("Tenant registry failed:", e);
+    return res.status(500).json({ error: "tenants_failed", detail: String(e) });
+  }
+  return res.status(e.status).json({ ...toolErrorBody(e), ...(e.details ? { details: e.details } : {}) });
+}
+
+app.get("/api/tenants", (req, res) => {
+  res.json({ ...tenants.status(), tenants: tenants.list().filter(t => auth.canUseTenant(req.user, t.id)) });
+});
+
+app.get("/api/tenants/:id", (req, res) => {
+  try {
+    auth.checkTenant(req.user, req.params.id);
+    res.json(tenants.view(req.params.id));
+  } catch (e) {
+    sendTenantError(res, e);
+  }
+});
+
+// Create or replace; "********" for apiKey/password keeps the stored secret.
+app.put("/api/tenants/:id", async (req, res) => {
+  try {
+    auth.checkAdmin(req.user);
+    const { tenant, created } = await tenants.put(req.params.id, req.body || {});
+    pushLog("tenant", { id: tenant.id, action: created ? "created" : "updated", by: req.user?.name }, {}, tenant.id);
+    res.status(created ? 201 : 200).json(tenant);
+  } catch (e) {
+    sendTenantError(res, e);
+  }
+});
+
+app.delete("/api/tenants/:id", async (req, res) => {
+  try {
+    auth.checkAdmin(req.user);
+    await tenants.remove(req.params.id);
+    pushLog("tenant", { id: req.params.id, action: "deleted", by: req.user?.name }, {}, req.params.id);
+    res.status(204).end();
+  } catch (e) {
+    sendTenantError(res, e);
+  }
+});
+
+// -----------------------------
+// Readiness (see readiness.mjs)
+// -----------------------------
+// /readyz: the tenant registry only (the OpenShift readiness probe). /readyz?deep=1 also signs in
+// to every tenant's Maximo; the report is cached briefly and ?refresh=1 asks for a new one.
+const readiness = createReadiness({
+  checks: ({ deep }) => {
+    const ids = Object.keys(tenants.all());
+    const registry = {
+      name: "tenants",
+      kind: "registry",
+      run: () => {
+        const st = tenants.status();
+        return { source: st.source, tenants: ids.length, ...(st.error ? { warning: st.error } : {}) };
       }
-    
-  ]);
-  res.json({ tools });
+    };
+    if (!deep) return [registry];
+    return [registry, ...ids.map(id => ({
+      name: `maximo:${id}`,
+      kind: "maximo",
+      detail: { tenant: id },
+      // Traced like any Maximo request, with via "readyz"
+      run: ({ signal }) => maximoContext.run({ ...maximoContext.getStore(), via: "readyz" }, () => probeTenant(id, { signal }))
+    }))];
+  },
+  redact: s => redact(s)
+});
+
+app.get("/readyz", async (req, res) => {
+  const flag = v => ["1", "true"].includes(String(v || ""));
+  const report = await readiness.report({ deep: flag(req.query.deep), refresh: flag(req.query.refresh) });
+  res.status(report.ok ? 200 : 503).json(report);
+});
+
+// -----------------------------
+// Write approvals (human in the loop)
+// -----------------------------
+const approvals = createApprovalQueue({
+  ttlMs: Number(process.env.APPROVAL_TTL_MS || 15 * 60 * 1000),
+  describe: describeWrite,
+  execute: executeWrite,
+  onChange: a => pushLog("approval", { id: a.id, tool: a.tool, status: a.status, decision: a.decision, result: a.result }, { method: a.method, url: a.url }, a.tenant)
+});
+// The requester is kept so a "two-person" tenant can refuse their own approval
+const toolOptionsFor = user => ({
+  requestApproval: async plan => pendingResult(await approvals.submit(plan, {
+    requestedBy: user ? { sub: user.sub, name: user.name } : null,
+    twoPerson: approvalPolicy(plan.tenant) === "two-person"
+  }))
+});
+
+function sendApprovalError(res, e) {
+  if (!e.code) {
+    console.error("Approval failed:", e);
+    return res.status(500).json({ error: "approval_failed", detail: String(e) });
+  }
+  return res.status(e.status).json({ ...toolErrorBody(e), ...(e.approval ? { approval: e.approval } : {}) });
+}
+
+app.get("/mcp/approvals", (req, res) => {
+  const { tenant, status } = req.query;
+  const list = approvals.list({ tenant: tenant ? String(tenant) : undefined, status: status ? String(status) : undefined });
+  res.json({ approvals: list.filter(a => auth.canUseTenant(req.user, a.tenant)) });
+});
+
+app.get("/mcp/approvals/:id", (req, res) => {
+  try {
+    const a = approvals.get(req.params.id);
+    auth.checkTenant(req.user, a.tenant);
+    res.json(a);
+  } catch (e) {
+    sendApprovalError(res, e);
+  }
+});
+
+app.post("/mcp/approvals/:id/:decision(approve|reject)", async (req, res) => {
+  const body = req.body || {};
+  try {
+    // Deciding needs the same rights as calling the tool directly
+    const a = approvals.get(req.params.id);
+    auth.checkTenant(req.user, a.tenant);
+    auth.checkTool(req.user, a.tool);
+    res.json(await approvals.decide(req.params.id, {
+      approve: req.params.decision === "approve",
+      // With sign-in the approver is the token's user; body.by is only a label without it
+      by: auth.enabled ? req.user?.name || null : body.by ? String(body.by) : null,
+      bySub: req.user?.sub || null,
+      reason: body.reason ? String(body.reason) : null
+    }));
+  } catch (e) {
+    sendApprovalError(res, e);
+  }
+});
+
+// -----------------------------
+// MCP Streamable HTTP endpoint (JSON-RPC 2.0 on POST /mcp)
+// -----------------------------
+const MCP_SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS || 30 * 60 * 1000);
+const MCP_ALLOWED_ORIGINS = String(process.env.MCP_ALLOWED_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
+const sessions = new Map(); // id -> { id, protocolVersion, clientInfo, tenant, createdAt, lastSeen }
+
+const mcp = createMcpDispatcher({
+  serverInfo: SERVER_INFO,
+  instructions: "Tools for IBM Maximo object structures (OSLC REST API). The tenant comes from _meta.tenant on the request, the X-Maximo-Tenant header or defaults to \"default\".",
+  listTools: async ctx => toolsFor(ctx.tenant).filter(t => auth.canUseTool(ctx.user, t.name)),
+  isTool: name => TOOLS.some(t => t.name === name),
+  callTool: (name, args, ctx) => tracedTool(name, args, ctx.tenant, "mcp", () => {
+    auth.checkTenant(ctx.user, ctx.tenant);
+    auth.checkTool(ctx.user, name);
+    return callTool(name, args, ctx.tenant, toolOptionsFor(ctx.user));
+  })
+});
+
+setInterval(() => {
+  const cutoff = Date.now() - MCP_SESSION_TTL_MS;
+  for (const [id, s] of sessions) if (s.lastSeen < cutoff) sessions.delete(id);
+}, 60 * 1000).unref();
+
+// DNS rebinding protection for browser-originated requests
+function originAllowed(req) {
+  const origin = req.get("origin");
+  return !origin || !MCP_ALLOWED_ORIGINS.length || MCP_ALLOWED_ORIGINS.includes(origin);
+}
+
+function rpcHttpError(res, status, code, message) {
+  return res.status(status).json(rpcErrorResponse(null, rpcError(code, message)));
+}
+
+app.post("/mcp", async (req, res) => {
+  if (!originAllowed(req)) return rpcHttpError(res, 403, RPC_INVALID_REQUEST, "Origin not allowed");
+
+  const body = req.body;
+  const batch = Array.isArray(body);
+  const messages = batch ? body : [body];
+  if (!messages.length || messages.some(m => !m || typeof m !== "object")) {
+    return rpcHttpError(res, 400, RPC_INVALID_REQUEST, "Expected a JSON-RPC message");
+  }
+
+  const initializing = messages.some(m => m.method === "initialize");
+  const sessionId = req.get("mcp-session-id");
+  let session = null;
+  if (initializing) {
+    if (batch) return rpcHttpError(res, 400, RPC_INVALID_REQUEST, "initialize must not be batched");
+  } else {
+    if (!sessionId) return rpcHttpError(res, 400, RPC_INVALID_REQUEST, "Mcp-Session-Id header is required");
+    session = sessions.get(sessionId);
+    if (!session) return rpcHttpError(res, 404, RPC_INVALID_REQUEST, "Session not found; initialize again");
+    const version = req.get("mcp-protocol-version");
+    if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+      return rpcHttpError(res, 400, RPC_INVALID_REQUEST, "Unsupported MCP-Protocol-Version: " + version);
+    }
+    session.lastSeen = Date.now();
+  }
+
+  const replies = [];
+  for (const msg of messages) {
+    const tenant = String(msg.params?._meta?.tenant || req.get("x-maximo-tenant") || session?.tenant || "default");
+    const reply = await mcp.handle(msg, { session, tenant, user: req.user });
+    if (reply) replies.push(reply);
+  }
+
+  if (initializing) {
+    const result = replies[0]?.result;
+    if (result) {
+      const id = crypto.randomUUID();
+      const now = Date.now();
+      sessions.set(id, {
+        id,
+        protocolVersion: result.protocolVersion,
+        clientInfo: messages[0].params?.clientInfo || null,
+        tenant: req.get("x-maximo-tenant") || "default",
+        createdAt: now,
+        lastSeen: now
+      });
+      res.set("Mcp-Session-Id", id);
+    }
+  }
+
+  // Only notifications / responses: nothing to send back
+  if (!replies.length) return res.status(202).end();
+  const payload = batch ? replies : replies[0];
+
+  // Clients must accept both; plain JSON unless the client only takes SSE
+  const accept = String(req.get("accept") || "");
+  if (accept.includes("text/event-stream") && !accept.includes("application/json")) {
+    res.status(200).set({ "content-type": "text/event-stream", "cache-control": "no-cache" });
+    return res.end(`event: message\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+  return res.status(200).json(payload);
+});
+
+// No server-initiated messages, so no standalone SSE stream
+app.get("/mcp", (_req, res) => res.status(405).set("allow", "POST, DELETE").json({ error: "Method not allowed" }));
+
+app.delete("/mcp", (req, res) => {
+  const id = req.get("mcp-session-id");
+  if (!id || !sessions.delete(id)) return res.status(404).json({ error: "Session not found" });
+  return res.status(204).end();
+});
+
+// -----------------------------
+// REST compatibility routes ("MCP-like" endpoints used before /mcp)
+// -----------------------------
+// ?tenant= limits the list to what that tenant's policy allows (default "default")
+app.get("/mcp/tools", (req, res) => {
+  // Return OpenAI tool schema (type:function + function{name,description,parameters})
+  const tools = toolsFor(String(req.query.tenant || "default")).filter(t => auth.canUseTool(req.user, t.name));
+  res.json({ tools: mcpToOpenAITools(tools) });
 });
 
 app.post("/mcp/call", async (req, res) => {
@@ -133,57 +436,141 @@ app.post("/mcp/call", async (req, res) => {
   const tool = body.tool || body.name;
   const args = body.args || {};
   const tenantId = (body.tenant || (args && args.tenant) || "default").toString();
-  let t;
+
+  try {
+    const r = await tracedTool(tool, args, tenantId, "rest", () => {
+      auth.checkTenant(req.user, tenantId);
+      auth.checkTool(req.user, tool);
+      return callTool(tool, args, tenantId, toolOptionsFor(req.user));
+    });
+    // Error bodies go through res.json so they carry the correlation ID
+    if (!r.ok && typeof r.body === "string" && r.contentType === "application/json") {
+      return res.status(r.status).json(JSON.parse(r.body));
+    }
+    return res.status(r.status).type(r.contentType).send(r.body);
+  } catch (e) {
+    if (e.status && e.code) return res.status(e.status).json(toolErrorBody(e));
+    console.error("MCP call failed:", e);
+    return res.status(502).json({ error: "mcp_failed", detail: String(e) });
+  }
+});
+
+// REST Builder passthrough (not advertised as a tool): one request against /os/<os>[/<id>]
+// with Maximo's x-method-override semantics, answered with a full trace.
+const RAW_METHODS = ["GET", "POST", "PATCH", "DELETE"];
+const REDACT_HEADERS = new Set(["apikey", "x-api-key", "authorization", "maxauth", "cookie"]);
+
+function redactHeaders(h) {
+  const out = {};
+  for (const [k, v] of Object.entries(h || {})) {
+    if (v === undefined) continue;
+    out[k] = REDACT_HEADERS.has(k.toLowerCase()) && v ? "***" : v;
+  }
+  return out;
+}
+
+// Accepts a resource id (_QkVERk9SRC8xMDAw) or a full record href from a previous response.
+function recordSuffix(os, recordId) {
+  if (!recordId) return "";
+  const s = String(recordId);
+  const m = s.match(new RegExp(`/os/${os}/([^/?#]+)`, "i"));
+  const id = m ? m[1] : s.replace(/^\/+/, "");
+  if (!/^[A-Za-z0-9_\-=%.]+$/.test(id)) throw new Error("Invalid record id: " + s);
+  return "/" + id;
+}
+
+app.post("/mcp/raw", async (req, res) => {
+  const body = req.body || {};
+  const method = String(body.method || "GET").toUpperCase();
+  const os = String(body.os || "").trim();
+  const tenantId = (body.tenant || "default").toString();
+  const started = Date.now();
+  const call = crypto.randomUUID();
+  pushLog("rx_agent", { tool: "maximo.raw", args: body }, { tool: "maximo.raw", via: "raw", call }, tenantId);
+  res.on("finish", () => {
+    pushLog("tx_agent", null, { tool: "maximo.raw", via: "raw", call, status: res.statusCode, durationMs: Date.now() - started }, tenantId);
+    metrics.toolCall({ tool: "maximo.raw", tenant: tenantId, via: "raw", durationMs: Date.now() - started, ok: res.statusCode < 400 });
+  });
+  if (!RAW_METHODS.includes(method)) return res.status(400).json({ error: "method must be one of " + RAW_METHODS.join(", ") });
+  if (!/^[A-Za-z0-9_]+$/.test(os)) return res.status(400).json({ error: "os must be an object structure name" });
+  if ((method === "PATCH" || method === "DELETE") && !body.recordId) {
+    return res.status(400).json({ error: method + " needs recordId (resource id or href)" });
+  }
+
+  // Not a tool, but granted like one: "maximo.raw" in the role mapping
+  try {
+    auth.checkTenant(req.user, tenantId);
+    auth.checkTool(req.user, "maximo.raw");
+  } catch (e) {
+    return res.status(e.status).json(toolErrorBody(e));
+  }
+
+  let t, url, params;
   try {
     t = tenantOrThrow(tenantId);
+    url = `${t.api}/os/${encodeURIComponent(os)}${recordSuffix(os, body.recordId)}`;
   } catch (e) {
-    return res.status(400).json({ error: String(e) });
+    return res.status(e.status || 400).json({ error: String(e.message || e), code: e.code });
   }
+  // The tenant's policy applies as for the tools; writes count as write tools for readOnly
+  try {
+    checkTenantTool(t, "maximo.raw", method !== "GET");
+    checkOs(t, os);
+    params = method === "GET" ? applyQueryPolicy(t, body.params || {}) : body.params || {};
+  } catch (e) {
+    return res.status(e.status).json({ error: e.message, code: e.code, policy: e.policy });
+  }
+  const qs = new URLSearchParams(params).toString();
+  if (qs) url += "?" + qs;
 
+  // Maximo updates/deletes are POSTs with x-method-override
+  const headers = {};
+  const httpMethod = method === "GET" ? "GET" : "POST";
+  if (method === "PATCH") Object.assign(headers, { "x-method-override": "PATCH", patchtype: "MERGE" });
+  if (method === "DELETE") headers["x-method-override"] = "DELETE";
+  const payload = httpMethod === "POST" && body.payload !== undefined ? JSON.stringify(body.payload) : undefined;
+  if (payload !== undefined) headers["content-type"] = "application/json";
+
+  const request = { method, httpMethod, url, headers: redactHeaders({ ...authHeaders(t), ...headers }), body: body.payload ?? null };
+  const sent = Date.now();
+  const inCall = fn => maximoContext.run({ ...maximoContext.getStore(), call, tool: "maximo.raw", via: "raw" }, fn);
   try {
-    if (tool === "maximo.listOS") {
-      const url = `${t.api}/os`;
-      const r = await fetch(url, { headers: authHeaders(t) });
-      return res.status(r.status).json(await r.json());
-    }
-    if (tool === "maximo.queryOS") {
-      const os = args?.os;
-      const params = args?.params || {};
-      if (!os) return res.status(400).json({ error: "args.os is required" });
-      const url = `${t.api}/os/${encodeURIComponent(os)}?` + new URLSearchParams(params).toString();
-      const r = await fetch(url, { headers: authHeaders(t) });
-      const body = await r.text();
-      return res.status(r.status).type(r.headers.get("content-type") || "application/json").send(body);
+    // Writes wait for approval like the write tools unless the tenant's policy is "auto"
+    if (method !== "GET" && approvalPolicy(tenantId) !== "auto") {
+      const plan = { tool: "maximo.raw", tenant: tenantId, method, url, headers, payload: body.payload };
+      const pending = await inCall(() => toolOptionsFor(req.user).requestApproval(plan));
+      return res.json({
+        tenant: tenantId,
+        request,
+        response: { status: pending.status, ok: pending.ok, headers: { "content-type": pending.contentType }, body: pending.body },
+        durationMs: Date.now() - sent
+      });
     }
-    if (tool === "maximo.create") {
-      const os = args?.os;
-      const params = args?.params || { lean: 1 };
-      const payload = args?.payload || {};
-      if (!os) return res.status(400).json({ error: "args.os is required" });
-      const url = `${t.api}/os/${encodeURIComponent(os)}?` + new URLSearchParams(params).toString();
-      const r = await fetch(url, { method: "POST", headers: { ...authHeaders(t), "content-type": "application/json" }, body: JSON.stringify(payload) });
-      const body = await r.text();
-      return res.status(r.status).type(r.headers.get("content-type") || "application/json").send(body);
-    }
-    return res.status(400).json({ error: "unknown_tool", tool });
+    const r = await inCall(() => maximoFetch(t, url, { method: httpMethod, headers, body: payload }));
+    const text = await r.text();
+    const durationMs = Date.now() - sent;
+    return res.json({
+      tenant: tenantId,
+      request,
+      response: { status: r.status, ok: r.ok, headers: Object.fromEntries(r.headers.entries()), body: text },
+      durationMs
+    });
   } catch (e) {
-    console.error("MCP call failed:", e);
-    return res.status(502).json({ error: "mcp_failed", detail: String(e) });
+    if (e.status && e.code) return res.status(e.status).json({ error: e.message, code: e.code, request, durationMs: Date.now() - sent });
+    return res.status(502).json({ error: "maximo_unreachable", detail: String(e), request, durationMs: Date.now() - sent });
   }
 });
 
-function authHeaders(t) {
-  // UI uses these headers; keep consistent
-  const apiKey = String(t.apiKey || "");
-  return {
-    accept: "application/json",
-    apikey: apiKey,
-    "x-api-key": apiKey,
-    Authorization: apiKey ? `Apikey ${apiKey}` : undefined
-  };
-}
 
 
+// Malformed JSON on /mcp is a JSON-RPC parse error, not an HTML 400
+app.use((err, req, res, next) => {
+  if (req.path === "/mcp" && err?.type === "entity.parse.failed") {
+    return res.status(400).json(rpcErrorResponse(null, rpcError(RPC_PARSE_ERROR, "Parse error")));
+  }
+  return next(err);
+});
+
 // SPA fallback for client-side routes
 app.get("/*", (req, res, next) => {
   try {
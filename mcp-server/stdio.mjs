@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * stdio.mjs
+ *
+ * MCP stdio transport for desktop MCP clients and IDE agents: newline-delimited
+ * JSON-RPC 2.0 on stdin/stdout, same tools and tenant registry (TENANTS_JSON,
+ * TENANTS_FILE / DATA_DIR, MAXIMO_*) as the HTTP server. stdout carries protocol
+ * messages only; logs go to stderr. There is no sign-in here (OIDC_ISSUER applies to HTTP only):
+ * the client that starts the process is trusted with every tenant and tool.
+ *
+ *   MAXIMO_URL=https://host/maximo MAXIMO_APIKEY=... node stdio.mjs
+ */
+import readline from "readline";
+import { createMcpDispatcher, rpcError, rpcErrorResponse, RPC_PARSE_ERROR } from "./mcp-protocol.mjs";
+import { callTool, SERVER_INFO, tenantRegistry, TOOLS, toolsFor } from "./maximo-tools.mjs";
+
+// Anything printed to stdout that is not a JSON-RPC message breaks the client.
+console.log = console.error;
+console.info = console.error;
+
+const DEFAULT_TENANT = process.env.MAXIMO_TENANT || "default";
+const tenants = tenantRegistry();
+
+const mcp = createMcpDispatcher({
+  serverInfo: SERVER_INFO,
+  instructions: `Tools for IBM Maximo object structures (OSLC REST API). The tenant comes from _meta.tenant on the request or defaults to "${DEFAULT_TENANT}".`,
+  listTools: async ctx => toolsFor(ctx.tenant),
+  isTool: name => TOOLS.some(t => t.name === name),
+  callTool: (name, args, ctx) => callTool(name, args, ctx.tenant)
+});
+
+function send(msg) {
+  process.stdout.write(JSON.stringify(msg) + "\n");
+}
+
+async function handleLine(line) {
+  let msg;
+  try {
+    msg = JSON.parse(line);
+  } catch {
+    return send(rpcErrorResponse(null, rpcError(RPC_PARSE_ERROR, "Parse error")));
+  }
+  const batch = Array.isArray(msg) ? msg : [msg];
+  const replies = [];
+  for (const m of batch) {
+    const reply = await mcp.handle(m, { tenant: String(m?.params?._meta?.tenant || DEFAULT_TENANT) });
+    if (reply) replies.push(reply);
+  }
+  if (!replies.length) return;
+  send(Array.isArray(msg) ? replies : replies[0]);
+}
+
+// Requests are handled concurrently (a slow Maximo query must not block ping);
+// the client matches replies by id.
+const pending = new Set();
+const rl = readline.createInterface({ input: process.stdin, terminal: false });
+rl.on("line", (line) => {
+  if (!line.trim()) return;
+  const p = handleLine(line).catch((e) => console.error("stdio handler failed:", e));
+  pending.add(p);
+  p.finally(() => pending.delete(p));
+});
+rl.on("close", async () => {
+  await Promise.allSettled([...pending]);
+  process.exit(0);
+});
+
+console.error(`maximo-mcp-server (stdio) ready, ${TOOLS.length} tools, default tenant "${DEFAULT_TENANT}", ${tenants.list().length} tenant(s) (${tenants.status().source})`);
@@ -0,0 +1,309 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { AUTH_MODES, AUTH_REQUIRED_FIELDS } from "./maximo-auth.mjs";
+import { LIMIT_FIELDS } from "./maximo-http.mjs";
+import { POLICY_FIELDS } from "./policy.mjs";
+
+/**
+ * tenants.mjs
+ *
+ * Tenant registry shared by the HTTP server, stdio and (through /api/tenants) the app's
+ * Settings page. One format everywhere, in TENANTS_JSON and in the registry file:
+ *
+ *   { "<id>": { label, baseUrl, auth, apiKey, user, password, loginPath, cert, key, passphrase,
+ *               ca, insecureSkipVerify, org, site, laborCode, approval, readOnly, tools, osAllow,
+ *               osDeny, selectAllow, maxPageSize, maxRecords, timeoutMs, retries, maxConcurrent,
+ *               rateLimit, rateBurst, breakerThreshold, breakerCooldownMs } }
+ *
+ * auth and the TLS fields are described in maximo-auth.mjs, the policy fields (readOnly ...
+ * maxRecords) in policy.mjs and the request limits (timeoutMs ... breakerCooldownMs) in
+ * maximo-http.mjs.
+ *
+ * Sources:
+ * - TENANTS_JSON (env, non-empty): the whole registry, read-only.
+ * - Otherwise TENANTS_FILE (default <DATA_DIR>/tenants.json): validated on load, polled for
+ *   changes (inotify does not fire on NFS-backed PVCs) and written by the CRUD API.
+ * - MAXIMO_URL (+ MAXIMO_AUTH, MAXIMO_APIKEY, MAXIMO_USER, MAXIMO_PASSWORD, MAXIMO_CA,
+ *   MAXIMO_INSECURE_SKIP_VERIFY) adds a read-only "default" tenant when the registry has none.
+ *
+ * An invalid TENANTS_JSON fails startup. An invalid file is logged and reported by status();
+ * the last good registry stays in use and writes are refused until the file is fixed.
+ */
+
+export const SECRET_MASK = "********";
+
+const SECRET_KEYS = new Set(["apiKey", "password", "key", "passphrase"]);
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const APPROVAL_POLICIES = ["required", "two-person", "auto"];
+
+// field -> check(value) returning an error message or null
+const TENANT_FIELDS = {
+  label: str,
+  baseUrl: httpUrl,
+  auth: v => (AUTH_MODES.includes(v) ? null : `must be one of ${AUTH_MODES.join(", ")}`),
+  apiKey: str,
+  user: str,
+  password: str,
+  loginPath: v => (typeof v === "string" && v.startsWith("/") ? null : "must be a path such as /j_security_check"),
+  cert: str,
+  key: str,
+  passphrase: str,
+  ca: str,
+  insecureSkipVerify: v => (typeof v === "boolean" ? null : "must be true or false"),
+  org: str,
+  site: str,
+  laborCode: str,
+  approval: v => (APPROVAL_POLICIES.includes(v) ? null : `must be one of ${APPROVAL_POLICIES.join(", ")}`),
+  ...POLICY_FIELDS,
+  ...LIMIT_FIELDS
+};
+
+function str(v) {
+  return typeof v === "string" ? null : "must be a string";
+}
+
+function httpUrl(v) {
+  if (typeof v !== "string" || !v.trim()) return "is required (https://<host>/maximo)";
+  try {
+    const u = new URL(v);
+    return ["http:", "https:"].includes(u.protocol) ? null : "must be an http(s) URL";
+  } catch {
+    return "must be an http(s) URL";
+  }
+}
+
+function tenantError(status, code, message, details) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  if (details) e.details = details;
+  return e;
+}
+
+export function defaultTenantsFile(env = process.env) {
+  if (env.TENANTS_FILE) return env.TENANTS_FILE;
+  if (env.DATA_DIR) return path.join(env.DATA_DIR, "tenants.json");
+  return null;
+}
+
+// -----------------------------
+// Validation
+// -----------------------------
+/** Problems with one tenant entry, as "tenant \"<id>\": <field> <problem>" lines. */
+export function tenantProblems(id, t) {
+  const where = `tenant "${id}"`;
+  if (!ID_RE.test(String(id))) return [`${where}: id must be 1-64 characters of A-Z, a-z, 0-9, _ or -`];
+  if (!t || typeof t !== "object" || Array.isArray(t)) return [`${where}: must be an object`];
+
+  const problems = [];
+  for (const [k, v] of Object.entries(t)) {
+    const check = TENANT_FIELDS[k];
+    if (!check) {
+      const hint = Object.keys(TENANT_FIELDS).find(f => f.toLowerCase() === k.toLowerCase());
+      problems.push(`${where}: unknown field "${k}"${hint ? ` (did you mean "${hint}"?)` : ""}`);
+      continue;
+    }
+    if (v === undefined || v === null || v === "") continue;
+    const msg = check(v);
+    if (msg) problems.push(`${where}: ${k} ${msg}`);
+  }
+  if (t.baseUrl === undefined || t.baseUrl === null || t.baseUrl === "") problems.push(`${where}: baseUrl ${httpUrl("")}`);
+  for (const f of AUTH_REQUIRED_FIELDS[t.auth] || []) {
+    if (!t[f]) problems.push(`${where}: ${f} is required with auth "${t.auth}"`);
+  }
+  if (t.key && !t.cert) problems.push(`${where}: key needs cert`);
+  return problems;
+}
+
+/** Validate a registry document; returns the tenant map without empty fields, or throws 400 invalid_tenants. */
+export function parseTenants(doc, source) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    throw tenantError(400, "invalid_tenants", `${source}: expected an object of tenants keyed by id, e.g. {"default": {"baseUrl": "https://host/maximo"}}`);
+  }
+  const problems = Object.entries(doc).flatMap(([id, t]) => tenantProblems(id, t));
+  if (problems.length) throw tenantError(400, "invalid_tenants", `${source}: ${problems.join("; ")}`, problems);
+
+  const out = {};
+  for (const [id, t] of Object.entries(doc)) {
+    out[id] = Object.fromEntries(Object.entries(t).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+  }
+  return out;
+}
+
+function parseJsonText(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw tenantError(400, "invalid_tenants", `${source}: not valid JSON (${e.message})`);
+  }
+}
+
+export function maskTenant(t) {
+  const out = {};
+  for (const [k, v] of Object.entries(t || {})) out[k] = SECRET_KEYS.has(k) && v ? SECRET_MASK : v;
+  return out;
+}
+
+// -----------------------------
+// Registry
+// -----------------------------
+/**
+ * createTenantRegistry({ env, file, pollMs, log })
+ *
+ * - get(id) / all(): tenants with credentials (server side only)
+ * - list() / view(id): { id, source, ...tenant } with secrets masked, for the API
+ * - put(id, tenant) -> { tenant, created }; a masked secret keeps the stored value
+ * - remove(id)
+ * - status(): { source, file, writable, loadedAt, error }
+ */
+export function createTenantRegistry({
+  env = process.env,
+  file = defaultTenantsFile(env),
+  pollMs = Number(env.TENANTS_POLL_MS || 2000),
+  log = console
+} = {}) {
+  const fromEnv = String(env.TENANTS_JSON || "").trim();
+  const source = fromEnv ? "env" : file ? "file" : "none";
+  const state = { tenants: {}, loadedAt: null, mtimeMs: 0, error: null };
+  let chain = Promise.resolve();
+
+  const envDefault = env.MAXIMO_URL
+    ? parseTenants({
+      default: {
+        baseUrl: env.MAXIMO_URL,
+        auth: env.MAXIMO_AUTH,
+        apiKey: env.MAXIMO_APIKEY,
+        user: env.MAXIMO_USER,
+        password: env.MAXIMO_PASSWORD,
+        ca: env.MAXIMO_CA,
+        insecureSkipVerify: env.MAXIMO_INSECURE_SKIP_VERIFY === "true" || undefined
+      }
+    }, "MAXIMO_URL").default
+    : null;
+
+  function readFile() {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      if (e?.code === "ENOENT") return { tenants: {}, mtimeMs: 0 };
+      throw tenantError(500, "tenants_unreadable", `${file}: ${e.message}`);
+    }
+    const mtimeMs = fs.statSync(file).mtimeMs;
+    return { tenants: parseTenants(text.trim() ? parseJsonText(text, file) : {}, file), mtimeMs };
+  }
+
+  function reload() {
+    if (source !== "file") return;
+    try {
+      const { tenants, mtimeMs } = readFile();
+      state.tenants = tenants;
+      state.mtimeMs = mtimeMs;
+      state.loadedAt = new Date().toISOString();
+      state.error = null;
+      log.log(`[tenants] loaded ${Object.keys(tenants).length} tenant(s) from ${file}`);
+    } catch (e) {
+      state.error = e.message;
+      log.error(`[tenants] ${e.message}; keeping the last good registry (${Object.keys(state.tenants).length} tenant(s))`);
+    }
+  }
+
+  if (source === "env") {
+    state.tenants = parseTenants(parseJsonText(fromEnv, "TENANTS_JSON"), "TENANTS_JSON");
+    state.loadedAt = new Date().toISOString();
+  } else if (source === "file") {
+    reload();
+    fs.watchFile(file, { interval: pollMs, persistent: false }, cur => {
+      if (cur.mtimeMs !== state.mtimeMs) reload();
+    });
+  }
+
+  function all() {
+    return envDefault && !state.tenants.default ? { default: envDefault, ...state.tenants } : { ...state.tenants };
+  }
+
+  function get(id) {
+    return all()[id];
+  }
+
+  function sourceOf(id) {
+    return state.tenants[id] ? (source === "env" ? "env" : "file") : "env";
+  }
+
+  function view(id) {
+    const t = get(id);
+    if (!t) throw tenantError(404, "tenant_not_found", `Tenant ${id} is not configured`);
+    return { id, source: sourceOf(id), ...maskTenant(t) };
+  }
+
+  function list() {
+    return Object.keys(all()).map(view);
+  }
+
+  function status() {
+    return { source, file, writable: source === "file", loadedAt: state.loadedAt, error: state.error };
+  }
+
+  function checkWritable() {
+    if (source === "env") throw tenantError(409, "tenants_read_only", "Tenants come from TENANTS_JSON; edit the Secret instead");
+    if (source === "none") throw tenantError(409, "tenants_read_only", "No registry file; set DATA_DIR or TENANTS_FILE on the MCP server");
+    if (state.error) throw tenantError(409, "tenants_file_invalid", `Fix ${file} first: ${state.error}`);
+  }
+
+  // Serialise writers; each write lands atomically (tmp file + rename).
+  function withLock(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function write(tenants) {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(tenants, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+    try {
+      await fsp.rename(tmp, file);
+    } catch (e) {
+      await fsp.rm(tmp, { force: true });
+      throw e;
+    }
+    state.tenants = tenants;
+    state.mtimeMs = (await fsp.stat(file)).mtimeMs;
+    state.loadedAt = new Date().toISOString();
+  }
+
+  function put(id, input) {
+    return withLock(async () => {
+      checkWritable();
+      const prev = state.tenants[id];
+      const next = {};
+      for (const [k, v] of Object.entries(input || {})) {
+        if (k === "id" || k === "source") continue;
+        next[k] = SECRET_KEYS.has(k) && v === SECRET_MASK ? prev?.[k] : v;
+      }
+      const problems = tenantProblems(id, next);
+      if (problems.length) throw tenantError(400, "invalid_tenant", problems.join("; "), problems);
+      await write(parseTenants({ ...state.tenants, [id]: next }, file));
+      return { tenant: view(id), created: !prev };
+    });
+  }
+
+  function remove(id) {
+    return withLock(async () => {
+      checkWritable();
+      if (!state.tenants[id]) {
+        if (get(id)) throw tenantError(409, "tenants_read_only", `Tenant ${id} comes from MAXIMO_URL; remove it from the Secret instead`);
+        throw tenantError(404, "tenant_not_found", `Tenant ${id} is not configured`);
+      }
+      const { [id]: _removed, ...rest } = state.tenants;
+      await write(rest);
+    });
+  }
+
+  function close() {
+    if (source === "file") fs.unwatchFile(file);
+  }
+
+  return { get, all, view, list, put, remove, status, reload, close };
+}
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createApprovalQueue, pendingResult } from "../approvals.mjs";
+
+const plan = { tool: "maximo.update", tenant: "default", method: "PATCH", url: "http://maximo/api/os/mxwo/_A?lean=1", headers: {}, payload: { status: "APPR" } };
+const alice = { sub: "u-alice", name: "alice" };
+const bob = { sub: "u-bob", name: "bob" };
+
+function queue(options = {}) {
+  const executed = [];
+  const changes = [];
+  const q = createApprovalQueue({
+    describe: async p => [{ path: "status", from: "WAPPR", to: p.payload.status }],
+    execute: async p => {
+      executed.push(p);
+      return { status: 200, ok: true, body: JSON.stringify({ status: "APPR" }) };
+    },
+    onChange: a => changes.push(a.status),
+    ...options
+  });
+  return { q, executed, changes };
+}
+
+test("an approved action runs the plan as it was submitted", async () => {
+  const { q, executed, changes } = queue();
+  const a = await q.submit(plan, { requestedBy: alice });
+  assert.equal(a.status, "pending");
+  assert.equal(a.requestedBy, "alice");
+  assert.deepEqual(a.diff, [{ path: "status", from: "WAPPR", to: "APPR" }]);
+  assert.equal(executed.length, 0);
+
+  const done = await q.decide(a.id, { approve: true, by: "bob", bySub: bob.sub });
+  assert.equal(done.status, "executed");
+  assert.equal(done.decision.by, "bob");
+  assert.deepEqual(done.result.body, { status: "APPR" });
+  assert.deepEqual(executed, [plan]);
+  assert.deepEqual(changes, ["pending", "executed"]);
+});
+
+test("a rejected action never runs and cannot be decided again", async () => {
+  const { q, executed } = queue();
+  const a = await q.submit(plan);
+  const rejected = await q.decide(a.id, { approve: false, by: "bob", reason: "wrong WO" });
+  assert.equal(rejected.status, "rejected");
+  assert.equal(rejected.decision.reason, "wrong WO");
+  await assert.rejects(q.decide(a.id, { approve: true }), { status: 409, code: "approval_decided" });
+  assert.equal(executed.length, 0);
+});
+
+test("a failing plan is recorded as failed", async () => {
+  const { q } = queue({
+    execute: async () => {
+      throw Object.assign(new Error("Maximo did not answer"), { status: 504, code: "maximo_timeout" });
+    }
+  });
+  const a = await q.submit(plan);
+  const failed = await q.decide(a.id, { approve: true });
+  assert.equal(failed.status, "failed");
+  assert.deepEqual(failed.result.body.error, { code: "maximo_timeout", message: "Maximo did not answer", status: 504 });
+});
+
+test("pending actions expire", async () => {
+  const { q, executed } = queue({ ttlMs: 20 });
+  const a = await q.submit(plan);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await assert.rejects(q.decide(a.id, { approve: true }), { status: 410, code: "approval_expired" });
+  assert.equal(q.get(a.id).status, "expired");
+  assert.equal(executed.length, 0);
+});
+
+test("two-person actions need a different, verified approver", async () => {
+  const { q, executed } = queue();
+  const a = await q.submit(plan, { requestedBy: alice, twoPerson: true });
+  assert.equal(a.twoPerson, true);
+  await assert.rejects(q.decide(a.id, { approve: true, by: "alice", bySub: alice.sub }), { status: 403, code: "approval_same_user" });
+  await assert.rejects(q.decide(a.id, { approve: true, by: "bob" }), { status: 403, code: "approval_unverified" });
+  assert.equal(executed.length, 0);
+  assert.equal((await q.decide(a.id, { approve: true, by: "bob", bySub: bob.sub })).status, "executed");
+
+  const own = await q.submit(plan, { requestedBy: alice, twoPerson: true });
+  assert.equal((await q.decide(own.id, { approve: false, by: "alice", bySub: alice.sub })).status, "rejected");
+});
+
+test("list filters by tenant and status; unknown ids are 404", async () => {
+  const { q } = queue();
+  const a = await q.submit(plan);
+  await q.submit({ ...plan, tenant: "test" });
+  assert.deepEqual(q.list({ tenant: "default" }).map(x => x.id), [a.id]);
+  assert.equal(q.list({ status: "pending" }).length, 2);
+  assert.throws(() => q.get("nope"), { status: 404, code: "approval_not_found" });
+});
+
+test("pendingResult tells the model nothing was sent", async () => {
+  const { q } = queue();
+  const r = pendingResult(await q.submit(plan));
+  assert.equal(r.status, 202);
+  const body = JSON.parse(r.body);
+  assert.equal(body.status, "pending_approval");
+  assert.equal(body.approval.headers, undefined);
+});
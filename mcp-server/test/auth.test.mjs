@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, test } from "node:test";
+import { createAuth } from "../auth.mjs";
+import { sendJson, standIn } from "./stand-in.mjs";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const other = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+const ROLES = { ops: { tenants: ["prod", "test*"], tools: ["maximo.queryOS"] }, admins: { tenants: ["*"], tools: ["*"], admin: true } };
+
+let idp;
+let auth;
+
+before(async () => {
+  idp = await standIn((req, res) => {
+    if (req.url === "/.well-known/openid-configuration") return sendJson(res, 200, { issuer: idp.url, jwks_uri: `${idp.url}/jwks` });
+    if (req.url === "/jwks") return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid: "k1", use: "sig" }] });
+    sendJson(res, 404, {});
+  });
+  auth = createAuth({
+    env: { OIDC_ISSUER: idp.url, OIDC_AUDIENCE: "agent", ROLE_MAPPING_JSON: JSON.stringify(ROLES) },
+    log: () => {}
+  });
+});
+
+after(() => idp.close());
+
+function jwt(claims, { key = privateKey, kid = "k1", alg = "RS256" } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg, kid, typ: "JWT" })).toString("base64url");
+  const payload = Buffer.from(JSON.stringify({ iss: idp.url, aud: "agent", sub: "u-1", exp: now + 300, ...claims })).toString("base64url");
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${payload}`), key).toString("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+// Runs the middleware: { user } when it let the request through, else { status, body }.
+async function check(token) {
+  const req = { get: name => (name === "authorization" && token ? `Bearer ${token}` : undefined) };
+  return new Promise(resolve => {
+    const res = {
+      set: () => res,
+      status: status => ({ json: body => resolve({ status, body }) })
+    };
+    auth.authenticate(req, res, () => resolve({ user: req.user }));
+  });
+}
+
+test("a valid token gives the user, their roles and permissions", async () => {
+  const { user } = await check(jwt({ preferred_username: "alice", roles: ["ops"] }));
+  assert.equal(user.sub, "u-1");
+  assert.equal(user.name, "alice");
+  assert.deepEqual(user.roles, ["ops"]);
+  assert.ok(auth.canUseTenant(user, "prod"));
+  assert.ok(auth.canUseTenant(user, "test-2"));
+  assert.ok(!auth.canUseTenant(user, "dev"));
+  assert.ok(!auth.canUseTool(user, "maximo.create"));
+  assert.throws(() => auth.checkTenant(user, "dev"), { status: 403, code: "tenant_forbidden" });
+  assert.throws(() => auth.checkAdmin(user), { status: 403, code: "admin_required" });
+  auth.checkAdmin((await check(jwt({ roles: ["admins"] }))).user);
+});
+
+test("calls without a token are refused", async () => {
+  const r = await check(null);
+  assert.equal(r.status, 401);
+  assert.equal(r.body.error.code, "unauthenticated");
+});
+
+for (const [name, token, message] of [
+  ["a token that is not a JWT", () => "opaque-token", /not a JWT/],
+  ["a token signed with another key", () => jwt({}, { key: other }), /signature is invalid/],
+  ["a token signed with an unknown key", () => jwt({}, { kid: "k2" }), /Unknown signing key/],
+  ["a token with an unsupported algorithm", () => jwt({}, { alg: "none" }), /Unsupported token algorithm/],
+  ["a token from another issuer", () => jwt({ iss: "http://elsewhere" }), /issuer/],
+  ["a token for another audience", () => jwt({ aud: "other" }), /audience/],
+  ["an expired token", () => jwt({ exp: Math.floor(Date.now() / 1000) - 120 }), /expired/],
+  ["a token that is not valid yet", () => jwt({ nbf: Math.floor(Date.now() / 1000) + 120 }), /not valid yet/]
+]) {
+  test(`refuses ${name}`, async () => {
+    const r = await check(token());
+    assert.equal(r.status, 401);
+    assert.equal(r.body.error.code, "invalid_token");
+    assert.match(r.body.error.message, message);
+  });
+}
+
+test("without OIDC_ISSUER every call passes", async () => {
+  const open = createAuth({ env: {}, log: () => {} });
+  assert.equal(open.enabled, false);
+  assert.ok(open.canUseTenant(null, "prod"));
+  open.checkAdmin(null);
+});
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { maximoContext, maximoFetch, maximoHttpStats } from "../maximo-http.mjs";
+import { sendJson, standIn } from "./stand-in.mjs";
+
+process.env.MAXIMO_RETRY_BASE_MS = "1";
+
+// Each test uses its own tenant id: retry and circuit state is kept per tenant.
+let maximo;
+let replies = []; // per request: status, or { status, delayMs, headers }
+
+before(async () => {
+  maximo = await standIn((req, res) => {
+    const reply = replies.shift() ?? 200;
+    const { status, delayMs = 0, headers = {} } = typeof reply === "number" ? { status: reply } : reply;
+    setTimeout(() => sendJson(res, status, { status }, headers), delayMs);
+  });
+});
+
+after(() => maximo.close());
+
+function tenant(id, limits = {}) {
+  return { id, baseUrl: `${maximo.url}/maximo`, api: `${maximo.url}/maximo/api`, apiKey: "k", rateLimit: 0, ...limits };
+}
+
+function fresh(list) {
+  replies = list;
+  maximo.requests.length = 0;
+}
+
+test("sends the tenant's API key and the correlation id", async () => {
+  fresh([200]);
+  const t = tenant("headers");
+  const r = await maximoContext.run({ correlationId: "c-1" }, () => maximoFetch(t, `${t.api}/os/mxwo`));
+  assert.equal(r.status, 200);
+  assert.equal(maximo.requests[0].headers.apikey, "k");
+  assert.equal(maximo.requests[0].headers["x-correlation-id"], "c-1");
+});
+
+test("retries a read on 503 and honours Retry-After", async () => {
+  fresh([{ status: 503, headers: { "retry-after": "0" } }, 429, 200]);
+  const t = tenant("retry-read", { retries: 2 });
+  const r = await maximoFetch(t, `${t.api}/os/mxwo`);
+  assert.equal(r.status, 200);
+  assert.equal(maximo.requests.length, 3);
+});
+
+test("returns the last answer once the retries are used up", async () => {
+  fresh([503, 503, 503, 200]);
+  const t = tenant("retry-exhausted", { retries: 2, breakerThreshold: 0 });
+  const r = await maximoFetch(t, `${t.api}/os/mxwo`);
+  assert.equal(r.status, 503);
+  assert.equal(maximo.requests.length, 3);
+});
+
+test("never retries a write", async () => {
+  fresh([503, 200]);
+  const t = tenant("retry-write", { retries: 2 });
+  const post = await maximoFetch(t, `${t.api}/os/mxwo`, { method: "POST", body: "{}" });
+  assert.equal(post.status, 503);
+  fresh([503, 200]);
+  const patch = await maximoFetch(t, `${t.api}/os/mxwo/_A`, { headers: { "x-method-override": "PATCH" } });
+  assert.equal(patch.status, 503);
+  assert.equal(maximo.requests.length, 1);
+});
+
+test("fails with 504 maximo_timeout when Maximo does not answer in time", async () => {
+  fresh([{ status: 200, delayMs: 500 }]);
+  const t = tenant("timeout", { timeoutMs: 100, retries: 0 });
+  await assert.rejects(maximoFetch(t, `${t.api}/os/mxwo`), { status: 504, code: "maximo_timeout" });
+});
+
+test("opens the circuit after breakerThreshold failures and closes it after a good trial", async () => {
+  fresh([502, 502]);
+  const t = tenant("breaker", { retries: 0, breakerThreshold: 2, breakerCooldownMs: 150 });
+  const circuit = () => maximoHttpStats().find(s => s.tenant === "breaker").circuit;
+  assert.equal((await maximoFetch(t, `${t.api}/os/mxwo`)).status, 502);
+  assert.equal((await maximoFetch(t, `${t.api}/os/mxwo`)).status, 502);
+  assert.equal(circuit(), "open");
+
+  await assert.rejects(maximoFetch(t, `${t.api}/os/mxwo`), { status: 503, code: "maximo_unavailable" });
+  assert.equal(maximo.requests.length, 2);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(circuit(), "half-open");
+  fresh([200]);
+  assert.equal((await maximoFetch(t, `${t.api}/os/mxwo`)).status, 200);
+  assert.equal(circuit(), "closed");
+});
+
+test("a failed trial opens the circuit again", async () => {
+  fresh([504]);
+  const t = tenant("breaker-trial", { retries: 0, breakerThreshold: 1, breakerCooldownMs: 100 });
+  assert.equal((await maximoFetch(t, `${t.api}/os/mxwo`)).status, 504);
+  await new Promise(resolve => setTimeout(resolve, 150));
+  fresh([503]);
+  assert.equal((await maximoFetch(t, `${t.api}/os/mxwo`)).status, 503);
+  await assert.rejects(maximoFetch(t, `${t.api}/os/mxwo`), { code: "maximo_unavailable" });
+  assert.equal(maximo.requests.length, 1);
+});
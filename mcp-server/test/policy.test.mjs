@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { callTool, toolsFor } from "../maximo-tools.mjs";
+import { sendJson, standIn } from "./stand-in.mjs";
+
+let maximo;
+
+before(async () => {
+  maximo = await standIn((req, res) => {
+    if (req.method === "POST") return sendJson(res, 201, { wonum: "1001" });
+    const url = new URL(req.url, maximo.url);
+    if (url.pathname.endsWith("/mxpaged")) {
+      // 10 records in pages of oslc.pageSize
+      const size = Number(url.searchParams.get("oslc.pageSize") || 10);
+      const page = Number(url.searchParams.get("pageno") || 1);
+      const member = Array.from({ length: 10 }, (_, i) => ({ wonum: String(1001 + i) })).slice((page - 1) * size, page * size);
+      url.searchParams.set("pageno", page + 1);
+      const nextPage = page * size < 10 ? { href: `${maximo.url}${url.pathname}?${url.searchParams}` } : undefined;
+      return sendJson(res, 200, { member, responseInfo: { totalCount: 10, nextPage } });
+    }
+    sendJson(res, 200, { member: [{ wonum: "1001", status: "WAPPR" }], responseInfo: { totalCount: 1 } });
+  });
+  // The registry is created on first use, so it picks this up.
+  const base = { baseUrl: `${maximo.url}/maximo`, apiKey: "k", rateLimit: 0 };
+  process.env.TENANTS_JSON = JSON.stringify({
+    ro: { ...base, readOnly: true, approval: "auto" },
+    open: { ...base, approval: "auto" },
+    gated: { ...base },
+    tools: { ...base, tools: ["maximo.queryOS"] },
+    os: { ...base, osAllow: ["MXWO", "MXASSET"], osDeny: ["mxasset"] },
+    select: { ...base, selectAllow: ["wonum", "status"], maxPageSize: 5 },
+    records: { ...base, maxPageSize: 2, maxRecords: 5 }
+  });
+});
+
+after(() => maximo.close());
+
+function sent() {
+  const list = maximo.requests.map(r => new URL(r.url, maximo.url));
+  maximo.requests.length = 0;
+  return list;
+}
+
+test("readOnly refuses write tools before anything is sent and hides them", async () => {
+  sent();
+  await assert.rejects(callTool("maximo.create", { os: "mxwo", body: { description: "x" } }, "ro"), e => {
+    assert.equal(e.status, 403);
+    assert.equal(e.code, "policy_denied");
+    assert.equal(e.policy.rule, "readOnly");
+    return true;
+  });
+  assert.equal(sent().length, 0);
+  assert.equal((await callTool("maximo.queryOS", { os: "mxwo" }, "ro")).ok, true);
+  assert.ok(!toolsFor("ro").some(t => t.name === "maximo.create"));
+  assert.ok(toolsFor("ro").some(t => t.name === "maximo.queryOS"));
+});
+
+test("tools limits a tenant to the listed tools", async () => {
+  await assert.rejects(callTool("maximo.listOS", {}, "tools"), { code: "policy_denied", policy: { tenant: "tools", rule: "tools", tool: "maximo.listOS", allowed: ["maximo.queryOS"] } });
+  assert.deepEqual(toolsFor("tools").map(t => t.name), ["maximo.queryOS"]);
+});
+
+test("osDeny wins over osAllow, case-insensitively", async () => {
+  sent();
+  assert.equal((await callTool("maximo.queryOS", { os: "mxwo" }, "os")).ok, true);
+  await assert.rejects(callTool("maximo.queryOS", { os: "MXASSET" }, "os"), { code: "policy_denied", policy: { tenant: "os", rule: "osDeny", os: "MXASSET" } });
+  await assert.rejects(callTool("maximo.queryOS", { os: "mxsr" }, "os"), { policy: { tenant: "os", rule: "osAllow", os: "MXSR", allowed: ["MXWO", "MXASSET"] } });
+  assert.equal(sent().length, 1);
+});
+
+test("queryOS only takes an object structure name", async () => {
+  sent();
+  for (const os of ["mxasset?x=1", "mxwo/../mxasset", "mxasset#"]) {
+    await assert.rejects(callTool("maximo.queryOS", { os }, "open"), { status: 400, message: "args.os must be an object structure name" });
+  }
+  await assert.rejects(callTool("maximo.queryOS", {}, "open"), { status: 400, message: "args.os is required (or args.cursor)" });
+  assert.equal(sent().length, 0);
+});
+
+test("create only takes an object structure name", async () => {
+  sent();
+  for (const os of ["mxwo?_action=x", "mxwo/_QkVERk9SRC8xMDAw", "../script"]) {
+    await assert.rejects(callTool("maximo.create", { os, body: { description: "x" } }, "open"), { status: 400, message: "args.os must be an object structure name" });
+  }
+  await assert.rejects(callTool("maximo.create", { body: {} }, "open"), { status: 400, message: "args.os is required" });
+  assert.equal(sent().length, 0);
+});
+
+test("selectAllow checks oslc.select and replaces a missing one; maxPageSize caps the page", async () => {
+  sent();
+  await assert.rejects(callTool("maximo.queryOS", { os: "mxwo", params: { "oslc.select": "wonum,description" } }, "select"), {
+    policy: { tenant: "select", rule: "selectAllow", attributes: ["description"], allowed: ["wonum", "status"] }
+  });
+  await assert.rejects(callTool("maximo.queryOS", { os: "mxwo", params: { "oslc.select": "wonum,*" } }, "select"), {
+    policy: { tenant: "select", rule: "selectAllow", attributes: ["*"], allowed: ["wonum", "status"] }
+  });
+  assert.equal(sent().length, 0);
+
+  await callTool("maximo.queryOS", { os: "mxwo", params: { "oslc.pageSize": 100 } }, "select");
+  const [url] = sent();
+  assert.equal(url.searchParams.get("oslc.select"), "wonum,status");
+  assert.equal(url.searchParams.get("oslc.pageSize"), "5");
+});
+
+test("maxPageSize caps the rows per page and maxRecords the rows per call", async () => {
+  sent();
+  const body = async (args, tenant) => JSON.parse((await callTool("maximo.queryOS", { os: "mxpaged", ...args }, tenant)).body);
+  const capped = await body({ params: { "oslc.pageSize": 50 }, maxRecords: 8 }, "records");
+  assert.equal(capped.member.length, 5);
+  assert.equal(capped.paging.pages, 3);
+  assert.equal(capped.paging.hasMore, true);
+  assert.deepEqual(sent().map(u => u.searchParams.get("oslc.pageSize")), ["2", "2", "2"]);
+
+  const open = await body({ params: { "oslc.pageSize": 4 }, maxRecords: 8 }, "open");
+  assert.equal(open.member.length, 8);
+  assert.equal(open.paging.pages, 2);
+});
+
+test("writes run at once only where approval is auto", async () => {
+  sent();
+  // params and payload are not in maximo.create's input schema and are not read
+  const r = await callTool("maximo.create", { os: "mxwo", body: { description: "x" }, params: { "oslc.select": "*" } }, "open");
+  assert.equal(r.status, 201);
+  const [url] = sent();
+  assert.equal(url.pathname, "/maximo/api/os/mxwo");
+  assert.equal(url.search, "?lean=1");
+  await assert.rejects(callTool("maximo.create", { os: "mxwo", payload: { description: "x" } }, "open"), { status: 400, message: "args.body must be an object" });
+
+  await assert.rejects(callTool("maximo.create", { os: "mxwo", body: { description: "x" } }, "gated"), { status: 403, code: "approval_required" });
+  let parked = null;
+  await callTool("maximo.create", { os: "mxwo", body: { description: "x" } }, "gated", { requestApproval: plan => (parked = plan) });
+  assert.equal(parked.method, "POST");
+  assert.deepEqual(parked.payload, { description: "x" });
+  assert.equal(sent().length, 0);
+});
+
+test("an unknown tenant is 404 tenant_not_found", async () => {
+  await assert.rejects(callTool("maximo.queryOS", { os: "mxwo" }, "nope"), { status: 404, code: "tenant_not_found" });
+});
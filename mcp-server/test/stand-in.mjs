@@ -0,0 +1,37 @@
+import http from "http";
+
+/**
+ * stand-in.mjs
+ *
+ * A local HTTP server standing in for Maximo, an OIDC provider or a model vendor in tests; the
+ * app's suites import it from here too. handler(req, res, body) answers each request; every
+ * request is kept in `requests` as { method, url, headers, body }.
+ */
+export async function standIn(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => (body += c));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      Promise.resolve(handler(req, res, body)).catch(e => {
+        res.writeHead(500);
+        res.end(String(e));
+      });
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { url, requests, close };
+}
+
+export function sendJson(res, status, json, headers = {}) {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify(json));
+}
@@ -1,7 +1,7 @@
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import {
   Header, HeaderName, Content, SideNav, SideNavItems, SideNavLink, Theme,
-  Tile, Tag, InlineNotification, CodeSnippet
+  Tile, Tag, InlineNotification, CodeSnippet, Button, TextInput, Select, SelectItem
 } from '@carbon/react'
 import { BrowserRouter, Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom'
 import '@carbon/styles/css/styles.css'
@@ -15,63 +15,240 @@ const NAV = [
 
 function usePath() { return useLocation().pathname }
 
-async function fetchLogs() {
-  const r = await fetch('/api/logs?limit=200')
+// Events kept in the list; the server's ring (LOG_MAX) may hold more
+const MAX_EVENTS = 500
+
+const WINDOWS = [
+  { id:'', label:'Any time' },
+  { id:'15m', label:'Last 15 minutes', ms:15 * 60 * 1000 },
+  { id:'1h', label:'Last hour', ms:60 * 60 * 1000 },
+  { id:'24h', label:'Last 24 hours', ms:24 * 60 * 60 * 1000 }
+]
+
+const NO_FILTERS = { tenant:'', tool:'', status:'', correlation:'', window:'', q:'' }
+
+// ?correlation=<id> (the app's trace links) preselects that filter
+function filtersFromSearch(search) {
+  const p = new URLSearchParams(search)
+  return { ...NO_FILTERS, correlation: p.get('correlation') || '' }
+}
+
+// Query string for /api/logs (see parseLogFilter on the server)
+function logQuery(kind, f, after) {
+  const p = new URLSearchParams({ kind, limit:'200' })
+  for (const k of ['tenant', 'tool', 'status', 'correlation', 'q']) if (f[k].trim()) p.set(k, f[k].trim())
+  const w = WINDOWS.find(x => x.id === f.window)
+  if (w?.ms) p.set('from', String(Date.now() - w.ms))
+  if (after) p.set('after', String(after))
+  return p.toString()
+}
+
+// With sign-in on (OIDC_ISSUER) /api/logs needs a bearer token; it is kept for this tab only
+const TOKEN_KEY = 'mcp-ui-token'
+const savedToken = () => sessionStorage.getItem(TOKEN_KEY) || ''
+
+async function fetchJson(url) {
+  const token = savedToken()
+  const r = await fetch(url, token ? { headers: { authorization: `Bearer ${token}` } } : undefined)
   const raw = await r.text()
   if (!r.ok) throw new Error(raw || `HTTP ${r.status}`)
   return JSON.parse(raw)
 }
 
+function EventMeta({ e }) {
+  return (
+    <>
+      <div style={{ display:'flex', justifyContent:'space-between', gap:'1rem' }}>
+        <div style={{ fontWeight:600 }}>{new Date(e.ts).toLocaleString()}</div>
+        <div style={{ opacity:0.85 }}>{e.tenant ? `tenant=${e.tenant}` : ''}</div>
+      </div>
+      {e.meta ? (
+        <div style={{ marginTop:'0.5rem', opacity:0.85 }}>
+          {Object.entries(e.meta).map(([k,v]) => (
+            <span key={k} style={{ marginRight:'1rem' }}><b>{k}</b>: {String(v)}</span>
+          ))}
+        </div>
+      ) : null}
+    </>
+  )
+}
+
+function Payload({ value }) {
+  return <CodeSnippet type="multi" wrapText>{typeof value === 'string' ? value : JSON.stringify(value, null, 2)}</CodeSnippet>
+}
+
+// Right-hand drawer: the event with the rest of its tool call (request, Maximo exchanges, result)
+function DetailDrawer({ id, onClose }) {
+  const [data, setData] = useState(null)
+  const [err, setErr] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    setData(null)
+    setErr(null)
+    fetchJson(`/api/logs/${id}`)
+      .then(j => { if (alive) setData(j) })
+      .catch(e => { if (alive) setErr(String(e.message || e)) })
+    return () => { alive = false }
+  }, [id])
+
+  return (
+    <aside aria-label="Log event details" style={{ position:'fixed', top:48, right:0, bottom:0, width:'min(720px, 100vw)', background:'#fff', borderLeft:'1px solid #c6c6c6', boxShadow:'-4px 0 12px rgba(0,0,0,0.15)', overflowY:'auto', padding:'1rem', zIndex:8000 }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:'0.75rem' }}>
+        <h4>Event {id}</h4>
+        <Button kind="ghost" size="sm" onClick={onClose}>Close</Button>
+      </div>
+      {err ? <InlineNotification kind="error" title="Event unavailable" subtitle={err} hideCloseButton /> : null}
+      {!data && !err ? <div style={{ opacity:0.8 }}>Loading…</div> : null}
+      {data?.related.map(e => (
+        <Tile key={e.id} style={{ marginBottom:'0.75rem', outline: e.id === data.event.id ? '2px solid #0f62fe' : 'none' }}>
+          <div style={{ marginBottom:'0.5rem' }}><Tag type={e.id === data.event.id ? 'blue' : 'gray'}>{e.kind}</Tag></div>
+          <EventMeta e={e} />
+          <div style={{ marginTop:'0.75rem' }}><Payload value={e.payload} /></div>
+        </Tile>
+      ))}
+    </aside>
+  )
+}
+
+function LogFilters({ value, onChange }) {
+  const set = (k) => (ev) => onChange({ ...value, [k]: ev.target.value })
+  return (
+    <div style={{ display:'grid', gridTemplateColumns:'repeat(3, minmax(0, 1fr))', gap:'0.75rem', marginBottom:'1rem' }}>
+      <TextInput id="f-tenant" size="sm" labelText="Tenant" placeholder="prod,test" value={value.tenant} onChange={set('tenant')} />
+      <TextInput id="f-tool" size="sm" labelText="Tool" placeholder="maximo.queryOS" value={value.tool} onChange={set('tool')} />
+      <TextInput id="f-status" size="sm" labelText="Status" placeholder="4xx or 400-599" value={value.status} onChange={set('status')} />
+      <TextInput id="f-correlation" size="sm" labelText="Correlation ID" placeholder="From the app's trace" value={value.correlation} onChange={set('correlation')} />
+      <Select id="f-window" size="sm" labelText="Time window" value={value.window} onChange={set('window')}>
+        {WINDOWS.map(w => <SelectItem key={w.id} value={w.id} text={w.label} />)}
+      </Select>
+      <TextInput id="f-q" size="sm" labelText="Search" placeholder="Text anywhere in the event" value={value.q} onChange={set('q')} />
+    </div>
+  )
+}
+
+// Streams /api/logs over SSE; falls back to polling when the stream cannot be opened
 function LogList({ kind }) {
-  const [data, setData] = useState({ events: [] })
+  const { search } = useLocation()
+  const [filters, setFilters] = useState(() => filtersFromSearch(search))
+  const [applied, setApplied] = useState(filters)
+  const [events, setEvents] = useState([])
+  const [mode, setMode] = useState('connecting')
+  const [paused, setPaused] = useState(false)
+  const [selected, setSelected] = useState(null)
   const [err, setErr] = useState(null)
+  const [token, setToken] = useState(savedToken)
+  const [tokenDraft, setTokenDraft] = useState(token)
+  const lastId = useRef(0)
+
+  const applyToken = () => {
+    const t = tokenDraft.trim()
+    if (t) sessionStorage.setItem(TOKEN_KEY, t)
+    else sessionStorage.removeItem(TOKEN_KEY)
+    setToken(t)
+  }
+
+  // Typing in a filter reconnects once the user stops
+  useEffect(() => {
+    const t = setTimeout(() => setApplied(filters), 400)
+    return () => clearTimeout(t)
+  }, [filters])
+
+  useEffect(() => {
+    lastId.current = 0
+    setEvents([])
+  }, [kind, applied, token])
 
   useEffect(() => {
+    if (paused) return
     let alive = true
-    const tick = async () => {
+    let source = null
+    let timer = null
+
+    const add = (list) => {
+      const fresh = list.filter(e => e.id > lastId.current)
+      if (!fresh.length) return
+      lastId.current = fresh[fresh.length - 1].id
+      setEvents(prev => [...prev, ...fresh].slice(-MAX_EVENTS))
+    }
+    const poll = async () => {
       try {
-        const j = await fetchLogs()
+        const j = await fetchJson(`/api/logs?${logQuery(kind, applied, lastId.current)}`)
         if (!alive) return
-        setData(j)
+        add(j.events || [])
         setErr(null)
       } catch (e) {
         if (!alive) return
         setErr(String(e.message || e))
       }
     }
-    tick()
-    const t = setInterval(tick, 1500)
-    return () => { alive = false; clearInterval(t) }
-  }, [])
+    const startPolling = () => {
+      setMode('polling')
+      poll()
+      timer = setInterval(poll, 1500)
+    }
+
+    // EventSource cannot send the Authorization header, so a token means polling
+    if (window.EventSource && !token) {
+      let opened = false
+      source = new EventSource(`/api/logs?stream=1&${logQuery(kind, applied, lastId.current)}`)
+      source.onopen = () => { opened = true; setMode('stream'); setErr(null) }
+      source.addEventListener('log', m => add([JSON.parse(m.data)]))
+      // Once open, EventSource reconnects by itself (sending Last-Event-ID)
+      source.onerror = () => {
+        if (opened || !alive) return
+        source.close()
+        source = null
+        startPolling()
+      }
+    } else {
+      startPolling()
+    }
+    return () => {
+      alive = false
+      source?.close()
+      clearInterval(timer)
+    }
+  }, [kind, applied, paused, token])
 
-  const filtered = useMemo(() => (data.events || []).filter(e => e.kind === kind).slice().reverse(), [data, kind])
+  const shown = useMemo(() => events.slice().reverse(), [events])
+  const status = paused ? 'Paused' : mode === 'stream' ? 'Live (stream)' : mode === 'polling' ? 'Live (polling)' : 'Connecting…'
 
   return (
     <div style={{ maxWidth: 1180 }}>
       <div style={{ display:'flex', gap:'0.5rem', alignItems:'center', marginBottom:'0.75rem' }}>
         <Tag type="blue">{kind}</Tag>
-        <div style={{ opacity:0.8 }}>Live view (polling)</div>
+        <div style={{ opacity:0.8 }}>{status} · {events.length} event(s)</div>
+        <div style={{ marginLeft:'auto', display:'flex', gap:'0.5rem' }}>
+          <Button kind="secondary" size="sm" onClick={() => setPaused(p => !p)}>{paused ? 'Resume' : 'Pause'}</Button>
+          <Button kind="ghost" size="sm" onClick={() => setFilters(NO_FILTERS)}>Clear filters</Button>
+        </div>
+      </div>
+      <LogFilters value={filters} onChange={setFilters} />
+      <div style={{ maxWidth: 420, marginBottom:'1rem' }}>
+        <TextInput
+          id="f-token"
+          size="sm"
+          type="password"
+          labelText="Access token (when sign-in is on)"
+          value={tokenDraft}
+          onChange={(ev) => setTokenDraft(ev.target.value)}
+          onBlur={applyToken}
+          onKeyDown={(ev) => { if (ev.key === 'Enter') applyToken() }}
+        />
       </div>
       {err ? <InlineNotification kind="error" title="Logs unavailable" subtitle={err} /> : null}
 
-      {filtered.map((e, idx) => (
-        <Tile key={idx} style={{ marginBottom:'0.75rem' }}>
-          <div style={{ display:'flex', justifyContent:'space-between', gap:'1rem' }}>
-            <div style={{ fontWeight:600 }}>{new Date(e.ts).toLocaleString()}</div>
-            <div style={{ opacity:0.85 }}>{e.tenant ? `tenant=${e.tenant}` : ''}</div>
-          </div>
-          {e.meta ? (
-            <div style={{ marginTop:'0.5rem', opacity:0.85 }}>
-              {Object.entries(e.meta).map(([k,v]) => (
-                <span key={k} style={{ marginRight:'1rem' }}><b>{k}</b>: {String(v)}</span>
-              ))}
-            </div>
-          ) : null}
-          <div style={{ marginTop:'0.75rem' }}>
-            <CodeSnippet type="multi" wrapText>{typeof e.payload === 'string' ? e.payload : JSON.stringify(e.payload, null, 2)}</CodeSnippet>
+      {shown.map(e => (
+        <Tile key={e.id} style={{ marginBottom:'0.75rem' }}>
+          <EventMeta e={e} />
+          <div style={{ marginTop:'0.75rem' }}><Payload value={e.payload} /></div>
+          <div style={{ marginTop:'0.5rem' }}>
+            <Button kind="ghost" size="sm" onClick={() => setSelected(e.id)}>Request and response</Button>
           </div>
         </Tile>
       ))}
+      {selected ? <DetailDrawer id={selected} onClose={() => setSelected(null)} /> : null}
     </div>
   )
 }
@@ -79,6 +256,8 @@ function LogList({ kind }) {
 function Shell({ children }) {
   const nav = useNavigate()
   const path = usePath()
+  // Keeps ?correlation= when switching pages
+  const { search } = useLocation()
   return (
     <Theme theme="g10">
       <Header aria-label="MCP Server Trace">
@@ -87,7 +266,7 @@ function Shell({ children }) {
       <SideNav expanded aria-label="MCP nav" style={{ background:'#000' }}>
         <SideNavItems>
           {NAV.map(i => (
-            <SideNavLink key={i.path} isActive={path===i.path} onClick={() => nav(i.path)} style={{ color:'#fff' }}>
+            <SideNavLink key={i.path} isActive={path===i.path} onClick={() => nav(i.path + search)} style={{ color:'#fff' }}>
               {i.label}
             </SideNavLink>
           ))}